@@ -0,0 +1,275 @@
+const { PNG } = require('pngjs');
+
+// Maximum edit distance (in rows) before two pages are considered unrelated
+const DEFAULT_MAX_EDITS = 1000;
+
+/**
+ * Hash every pixel row of an image (FNV-1a)
+ * @param {PNG} png - Decoded image
+ * @returns {Uint32Array} One hash per row
+ */
+function computeRowHashes(png) {
+  const { width, height, data } = png;
+  const rowBytes = width * 4;
+  const hashes = new Uint32Array(height);
+
+  for (let y = 0; y < height; y++) {
+    let hash = 0x811c9dc5;
+    const offset = y * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      hash ^= data[offset + i];
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hashes[y] = hash >>> 0;
+  }
+
+  return hashes;
+}
+
+/**
+ * Compute the row edit script between two hash sequences (Myers diff)
+ * @param {Uint32Array} a - Baseline row hashes
+ * @param {Uint32Array} b - After row hashes
+ * @param {number} maxEdits - Give up when the edit distance exceeds this
+ * @returns {Array<string>|null} 'match' | 'del' | 'ins' operations, or null
+ */
+function diffSequences(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rebuild the edit script from the saved search frontier
+ * @param {Array<Int32Array>} trace - Frontier snapshots per edit distance
+ * @param {number} n - Baseline length
+ * @param {number} m - After length
+ * @returns {Array<string>} Edit operations in order
+ */
+function backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const saved = trace[d];
+    const at = (k) => saved[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push('match');
+      x--;
+      y--;
+    }
+    ops.push(x === prevX ? 'ins' : 'del');
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push('match');
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Align the rows of two screenshots and detect vertical insertions/deletions
+ * @param {PNG} baseline - Baseline image
+ * @param {PNG} after - After image
+ * @param {Object} options - Alignment options
+ * @returns {Object|null} Paired rows and shifts, or null if the images cannot be aligned
+ */
+function alignRows(baseline, after, options = {}) {
+  if (baseline.width !== after.width) {
+    return null;
+  }
+
+  const a = computeRowHashes(baseline);
+  const b = computeRowHashes(after);
+
+  // Skip the common head and tail to keep the search small
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = diffSequences(
+    a.subarray(prefix, a.length - suffix),
+    b.subarray(prefix, b.length - suffix),
+    options.maxEdits || DEFAULT_MAX_EDITS
+  );
+  if (!ops) {
+    return null;
+  }
+
+  const baselineRows = [];
+  const afterRows = [];
+  const shifts = [];
+  let i = prefix;
+  let j = prefix;
+
+  for (let r = 0; r < prefix; r++) {
+    baselineRows.push(r);
+    afterRows.push(r);
+  }
+
+  let p = 0;
+  while (p < ops.length) {
+    if (ops[p] === 'match') {
+      baselineRows.push(i++);
+      afterRows.push(j++);
+      p++;
+      continue;
+    }
+
+    let dels = 0;
+    let inss = 0;
+    while (p < ops.length && ops[p] !== 'match') {
+      if (ops[p] === 'del') {
+        dels++;
+      } else {
+        inss++;
+      }
+      p++;
+    }
+
+    // Overlapping deletions and insertions are changed content, compared in place
+    const modified = Math.min(dels, inss);
+    for (let t = 0; t < modified; t++) {
+      baselineRows.push(i + t);
+      afterRows.push(j + t);
+    }
+
+    if (inss > dels) {
+      shifts.push({ type: 'inserted', y: j + modified, height: inss - dels, baselineY: i + modified });
+    } else if (dels > inss) {
+      shifts.push({ type: 'removed', y: j + modified, height: dels - inss, baselineY: i + modified });
+    }
+
+    i += dels;
+    j += inss;
+  }
+
+  for (let r = 0; r < suffix; r++) {
+    baselineRows.push(i++);
+    afterRows.push(j++);
+  }
+
+  return {
+    baselineRows: Int32Array.from(baselineRows),
+    afterRows: Int32Array.from(afterRows),
+    shifts
+  };
+}
+
+/**
+ * Build equally sized images containing only the paired rows
+ * @param {PNG} baseline - Baseline image
+ * @param {PNG} after - After image
+ * @param {Object} alignment - Result of alignRows
+ * @returns {Object} Aligned baseline/after images and their size
+ */
+function buildAlignedImages(baseline, after, alignment) {
+  const { width } = baseline;
+  const height = alignment.baselineRows.length;
+  const rowBytes = width * 4;
+  const alignedBaseline = new PNG({ width, height });
+  const alignedAfter = new PNG({ width, height });
+
+  for (let r = 0; r < height; r++) {
+    const bRow = alignment.baselineRows[r] * rowBytes;
+    const aRow = alignment.afterRows[r] * rowBytes;
+    baseline.data.copy(alignedBaseline.data, r * rowBytes, bRow, bRow + rowBytes);
+    after.data.copy(alignedAfter.data, r * rowBytes, aRow, aRow + rowBytes);
+  }
+
+  return { baseline: alignedBaseline, after: alignedAfter, width, height };
+}
+
+/**
+ * Map an aligned diff image back onto the after image's coordinates
+ * Inserted bands are filled with a green tint of the after image
+ * @param {PNG} alignedDiff - Diff image in aligned coordinates
+ * @param {PNG} after - Original after image
+ * @param {Object} alignment - Result of alignRows
+ * @returns {PNG} Diff image with the after image's dimensions
+ */
+function projectDiffToAfter(alignedDiff, after, alignment) {
+  const { width } = after;
+  const rowBytes = width * 4;
+  const projected = new PNG({ width, height: after.height });
+
+  for (let r = 0; r < alignment.afterRows.length; r++) {
+    const target = alignment.afterRows[r] * rowBytes;
+    alignedDiff.data.copy(projected.data, target, r * rowBytes, (r + 1) * rowBytes);
+  }
+
+  for (const shift of alignment.shifts.filter(s => s.type === 'inserted')) {
+    for (let idx = shift.y * rowBytes; idx < (shift.y + shift.height) * rowBytes; idx += 4) {
+      projected.data[idx] = after.data[idx] >> 1;
+      projected.data[idx + 1] = (after.data[idx + 1] + 180) >> 1;
+      projected.data[idx + 2] = after.data[idx + 2] >> 1;
+      projected.data[idx + 3] = 255;
+    }
+  }
+
+  return projected;
+}
+
+/**
+ * Human readable description of a shift
+ * @param {Object} shift - Shift entry from alignRows
+ * @returns {string} Description such as "inserted 42px at y=380"
+ */
+function describeShift(shift) {
+  return shift.type === 'inserted'
+    ? `inserted ${shift.height}px at y=${shift.y}`
+    : `removed ${shift.height}px at y=${shift.y} (baseline y=${shift.baselineY})`;
+}
+
+module.exports = {
+  DEFAULT_MAX_EDITS,
+  computeRowHashes,
+  alignRows,
+  buildAlignedImages,
+  projectDiffToAfter,
+  describeShift
+};
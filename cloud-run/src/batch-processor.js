@@ -1,10 +1,30 @@
 const crawler = require('./crawler');
+const { compareCrawlRecords } = require('./http-status');
+const { describePhpErrors } = require('./php-errors');
+const { resolveUpdateStrategy, findCulpritPlugins, describeCulprits } = require('./update-bisect');
+const { describeVersionChange } = require('./inventory');
 const screenshotTaker = require('./screenshot');
 const diffChecker = require('./diff');
 const WordPressUpdater = require('./wordpress-updater');
 const { initializeFirestore } = require('./firestore');
 const { notifySlack, notifyDiscord } = require('./notifications');
 
+/**
+ * 中断・一時停止要求による停止を表すエラーを作成
+ */
+function createStopError(stopRequest) {
+  const error = new Error(stopRequest === 'pause' ? 'Batch paused' : 'Batch cancelled');
+  error.code = stopRequest === 'pause' ? 'BATCH_PAUSED' : 'BATCH_CANCELLED';
+  return error;
+}
+
+/**
+ * 中断・一時停止による停止かどうか
+ */
+function isStopError(error) {
+  return error.code === 'BATCH_PAUSED' || error.code === 'BATCH_CANCELLED';
+}
+
 class BatchProcessor {
   constructor() {
     this.db = initializeFirestore();
@@ -12,10 +32,14 @@ class BatchProcessor {
     this.maxConcurrentSites = parseInt(process.env.MAX_CONCURRENT_SITES) || 5;
     this.diffThreshold = parseFloat(process.env.DIFF_THRESHOLD) || 2.0;
     this.criticalThreshold = parseFloat(process.env.CRITICAL_THRESHOLD) || 10.0;
+    // 実行中バッチの制御状態（batchId → run）
+    this.runs = new Map();
   }
 
   /**
    * バッチ処理のメインエントリーポイント
+   * resume: true の場合は batch_runs に保存した途中経過（完了済みサイト・ページ）から続行する
+   * updateStrategy: 'one-by-one' / 'bisect' の場合、更新後にNGになるとプラグインの更新を切り分ける
    */
   async processBatch(options = {}) {
     const {
@@ -23,21 +47,53 @@ class BatchProcessor {
       mode = 'full',
       autoUpdate = false,
       rollbackOnCritical = false,
-      notifyOnSuccess = false
+      notifyOnSuccess = false,
+      updateStrategy = 'all',
+      batchId = `batch_${Date.now()}`,
+      resume = false
     } = options;
 
+    const run = {
+      batchId,
+      stopRequest: null,
+      browsers: new Set(),
+      completedSites: {},
+      siteProgress: {}
+    };
+    this.runs.set(batchId, run);
+
     try {
       console.log('Starting batch VRT process...', options);
 
+      // 再開時は保存済みのサイト一覧と途中経過を使用
+      const saved = resume ? await this.getBatchRun(batchId) : null;
+      if (resume && !saved) {
+        throw new Error(`Batch run not found: ${batchId}`);
+      }
+      if (saved) {
+        run.completedSites = saved.completedSites || {};
+        run.siteProgress = saved.siteProgress || {};
+      }
+
       // サイト一覧の取得
-      const siteList = await this.getSiteList(sites);
+      const siteList = saved ? saved.siteList : await this.getSiteList(sites);
       console.log(`Processing ${siteList.length} sites`);
 
+      await this.saveBatchRun(batchId, {
+        status: 'running',
+        options: { sites, mode, autoUpdate, rollbackOnCritical, notifyOnSuccess, updateStrategy },
+        siteList,
+        completedSites: run.completedSites,
+        siteProgress: run.siteProgress
+      });
+
       // 並列処理でサイトを処理
       const results = await this.processMultipleSites(siteList, {
         mode,
         autoUpdate,
-        rollbackOnCritical
+        rollbackOnCritical,
+        updateStrategy,
+        run
       });
 
       // 結果の集計
@@ -49,39 +105,167 @@ class BatchProcessor {
       }
 
       // 結果の保存
-      await this.saveBatchResults(results, summary);
+      await this.saveBatchResults(batchId, results, summary);
+      await this.saveBatchRun(batchId, { status: 'completed', completedAt: new Date().toISOString() });
 
       console.log('Batch VRT process completed', summary);
-      return { success: true, summary, results };
+      return { success: true, batchId, summary, results };
 
     } catch (error) {
+      if (isStopError(error)) {
+        const status = error.code === 'BATCH_PAUSED' ? 'paused' : 'cancelled';
+        await this.saveBatchRun(batchId, {
+          status,
+          completedSites: run.completedSites,
+          siteProgress: run.siteProgress
+        });
+
+        console.log(`Batch ${batchId} ${status}`, { completedSites: Object.keys(run.completedSites).length });
+        return {
+          success: false,
+          batchId,
+          status,
+          completedSites: Object.keys(run.completedSites)
+        };
+      }
+
       console.error('Batch VRT process failed:', error);
+      await this.saveBatchRun(batchId, { status: 'failed', error: error.message });
       await this.handleBatchError(error, options);
       throw error;
+    } finally {
+      this.runs.delete(batchId);
+    }
+  }
+
+  /**
+   * 実行中バッチを中断
+   * 開いているブラウザを閉じ、撮影中のページも即座に停止する
+   */
+  async cancelBatch(batchId) {
+    const run = this.runs.get(batchId);
+
+    if (!run) {
+      // 一時停止中のバッチは再開できないよう中断済みにする
+      const saved = await this.getBatchRun(batchId);
+      if (saved && saved.status === 'paused') {
+        await this.saveBatchRun(batchId, { status: 'cancelled' });
+        return { batchId, status: 'cancelled' };
+      }
+      return null;
+    }
+
+    run.stopRequest = 'cancel';
+    await Promise.allSettled(Array.from(run.browsers).map(browser => browser.close()));
+    run.browsers.clear();
+
+    return { batchId, status: 'cancelling' };
+  }
+
+  /**
+   * 実行中バッチを一時停止（撮影中のページが終わった時点で停止）
+   */
+  async pauseBatch(batchId) {
+    const run = this.runs.get(batchId);
+    if (!run) {
+      return null;
+    }
+
+    if (!run.stopRequest) {
+      run.stopRequest = 'pause';
+    }
+    return { batchId, status: 'pausing' };
+  }
+
+  /**
+   * 一時停止したバッチを再開
+   */
+  async resumeBatch(batchId) {
+    const saved = await this.getBatchRun(batchId);
+    if (!saved) {
+      return null;
+    }
+    if (saved.status !== 'paused') {
+      throw new Error(`Batch ${batchId} is ${saved.status} and cannot be resumed`);
+    }
+
+    return this.processBatch({ ...saved.options, batchId, resume: true });
+  }
+
+  /**
+   * バッチの状態を取得
+   */
+  async getBatchStatus(batchId) {
+    const saved = await this.getBatchRun(batchId);
+    const run = this.runs.get(batchId);
+
+    if (!saved && !run) {
+      return null;
+    }
+
+    return {
+      batchId,
+      ...(saved || {}),
+      stopRequest: run ? run.stopRequest : null,
+      completedSites: Object.keys((run || saved).completedSites || {})
+    };
+  }
+
+  /**
+   * 中断・一時停止が要求されていれば停止エラーを投げる
+   */
+  throwIfStopped(run) {
+    if (run && run.stopRequest) {
+      throw createStopError(run.stopRequest);
     }
   }
 
   /**
    * 複数サイトの並列処理
+   * 完了済みのサイトは保存済みの結果を使用し、サイト完了ごとに途中経過を保存する
    */
   async processMultipleSites(siteList, options) {
+    const { run } = options;
     const results = [];
     const chunks = this.chunkArray(siteList, this.maxConcurrentSites);
 
     for (const chunk of chunks) {
-      const chunkPromises = chunk.map(site => 
-        this.processSingleSite(site, options)
-          .catch(error => ({
-            siteId: site.id,
-            siteUrl: site.url,
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-          }))
-      );
-
-      const chunkResults = await Promise.all(chunkPromises);
-      results.push(...chunkResults);
+      this.throwIfStopped(run);
+
+      const chunkPromises = chunk.map(site => {
+        if (run && run.completedSites[site.id]) {
+          return Promise.resolve(run.completedSites[site.id]);
+        }
+
+        return this.processSingleSite(site, options)
+          .catch(error => {
+            if (isStopError(error)) {
+              throw error;
+            }
+            return {
+              siteId: site.id,
+              siteUrl: site.url,
+              success: false,
+              error: error.message,
+              timestamp: new Date().toISOString()
+            };
+          })
+          .then(async result => {
+            if (run) {
+              run.completedSites[site.id] = result;
+              await this.saveBatchRun(run.batchId, { completedSites: run.completedSites });
+            }
+            return result;
+          });
+      });
+
+      // 停止要求があっても同じチャンクの他サイトが止まるまで待つ
+      const settled = await Promise.allSettled(chunkPromises);
+      const stopped = settled.find(s => s.status === 'rejected');
+      if (stopped) {
+        throw stopped.reason;
+      }
+      results.push(...settled.map(s => s.value));
 
       // 次のチャンクを処理する前に少し待機
       if (chunks.indexOf(chunk) < chunks.length - 1) {
@@ -92,11 +276,39 @@ class BatchProcessor {
     return results;
   }
 
+  /**
+   * 完了済みでなければ処理ステップを実行し、結果をサイトの途中経過に記録
+   */
+  async runSiteStep(run, siteId, step, fn) {
+    const progress = run ? this.getSiteProgress(run, siteId) : null;
+    if (progress && progress.steps[step]) {
+      return progress.steps[step];
+    }
+
+    const result = await fn();
+    if (progress) {
+      progress.steps[step] = result;
+      await this.saveBatchRun(run.batchId, { siteProgress: run.siteProgress });
+    }
+    return result;
+  }
+
+  /**
+   * サイトの途中経過（完了ステップ・撮影済みURL）を取得
+   */
+  getSiteProgress(run, siteId) {
+    if (!run.siteProgress[siteId]) {
+      run.siteProgress[siteId] = { steps: {}, screenshots: {} };
+    }
+    return run.siteProgress[siteId];
+  }
+
   /**
    * 単一サイトの処理
    */
   async processSingleSite(site, options) {
-    const { mode, autoUpdate, rollbackOnCritical } = options;
+    const { mode, autoUpdate, rollbackOnCritical, updateStrategy = 'all', run = null } = options;
+    const strategy = resolveUpdateStrategy(site.updateStrategy || updateStrategy, site.updateMethod);
     const startTime = Date.now();
 
     try {
@@ -107,26 +319,36 @@ class BatchProcessor {
         siteUrl: site.url,
         mode,
         timestamp: new Date().toISOString(),
-        processingTime: 0
+        processingTime: 0,
+        inventory: {}
       };
 
       // 更新前のヘルスチェック
+      this.throwIfStopped(run);
       const healthCheck = await this.updater.performHealthCheck(site);
       if (!healthCheck.healthy) {
         throw new Error(`Site health check failed: ${healthCheck.error}`);
       }
 
       if (mode === 'full' || mode === 'baseline') {
-        // 1. Baseline撮影
+        // 1. Baseline撮影（更新前のバージョン一覧も保存）
+        result.inventory.before = await this.runSiteStep(run, site.id, 'inventoryBefore',
+          () => this.recordInventory(site, 'baseline'));
         console.log(`Taking baseline screenshots for ${site.url}`);
-        const baselineResult = await this.takeScreenshots(site, 'baseline');
+        const baselineResult = await this.runSiteStep(run, site.id, 'baseline',
+          () => this.takeScreenshots(site, 'baseline', run));
         result.baseline = baselineResult;
       }
 
       if (autoUpdate && (mode === 'full' || mode === 'update')) {
-        // 2. WordPress更新
+        // 2. WordPress更新（再開時に二重に更新しないよう完了を記録）
+        this.throwIfStopped(run);
         console.log(`Updating WordPress for ${site.url}`);
-        const updateResult = await this.updater.updateWordPressSite(site);
+        // 切り分けに使うため、一括更新の前に更新対象のプラグインと前後のバージョンを記録
+        const updateResult = await this.runSiteStep(run, site.id, 'update', async () => {
+          const pluginUpdates = strategy !== 'all' ? await this.updater.listPluginUpdates(site) : [];
+          return { ...await this.updater.updateWordPressSite(site), pluginUpdates };
+        });
         result.update = updateResult;
 
         // 更新後のヘルスチェック
@@ -137,20 +359,38 @@ class BatchProcessor {
       }
 
       if (mode === 'full' || mode === 'after') {
-        // 3. After撮影
+        // 3. After撮影（更新後のバージョン一覧も保存）
+        result.inventory.after = await this.runSiteStep(run, site.id, 'inventoryAfter',
+          () => this.recordInventory(site, 'after'));
         console.log(`Taking after screenshots for ${site.url}`);
-        const afterResult = await this.takeScreenshots(site, 'after');
+        const afterResult = await this.runSiteStep(run, site.id, 'after',
+          () => this.takeScreenshots(site, 'after', run));
         result.after = afterResult;
       }
 
       if (mode === 'full' || mode === 'compare') {
         // 4. 差分比較
+        this.throwIfStopped(run);
         console.log(`Comparing screenshots for ${site.url}`);
         const diffResult = await this.performDiffCheck(site);
         result.diff = diffResult;
 
-        // 重大な差分がある場合の自動ロールバック
-        if (rollbackOnCritical && diffResult.status === 'NG' && diffResult.criticalPagesCount > 0) {
+        // NGになった場合はプラグインの更新を1件ずつ（または半分ずつ）適用し直して原因を特定
+        if (strategy !== 'all' && diffResult.status === 'NG' && result.update?.pluginUpdates?.length > 0) {
+          console.log(`Bisecting plugin updates for ${site.url} (${strategy})`);
+          result.bisect = await this.runSiteStep(run, site.id, 'bisect',
+            () => this.bisectPluginUpdates(site, result.update.pluginUpdates, diffResult, strategy, run));
+
+          // 原因のプラグインを戻したため、Afterのバージョン一覧を取り直してバージョンの変化を更新
+          if (result.bisect?.culprits?.length > 0) {
+            result.inventory.after = await this.recordInventory(site, 'after');
+            diffResult.versionChanges = await diffChecker.refreshVersionChanges(site.id);
+          }
+        }
+
+        // 重大な差分がある場合の自動ロールバック（原因のプラグインを戻した場合は不要）
+        const critical = diffResult.status === 'NG' && diffResult.criticalPagesCount > 0;
+        if (rollbackOnCritical && critical && !(result.bisect?.culprits?.length > 0)) {
           console.log(`Performing automatic rollback for ${site.url}`);
           const rollbackResult = await this.performAutoRollback(site);
           result.rollback = rollbackResult;
@@ -164,6 +404,10 @@ class BatchProcessor {
       return result;
 
     } catch (error) {
+      if (isStopError(error)) {
+        throw error;
+      }
+
       console.error(`Failed to process site ${site.url}:`, error);
       
       return {
@@ -180,33 +424,67 @@ class BatchProcessor {
 
   /**
    * スクリーンショット撮影
+   * 撮影済みURLを途中経過に記録し、再開時は残りのページだけを撮影する
    */
-  async takeScreenshots(site, type) {
+  async takeScreenshots(site, type, run = null) {
+    const progress = run ? this.getSiteProgress(run, site.id) : { screenshots: {} };
+    const state = progress.screenshots[type] || { urls: null, completedUrls: [] };
+    progress.screenshots[type] = state;
+
     const browser = await screenshotTaker.launchBrowser();
+    if (run) {
+      run.browsers.add(browser);
+    }
     
     try {
-      // サイトクロール
-      const urls = await crawler.crawl(browser, site.url, {
-        maxUrls: site.maxUrls || 300,
-        maxDepth: site.maxDepth || 3
-      });
+      // サイトクロール（再開時は前回のURL一覧を使用）
+      // URLごとのステータス・リダイレクトも記録し、Afterでは同じ実行のBaselineと比較する
+      if (!state.urls) {
+        const crawlResult = await crawler.crawlWithStatus(browser, site.url, {
+          maxUrls: site.maxUrls || 300,
+          maxDepth: site.maxDepth || 3
+        });
+        state.urls = crawlResult.urls;
+        state.records = crawlResult.records;
+      }
 
       // スクリーンショット撮影
-      const screenshots = [];
-      for (const url of urls) {
-        const screenshot = await screenshotTaker.takeScreenshot(browser, url, type);
-        screenshots.push(screenshot);
+      for (const url of state.urls) {
+        if (state.completedUrls.includes(url)) {
+          continue;
+        }
+        this.throwIfStopped(run);
+
+        await screenshotTaker.takeScreenshot(browser, url, type);
+        state.completedUrls.push(url);
+
+        if (run) {
+          await this.saveBatchRun(run.batchId, { siteProgress: run.siteProgress });
+        }
       }
 
+      const baselineState = progress.screenshots.baseline;
+      const httpChanges = type === 'after' && baselineState && baselineState.records && state.records
+        ? compareCrawlRecords(baselineState.records, state.records)
+        : undefined;
+
       return {
         type,
-        urlCount: urls.length,
-        screenshots: screenshots.length,
+        urlCount: state.urls.length,
+        screenshots: state.completedUrls.length,
+        httpChanges,
         timestamp: new Date().toISOString()
       };
 
+    } catch (error) {
+      // 中断でブラウザが閉じられた場合は停止として扱う
+      this.throwIfStopped(run);
+      throw error;
     } finally {
-      await browser.close();
+      if (run) {
+        run.browsers.delete(browser);
+      }
+      await browser.close().catch(() => {});
     }
   }
 
@@ -217,18 +495,131 @@ class BatchProcessor {
     const diffResults = await diffChecker.compareAllScreenshots(site.id);
     
     const ngResults = diffResults.filter(r => r.status === 'NG');
-    const criticalResults = diffResults.filter(r => r.diffPercent > this.criticalThreshold);
+    // PHPエラー・WordPressのエラー画面が出たページは差分率に関係なく重大とする
+    const phpErrorResults = diffResults.filter(r => r.phpErrors?.length > 0);
+    const criticalResults = diffResults.filter(r => r.diffPercent > this.criticalThreshold || r.phpErrors?.length > 0);
 
     return {
       status: ngResults.length > 0 ? 'NG' : 'OK',
       totalPages: diffResults.length,
       ngPagesCount: ngResults.length,
       criticalPagesCount: criticalResults.length,
+      phpErrorPages: phpErrorResults.map(r => ({ url: r.url, errors: describePhpErrors(r.phpErrors) })),
+      // NGのページと並べて確認できるよう、Baseline・Afterのバージョンの変化を添える
+      versionChanges: await diffChecker.loadVersionChanges(site.id),
       avgDiffPercent: diffResults.reduce((sum, r) => sum + r.diffPercent, 0) / diffResults.length,
       results: diffResults
     };
   }
 
+  /**
+   * コア・プラグイン・テーマのバージョン一覧を取得して保存（取得できなければnull）
+   * 比較結果と同じく実行日ごとに保存する（inventories/<siteId>_<YYYYMMDD>_<type>）
+   */
+  async recordInventory(site, type) {
+    try {
+      const inventory = await this.updater.collectInventory(site);
+      const date = diffChecker.formatDate();
+      await this.db.collection('inventories').doc(`${site.id}_${date}_${type}`)
+        .set({ siteId: site.id, date, type, ...inventory });
+      return inventory;
+    } catch (error) {
+      console.error(`Failed to collect ${type} inventory for ${site.url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * プラグイン更新の切り分け
+   * 全プラグインを更新前に戻してNGのページが直ることを確認してから、1件ずつ（bisect は半分ずつ）
+   * 更新し直してNGのページを撮り直し、原因のプラグインを特定して更新前のバージョンに戻す
+   */
+  async bisectPluginUpdates(site, pluginUpdates, diffResult, strategy, run = null) {
+    const ngUrls = diffResult.results.filter(r => r.status === 'NG').map(r => r.url);
+    const check = () => this.checkPages(site, ngUrls, run);
+
+    try {
+      await this.updater.rollbackPlugins(site, pluginUpdates);
+      const withoutUpdates = await check();
+      if (withoutUpdates.status === 'NG') {
+        // プラグイン以外（コア・テーマ）の更新が原因のため、プラグインは更新した状態に戻す
+        console.log(`Pages are still NG without plugin updates for ${site.url}`);
+        await this.updater.updatePlugins(site, pluginUpdates);
+        return {
+          success: true,
+          strategy,
+          ngUrls,
+          cause: 'not-plugins',
+          culprits: [],
+          applied: pluginUpdates,
+          steps: []
+        };
+      }
+
+      const bisection = await findCulpritPlugins(pluginUpdates, {
+        strategy,
+        apply: plugins => this.updater.updatePlugins(site, plugins),
+        rollback: plugins => this.updater.rollbackPlugins(site, plugins),
+        check
+      });
+
+      if (bisection.culprits.length > 0) {
+        console.log(`Rolled back culprit plugins for ${site.url}: ${describeCulprits(bisection.culprits)}`);
+      }
+
+      return {
+        success: true,
+        strategy,
+        ngUrls,
+        cause: bisection.culprits.length > 0 ? 'plugins' : 'unresolved',
+        ...bisection
+      };
+
+    } catch (error) {
+      if (isStopError(error)) {
+        throw error;
+      }
+
+      console.error(`Plugin update bisection failed for ${site.url}:`, error.message);
+      return {
+        success: false,
+        strategy,
+        ngUrls,
+        culprits: [],
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 指定したページだけAfterを撮り直して比較
+   */
+  async checkPages(site, urls, run = null) {
+    const browser = await screenshotTaker.launchBrowser();
+    if (run) {
+      run.browsers.add(browser);
+    }
+
+    try {
+      for (const url of urls) {
+        this.throwIfStopped(run);
+        await screenshotTaker.takeScreenshot(browser, url, 'after');
+      }
+    } catch (error) {
+      this.throwIfStopped(run);
+      throw error;
+    } finally {
+      if (run) {
+        run.browsers.delete(browser);
+      }
+      await browser.close().catch(() => {});
+    }
+
+    const results = await diffChecker.compareAllScreenshots(site.id, { urls });
+    const ngResults = results.filter(r => r.status !== 'OK');
+    return { status: ngResults.length > 0 ? 'NG' : 'OK', ngUrls: ngResults.map(r => r.url) };
+  }
+
   /**
    * 自動ロールバック
    */
@@ -290,6 +681,22 @@ class BatchProcessor {
     const failureCount = results.filter(r => !r.success).length;
     const ngCount = results.filter(r => r.success && r.diff?.status === 'NG').length;
     const criticalCount = results.filter(r => r.success && r.diff?.criticalPagesCount > 0).length;
+    const phpErrorPages = results
+      .filter(r => r.success && r.diff?.phpErrorPages?.length > 0)
+      .flatMap(r => r.diff.phpErrorPages.map(page => ({ siteId: r.siteId, ...page })));
+    const culpritPlugins = results
+      .filter(r => r.success && r.bisect?.culprits?.length > 0)
+      .flatMap(r => r.bisect.culprits.map(plugin => ({
+        siteId: r.siteId,
+        name: plugin.name,
+        fromVersion: plugin.fromVersion,
+        toVersion: plugin.toVersion,
+        ngUrls: plugin.ngUrls
+      })));
+
+    const versionChanges = results
+      .filter(r => r.success && r.diff?.status === 'NG' && r.diff.versionChanges?.length > 0)
+      .map(r => ({ siteId: r.siteId, changes: r.diff.versionChanges }));
 
     return {
       totalSites: results.length,
@@ -297,6 +704,9 @@ class BatchProcessor {
       failureCount,
       ngCount,
       criticalCount,
+      phpErrorPages,
+      culpritPlugins,
+      versionChanges,
       hasNGResults: ngCount > 0,
       hasCriticalResults: criticalCount > 0,
       avgProcessingTime: results.reduce((sum, r) => sum + (r.processingTime || 0), 0) / results.length,
@@ -342,16 +752,73 @@ class BatchProcessor {
           { title: 'Critical Results', value: summary.criticalCount.toString(), short: true },
           { title: 'Avg Processing Time', value: `${Math.round(summary.avgProcessingTime / 1000)}s`, short: true }
         ]
-      }]
+      },
+      ...this.createPhpErrorAttachments(summary.phpErrorPages),
+      ...this.createCulpritAttachments(summary.culpritPlugins),
+      ...this.createVersionChangeAttachments(summary.versionChanges)]
     };
   }
 
+  /**
+   * PHPエラー・WordPressのエラー画面が出たページの通知（ページがなければ空）
+   */
+  createPhpErrorAttachments(phpErrorPages = []) {
+    if (phpErrorPages.length === 0) {
+      return [];
+    }
+
+    const lines = phpErrorPages.slice(0, 10).map(page => `• [${page.siteId}] ${page.url}: ${page.errors}`);
+    if (phpErrorPages.length > lines.length) {
+      lines.push(`…and ${phpErrorPages.length - lines.length} more`);
+    }
+
+    return [{
+      color: 'danger',
+      title: `🧨 PHP errors / WordPress error screens on ${phpErrorPages.length} pages`,
+      text: lines.join('\n')
+    }];
+  }
+
+  /**
+   * 切り分けで特定・ロールバックしたプラグインの通知（なければ空）
+   */
+  createCulpritAttachments(culpritPlugins = []) {
+    if (culpritPlugins.length === 0) {
+      return [];
+    }
+
+    const lines = culpritPlugins.map(plugin =>
+      `• [${plugin.siteId}] ${describeCulprits([plugin])} (${plugin.ngUrls.length} NG pages)`);
+
+    return [{
+      color: 'danger',
+      title: `🧩 Plugin updates rolled back: ${culpritPlugins.length}`,
+      text: lines.join('\n')
+    }];
+  }
+
+  /**
+   * NGのサイトで変わったコア・プラグイン・テーマのバージョンの通知（なければ空）
+   */
+  createVersionChangeAttachments(versionChanges = []) {
+    if (versionChanges.length === 0) {
+      return [];
+    }
+
+    const lines = versionChanges.map(site =>
+      `• [${site.siteId}] ${site.changes.map(describeVersionChange).join(', ')}`);
+
+    return [{
+      color: 'warning',
+      title: `📦 Version changes on ${versionChanges.length} NG sites`,
+      text: lines.join('\n')
+    }];
+  }
+
   /**
    * バッチ結果の保存
    */
-  async saveBatchResults(results, summary) {
-    const batchId = `batch_${Date.now()}`;
-    
+  async saveBatchResults(batchId, results, summary) {
     await this.db.collection('batch_results').doc(batchId).set({
       summary,
       results,
@@ -361,6 +828,28 @@ class BatchProcessor {
     console.log(`Batch results saved with ID: ${batchId}`);
   }
 
+  /**
+   * バッチの途中経過を保存（batch_runs）
+   */
+  async saveBatchRun(batchId, data) {
+    try {
+      await this.db.collection('batch_runs').doc(batchId).set({
+        ...data,
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error(`Failed to save batch run ${batchId}:`, error.message);
+    }
+  }
+
+  /**
+   * 保存済みのバッチ途中経過を取得
+   */
+  async getBatchRun(batchId) {
+    const doc = await this.db.collection('batch_runs').doc(batchId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
   /**
    * バッチエラーの処理
    */
@@ -1,5 +1,6 @@
 const url = require('url');
 const robotsChecker = require('./robots-checker');
+const { recordNavigation, recordNavigationError } = require('./http-status');
 
 /**
  * Crawl website using BFS algorithm to discover internal links
@@ -9,6 +10,18 @@ const robotsChecker = require('./robots-checker');
  * @returns {Array} Array of discovered URLs
  */
 async function crawl(browser, startUrl, options = {}) {
+  const { urls } = await crawlWithStatus(browser, startUrl, options);
+  return urls;
+}
+
+/**
+ * Crawl website and record the main-document status of every discovered URL
+ * @param {Object} browser - Puppeteer browser instance
+ * @param {string} startUrl - Starting URL to crawl
+ * @param {Object} options - Crawling options
+ * @returns {Object} { urls, records } where records hold { url, http } per URL
+ */
+async function crawlWithStatus(browser, startUrl, options = {}) {
   const {
     maxUrls = 300,
     timeout = 30000,
@@ -17,6 +30,7 @@ async function crawl(browser, startUrl, options = {}) {
   
   const visitedUrls = new Set();
   const discoveredUrls = new Set();
+  const records = new Map();
   const queue = [startUrl];
   const baseUrl = new URL(startUrl);
   const baseDomain = baseUrl.hostname;
@@ -52,10 +66,17 @@ async function crawl(browser, startUrl, options = {}) {
       visitedUrls.add(currentUrl);
       discoveredUrls.add(currentUrl);
       
-      await page.goto(currentUrl, {
+      const response = await page.goto(currentUrl, {
         waitUntil: 'networkidle2',
         timeout: timeout
       });
+
+      const http = await recordNavigation(page, response);
+      records.set(currentUrl, { url: currentUrl, http });
+      if (http.status >= 400 || http.redirectChain.length > 0) {
+        const redirect = http.redirectChain.length > 0 ? ` (-> ${http.finalUrl})` : '';
+        console.log(`HTTP ${http.status} for ${currentUrl}${redirect}`);
+      }
       
       // Extract all internal links
       const links = await page.evaluate((baseDomain) => {
@@ -97,13 +118,17 @@ async function crawl(browser, startUrl, options = {}) {
       console.error(`Error crawling ${currentUrl}:`, error.message);
       // Still add the URL to discovered list even if crawling failed
       discoveredUrls.add(currentUrl);
+      records.set(currentUrl, { url: currentUrl, http: recordNavigationError(error) });
     }
   }
   
   const finalUrls = Array.from(discoveredUrls);
   console.log(`Crawl completed: discovered ${finalUrls.length} URLs`);
   
-  return finalUrls;
+  return {
+    urls: finalUrls,
+    records: finalUrls.map(pageUrl => records.get(pageUrl) || { url: pageUrl, http: null })
+  };
 }
 
 /**
@@ -150,5 +175,6 @@ async function extractLinks(browser, pageUrl) {
 
 module.exports = {
   crawl,
+  crawlWithStatus,
   extractLinks
 };
\ No newline at end of file
@@ -3,6 +3,8 @@ const { PNG } = require('pngjs');
 const fs = require('fs').promises;
 const { Storage } = require('@google-cloud/storage');
 const { Firestore } = require('@google-cloud/firestore');
+const { alignRows, buildAlignedImages, projectDiffToAfter, describeShift } = require('./alignment');
+const { compareInventories } = require('./inventory');
 
 const storage = new Storage();
 const firestore = new Firestore();
@@ -11,9 +13,12 @@ const firestore = new Firestore();
  * Compare screenshots for a site and generate diff images
  * @param {string} siteId - Site identifier
  * @param {string} date - Date string in YYYYMMDD format
+ * @param {Object} options - Options
+ * @param {Array} options.urls - Only compare these URLs (re-checks save neither diff images nor Firestore results)
  * @returns {Array} Array of comparison results
  */
-async function compareSiteScreenshots(siteId, date) {
+async function compareSiteScreenshots(siteId, date, options = {}) {
+  const { urls = null } = options;
   const bucket = storage.bucket(process.env.DRIVE_ROOT);
   const baselinePrefix = `baseline/${date}/${siteId}/`;
   const afterPrefix = `after/${date}/${siteId}/`;
@@ -30,11 +35,17 @@ async function compareSiteScreenshots(siteId, date) {
     
     const results = [];
     const diffThreshold = parseFloat(process.env.DIFF_THRESHOLD) || 2.0;
+
+    // PHP errors / WordPress error screens found while capturing the after screenshots
+    const afterPhpErrors = await loadCrawlPhpErrors(siteId, date, 'after');
     
     for (const baselineFile of baselineFiles) {
       const url = decodeURIComponent(
         baselineFile.name.replace(baselinePrefix, '').replace('.png', '')
       );
+      if (urls && !urls.includes(url)) {
+        continue;
+      }
       
       const afterPath = baselineFile.name.replace('baseline', 'after');
       const [afterExists] = await bucket.file(afterPath).exists();
@@ -65,9 +76,10 @@ async function compareSiteScreenshots(siteId, date) {
         const baseline = PNG.sync.read(baselineBuffer);
         const after = PNG.sync.read(afterBuffer);
         
-        // Ensure images have the same dimensions
+        // Ensure images can be compared (height changes are aligned row by row)
         const { width, height } = baseline;
-        if (after.width !== width || after.height !== height) {
+        const prepared = prepareImagesForComparison(baseline, after);
+        if (!prepared) {
           console.log(`Dimension mismatch for ${url}: ${width}x${height} vs ${after.width}x${after.height}`);
           results.push({
             url,
@@ -82,16 +94,21 @@ async function compareSiteScreenshots(siteId, date) {
           continue;
         }
         
+        if (prepared.contentShifts.length > 0) {
+          const descriptions = prepared.contentShifts.map(shift => shift.description).join(', ');
+          console.log(`Content shift detected for ${url}: ${descriptions}`);
+        }
+        
         // Create diff image
-        const diff = new PNG({ width, height });
+        const diff = new PNG({ width: prepared.width, height: prepared.height });
         
         // Compare images using pixelmatch
         const numDiffPixels = pixelmatch(
-          baseline.data,
-          after.data,
+          prepared.baseline.data,
+          prepared.after.data,
           diff.data,
-          width,
-          height,
+          prepared.width,
+          prepared.height,
           {
             threshold: 0.01, // より敏感に差分を検出 (0.1から0.01に変更)
             alpha: 0.5,
@@ -102,26 +119,31 @@ async function compareSiteScreenshots(siteId, date) {
           }
         );
         
-        const totalPixels = width * height;
+        const totalPixels = prepared.width * prepared.height;
         const diffPercent = (numDiffPixels / totalPixels) * 100;
-        const status = diffPercent < diffThreshold ? 'OK' : 'NG';
-        
-        // Save diff image
-        const diffPath = `${diffPrefix}${encodeURIComponent(url)}.png`;
-        const diffBuffer = PNG.sync.write(diff);
+        const phpErrors = afterPhpErrors.get(url) || [];
+        const status = diffPercent < diffThreshold && phpErrors.length === 0 ? 'OK' : 'NG';
         
-        await bucket.file(diffPath).save(diffBuffer, {
-          metadata: { 
-            contentType: 'image/png',
-            cacheControl: 'public, max-age=31536000',
-            customMetadata: {
-              'diff-percent': diffPercent.toString(),
-              'status': status,
-              'baseline-path': baselineFile.name,
-              'after-path': afterPath
+        // Save diff image (a re-check must not overwrite the diff images of the saved comparison)
+        const diffPath = urls ? null : `${diffPrefix}${encodeURIComponent(url)}.png`;
+        if (diffPath) {
+          const diffBuffer = PNG.sync.write(
+            prepared.alignment ? projectDiffToAfter(diff, after, prepared.alignment) : diff
+          );
+          
+          await bucket.file(diffPath).save(diffBuffer, {
+            metadata: { 
+              contentType: 'image/png',
+              cacheControl: 'public, max-age=31536000',
+              customMetadata: {
+                'diff-percent': diffPercent.toString(),
+                'status': status,
+                'baseline-path': baselineFile.name,
+                'after-path': afterPath
+              }
             }
-          }
-        });
+          });
+        }
         
         const result = {
           url,
@@ -132,7 +154,9 @@ async function compareSiteScreenshots(siteId, date) {
           diffPixels: numDiffPixels,
           totalPixels,
           status,
-          dimensions: { width, height },
+          dimensions: { width: after.width, height: after.height },
+          contentShifts: prepared.contentShifts,
+          phpErrors,
           timestamp: new Date()
         };
         
@@ -155,6 +179,16 @@ async function compareSiteScreenshots(siteId, date) {
       }
     }
     
+    // A partial re-check must not replace the comparison of the whole site
+    if (urls) {
+      const ngCount = results.filter(r => r.status === 'NG').length;
+      console.log(`Re-checked ${results.length} URLs for ${siteId}: ${ngCount} NG`);
+      return results;
+    }
+
+    // Core / plugin / theme version changes between the baseline and after captures
+    const versionChanges = await loadVersionChanges(siteId, date);
+
     // Save comparison results to Firestore
     const comparisonDoc = {
       siteId,
@@ -165,6 +199,8 @@ async function compareSiteScreenshots(siteId, date) {
       ngCount: results.filter(r => r.status === 'NG').length,
       errorCount: results.filter(r => r.status === 'ERROR').length,
       missingCount: results.filter(r => r.status === 'MISSING_AFTER').length,
+      phpErrorCount: results.filter(r => r.phpErrors && r.phpErrors.length > 0).length,
+      versionChanges,
       averageDiffPercent: results
         .filter(r => r.diffPercent !== null)
         .reduce((sum, r) => sum + r.diffPercent, 0) / 
@@ -185,6 +221,94 @@ async function compareSiteScreenshots(siteId, date) {
   }
 }
 
+/**
+ * Load the PHP errors recorded by a crawl, keyed by URL
+ * @param {string} siteId - Site identifier
+ * @param {string} date - Crawl date (YYYYMMDD)
+ * @param {string} mode - 'baseline' or 'after'
+ * @returns {Map} URL → matches (empty when the crawl has no record)
+ */
+async function loadCrawlPhpErrors(siteId, date, mode) {
+  const doc = await firestore.collection('crawls').doc(`${siteId}_${date}_${mode}`).get();
+  if (!doc.exists) {
+    return new Map();
+  }
+
+  return new Map((doc.data().urls || [])
+    .filter(record => record.phpErrors && record.phpErrors.length > 0)
+    .map(record => [record.url, record.phpErrors]));
+}
+
+/**
+ * Load the version changes between the baseline and after inventories of a run
+ * @param {string} siteId - Site identifier
+ * @param {string} date - Run date (YYYYMMDD), defaults to today
+ * @returns {Array|null} Version changes, or null when either inventory is missing
+ */
+async function loadVersionChanges(siteId, date = formatDate()) {
+  const [beforeDoc, afterDoc] = await Promise.all([
+    firestore.collection('inventories').doc(`${siteId}_${date}_baseline`).get(),
+    firestore.collection('inventories').doc(`${siteId}_${date}_after`).get()
+  ]);
+
+  return compareInventories(
+    beforeDoc.exists ? beforeDoc.data() : null,
+    afterDoc.exists ? afterDoc.data() : null
+  );
+}
+
+/**
+ * Recompute the version changes of a saved comparison
+ * Used after the after inventory was re-recorded (e.g. culprit plugins were rolled back)
+ * @param {string} siteId - Site identifier
+ * @param {string} date - Run date (YYYYMMDD), defaults to today
+ * @returns {Array|null} Version changes
+ */
+async function refreshVersionChanges(siteId, date = formatDate()) {
+  const versionChanges = await loadVersionChanges(siteId, date);
+  await firestore.collection('comparisons').doc(`${siteId}_${date}`).set({ versionChanges }, { merge: true });
+  return versionChanges;
+}
+
+/**
+ * Prepare two screenshots for pixel comparison
+ * When only the height differs, rows are aligned so that content pushed down by an
+ * insertion (or pulled up by a deletion) is compared with its counterpart
+ * @param {PNG} baseline - Baseline image
+ * @param {PNG} after - After image
+ * @param {Object} options - Options (maxEdits)
+ * @returns {Object|null} Images to compare and detected shifts, or null if they cannot be compared
+ */
+function prepareImagesForComparison(baseline, after, options = {}) {
+  if (baseline.width === after.width && baseline.height === after.height) {
+    return {
+      baseline,
+      after,
+      width: baseline.width,
+      height: baseline.height,
+      alignment: null,
+      contentShifts: []
+    };
+  }
+
+  const alignment = alignRows(baseline, after, {
+    maxEdits: options.maxEdits || parseInt(process.env.ALIGNMENT_MAX_EDITS) || undefined
+  });
+  if (!alignment) {
+    return null;
+  }
+
+  const aligned = buildAlignedImages(baseline, after, alignment);
+  return {
+    baseline: aligned.baseline,
+    after: aligned.after,
+    width: aligned.width,
+    height: aligned.height,
+    alignment,
+    contentShifts: alignment.shifts.map(shift => ({ ...shift, description: describeShift(shift) }))
+  };
+}
+
 /**
  * Compare two specific screenshots
  * @param {string} baselinePath - Path to baseline image in GCS
@@ -210,18 +334,19 @@ async function compareImages(baselinePath, afterPath, options = {}) {
     const baseline = PNG.sync.read(baselineBuffer);
     const after = PNG.sync.read(afterBuffer);
     
-    // Check dimensions
-    if (baseline.width !== after.width || baseline.height !== after.height) {
+    // Check dimensions (height changes are aligned row by row)
+    const prepared = prepareImagesForComparison(baseline, after, options);
+    if (!prepared) {
       throw new Error(`Image dimensions don't match: ${baseline.width}x${baseline.height} vs ${after.width}x${after.height}`);
     }
     
-    const { width, height } = baseline;
+    const { width, height } = prepared;
     const diff = new PNG({ width, height });
     
     // Compare
     const numDiffPixels = pixelmatch(
-      baseline.data,
-      after.data,
+      prepared.baseline.data,
+      prepared.after.data,
       diff.data,
       width,
       height,
@@ -240,8 +365,11 @@ async function compareImages(baselinePath, afterPath, options = {}) {
       diffPixels: numDiffPixels,
       totalPixels,
       status: diffPercent < diffThreshold ? 'OK' : 'NG',
-      dimensions: { width, height },
-      diffImage: PNG.sync.write(diff)
+      dimensions: { width: after.width, height: after.height },
+      contentShifts: prepared.contentShifts,
+      diffImage: PNG.sync.write(
+        prepared.alignment ? projectDiffToAfter(diff, after, prepared.alignment) : diff
+      )
     };
     
   } catch (error) {
@@ -286,6 +414,7 @@ async function generateDiffReport(siteId, date) {
         url: r.url,
         error: r.error
       })),
+      versionChanges: data.versionChanges || null,
       timestamp: data.timestamp
     };
     
@@ -296,24 +425,38 @@ async function generateDiffReport(siteId, date) {
   }
 }
 
+/**
+ * Format a date as YYYYMMDD (local time), the key used for screenshots, comparisons and inventories
+ * @param {Date} date - Date to format, defaults to now
+ * @returns {string} Date string
+ */
+function formatDate(date = new Date()) {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}${month}${day}`;
+}
+
 /**
  * Compare all screenshots for a site (wrapper for batch processor)
  * @param {string} siteId - Site identifier
+ * @param {Object} options - Options passed to compareSiteScreenshots
  * @returns {Array} Array of comparison results
  */
-async function compareAllScreenshots(siteId) {
-  // Get today's date in YYYYMMDD format
-  const today = new Date();
-  const date = `${today.getFullYear()}${(today.getMonth() + 1).toString().padStart(2, '0')}${today.getDate().toString().padStart(2, '0')}`;
+async function compareAllScreenshots(siteId, options = {}) {
+  const date = formatDate();
   
   console.log(`Running compareAllScreenshots for site ${siteId} on ${date}`);
   
-  return await compareSiteScreenshots(siteId, date);
+  return await compareSiteScreenshots(siteId, date, options);
 }
 
 module.exports = {
   compareSiteScreenshots,
   compareImages,
+  prepareImagesForComparison,
   generateDiffReport,
-  compareAllScreenshots
+  compareAllScreenshots,
+  formatDate,
+  loadVersionChanges,
+  refreshVersionChanges
 };
\ No newline at end of file
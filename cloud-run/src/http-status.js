@@ -0,0 +1,134 @@
+/**
+ * Main-document status and redirect tracking for crawled URLs.
+ * A page that starts returning 500 or redirecting to the homepage after an update
+ * still renders something, so the crawl records status, final URL, redirect chain
+ * and canonical for every URL and reports what changed between baseline and after.
+ */
+
+/**
+ * Build the navigation record of a page from its goto() response
+ * @param {Object} page - Puppeteer page
+ * @param {Object|null} response - Response returned by page.goto
+ * @returns {Object} { status, finalUrl, redirectChain, canonical }
+ */
+async function recordNavigation(page, response) {
+  const redirectChain = response
+    ? response.request().redirectChain().map(request => ({
+      url: request.url(),
+      status: request.response() ? request.response().status() : null
+    }))
+    : [];
+
+  let canonical = null;
+  try {
+    canonical = await page.$eval('link[rel="canonical"]', link => link.href);
+  } catch (error) {
+    // No canonical link on this page
+  }
+
+  return {
+    status: response ? response.status() : null,
+    finalUrl: page.url(),
+    redirectChain,
+    canonical
+  };
+}
+
+/**
+ * Build the navigation record of a URL that failed to load
+ * @param {Error} error - Navigation error
+ * @returns {Object} Navigation record with the error message
+ */
+function recordNavigationError(error) {
+  return { status: null, finalUrl: null, redirectChain: [], canonical: null, error: error.message };
+}
+
+/**
+ * Describe a redirect chain as a comparable string
+ * @param {Array} chain - Redirect hops ({ url, status })
+ * @returns {string} "301 https://... → 302 https://..."
+ */
+function describeRedirectChain(chain) {
+  return chain.map(hop => `${hop.status} ${hop.url}`).join(' → ');
+}
+
+/**
+ * Compare the baseline and after navigation records of one URL
+ * Status, redirect and final URL changes are 'NG'; canonical changes are 'WARNING'
+ * @param {Object} baseline - Baseline navigation record
+ * @param {Object} after - After navigation record
+ * @returns {Array} Changes ({ type, severity, before, after })
+ */
+function compareNavigation(baseline, after) {
+  const changes = [];
+
+  if (baseline.status !== after.status) {
+    changes.push({ type: 'status', severity: 'NG', before: baseline.status, after: after.status });
+  }
+
+  const redirectChanged = describeRedirectChain(baseline.redirectChain) !== describeRedirectChain(after.redirectChain);
+  if (redirectChanged) {
+    changes.push({ type: 'redirect', severity: 'NG', before: baseline.redirectChain, after: after.redirectChain });
+  }
+
+  // Same HTTP redirects but a different landing page (client-side redirect)
+  if (!redirectChanged && after.finalUrl && baseline.finalUrl !== after.finalUrl) {
+    changes.push({ type: 'finalUrl', severity: 'NG', before: baseline.finalUrl, after: after.finalUrl });
+  }
+
+  if (after.status !== null && baseline.canonical !== after.canonical) {
+    changes.push({ type: 'canonical', severity: 'WARNING', before: baseline.canonical, after: after.canonical });
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the crawl records of a baseline and an after crawl
+ * URLs missing from the after crawl are reported as 'missing'
+ * @param {Array} baselineUrls - Baseline crawl records ({ url, http })
+ * @param {Array} afterUrls - After crawl records ({ url, http })
+ * @returns {Array} One row per URL whose navigation changed ({ url, severity, changes })
+ */
+function compareCrawlRecords(baselineUrls, afterUrls) {
+  const afterByUrl = new Map(afterUrls.map(record => [record.url, record]));
+  const rows = [];
+
+  for (const baseline of baselineUrls) {
+    if (!baseline.http) {
+      continue;
+    }
+
+    const after = afterByUrl.get(baseline.url);
+    if (!after) {
+      rows.push({
+        url: baseline.url,
+        severity: 'NG',
+        changes: [{ type: 'missing', severity: 'NG', before: baseline.http.status, after: null }]
+      });
+      continue;
+    }
+    if (!after.http) {
+      continue;
+    }
+
+    const changes = compareNavigation(baseline.http, after.http);
+    if (changes.length > 0) {
+      rows.push({
+        url: baseline.url,
+        severity: changes.some(change => change.severity === 'NG') ? 'NG' : 'WARNING',
+        changes
+      });
+    }
+  }
+
+  return rows;
+}
+
+module.exports = {
+  recordNavigation,
+  recordNavigationError,
+  describeRedirectChain,
+  compareNavigation,
+  compareCrawlRecords
+};
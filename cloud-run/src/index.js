@@ -6,6 +6,8 @@ const crawler = require('./crawler');
 const screenshot = require('./screenshot');
 const diff = require('./diff');
 const robotsChecker = require('./robots-checker');
+const { compareCrawlRecords } = require('./http-status');
+const { UPDATE_STRATEGIES } = require('./update-bisect');
 const BatchProcessor = require('./batch-processor');
 const WordPressUpdater = require('./wordpress-updater');
 
@@ -32,26 +34,100 @@ app.post('/batch-check', async (req, res) => {
       mode = 'full',
       autoUpdate = false,
       rollbackOnCritical = false,
-      notifyOnSuccess = false
+      notifyOnSuccess = false,
+      updateStrategy = 'all',
+      wait = true
     } = req.body;
 
+    if (!UPDATE_STRATEGIES.includes(updateStrategy)) {
+      return res.status(400).json({ error: `updateStrategy must be one of: ${UPDATE_STRATEGIES.join(', ')}` });
+    }
+
     console.log('Starting batch VRT check:', req.body);
 
-    const result = await batchProcessor.processBatch({
+    const batchId = `batch_${Date.now()}`;
+    const run = batchProcessor.processBatch({
       sites,
       mode,
       autoUpdate,
       rollbackOnCritical,
-      notifyOnSuccess
+      notifyOnSuccess,
+      updateStrategy,
+      batchId
     });
 
-    res.json(result);
+    // wait: false returns immediately so the batch can be paused/cancelled via /batch/:batchId
+    if (!wait) {
+      run.catch(error => console.error(`Batch ${batchId} failed:`, error.message));
+      return res.status(202).json({ success: true, batchId, statusUrl: `/batch/${batchId}` });
+    }
+
+    res.json(await run);
   } catch (error) {
     console.error('Batch check error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Batch status endpoint
+app.get('/batch/:batchId', async (req, res) => {
+  try {
+    const status = await batchProcessor.getBatchStatus(req.params.batchId);
+    if (!status) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Batch cancel/pause endpoints (stop at the next page boundary; cancel also closes open browsers)
+app.post('/batch/:batchId/cancel', async (req, res) => {
+  try {
+    const result = await batchProcessor.cancelBatch(req.params.batchId);
+    if (!result) {
+      return res.status(404).json({ error: 'Batch is not running or paused' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/batch/:batchId/pause', async (req, res) => {
+  try {
+    const result = await batchProcessor.pauseBatch(req.params.batchId);
+    if (!result) {
+      return res.status(404).json({ error: 'Batch is not running' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused batch from its last finished page
+app.post('/batch/:batchId/resume', async (req, res) => {
+  const { batchId } = req.params;
+
+  try {
+    const status = await batchProcessor.getBatchStatus(batchId);
+    if (!status) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (status.status !== 'paused') {
+      return res.status(409).json({ error: `Batch is ${status.status} and cannot be resumed` });
+    }
+
+    batchProcessor.resumeBatch(batchId)
+      .catch(error => console.error(`Batch ${batchId} failed:`, error.message));
+    res.status(202).json({ success: true, batchId, statusUrl: `/batch/${batchId}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Single site VRT check endpoint (NEW)
 app.post('/vrt-check', async (req, res) => {
   try {
@@ -179,17 +255,18 @@ app.get('/crawl', async (req, res) => {
     });
     
     console.log(`Starting ${mode} crawl for ${url}`);
-    const urls = await crawler.crawl(browser, url, { 
+    const { urls, records } = await crawler.crawlWithStatus(browser, url, { 
       maxUrls: parseInt(process.env.MAX_CRAWL_URLS) || 300,
       timeout: parseInt(process.env.CRAWL_TIMEOUT) || 30000
     });
+    const httpByUrl = new Map(records.map(record => [record.url, record.http]));
     
     const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
     const results = [];
     
     for (const pageUrl of urls) {
       try {
-        const screenshotPath = await screenshot.capture(browser, pageUrl, {
+        const { path: screenshotPath, phpErrors } = await screenshot.captureWithErrors(browser, pageUrl, {
           viewport: { 
             width: parseInt(process.env.SCREENSHOT_VIEWPORT_WIDTH) || 1920, 
             height: parseInt(process.env.SCREENSHOT_VIEWPORT_HEIGHT) || 1080 
@@ -210,6 +287,8 @@ app.get('/crawl', async (req, res) => {
         results.push({ 
           url: pageUrl, 
           path: destination,
+          http: httpByUrl.get(pageUrl),
+          phpErrors,
           timestamp: new Date().toISOString()
         });
         
@@ -219,12 +298,19 @@ app.get('/crawl', async (req, res) => {
         results.push({ 
           url: pageUrl, 
           error: error.message,
+          http: httpByUrl.get(pageUrl),
           timestamp: new Date().toISOString()
         });
       }
     }
     
     await browser.close();
+
+    // Status code / redirect / canonical changes since the latest baseline crawl
+    const httpChanges = mode === 'after' ? await compareWithBaselineCrawl(siteId, results) : [];
+    if (httpChanges.length > 0) {
+      console.log(`HTTP changes since baseline: ${httpChanges.length} URLs`);
+    }
     
     // Save crawl results to Firestore
     await firestore.collection('crawls').doc(`${siteId}_${dateStr}_${mode}`).set({
@@ -236,6 +322,9 @@ app.get('/crawl', async (req, res) => {
       totalUrls: urls.length,
       successCount: results.filter(r => !r.error).length,
       errorCount: results.filter(r => r.error).length,
+      httpChanges,
+      httpNgCount: httpChanges.filter(change => change.severity === 'NG').length,
+      phpErrorCount: results.filter(r => r.phpErrors && r.phpErrors.length > 0).length,
       timestamp: new Date()
     });
     
@@ -248,6 +337,8 @@ app.get('/crawl', async (req, res) => {
       totalUrls: urls.length,
       successCount: results.filter(r => !r.error).length,
       errorCount: results.filter(r => r.error).length,
+      httpChanges,
+      phpErrorUrls: results.filter(r => r.phpErrors && r.phpErrors.length > 0).map(r => r.url),
       results: results.slice(0, 10) // Return first 10 for preview
     });
     
@@ -289,6 +380,27 @@ app.post('/compare', async (req, res) => {
   }
 });
 
+/**
+ * Compare an after crawl with the latest baseline crawl of the site
+ * @param {string} siteId - Site ID
+ * @param {Array} results - After crawl records ({ url, http })
+ * @returns {Array} Status / redirect / canonical changes per URL (empty without a baseline crawl)
+ */
+async function compareWithBaselineCrawl(siteId, results) {
+  const snapshot = await firestore.collection('crawls')
+    .where('siteId', '==', siteId)
+    .where('mode', '==', 'baseline')
+    .orderBy('timestamp', 'desc')
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return [];
+  }
+
+  return compareCrawlRecords(snapshot.docs[0].data().urls || [], results);
+}
+
 // Rerun specific mode endpoint
 app.get('/rerun', async (req, res) => {
   const { siteId, mode } = req.query;
@@ -0,0 +1,179 @@
+/**
+ * WordPress core, plugin and theme version inventory.
+ * An NG page is much quicker to review next to "Elementor 3.18.0 → 3.19.2", so the
+ * installed versions are recorded with the baseline and after captures and the
+ * differences are added to the comparison results.
+ */
+
+/**
+ * Normalize a plugin or theme entry of `wp plugin list` / `wp theme list`
+ * @param {Object} item - Entry from the JSON output
+ * @returns {Object} { name, title, version, status, updateVersion }
+ */
+function normalizeWPCLIItem(item) {
+  return {
+    name: item.name,
+    title: item.title || item.name,
+    version: item.version || null,
+    status: item.status || null,
+    updateVersion: item.update_version || null
+  };
+}
+
+/**
+ * Build an inventory from WP-CLI output
+ * @param {Object} output - Raw output
+ * @param {string} output.coreVersion - Output of `wp core version`
+ * @param {string} output.plugins - JSON output of `wp plugin list --format=json`
+ * @param {string} output.themes - JSON output of `wp theme list --format=json`
+ * @returns {Object} { core, plugins, themes }
+ */
+function parseWPCLIInventory({ coreVersion, plugins, themes }) {
+  return {
+    core: { version: String(coreVersion || '').trim() || null },
+    plugins: JSON.parse(plugins || '[]').map(normalizeWPCLIItem),
+    themes: JSON.parse(themes || '[]').map(normalizeWPCLIItem)
+  };
+}
+
+/**
+ * Build an inventory from REST API responses
+ * The REST API does not expose the core version, so it is read from the generator meta tag
+ * @param {Object} responses - Response bodies
+ * @param {string} responses.homepage - HTML of the front page
+ * @param {Array} responses.plugins - Body of /wp-json/wp/v2/plugins
+ * @param {Array} responses.themes - Body of /wp-json/wp/v2/themes
+ * @returns {Object} { core, plugins, themes }
+ */
+function parseRestInventory({ homepage, plugins, themes }) {
+  const generator = String(homepage || '').match(/<meta\s+name=["']generator["']\s+content=["']WordPress\s+([\d.]+)/i);
+
+  return {
+    core: { version: generator ? generator[1] : null },
+    plugins: (plugins || []).map(plugin => ({
+      // "akismet/akismet" → "akismet", the slug used by WP-CLI
+      name: plugin.plugin.split('/')[0],
+      title: plugin.name,
+      version: plugin.version || null,
+      status: plugin.status || null,
+      updateVersion: plugin.new_version || null
+    })),
+    themes: (themes || []).map(theme => ({
+      name: theme.stylesheet,
+      title: theme.name && theme.name.rendered ? theme.name.rendered : theme.name || theme.stylesheet,
+      version: theme.version || null,
+      status: theme.status || null,
+      updateVersion: theme.new_version || null
+    }))
+  };
+}
+
+/**
+ * Compare two version strings numerically ("3.9.1" < "3.19.0")
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative when a is older, positive when newer, 0 when equal
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split(/[.-]/);
+  const partsB = String(b).split(/[.-]/);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const partA = partsA[i] || '0';
+    const partB = partsB[i] || '0';
+    if (partA === partB) {
+      continue;
+    }
+    if (/^\d+$/.test(partA) && /^\d+$/.test(partB)) {
+      return parseInt(partA) - parseInt(partB);
+    }
+    return partA < partB ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Classify a version change
+ * @param {string|null} before - Version before
+ * @param {string|null} after - Version after
+ * @returns {string} 'added', 'removed', 'updated' or 'downgraded'
+ */
+function classifyChange(before, after) {
+  if (!before) {
+    return 'added';
+  }
+  if (!after) {
+    return 'removed';
+  }
+  return compareVersions(before, after) < 0 ? 'updated' : 'downgraded';
+}
+
+/**
+ * Compare the baseline and after inventories
+ * @param {Object|null} before - Inventory recorded with the baseline
+ * @param {Object|null} after - Inventory recorded with the after capture
+ * @returns {Array|null} Version changes ({ type, name, title, before, after, change }), null without both inventories
+ */
+function compareInventories(before, after) {
+  if (!before || !after) {
+    return null;
+  }
+
+  const changes = [];
+
+  if (before.core.version !== after.core.version) {
+    changes.push({
+      type: 'core',
+      name: 'wordpress',
+      title: 'WordPress',
+      before: before.core.version,
+      after: after.core.version,
+      change: classifyChange(before.core.version, after.core.version)
+    });
+  }
+
+  for (const type of ['plugins', 'themes']) {
+    const beforeItems = new Map(before[type].map(item => [item.name, item]));
+    const afterItems = new Map(after[type].map(item => [item.name, item]));
+    const names = [...new Set([...beforeItems.keys(), ...afterItems.keys()])];
+
+    for (const name of names) {
+      const beforeItem = beforeItems.get(name);
+      const afterItem = afterItems.get(name);
+      const beforeVersion = beforeItem ? beforeItem.version : null;
+      const afterVersion = afterItem ? afterItem.version : null;
+      if (beforeVersion === afterVersion) {
+        continue;
+      }
+
+      changes.push({
+        type: type === 'plugins' ? 'plugin' : 'theme',
+        name,
+        title: (afterItem || beforeItem).title,
+        before: beforeVersion,
+        after: afterVersion,
+        change: classifyChange(beforeVersion, afterVersion)
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Describe a version change for reports and notifications
+ * @param {Object} change - Change from compareInventories
+ * @returns {string} e.g. "Elementor 3.18.0 → 3.19.2"
+ */
+function describeVersionChange(change) {
+  return `${change.title} ${change.before || '(none)'} → ${change.after || '(removed)'}`;
+}
+
+module.exports = {
+  parseWPCLIInventory,
+  parseRestInventory,
+  compareVersions,
+  compareInventories,
+  describeVersionChange
+};
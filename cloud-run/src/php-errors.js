@@ -0,0 +1,98 @@
+/**
+ * Detection of PHP errors and WordPress error screens in rendered pages.
+ * A plugin update can print "Warning: Undefined array key" above an otherwise
+ * unchanged page, which stays under the diff threshold, so the visible text of
+ * every captured page is scanned and any match makes the page critical.
+ */
+
+// PHP messages only match with their "on line <n>" / "<file>.php:<n>" suffix to avoid hits in post content
+const PHP_ERROR_PATTERNS = [
+  {
+    type: 'php',
+    label: 'PHP error',
+    pattern: new RegExp(
+      '\\b(?:PHP )?(?:Fatal error|Parse error|Recoverable fatal error|Warning|Notice|Deprecated)' +
+      '\\s*:\\s+[^\\n]{1,300}?(?:\\bon line\\s+\\d+|\\.php:\\d+)',
+      'gi'
+    )
+  },
+  {
+    type: 'critical',
+    label: 'WordPress critical error',
+    pattern: /There has been a critical error on (?:this|your) website|このサイトで重大なエラーが発生しました/gi
+  },
+  {
+    type: 'database',
+    label: 'Database connection error',
+    pattern: /Error establishing a database connection|データベース接続確立エラー/gi
+  },
+  {
+    type: 'database',
+    label: 'WordPress database error',
+    pattern: /WordPress (?:database error|データベースエラー)[^\n]{0,200}/gi
+  },
+  {
+    type: 'maintenance',
+    label: 'Maintenance mode',
+    pattern: /Briefly unavailable for scheduled maintenance|現在メンテナンス中のため、しばらくの間ご利用いただけません/gi
+  }
+];
+
+// Maximum number of matches stored per page
+const MAX_PHP_ERRORS = 20;
+
+/**
+ * Find PHP errors and WordPress error screens in page text
+ * @param {string} text - Visible text of the page
+ * @returns {Array} Matches ({ type, label, message }), duplicates removed
+ */
+function findPhpErrors(text) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const { type, label, pattern } of PHP_ERROR_PATTERNS) {
+    for (const match of String(text || '').matchAll(pattern)) {
+      const message = match[0].replace(/\s+/g, ' ').trim().slice(0, 300);
+      if (seen.has(message) || errors.length >= MAX_PHP_ERRORS) {
+        continue;
+      }
+
+      seen.add(message);
+      errors.push({ type, label, message });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Scan the visible text of a loaded page
+ * @param {Object} page - Puppeteer page
+ * @returns {Array} Matches, or an empty array when the page cannot be read
+ */
+async function scanPhpErrors(page) {
+  try {
+    const text = await page.$eval('body', body => body.innerText);
+    return findPhpErrors(text);
+  } catch (error) {
+    console.error('Failed to scan page for PHP errors:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Summarize matches for logs and notifications
+ * @param {Array} errors - Matches from findPhpErrors
+ * @returns {string} e.g. "PHP error, Maintenance mode (3)"
+ */
+function describePhpErrors(errors) {
+  const labels = [...new Set(errors.map(error => error.label))];
+  return `${labels.join(', ')} (${errors.length})`;
+}
+
+module.exports = {
+  PHP_ERROR_PATTERNS,
+  findPhpErrors,
+  scanPhpErrors,
+  describePhpErrors
+};
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { scanPhpErrors, describePhpErrors } = require('./php-errors');
 
 /**
  * Capture screenshot of a webpage
@@ -10,6 +11,18 @@ const os = require('os');
  * @returns {string} Path to the captured screenshot
  */
 async function capture(browser, url, options = {}) {
+  const { path: filePath } = await captureWithErrors(browser, url, options);
+  return filePath;
+}
+
+/**
+ * Capture screenshot of a webpage and scan it for PHP errors / WordPress error screens
+ * @param {Object} browser - Puppeteer browser instance
+ * @param {string} url - URL to capture
+ * @param {Object} options - Screenshot options
+ * @returns {Object} { path, phpErrors }
+ */
+async function captureWithErrors(browser, url, options = {}) {
   const {
     viewport = { width: 1920, height: 1080 },
     waitUntil = 'networkidle0',
@@ -60,6 +73,12 @@ async function capture(browser, url, options = {}) {
     
     // Wait for any lazy-loaded content
     await page.waitForTimeout(2000);
+
+    // Scan before cookie / notification banners are hidden
+    const phpErrors = await scanPhpErrors(page);
+    if (phpErrors.length > 0) {
+      console.error(`PHP errors on ${url}: ${describePhpErrors(phpErrors)}`);
+    }
     
     // Hide scrollbars and other dynamic elements
     await page.addStyleTag({
@@ -109,7 +128,7 @@ async function capture(browser, url, options = {}) {
     });
     
     console.log(`Screenshot saved: ${filePath}`);
-    return filePath;
+    return { path: filePath, phpErrors };
     
   } catch (error) {
     console.error(`Failed to capture screenshot for ${url}:`, error);
@@ -176,6 +195,7 @@ async function cleanup(filePaths) {
 
 module.exports = {
   capture,
+  captureWithErrors,
   captureMultipleViewports,
   cleanup
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Plugin-by-plugin update bisection.
+ * `plugin update --all` applies every pending update at once, so an NG result cannot
+ * be attributed to one plugin. The updates are re-applied one at a time (or in halves),
+ * the affected pages are re-checked after each step, and the plugins whose update
+ * turns the pages NG are rolled back to their previous version.
+ */
+
+const UPDATE_STRATEGIES = ['all', 'one-by-one', 'bisect'];
+
+// Rolling back a single plugin version needs WP-CLI, locally or over SSH
+const BISECT_UPDATE_METHODS = ['wp-cli', 'ssh'];
+
+/**
+ * Resolve the update strategy for a site
+ * Sites updated through the REST API cannot pin or roll back plugin versions, so they fall back to 'all'
+ * @param {string} strategy - Requested strategy
+ * @param {string} updateMethod - Update method of the site
+ * @returns {string} Strategy to use
+ */
+function resolveUpdateStrategy(strategy = 'all', updateMethod) {
+  if (strategy !== 'all' && !BISECT_UPDATE_METHODS.includes(updateMethod)) {
+    console.warn(`Update strategy '${strategy}' requires wp-cli or ssh (got ${updateMethod}), falling back to 'all'`);
+    return 'all';
+  }
+  return strategy;
+}
+
+/**
+ * Find the plugins whose update breaks the affected pages
+ * Starts from a site where none of the given updates are applied; accepted updates stay applied
+ * @param {Array} plugins - Pending updates ({ name, fromVersion, toVersion })
+ * @param {Object} options - Options
+ * @param {string} options.strategy - 'one-by-one' or 'bisect'
+ * @param {Function} options.apply - async (plugins) => void, updates the plugins
+ * @param {Function} options.rollback - async (plugins) => void, restores their previous versions
+ * @param {Function} options.check - async () => { status, ngUrls }, re-checks the affected pages
+ * @returns {Object} { culprits, applied, steps }
+ */
+async function findCulpritPlugins(plugins, { strategy = 'bisect', apply, rollback, check }) {
+  if (!UPDATE_STRATEGIES.includes(strategy) || strategy === 'all') {
+    throw new Error(`Unsupported bisection strategy: ${strategy}`);
+  }
+
+  const culprits = [];
+  const applied = [];
+  const steps = [];
+
+  // Apply a group of updates, keep them when the pages stay OK, otherwise roll them back
+  const tryGroup = async group => {
+    await apply(group);
+    const result = await check();
+    steps.push({ plugins: group.map(plugin => plugin.name), status: result.status, ngUrls: result.ngUrls || [] });
+
+    if (result.status !== 'NG') {
+      applied.push(...group);
+      return true;
+    }
+
+    await rollback(group);
+    return false;
+  };
+
+  const bisect = async group => {
+    if (await tryGroup(group)) {
+      return;
+    }
+    if (group.length === 1) {
+      culprits.push({ ...group[0], ngUrls: steps[steps.length - 1].ngUrls });
+      return;
+    }
+
+    const middle = Math.ceil(group.length / 2);
+    await bisect(group.slice(0, middle));
+    await bisect(group.slice(middle));
+  };
+
+  if (strategy === 'one-by-one') {
+    for (const plugin of plugins) {
+      if (!await tryGroup([plugin])) {
+        culprits.push({ ...plugin, ngUrls: steps[steps.length - 1].ngUrls });
+      }
+    }
+  } else if (plugins.length > 0) {
+    await bisect(plugins);
+  }
+
+  return { culprits, applied, steps };
+}
+
+/**
+ * Describe culprit plugins for logs and notifications
+ * @param {Array} culprits - Culprits from findCulpritPlugins
+ * @returns {string} e.g. "contact-form-7 5.8.1 → 5.9.0, woocommerce 8.2.0 → 8.3.0"
+ */
+function describeCulprits(culprits) {
+  return culprits.map(plugin => `${plugin.name} ${plugin.fromVersion} → ${plugin.toVersion}`).join(', ');
+}
+
+module.exports = {
+  UPDATE_STRATEGIES,
+  resolveUpdateStrategy,
+  findCulpritPlugins,
+  describeCulprits
+};
@@ -3,6 +3,7 @@ const util = require('util');
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { parseWPCLIInventory, parseRestInventory } = require('./inventory');
 
 const execPromise = util.promisify(exec);
 
@@ -358,6 +359,61 @@ class WordPressUpdater {
     };
   }
 
+  /**
+   * WP-CLI コマンドの実行（wp-cli / ssh のみ対応）
+   */
+  async runWPCommand(siteData, args) {
+    const { updateMethod, wpcliPath, installPath, sshHost, sshUser, sshKey } = siteData;
+
+    let command;
+    if (updateMethod === 'wp-cli') {
+      command = `${wpcliPath} ${args} --path=${installPath}`;
+    } else if (updateMethod === 'ssh') {
+      command = `ssh -i ${sshKey} -o StrictHostKeyChecking=no ${sshUser}@${sshHost} "cd ${installPath} && wp ${args}"`;
+    } else {
+      throw new Error(`WP-CLI commands are not supported for method: ${updateMethod}`);
+    }
+
+    const { stdout } = await execPromise(command, { timeout: this.config.timeout });
+    return stdout;
+  }
+
+  /**
+   * 更新可能なプラグインと更新前後のバージョンを取得（WP-CLI / SSH）
+   */
+  async listPluginUpdates(siteData) {
+    const output = await this.runWPCommand(siteData,
+      'plugin list --update=available --fields=name,version,update_version --format=json');
+
+    return JSON.parse(output || '[]').map(plugin => ({
+      name: plugin.name,
+      fromVersion: plugin.version,
+      toVersion: plugin.update_version
+    }));
+  }
+
+  /**
+   * 指定したプラグインを記録済みの更新後バージョンへ更新
+   */
+  async updatePlugins(siteData, plugins) {
+    for (const plugin of plugins) {
+      await this.runWPCommand(siteData, `plugin update ${plugin.name} --version=${plugin.toVersion}`);
+      console.log(`✓ Plugin updated: ${plugin.name} ${plugin.fromVersion} → ${plugin.toVersion}`);
+    }
+    await this.runWPCommand(siteData, 'cache flush');
+  }
+
+  /**
+   * 指定したプラグインを更新前のバージョンへ戻す
+   */
+  async rollbackPlugins(siteData, plugins) {
+    for (const plugin of plugins) {
+      await this.runWPCommand(siteData, `plugin install ${plugin.name} --version=${plugin.fromVersion} --force`);
+      console.log(`✓ Plugin rolled back: ${plugin.name} ${plugin.toVersion} → ${plugin.fromVersion}`);
+    }
+    await this.runWPCommand(siteData, 'cache flush');
+  }
+
   /**
    * 更新前のヘルスチェック
    */
@@ -394,46 +450,70 @@ class WordPressUpdater {
     }
   }
 
+  /**
+   * コア・プラグイン・テーマのバージョン一覧を取得
+   */
+  async collectInventory(siteData) {
+    const { url, updateMethod, credentials } = siteData;
+
+    let inventory;
+    if (updateMethod === 'rest-api') {
+      const auth = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+      const headers = {
+        'Authorization': `Basic ${auth}`,
+        'Content-Type': 'application/json'
+      };
+
+      const [homepageResponse, pluginsResponse, themesResponse] = await Promise.all([
+        axios.get(url, { timeout: 10000 }),
+        axios.get(`${url}/wp-json/wp/v2/plugins`, { headers }),
+        axios.get(`${url}/wp-json/wp/v2/themes`, { headers })
+      ]);
+
+      inventory = parseRestInventory({
+        homepage: homepageResponse.data,
+        plugins: pluginsResponse.data,
+        themes: themesResponse.data
+      });
+    } else {
+      const listOptions = '--fields=name,title,version,status,update_version --format=json';
+      inventory = parseWPCLIInventory({
+        coreVersion: await this.runWPCommand(siteData, 'core version'),
+        plugins: await this.runWPCommand(siteData, `plugin list ${listOptions}`),
+        themes: await this.runWPCommand(siteData, `theme list ${listOptions}`)
+      });
+    }
+
+    return {
+      method: updateMethod,
+      ...inventory,
+      collectedAt: new Date().toISOString()
+    };
+  }
+
   /**
    * 更新可能なプラグイン・テーマの確認
    */
   async checkAvailableUpdates(siteData) {
-    const { url, updateMethod, credentials } = siteData;
-    
     try {
-      if (updateMethod === 'rest-api') {
-        const auth = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
-        const headers = {
-          'Authorization': `Basic ${auth}`,
-          'Content-Type': 'application/json'
-        };
-        
-        const [pluginsResponse, themesResponse] = await Promise.all([
-          axios.get(`${url}/wp-json/wp/v2/plugins`, { headers }),
-          axios.get(`${url}/wp-json/wp/v2/themes`, { headers })
-        ]);
-        
-        const updatablePlugins = pluginsResponse.data.filter(plugin => plugin.update_available);
-        const updatableThemes = themesResponse.data.filter(theme => theme.update_available);
-        
-        return {
-          plugins: updatablePlugins.map(p => ({
-            name: p.name,
-            currentVersion: p.version,
-            newVersion: p.new_version
-          })),
-          themes: updatableThemes.map(t => ({
-            name: t.name,
-            currentVersion: t.version,
-            newVersion: t.new_version
-          })),
-          hasUpdates: updatablePlugins.length > 0 || updatableThemes.length > 0
-        };
-      }
-      
-      // WP-CLI や SSH の場合は別の実装
-      return { hasUpdates: false, plugins: [], themes: [] };
-      
+      const inventory = await this.collectInventory(siteData);
+      const pending = items => items
+        .filter(item => item.updateVersion)
+        .map(item => ({
+          name: item.title,
+          currentVersion: item.version,
+          newVersion: item.updateVersion
+        }));
+
+      const plugins = pending(inventory.plugins);
+      const themes = pending(inventory.themes);
+
+      return {
+        plugins,
+        themes,
+        hasUpdates: plugins.length > 0 || themes.length > 0
+      };
+
     } catch (error) {
       console.error('Failed to check available updates:', error.message);
       return { hasUpdates: false, plugins: [], themes: [], error: error.message };
@@ -0,0 +1,52 @@
+const { PNG } = require('pngjs');
+const { alignRows, buildAlignedImages, projectDiffToAfter, describeShift } = require('../src/alignment');
+
+function createStripedPNG(rowValues, width = 6) {
+  const png = new PNG({ width, height: rowValues.length });
+  rowValues.forEach((value, y) => {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) << 2;
+      png.data[idx] = value;
+      png.data[idx + 1] = 255 - value;
+      png.data[idx + 2] = (value * 3) % 256;
+      png.data[idx + 3] = 255;
+    }
+  });
+  return png;
+}
+
+describe('Row alignment', () => {
+  const baseRows = Array.from({ length: 40 }, (_, i) => i * 5);
+
+  test('should detect an inserted band and pair the shifted rows', () => {
+    const afterRows = [...baseRows.slice(0, 12), 201, 202, ...baseRows.slice(12)];
+    const baseline = createStripedPNG(baseRows);
+    const after = createStripedPNG(afterRows);
+
+    const alignment = alignRows(baseline, after);
+
+    expect(alignment.shifts).toEqual([{ type: 'inserted', y: 12, height: 2, baselineY: 12 }]);
+    expect(describeShift(alignment.shifts[0])).toBe('inserted 2px at y=12');
+
+    const aligned = buildAlignedImages(baseline, after, alignment);
+    expect(aligned.height).toBe(40);
+    expect(aligned.after.data.equals(aligned.baseline.data)).toBe(true);
+  });
+
+  test('should project an aligned diff back to the after image size', () => {
+    const afterRows = [...baseRows.slice(0, 5), ...baseRows.slice(8)];
+    const baseline = createStripedPNG(baseRows);
+    const after = createStripedPNG(afterRows);
+    const alignment = alignRows(baseline, after);
+    const aligned = buildAlignedImages(baseline, after, alignment);
+
+    const projected = projectDiffToAfter(new PNG({ width: 6, height: aligned.height }), after, alignment);
+
+    expect(alignment.shifts[0]).toMatchObject({ type: 'removed', y: 5, height: 3 });
+    expect(projected.height).toBe(after.height);
+  });
+
+  test('should return null for images of different widths', () => {
+    expect(alignRows(createStripedPNG(baseRows, 6), createStripedPNG(baseRows, 8))).toBeNull();
+  });
+});
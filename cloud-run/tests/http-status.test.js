@@ -0,0 +1,76 @@
+const { recordNavigation, compareCrawlRecords } = require('../src/http-status');
+
+describe('HTTP status tracking', () => {
+  const http = (overrides = {}) => ({
+    status: 200,
+    finalUrl: 'https://example.com/shop/',
+    redirectChain: [],
+    canonical: 'https://example.com/shop/',
+    ...overrides
+  });
+
+  test('should record status, redirect chain, final URL and canonical', async () => {
+    const request = (url, status) => ({ url: () => url, response: () => ({ status: () => status }) });
+    const response = {
+      status: () => 200,
+      request: () => ({ redirectChain: () => [request('https://example.com/shop', 301)] })
+    };
+    const page = {
+      url: () => 'https://example.com/shop/',
+      $eval: () => Promise.reject(new Error('No element found'))
+    };
+
+    expect(await recordNavigation(page, response)).toEqual({
+      status: 200,
+      finalUrl: 'https://example.com/shop/',
+      redirectChain: [{ url: 'https://example.com/shop', status: 301 }],
+      canonical: null
+    });
+  });
+
+  test('should report status changes, new redirects and missing URLs', () => {
+    const baseline = [
+      { url: 'https://example.com/', http: http({ finalUrl: 'https://example.com/' }) },
+      { url: 'https://example.com/shop/', http: http() },
+      { url: 'https://example.com/contact/', http: http({ finalUrl: 'https://example.com/contact/' }) },
+      { url: 'https://example.com/blog/', http: http({ finalUrl: 'https://example.com/blog/' }) }
+    ];
+    const after = [
+      { url: 'https://example.com/', http: http({ finalUrl: 'https://example.com/' }) },
+      { url: 'https://example.com/shop/', http: http({ status: 500, canonical: null }) },
+      {
+        url: 'https://example.com/contact/',
+        http: http({
+          finalUrl: 'https://example.com/',
+          redirectChain: [{ url: 'https://example.com/contact/', status: 302 }]
+        })
+      }
+    ];
+
+    const rows = compareCrawlRecords(baseline, after);
+
+    expect(rows.map(row => [row.url, row.severity, row.changes.map(change => change.type)])).toEqual([
+      ['https://example.com/shop/', 'NG', ['status', 'canonical']],
+      ['https://example.com/contact/', 'NG', ['redirect']],
+      ['https://example.com/blog/', 'NG', ['missing']]
+    ]);
+  });
+
+  test('should treat canonical-only changes as warnings', () => {
+    const rows = compareCrawlRecords(
+      [{ url: 'https://example.com/shop/', http: http() }],
+      [{ url: 'https://example.com/shop/', http: http({ canonical: 'https://example.com/store/' }) }]
+    );
+
+    expect(rows).toEqual([{
+      url: 'https://example.com/shop/',
+      severity: 'WARNING',
+      changes: [{
+        type: 'canonical',
+        severity: 'WARNING',
+        before: 'https://example.com/shop/',
+        after: 'https://example.com/store/'
+      }]
+    }]);
+  });
+});
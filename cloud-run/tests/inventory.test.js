@@ -0,0 +1,71 @@
+const {
+  parseWPCLIInventory,
+  parseRestInventory,
+  compareVersions,
+  compareInventories,
+  describeVersionChange
+} = require('../src/inventory');
+
+describe('WordPress version inventory', () => {
+  const wpcliOutput = (overrides = {}) => ({
+    coreVersion: '6.4.2\n',
+    plugins: JSON.stringify([
+      { name: 'elementor', title: 'Elementor', version: '3.18.0', status: 'active', update_version: '3.19.2' },
+      { name: 'akismet', title: 'Akismet Anti-spam', version: '5.3', status: 'inactive', update_version: '' }
+    ]),
+    themes: JSON.stringify([
+      { name: 'twentytwentyfour', title: 'Twenty Twenty-Four', version: '1.0', status: 'active', update_version: '' }
+    ]),
+    ...overrides
+  });
+
+  test('should parse WP-CLI and REST API output into the same inventory', () => {
+    const fromWPCLI = parseWPCLIInventory(wpcliOutput());
+    expect(fromWPCLI.core).toEqual({ version: '6.4.2' });
+    expect(fromWPCLI.plugins[0]).toEqual({
+      name: 'elementor',
+      title: 'Elementor',
+      version: '3.18.0',
+      status: 'active',
+      updateVersion: '3.19.2'
+    });
+
+    const fromRest = parseRestInventory({
+      homepage: '<head><meta name="generator" content="WordPress 6.4.2" /></head>',
+      plugins: [{ plugin: 'elementor/elementor', name: 'Elementor', version: '3.18.0', status: 'active' }],
+      themes: [{ stylesheet: 'twentytwentyfour', name: { rendered: 'Twenty Twenty-Four' }, version: '1.0' }]
+    });
+    expect(fromRest.core).toEqual({ version: '6.4.2' });
+    expect(fromRest.plugins[0]).toMatchObject({ name: 'elementor', title: 'Elementor', version: '3.18.0' });
+    expect(fromRest.themes[0]).toMatchObject({ name: 'twentytwentyfour', title: 'Twenty Twenty-Four' });
+  });
+
+  test('should list core, plugin and theme version changes', () => {
+    const before = parseWPCLIInventory(wpcliOutput());
+    const after = parseWPCLIInventory(wpcliOutput({
+      coreVersion: '6.5.0',
+      plugins: JSON.stringify([
+        { name: 'elementor', title: 'Elementor', version: '3.19.2', status: 'active' },
+        { name: 'contact-form-7', title: 'Contact Form 7', version: '5.9', status: 'active' }
+      ])
+    }));
+
+    const changes = compareInventories(before, after);
+
+    expect(changes.map(change => [change.type, change.name, change.change])).toEqual([
+      ['core', 'wordpress', 'updated'],
+      ['plugin', 'elementor', 'updated'],
+      ['plugin', 'akismet', 'removed'],
+      ['plugin', 'contact-form-7', 'added']
+    ]);
+    expect(describeVersionChange(changes[1])).toBe('Elementor 3.18.0 → 3.19.2');
+    expect(describeVersionChange(changes[2])).toBe('Akismet Anti-spam 5.3 → (removed)');
+  });
+
+  test('should compare version numbers numerically', () => {
+    expect(compareVersions('3.9.1', '3.19.0')).toBeLessThan(0);
+    expect(compareVersions('6.5', '6.5.0')).toBe(0);
+    expect(compareVersions('2.0.0', '1.10.3')).toBeGreaterThan(0);
+    expect(compareInventories(null, parseWPCLIInventory(wpcliOutput()))).toBeNull();
+  });
+});
@@ -0,0 +1,28 @@
+const { findPhpErrors, scanPhpErrors, describePhpErrors } = require('../src/php-errors');
+
+describe('PHP error detection', () => {
+  test('should find PHP warnings and the WordPress critical error screen', () => {
+    const text = [
+      'There has been a critical error on this website.',
+      'Warning: Undefined array key "slug" in /srv/wp-content/plugins/shop/cart.php on line 42',
+      'Warning: Undefined array key "slug" in /srv/wp-content/plugins/shop/cart.php on line 42'
+    ].join('\n');
+
+    const errors = findPhpErrors(text);
+
+    expect(errors.map(error => error.type)).toEqual(['php', 'critical']);
+    expect(describePhpErrors(errors)).toBe('PHP error, WordPress critical error (2)');
+  });
+
+  test('should ignore words like "Warning:" in regular content', () => {
+    expect(findPhpErrors('Warning: limited stock available')).toEqual([]);
+  });
+
+  test('should scan the visible text of a page', async () => {
+    const page = { $eval: () => Promise.resolve('Error establishing a database connection') };
+
+    expect(await scanPhpErrors(page)).toEqual([
+      { type: 'database', label: 'Database connection error', message: 'Error establishing a database connection' }
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+const { resolveUpdateStrategy, findCulpritPlugins, describeCulprits } = require('../src/update-bisect');
+
+describe('Plugin update bisection', () => {
+  const plugins = Array.from({ length: 12 }, (_, index) => ({
+    name: `plugin-${String(index + 1).padStart(2, '0')}`,
+    fromVersion: '1.0.0',
+    toVersion: '1.1.0'
+  }));
+  const names = list => list.map(plugin => plugin.name);
+
+  // Simulated site: the pages are NG while any of the broken plugins is updated
+  const createSite = broken => {
+    const updated = new Set();
+    const calls = { checks: 0 };
+    return {
+      updated,
+      calls,
+      apply: async group => group.forEach(plugin => updated.add(plugin.name)),
+      rollback: async group => group.forEach(plugin => updated.delete(plugin.name)),
+      check: async () => {
+        calls.checks++;
+        const ng = broken.some(name => updated.has(name));
+        return { status: ng ? 'NG' : 'OK', ngUrls: ng ? ['https://example.com/shop/'] : [] };
+      }
+    };
+  };
+
+  test('should find and roll back a single culprit by bisecting', async () => {
+    const site = createSite(['plugin-09']);
+
+    const result = await findCulpritPlugins(plugins, { strategy: 'bisect', ...site });
+
+    expect(result.culprits).toEqual([{
+      name: 'plugin-09',
+      fromVersion: '1.0.0',
+      toVersion: '1.1.0',
+      ngUrls: ['https://example.com/shop/']
+    }]);
+    expect(site.updated.has('plugin-09')).toBe(false);
+    expect(site.updated.size).toBe(11);
+    expect(site.calls.checks).toBe(7);
+    expect(result.steps[0]).toEqual({
+      plugins: names(plugins),
+      status: 'NG',
+      ngUrls: ['https://example.com/shop/']
+    });
+  });
+
+  test('should find every culprit when updating one plugin at a time', async () => {
+    const site = createSite(['plugin-03', 'plugin-10']);
+
+    const result = await findCulpritPlugins(plugins, { strategy: 'one-by-one', ...site });
+
+    expect(names(result.culprits)).toEqual(['plugin-03', 'plugin-10']);
+    expect(result.applied).toHaveLength(10);
+    expect(site.calls.checks).toBe(plugins.length);
+    expect(describeCulprits(result.culprits)).toBe('plugin-03 1.0.0 → 1.1.0, plugin-10 1.0.0 → 1.1.0');
+  });
+
+  test('should keep all updates when the pages stay OK', async () => {
+    const site = createSite([]);
+
+    const result = await findCulpritPlugins(plugins, { strategy: 'bisect', ...site });
+
+    expect(result.culprits).toEqual([]);
+    expect(site.updated.size).toBe(plugins.length);
+    expect(site.calls.checks).toBe(1);
+    await expect(findCulpritPlugins(plugins, { strategy: 'all', ...site })).rejects.toThrow('Unsupported');
+  });
+
+  test('should fall back to updating everything at once for REST API sites', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(resolveUpdateStrategy('bisect', 'rest-api')).toBe('all');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('falling back'));
+    expect(resolveUpdateStrategy('one-by-one', 'ssh')).toBe('one-by-one');
+    expect(resolveUpdateStrategy('bisect', 'wp-cli')).toBe('bisect');
+    expect(resolveUpdateStrategy(undefined, 'rest-api')).toBe('all');
+
+    warn.mockRestore();
+  });
+});
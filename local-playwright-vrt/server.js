@@ -7,20 +7,131 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs-extra');
 const path = require('path');
-const { chromium } = require('playwright');
+const playwright = require('playwright');
 const pixelmatch = require('pixelmatch');
 const { PNG } = require('pngjs');
 const sharp = require('sharp');
 const SiteCrawler = require('./src/crawler');
-const { sitesManager } = require('./src/sites-config');
+const { sitesManager, toPublicSite } = require('./src/sites-config');
+const { createSiteRouter } = require('./src/site-routes');
+const { computeSSIM, createSSIMHeatmap } = require('./src/ssim');
+const { saveCaptureMetadata, loadCaptureMetadata } = require('./src/capture-metadata');
+const { summarizeByTemplate } = require('./src/page-templates');
+const { syncPageRegistry, indexRegistryPages } = require('./src/page-registry');
+const {
+  resolveIgnoreRegions,
+  buildIgnoreMask,
+  applyIgnoreMask,
+  paintIgnoreOverlay
+} = require('./src/ignore-regions');
+const {
+  createDiffMask,
+  createSSIMRegionMask,
+  findChangedRegions,
+  drawRegionAnnotations
+} = require('./src/diff-regions');
+const {
+  alignRows,
+  buildAlignedImages,
+  alignMasks,
+  projectToAfter,
+  paintShiftOverlay,
+  describeShift
+} = require('./src/content-alignment');
 const { ErrorHandler, VRTError } = require('../src/error-handler');
-const { getDatabase } = require('../src/database');
+const { listScreenshotFiles, parseScreenshotFilename } = require('./src/session-files');
+const { validateScreenshotTarget, findAfterFiles, promoteAfterToBaseline } = require('./src/baseline-approval');
+const {
+  beginCaptureSession,
+  registerCaptureSession,
+  listBaselineVersions,
+  resolveBaselineVersion,
+  getVersionFiles,
+  pinBaselineVersion,
+  unpinBaselineVersion
+} = require('./src/baseline-versions');
+const { getDatabase, isApproved } = require('../src/database');
+const { JobQueue } = require('./src/job-queue');
+const {
+  WordPressAuth,
+  LOGGED_IN_EXCLUDE_PATTERNS,
+  isLoginPage,
+  requiresLogin
+} = require('./src/wp-auth');
+const {
+  loadDeviceProfiles,
+  getDeviceProfiles,
+  resolveDeviceProfile,
+  buildContextOptions,
+  describeDeviceProfile,
+  sortDeviceNames
+} = require('./src/device-profiles');
+const {
+  BROWSER_ENGINES,
+  resolveBrowserEngine,
+  getCaptureKey,
+  parseCaptureKey,
+  sortCaptureKeys
+} = require('./src/browser-engines');
+const { runCaptureSteps } = require('./src/capture-steps');
+const {
+  getComponentPath,
+  getComponentPageInfo,
+  captureComponents,
+  loadCapturedComponents,
+  resolveComponentThreshold,
+  isComponentNg,
+  applyComponentResults
+} = require('./src/components');
+const {
+  resolveDeterminism,
+  matchHostPattern,
+  applyDeterminism,
+  replaceIframes,
+  describeDeterminism
+} = require('./src/deterministic-rendering');
+const {
+  resolveNetworkReplay,
+  getHarPath,
+  buildThirdPartyPattern,
+  getRecordHarOptions,
+  findBaselineHar,
+  replayFromHar,
+  pruneHarArchives
+} = require('./src/network-replay');
+const {
+  captureDomSnapshot,
+  loadDomSnapshot,
+  diffDomSnapshots,
+  mapDomChangesToRegions
+} = require('./src/dom-snapshot');
+const {
+  resolveRuntimeErrorSettings,
+  collectRuntimeErrors,
+  loadRuntimeErrors,
+  compareRuntimeErrors,
+  applyRuntimeErrorResults,
+  summarizeRuntimeErrors
+} = require('./src/runtime-errors');
+const {
+  recordNavigation,
+  loadHttpRecord,
+  compareHttpRecords,
+  applyHttpResults,
+  buildHttpChangeRow
+} = require('./src/http-status');
+const {
+  scanPhpErrors,
+  loadPhpErrors,
+  applyPhpErrorResults,
+  describePhpErrors
+} = require('./src/php-errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// グローバルブラウザインスタンス（再利用）
-let globalBrowser = null;
+// ブラウザインスタンス（エンジンごとに再利用）
+const browserPool = new Map();
 
 // エラーハンドラー初期化
 const errorHandler = new ErrorHandler({
@@ -35,6 +146,14 @@ const database = getDatabase({
   dataDir: path.join(__dirname, 'data')
 });
 
+// ログイン撮影用のストレージ状態（サイトごとに1回ログインして再利用）
+const wpAuth = new WordPressAuth({ stateDir: path.join(__dirname, 'data', 'auth') });
+
+// ジョブキュー初期化（撮影・比較は1件ずつ実行）
+const jobQueue = new JobQueue(database, { concurrency: 1 });
+jobQueue.registerHandler('capture-baseline', runCaptureBaselineJob);
+jobQueue.registerHandler('capture-and-compare', runCaptureAndCompareJob);
+
 // スクリーンショット保存ディレクトリ
 const SCREENSHOTS_DIR = path.join(__dirname, 'screenshots');
 const DIFFS_DIR = path.join(__dirname, 'diffs');
@@ -54,11 +173,19 @@ app.use('/diffs', express.static(DIFFS_DIR));
 
 // 設定
 const CONFIG = {
-  VIEWPORT: { width: 1920, height: 1080 },
-  MOBILE_VIEWPORT: { width: 375, height: 667 },
+  // デバイスプロファイル（既定 + device-profiles.json、サイト設定 deviceProfiles で追加・上書き）
+  DEVICE_PROFILES: loadDeviceProfiles(path.join(__dirname, 'device-profiles.json')),
   DIFF_THRESHOLD: 0.1,                    // 旧設定（間違って使用されていた）
   PIXELMATCH_THRESHOLD: 0.02,             // pixelmatch用色差許容度（正しい値）
   DIFF_JUDGMENT_THRESHOLD: 2.0,           // 差分率判定用閾値（2%超でNG）
+  COMPARISON_ALGORITHMS: ['pixelmatch', 'ssim', 'both'],
+  COMPARISON_ALGORITHM: 'pixelmatch',     // デフォルトの比較アルゴリズム
+  SSIM_THRESHOLD: 0.98,                   // SSIM判定用閾値（未満でNG）
+  SSIM_BLOCK_SIZE: 16,                    // SSIMヒートマップのブロックサイズ(px)
+  REGION_CELL_SIZE: 16,                   // 変更領域クラスタリングのセルサイズ(px)
+  MAX_CHANGED_REGIONS: 50,                // 1ページあたりの変更領域の最大件数
+  CONTENT_ALIGNMENT: true,                // 高さが変わったページで行ずれを補正して比較
+  ALIGNMENT_MAX_EDITS: 1000,              // 行アラインメントで許容する編集距離（行数）
   TIMEOUT: 60000,
   SCREENSHOT_QUALITY: 90,
   MAX_CONCURRENT_SITES: 3, // 同時処理サイト数
@@ -200,7 +327,7 @@ app.post('/cleanup', async (req, res) => {
 app.get('/sites', async (req, res) => {
   try {
     const sites = await database.getAllSiteConfigs();
-    const managedSites = sitesManager.getAllSites();
+    const managedSites = sitesManager.getAllSites().map(toPublicSite);
     
     res.json({
       success: true,
@@ -217,31 +344,8 @@ app.get('/sites', async (req, res) => {
   }
 });
 
-app.post('/sites', async (req, res) => {
-  try {
-    const { siteId, config } = req.body;
-    if (!siteId || !config) {
-      return res.status(400).json({
-        success: false,
-        error: 'siteId and config are required'
-      });
-    }
-
-    // データベースに保存
-    const savedConfig = await database.saveSiteConfig(siteId, config);
-    
-    res.json({
-      success: true,
-      site: savedConfig
-    });
-  } catch (error) {
-    console.error('❌ サイト保存エラー:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
+// サイトの追加・更新（設定の検証・SitesManagerへの反映・データベースへの保存）
+app.use(createSiteRouter({ sitesManager, database, wpAuth }));
 
 app.get('/sites/:siteId', async (req, res) => {
   try {
@@ -273,7 +377,7 @@ app.get('/sites/:siteId', async (req, res) => {
  */
 app.post('/screenshot', async (req, res) => {
   try {
-    const { url, siteId, type, device = 'desktop' } = req.body;
+    const { url, siteId, type, device = 'desktop', browser } = req.body;
 
     if (!url || !siteId || !type) {
       return res.status(400).json({
@@ -282,9 +386,15 @@ app.post('/screenshot', async (req, res) => {
       });
     }
 
-    console.log(`📸 スクリーンショット撮影開始: ${url} (${device}, ${type})`);
+    const deviceError = findDeviceError([siteId], [device], browser);
+    if (deviceError) {
+      return res.status(400).json({ success: false, error: deviceError });
+    }
+
+    const captureDevice = getSiteCaptureKey(siteId, device, browser);
+    console.log(`📸 スクリーンショット撮影開始: ${url} (${captureDevice}, ${type})`);
 
-    const result = await takeHighPrecisionScreenshot(url, siteId, type, device);
+    const result = await takeHighPrecisionScreenshot(url, siteId, type, captureDevice);
 
     res.json({ success: true, result });
 
@@ -292,7 +402,8 @@ app.post('/screenshot', async (req, res) => {
     console.error('❌ スクリーンショットエラー:', error);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type
     });
   }
 });
@@ -302,7 +413,7 @@ app.post('/screenshot', async (req, res) => {
  */
 app.post('/compare', async (req, res) => {
   try {
-    const { siteId, device = 'desktop', threshold = 2.0 } = req.body;
+    const { siteId, device = 'desktop', browser, threshold = 2.0, algorithm, judgeBy, ssimThreshold } = req.body;
 
     if (!siteId) {
       return res.status(400).json({
@@ -311,15 +422,26 @@ app.post('/compare', async (req, res) => {
       });
     }
 
-    console.log(`🔍 画像比較開始: ${siteId} (${device})`);
+    if (!isValidComparisonAlgorithm(algorithm)) {
+      return res.status(400).json({
+        success: false,
+        error: `algorithm must be one of: ${CONFIG.COMPARISON_ALGORITHMS.join(', ')}`
+      });
+    }
+
+    // Baseline・Afterは同じエンジン・デバイスの撮影キーで比較
+    const captureDevice = getSiteCaptureKey(siteId, device, browser);
+    console.log(`🔍 画像比較開始: ${siteId} (${captureDevice})`);
 
-    const result = await compareHighPrecisionScreenshots(siteId, device, threshold);
+    const result = await compareHighPrecisionScreenshots(siteId, captureDevice, threshold, {
+      algorithm, judgeBy, ssimThreshold
+    });
 
     res.json({ success: true, result });
 
   } catch (error) {
     console.error('❌ 画像比較エラー:', error);
-    res.status(500).json({
+    res.status(error.type === 'UNKNOWN_BROWSER' ? 400 : 500).json({
       success: false,
       error: error.message
     });
@@ -331,7 +453,10 @@ app.post('/compare', async (req, res) => {
  */
 app.post('/compare-multi', async (req, res) => {
   try {
-    const { siteId, device = 'desktop', threshold = 2.0 } = req.body;
+    const {
+      siteId, device = 'desktop', browser, threshold = 2.0, algorithm, judgeBy, ssimThreshold,
+      baselineVersion, afterSession
+    } = req.body;
 
     if (!siteId) {
       return res.status(400).json({
@@ -340,15 +465,26 @@ app.post('/compare-multi', async (req, res) => {
       });
     }
 
-    console.log(`🔍 複数ページ画像比較開始: ${siteId} (${device})`);
+    if (!isValidComparisonAlgorithm(algorithm)) {
+      return res.status(400).json({
+        success: false,
+        error: `algorithm must be one of: ${CONFIG.COMPARISON_ALGORITHMS.join(', ')}`
+      });
+    }
+
+    const captureDevice = getSiteCaptureKey(siteId, device, browser);
+    console.log(`🔍 複数ページ画像比較開始: ${siteId} (${captureDevice})`);
 
-    const results = await compareMultiPageScreenshots(siteId, device, threshold);
+    const results = await compareMultiPageScreenshots(siteId, captureDevice, threshold, {
+      algorithm, judgeBy, ssimThreshold, baselineVersion, afterSession
+    });
 
     res.json({ success: true, results });
 
   } catch (error) {
     console.error('❌ 複数ページ比較エラー:', error);
-    res.status(500).json({
+    const status = error.type === 'BASELINE_VERSION_NOT_FOUND' ? 404 : error.type === 'UNKNOWN_BROWSER' ? 400 : 500;
+    res.status(status).json({
       success: false,
       error: error.message
     });
@@ -360,7 +496,7 @@ app.post('/compare-multi', async (req, res) => {
  */
 app.post('/full-vrt', async (req, res) => {
   try {
-    const { url, siteId, devices = ['desktop'] } = req.body;
+    const { url, siteId, devices = ['desktop'], browser } = req.body;
 
     if (!url || !siteId) {
       return res.status(400).json({
@@ -369,9 +505,14 @@ app.post('/full-vrt', async (req, res) => {
       });
     }
 
+    const deviceError = findDeviceError([siteId], devices, browser);
+    if (deviceError) {
+      return res.status(400).json({ success: false, error: deviceError });
+    }
+
     console.log(`🎯 フルVRTチェック開始: ${siteId}`);
 
-    const result = await runFullVRTCheck(url, siteId, devices);
+    const result = await runFullVRTCheck(url, siteId, devices.map(device => getSiteCaptureKey(siteId, device, browser)));
 
     res.json({ success: true, result });
 
@@ -389,7 +530,7 @@ app.post('/full-vrt', async (req, res) => {
  */
 app.post('/crawl', async (req, res) => {
   try {
-    const { url, siteId, siteIds, maxPages = 30 } = req.body;
+    const { url, siteId, siteIds, maxPages = 30, crawlMode = 'links', samplePerTemplate } = req.body;
 
     if (!url && !siteId && !siteIds) {
       return res.status(400).json({
@@ -404,7 +545,10 @@ app.post('/crawl', async (req, res) => {
 
     if (url) {
       // 単一URLクロール
-      targetSites = [{ id: 'manual', name: 'Manual URL', baseUrl: url, maxPages }];
+      targetSites = [{
+        id: 'manual', name: 'Manual URL', baseUrl: url, maxPages, crawlMode,
+        crawlSettings: { samplePerTemplate }
+      }];
     } else {
       // 登録済みサイトクロール
       targetSites = siteIds ? sitesManager.getBatchProcessingSites(siteIds) :
@@ -424,19 +568,27 @@ app.post('/crawl', async (req, res) => {
       console.log(`🕷️ ${site.id} をクロール中...`);
 
       const browser = await getBrowser();
-      const context = await browser.newContext();
+      const crawlAuth = await getCrawlAuthOptions(browser, site);
+      const context = await browser.newContext(crawlAuth.contextOptions);
       const page = await context.newPage();
 
       const crawler = new SiteCrawler({
         maxPages: site.maxPages || maxPages,
-        ...site.crawlSettings
+        crawlMode: site.crawlMode,
+        ...site.crawlSettings,
+        ...crawlAuth.crawlerOptions
       });
       const result = await crawler.crawl(page, site.baseUrl);
 
       await context.close();
 
-      // ページ識別子を生成
-      const pages = SiteCrawler.generatePageIdentifiers(result.urls, result.metadata);
+      // ページ識別子はレジストリの固定ID（手動URLは登録しない）
+      let pages = SiteCrawler.generatePageIdentifiers(result.urls, result.metadata);
+      let registry = null;
+      if (site.id !== 'manual') {
+        registry = await syncPageRegistry(database, site.id, pages);
+        pages = registry.pages;
+      }
 
       allResults.push({
         siteId: site.id,
@@ -444,6 +596,12 @@ app.post('/crawl', async (req, res) => {
         baseUrl: site.baseUrl,
         totalPages: pages.length,
         pages: pages,
+        crawlMode: result.crawlMode,
+        sitemaps: result.sitemaps,
+        templates: result.templates,
+        failures: result.failures,
+        addedPages: registry ? registry.added : [],
+        removedPages: registry ? registry.removed : [],
         timestamp: new Date().toISOString()
       });
     }
@@ -470,7 +628,7 @@ app.post('/crawl', async (req, res) => {
  */
 app.post('/screenshot-multi', async (req, res) => {
   try {
-    const { pages, siteId, type, device = 'desktop' } = req.body;
+    const { pages, siteId, type, device = 'desktop', browser } = req.body;
 
     if (!pages || !siteId || !type) {
       return res.status(400).json({
@@ -479,6 +637,12 @@ app.post('/screenshot-multi', async (req, res) => {
       });
     }
 
+    const deviceError = findDeviceError([siteId], [device], browser);
+    if (deviceError) {
+      return res.status(400).json({ success: false, error: deviceError });
+    }
+    const captureDevice = getSiteCaptureKey(siteId, device, browser);
+
     console.log(`📸 複数ページスクリーンショット開始: ${siteId} (${pages.length}ページ)`);
 
     const results = [];
@@ -487,7 +651,7 @@ app.post('/screenshot-multi', async (req, res) => {
         page.url,
         siteId,
         type,
-        device,
+        captureDevice,
         page // ページ情報を渡す
       );
       results.push(result);
@@ -505,11 +669,11 @@ app.post('/screenshot-multi', async (req, res) => {
 });
 
 /**
- * 📸 Step1: Baseline撮影機能
+ * 📸 Step1: Baseline撮影機能（ジョブとして実行）
  */
 app.post('/capture-baseline', async (req, res) => {
   try {
-    const { url, pages, siteId, siteIds, device = 'desktop', crawlMode = 'auto', maxPages = 30 } = req.body;
+    const { url, pages, siteId, siteIds, device = 'desktop', browser, crawlMode = 'auto', maxPages = 30 } = req.body;
 
     if (!siteId && !siteIds) {
       return res.status(400).json({
@@ -518,10 +682,7 @@ app.post('/capture-baseline', async (req, res) => {
       });
     }
 
-    // 複数サイト対応
-    const targetSites = siteIds ? sitesManager.getBatchProcessingSites(siteIds) :
-                       siteId ? [{ id: siteId, ...sitesManager.getSite(siteId) }] : [];
-
+    const targetSites = resolveTargetSites(siteId, siteIds);
     if (targetSites.length === 0) {
       return res.status(400).json({
         success: false,
@@ -529,118 +690,18 @@ app.post('/capture-baseline', async (req, res) => {
       });
     }
 
-    console.log(`📸 Step1: Baseline撮影開始: ${targetSites.map(s => s.id).join(', ')}`);
-
-    const allResults = [];
-
-    // 各サイトを並列処理
-    const siteProcessor = async (site) => {
-      console.log(`🎯 サイト処理中: ${site.id} (${site.name})`);
-
-      let captureResults = [];
-      let targetPages = pages;
-
-      // ページが指定されていない場合はクロール (クロールモードが auto の場合)
-      if (!targetPages && !url && crawlMode !== 'single') {
-        console.log(`🕷️ ${site.id} のクロールを実行`);
-        const browser = await getBrowser();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-
-        const crawler = new SiteCrawler({
-          maxPages: maxPages || site.maxPages,
-          ...site.crawlSettings
-        });
-        const crawlResult = await crawler.crawl(page, site.baseUrl);
-        await context.close();
-
-        targetPages = SiteCrawler.generatePageIdentifiers(crawlResult.urls, crawlResult.metadata);
-        console.log(`🔍 ${targetPages.length}ページを発見`);
-      }
-
-      // Baseline撮影
-      // セッションタイムスタンプを生成（サイト×デバイスごと）
-      const sessionTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-
-      if (targetPages) {
-        // 複数ページ並列撮影
-        console.log(`📸 Baseline複数ページ撮影 (${targetPages.length}ページ) - セッション: ${sessionTimestamp}`);
-
-        const pageProcessor = async (page) => {
-          return await takeHighPrecisionScreenshot(
-            page.url,
-            site.id,
-            'baseline',
-            device,
-            page,
-            sessionTimestamp
-          );
-        };
-
-        const { results: pageResults, errors: pageErrors } = await processConcurrent(
-          targetPages,
-          pageProcessor,
-          CONFIG.MAX_CONCURRENT_PAGES
-        );
-
-        captureResults.push(...pageResults);
-
-        if (pageErrors.length > 0) {
-          console.log(`⚠️ ${pageErrors.length}ページでエラーが発生しました`);
-        }
-      } else {
-        // 単一ページ撮影
-        console.log(`📸 Baseline単一ページ撮影: ${url || site.baseUrl} - セッション: ${sessionTimestamp}`);
-        const result = await takeHighPrecisionScreenshot(
-          url || site.baseUrl,
-          site.id,
-          'baseline',
-          device,
-          undefined,
-          sessionTimestamp
-        );
-        captureResults.push(result);
-      }
-
-      // サイト別結果を返す
-      return {
-        siteId: site.id,
-        siteName: site.name,
-        device,
-        captureCount: captureResults.length,
-        captureResults: captureResults.map(r => ({
-          url: r.url,
-          filename: r.filename,
-          timestamp: r.timestamp
-        })),
-        timestamp: new Date().toISOString()
-      };
-    };
-
-    // サイトを並列処理
-    const { results: siteResults, errors: siteErrors } = await processConcurrent(
-      targetSites,
-      siteProcessor,
-      CONFIG.MAX_CONCURRENT_SITES
-    );
-
-    allResults.push(...siteResults);
-
-    if (siteErrors.length > 0) {
-      console.log(`⚠️ ${siteErrors.length}サイトでエラーが発生しました`);
+    const deviceError = findDeviceError(targetSites.map(site => site.id), [device], browser);
+    if (deviceError) {
+      return res.status(400).json({ success: false, error: deviceError });
     }
 
-    // 全体的な統計
-    const summary = {
-      totalSites: allResults.length,
-      totalPages: allResults.reduce((sum, r) => sum + r.captureCount, 0)
-    };
-
-    console.log(`✅ Step1: Baseline撮影完了: ${summary.totalSites}サイト, ${summary.totalPages}ページ`);
-    res.json({ success: true, summary, results: allResults });
+    const job = await jobQueue.enqueue('capture-baseline', {
+      url, pages, siteId, siteIds, device, browser, crawlMode, maxPages
+    });
+    res.status(202).json(formatJobAccepted(job));
 
   } catch (error) {
-    console.error('❌ Step1: Baseline撮影エラー:', error);
+    console.error('❌ Step1: Baseline撮影ジョブ登録エラー:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -649,11 +710,14 @@ app.post('/capture-baseline', async (req, res) => {
 });
 
 /**
- * 🚀 Step2+3統合実行（撮影→即座に比較）
+ * 🚀 Step2+3統合実行（撮影→即座に比較、ジョブとして実行）
  */
 app.post('/capture-and-compare', async (req, res) => {
   try {
-    const { url, pages, siteId, siteIds, device = 'desktop', threshold = 2.0, crawlMode = 'auto' } = req.body;
+    const {
+      url, pages, siteId, siteIds, device = 'desktop', browser, threshold = 2.0, crawlMode = 'auto',
+      algorithm, judgeBy, ssimThreshold
+    } = req.body;
 
     if (!siteId && !siteIds) {
       return res.status(400).json({
@@ -662,10 +726,14 @@ app.post('/capture-and-compare', async (req, res) => {
       });
     }
 
-    // 複数サイト対応
-    const targetSites = siteIds ? sitesManager.getBatchProcessingSites(siteIds) :
-                       siteId ? [{ id: siteId, ...sitesManager.getSite(siteId) }] : [];
+    if (!isValidComparisonAlgorithm(algorithm)) {
+      return res.status(400).json({
+        success: false,
+        error: `algorithm must be one of: ${CONFIG.COMPARISON_ALGORITHMS.join(', ')}`
+      });
+    }
 
+    const targetSites = resolveTargetSites(siteId, siteIds);
     if (targetSites.length === 0) {
       return res.status(400).json({
         success: false,
@@ -673,132 +741,18 @@ app.post('/capture-and-compare', async (req, res) => {
       });
     }
 
-    console.log(`🚀 Step2+3統合実行開始: ${targetSites.map(s => s.id).join(', ')}`);
-
-    const allResults = [];
-
-    // 各サイトを処理
-    for (const site of targetSites) {
-      console.log(`🎯 サイト処理中: ${site.id} (${site.name})`);
-
-      let captureResults = [];
-      let targetPages = pages;
-
-      // ページが指定されていない場合はクロール (クロールモードが auto の場合)
-      if (!targetPages && !url && crawlMode !== 'single') {
-        console.log(`🕷️ ${site.id} のクロールを実行`);
-        const browser = await getBrowser();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-
-        const crawler = new SiteCrawler({
-          maxPages: site.maxPages,
-          ...site.crawlSettings
-        });
-        const crawlResult = await crawler.crawl(page, site.baseUrl);
-        await context.close();
-
-        targetPages = SiteCrawler.generatePageIdentifiers(crawlResult.urls, crawlResult.metadata);
-        console.log(`🔍 ${targetPages.length}ページを発見`);
-      }
-
-      // Step2: 撮影
-      // セッションタイムスタンプを生成（サイト×デバイスごと）
-      const sessionTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-
-      if (targetPages) {
-        // 複数ページ並列撮影
-        console.log(`📸 複数ページ撮影 (${targetPages.length}ページ) - セッション: ${sessionTimestamp}`);
-
-        const pageProcessor = async (page) => {
-          return await takeHighPrecisionScreenshot(
-            page.url,
-            site.id,
-            'after',
-            device,
-            page,
-            sessionTimestamp
-          );
-        };
-
-        const { results: pageResults, errors: pageErrors } = await processConcurrent(
-          targetPages,
-          pageProcessor,
-          CONFIG.MAX_CONCURRENT_PAGES
-        );
-
-        captureResults.push(...pageResults);
-
-        if (pageErrors.length > 0) {
-          console.log(`⚠️ ${pageErrors.length}ページでエラーが発生しました`);
-        }
-      } else {
-        // 単一ページ撮影
-        console.log(`📸 単一ページ撮影: ${url || site.baseUrl} - セッション: ${sessionTimestamp}`);
-        const result = await takeHighPrecisionScreenshot(
-          url || site.baseUrl,
-          site.id,
-          'after',
-          device,
-          undefined,
-          sessionTimestamp
-        );
-        captureResults.push(result);
-      }
-
-      // Step3: 比較（Baselineが存在する場合のみ）
-      console.log(`🔍 比較処理開始 (閾値: ${threshold}%)`);
-      let compareResults;
-
-      try {
-        if (targetPages && targetPages.length > 1) {
-          // 複数ページ比較
-          compareResults = await compareMultiPageScreenshots(site.id, device, threshold);
-        } else {
-          // 単一ページ比較
-          compareResults = await compareHighPrecisionScreenshots(site.id, device, threshold);
-        }
-      } catch (error) {
-        console.log(`⚠️ ${site.id} の比較をスキップ: ${error.message}`);
-        compareResults = {
-          status: 'SKIP',
-          message: 'Baselineスクリーンショットが見つかりません。先にStep1でBaseline撮影を実行してください。',
-          error: error.message
-        };
-      }
-
-      // サイト別結果
-      allResults.push({
-        siteId: site.id,
-        siteName: site.name,
-        device,
-        threshold,
-        captureCount: captureResults.length,
-        captureResults: captureResults.map(r => ({
-          url: r.url,
-          filename: r.filename,
-          timestamp: r.timestamp
-        })),
-        compareResults: compareResults,
-        timestamp: new Date().toISOString()
-      });
+    const deviceError = findDeviceError(targetSites.map(site => site.id), [device], browser);
+    if (deviceError) {
+      return res.status(400).json({ success: false, error: deviceError });
     }
 
-    // 全体的な統計
-    const summary = {
-      totalSites: allResults.length,
-      totalPages: allResults.reduce((sum, r) => sum + r.captureCount, 0),
-      ngSites: allResults.filter(r =>
-        r.compareResults.summary ? r.compareResults.summary.ng > 0 :
-        r.compareResults.status === 'NG'
-      ).length
-    };
-
-    console.log(`✅ Step2+3統合実行完了: ${summary.totalSites}サイト, ${summary.totalPages}ページ`);
-    res.json({ success: true, summary, results: allResults });
+    const job = await jobQueue.enqueue('capture-and-compare', {
+      url, pages, siteId, siteIds, device, browser, threshold, crawlMode, algorithm, judgeBy, ssimThreshold
+    });
+    res.status(202).json(formatJobAccepted(job));
 
   } catch (error) {
-    console.error('❌ Step2+3統合実行エラー:', error);
+    console.error('❌ Step2+3統合実行ジョブ登録エラー:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -807,77 +761,50 @@ app.post('/capture-and-compare', async (req, res) => {
 });
 
 /**
- * 📈 結果一覧取得
+ * 📋 ジョブ一覧
  */
-app.get('/results', (req, res) => {
+app.get('/jobs', async (req, res) => {
   try {
-    const results = [];
-    const siteDirs = fs.readdirSync(SCREENSHOTS_DIR).filter(dir =>
-      fs.statSync(path.join(SCREENSHOTS_DIR, dir)).isDirectory()
-    );
-
-    siteDirs.forEach(siteId => {
-      const siteDir = path.join(SCREENSHOTS_DIR, siteId);
-      const site = sitesManager.getSite(siteId) || { name: siteId, baseUrl: 'Unknown' };
-
-      const siteResult = {
-        siteId,
-        siteName: site.name,
-        baseUrl: site.baseUrl,
-        devices: []
-      };
-
-      const devices = ['desktop', 'mobile'];
-      devices.forEach(device => {
-        const baselineDir = path.join(siteDir, 'baseline', device);
-        const afterDir = path.join(siteDir, 'after', device);
+    const { status, type, limit = 50 } = req.query;
+    const jobs = await jobQueue.getJobs({
+      status: status ? status.split(',') : null,
+      type,
+      limit: parseInt(limit)
+    });
 
-        const deviceResult = {
-          device,
-          baseline: { count: 0, latest: null },
-          after: { count: 0, latest: null },
-          hasBaseline: fs.existsSync(baselineDir),
-          hasAfter: fs.existsSync(afterDir)
-        };
+    // 一覧ではイベント履歴と結果本体を省略
+    res.json({
+      success: true,
+      jobs: jobs.map(({ events, result, ...job }) => ({ ...job, eventCount: events.length, hasResult: result !== null }))
+    });
 
-        if (deviceResult.hasBaseline) {
-          const baselineFiles = fs.readdirSync(baselineDir).filter(f => f.endsWith('.png'));
-          deviceResult.baseline.count = baselineFiles.length;
-          if (baselineFiles.length > 0) {
-            const latestFile = baselineFiles.sort().pop();
-            const stats = fs.statSync(path.join(baselineDir, latestFile));
-            deviceResult.baseline.latest = {
-              filename: latestFile,
-              timestamp: stats.mtime,
-              path: `/screenshots/${siteId}/baseline/${device}/${latestFile}`
-            };
-          }
-        }
+  } catch (error) {
+    console.error('❌ ジョブ一覧取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-        if (deviceResult.hasAfter) {
-          const afterFiles = fs.readdirSync(afterDir).filter(f => f.endsWith('.png'));
-          deviceResult.after.count = afterFiles.length;
-          if (afterFiles.length > 0) {
-            const latestFile = afterFiles.sort().pop();
-            const stats = fs.statSync(path.join(afterDir, latestFile));
-            deviceResult.after.latest = {
-              filename: latestFile,
-              timestamp: stats.mtime,
-              path: `/screenshots/${siteId}/after/${device}/${latestFile}`
-            };
-          }
-        }
+/**
+ * 📋 ジョブの状態・進捗・結果
+ */
+app.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
 
-        siteResult.devices.push(deviceResult);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `ジョブ ${req.params.jobId} が見つかりません`
       });
+    }
 
-      results.push(siteResult);
-    });
-
-    res.json({ success: true, results });
+    res.json({ success: true, job });
 
   } catch (error) {
-    console.error('❌ 結果一覧取得エラー:', error);
+    console.error('❌ ジョブ取得エラー:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -886,46 +813,51 @@ app.get('/results', (req, res) => {
 });
 
 /**
- * 🎯 スクリーンショット一覧取得
+ * ⏹️ ジョブの中断（撮影中のブラウザコンテキストを閉じて停止）
  */
-app.get('/screenshots/:siteId', (req, res) => {
+app.post('/jobs/:jobId/cancel', async (req, res) => {
   try {
-    const { siteId } = req.params;
-    const siteDir = path.join(SCREENSHOTS_DIR, siteId);
+    const job = await jobQueue.cancel(req.params.jobId);
 
-    if (!fs.existsSync(siteDir)) {
-      return res.json({ screenshots: [] });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `ジョブ ${req.params.jobId} が見つかりません`
+      });
     }
 
-    const screenshots = [];
-    const types = ['baseline', 'after'];
-    const devices = ['desktop', 'mobile'];
+    console.log(`⏹️ ジョブ中断要求: ${job.id}`);
+    res.json({ success: true, job: { id: job.id, type: job.type, status: job.status, progress: job.progress } });
 
-    types.forEach(type => {
-      devices.forEach(device => {
-        const deviceDir = path.join(siteDir, type, device);
-        if (fs.existsSync(deviceDir)) {
-          const files = fs.readdirSync(deviceDir)
-            .filter(file => file.endsWith('.png'))
-            .map(file => ({
-              filename: file,
-              path: `/screenshots/${siteId}/${type}/${device}/${file}`,
-              type,
-              device,
-              timestamp: fs.statSync(path.join(deviceDir, file)).mtime
-            }));
-          screenshots.push(...files);
-        }
-      });
+  } catch (error) {
+    console.error('❌ ジョブ中断エラー:', error);
+    res.status(error.type === 'INVALID_JOB_STATE' ? 409 : 500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
-    screenshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+/**
+ * ⏸️ ジョブの一時停止（撮影中のページが終わった時点で停止）
+ */
+app.post('/jobs/:jobId/pause', async (req, res) => {
+  try {
+    const job = await jobQueue.pause(req.params.jobId);
 
-    res.json({ screenshots });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `ジョブ ${req.params.jobId} が見つかりません`
+      });
+    }
+
+    console.log(`⏸️ ジョブ一時停止要求: ${job.id}`);
+    res.json({ success: true, job: { id: job.id, type: job.type, status: job.status, progress: job.progress } });
 
   } catch (error) {
-    console.error('❌ スクリーンショット一覧取得エラー:', error);
-    res.status(500).json({
+    console.error('❌ ジョブ一時停止エラー:', error);
+    res.status(error.type === 'INVALID_JOB_STATE' ? 409 : 500).json({
       success: false,
       error: error.message
     });
@@ -933,19 +865,844 @@ app.get('/screenshots/:siteId', (req, res) => {
 });
 
 /**
- * 🎯 差分画像一覧取得
+ * ▶️ 一時停止したジョブの再開（完了済みのページから続行）
  */
-app.get('/diffs/:siteId', (req, res) => {
+app.post('/jobs/:jobId/resume', async (req, res) => {
   try {
-    const { siteId } = req.params;
-    const siteDir = path.join(DIFFS_DIR, siteId);
+    const job = await jobQueue.resume(req.params.jobId);
 
-    if (!fs.existsSync(siteDir)) {
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `ジョブ ${req.params.jobId} が見つかりません`
+      });
+    }
+
+    console.log(`▶️ ジョブ再開要求: ${job.id}`);
+    res.json({ success: true, job: { id: job.id, type: job.type, status: job.status, progress: job.progress } });
+
+  } catch (error) {
+    console.error('❌ ジョブ再開エラー:', error);
+    res.status(error.type === 'INVALID_JOB_STATE' ? 409 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 📡 ジョブ進捗のServer-Sent Eventsストリーム
+ * progress: 進捗と新しいイベント / done: 完了・失敗・中断・一時停止時の状態（結果を含む）
+ */
+app.get('/jobs/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+
+  // ストリーム開始前に取得エラーをJSONで返す
+  let job;
+  try {
+    job = await jobQueue.getJob(jobId);
+  } catch (error) {
+    console.error('❌ ジョブ取得エラー:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `ジョブ ${jobId} が見つかりません`
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  let lastSeq = 0;
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const push = (current) => {
+    // 未送信のイベントだけを送る
+    const newEvents = current.events.filter(e => e.seq > lastSeq);
+    if (newEvents.length > 0) {
+      lastSeq = newEvents[newEvents.length - 1].seq;
+    }
+
+    send('progress', {
+      id: current.id,
+      type: current.type,
+      status: current.status,
+      progress: current.progress,
+      events: newEvents
+    });
+
+    if (['completed', 'failed', 'cancelled', 'paused'].includes(current.status)) {
+      send('done', current);
+      cleanup();
+      res.end();
+    }
+  };
+
+  const unsubscribe = jobQueue.subscribe(jobId, push);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  };
+  req.on('close', cleanup);
+
+  push(job);
+});
+
+/**
+ * 対象サイトを解決（siteIds: 'all' または ID配列）
+ */
+function resolveTargetSites(siteId, siteIds) {
+  return siteIds ? sitesManager.getBatchProcessingSites(siteIds) :
+    siteId ? [{ id: siteId, ...sitesManager.getSite(siteId) }] : [];
+}
+
+/**
+ * サイトで使えるデバイスプロファイルを取得（撮影キーはデバイス部分で解決）
+ */
+function getSiteDeviceProfile(siteId, captureKey) {
+  const site = sitesManager.getSite(siteId);
+  const { device, browser } = parseCaptureKey(captureKey);
+  resolveBrowserEngine(browser);
+  return resolveDeviceProfile(device, CONFIG.DEVICE_PROFILES, site && site.deviceProfiles);
+}
+
+/**
+ * サイトの決定的レンダリング設定（既定値にサイト設定を重ねる）
+ */
+function getSiteDeterminism(siteId) {
+  const site = sitesManager.getSite(siteId);
+  return resolveDeterminism(site && site.determinism);
+}
+
+/**
+ * ページの比較結果にBaseline・Afterのブラウザのエラーの比較を反映（サイト設定 runtimeErrors に従う）
+ */
+function applySiteRuntimeErrors(result, baselinePath, afterPath, siteId) {
+  const site = sitesManager.getSite(siteId);
+  const settings = resolveRuntimeErrorSettings(site && site.runtimeErrors);
+  const comparison = compareRuntimeErrors(loadRuntimeErrors(baselinePath), loadRuntimeErrors(afterPath), settings);
+
+  return applyRuntimeErrorResults(result, comparison, settings);
+}
+
+/**
+ * ページの比較結果にBaseline・AfterのHTTPステータス・リダイレクトの比較を反映
+ */
+function applyCapturedHttpResults(result, baselinePath, afterPath) {
+  return applyHttpResults(result, compareHttpRecords(loadHttpRecord(baselinePath), loadHttpRecord(afterPath)));
+}
+
+/**
+ * ページの比較結果にAfterで検出したPHPエラー・WordPressのエラー画面を反映（検出があればNG）
+ */
+function applyCapturedPhpErrors(result, baselinePath, afterPath) {
+  return applyPhpErrorResults(result, loadPhpErrors(afterPath), loadPhpErrors(baselinePath));
+}
+
+/**
+ * 撮影するページの外部リソースHAR（Baselineは記録、Afterは現在のBaselineバージョンのHARを再生）
+ * 無効なサイト・ページ情報のない撮影・HARのないBaselineページはnull
+ */
+function getSiteHarUsage(siteId, type, device, url, filename, pageInfo) {
+  const site = sitesManager.getSite(siteId);
+  const settings = resolveNetworkReplay(site && site.networkReplay);
+  if (!settings.enabled || !pageInfo) return null;
+
+  const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
+  const urlFilter = buildThirdPartyPattern(url, settings.firstPartyHosts);
+  const harPath = type === 'baseline'
+    ? getHarPath(baselineDir, filename)
+    : findBaselineHar(baselineDir, pageInfo.identifier);
+
+  return harPath ? { mode: type === 'baseline' ? 'record' : 'replay', path: harPath, urlFilter } : null;
+}
+
+/**
+ * サイトの撮影キー（エンジン未指定時はサイト設定 browser、なければ chromium）
+ */
+function getSiteCaptureKey(siteId, device, browser) {
+  const site = sitesManager.getSite(siteId);
+  return getCaptureKey(device, browser || (site && site.browser));
+}
+
+/**
+ * 撮影対象のデバイス・エンジンが各サイトで使えるか確認（使えなければエラーメッセージ）
+ */
+function findDeviceError(siteIds, devices, browser = null) {
+  for (const siteId of siteIds) {
+    for (const device of devices) {
+      try {
+        getSiteDeviceProfile(siteId, getSiteCaptureKey(siteId, device, browser));
+      } catch (error) {
+        return error.message;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 保存済みのデバイスディレクトリを列挙（プロファイルの定義順）
+ */
+function listDeviceDirs(siteId, parentDirs) {
+  const names = new Set();
+  parentDirs.filter(dir => fs.existsSync(dir)).forEach(dir => {
+    fs.readdirSync(dir)
+      .filter(name => fs.statSync(path.join(dir, name)).isDirectory())
+      .forEach(name => names.add(name));
+  });
+
+  const site = sitesManager.getSite(siteId);
+  const devices = Array.from(names).map(name => parseCaptureKey(name).device);
+  const deviceOrder = sortDeviceNames(
+    Array.from(new Set(devices)),
+    getDeviceProfiles(CONFIG.DEVICE_PROFILES, site && site.deviceProfiles)
+  );
+  return sortCaptureKeys(Array.from(names), deviceOrder);
+}
+
+/**
+ * 結果表示用のデバイスプロファイル情報（定義が削除されたデバイスはnull）
+ */
+function describeSiteDevice(siteId, device) {
+  try {
+    return { ...describeDeviceProfile(getSiteDeviceProfile(siteId, device)), browser: parseCaptureKey(device).browser };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * デバイスの表示名（プロファイルの label、未定義ならデバイス名）
+ */
+function describeDeviceLabel(siteId, device) {
+  const profile = describeSiteDevice(siteId, device);
+  return profile ? `${profile.label} (${profile.browser})` : device;
+}
+
+/**
+ * ジョブ登録時のレスポンス
+ */
+function formatJobAccepted(job) {
+  return {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`
+  };
+}
+
+/**
+ * サイトのチェックポイントを取得（再開時は前回の途中経過）
+ */
+function getSiteCheckpoint(job, site, type, device) {
+  const key = `${site.id}/${type}/${device}`;
+  job.checkpoint.sites = job.checkpoint.sites || {};
+
+  if (!job.checkpoint.sites[key]) {
+    job.checkpoint.sites[key] = {
+      siteId: site.id,
+      type,
+      device,
+      sessionTimestamp: null,
+      targetPages: null,
+      pageChanges: null,
+      completedUrls: [],
+      captureResults: [],
+      result: null
+    };
+  }
+
+  return job.checkpoint.sites[key];
+}
+
+/**
+ * 撮影セッションの状態をVRTセッションとして記録（中断・一時停止時は途中までのページを記録）
+ */
+async function saveCaptureSession(job, checkpoint, status) {
+  try {
+    await database.saveVRTSession({
+      id: `${job.id}_${checkpoint.siteId}_${checkpoint.type}_${checkpoint.device}`,
+      type: checkpoint.type === 'baseline' ? 'baseline' : 'comparison',
+      siteId: checkpoint.siteId,
+      device: checkpoint.device,
+      urls: checkpoint.completedUrls,
+      status,
+      completedAt: status === 'completed' ? new Date().toISOString() : null,
+      metadata: {
+        jobId: job.id,
+        sessionTimestamp: checkpoint.sessionTimestamp,
+        determinism: describeDeterminism(getSiteDeterminism(checkpoint.siteId)),
+        networkReplay: resolveNetworkReplay((sitesManager.getSite(checkpoint.siteId) || {}).networkReplay).enabled,
+        totalPages: checkpoint.targetPages ? checkpoint.targetPages.length : 1,
+        capturedPages: checkpoint.completedUrls.length
+      }
+    });
+  } catch (dbError) {
+    console.log('⚠️ セッション保存エラー:', dbError.message);
+  }
+}
+
+/**
+ * 中断・一時停止で止まったサイトの撮影セッションを途中として記録
+ */
+async function markStoppedSessions(job, error) {
+  const status = error.type === 'JOB_PAUSED' ? 'paused' : 'cancelled';
+  const stopped = Object.values(job.checkpoint.sites || {}).filter(c => c.sessionTimestamp && !c.result);
+
+  for (const checkpoint of stopped) {
+    await saveCaptureSession(job, checkpoint, status);
+    console.log(`⏸️ ${checkpoint.siteId}/${checkpoint.device}: ${checkpoint.completedUrls.length}ページ撮影済みで${status === 'paused' ? '一時停止' : '中断'}`);
+  }
+}
+
+/**
+ * クロール（ページ未指定時）で対象ページを決定
+ * 再開時はチェックポイントに保存したページ一覧を使う
+ */
+async function resolveTargetPages(site, { url, pages, crawlMode, maxPages }, job, checkpoint) {
+  if (checkpoint.targetPages) {
+    return checkpoint.targetPages;
+  }
+
+  if (pages || url || crawlMode === 'single') {
+    // 指定ページもレジストリのIDで撮影する（見つからないページの判定はクロール時のみ）
+    checkpoint.targetPages = pages
+      ? (await syncPageRegistry(database, site.id, pages, { markMissing: false })).pages
+      : null;
+    return checkpoint.targetPages;
+  }
+
+  console.log(`🕷️ ${site.id} のクロールを実行`);
+  job.report('step', { siteId: site.id, message: `${site.id} のクロールを実行中` });
+
+  const browser = await getBrowser();
+  const crawlAuth = await getCrawlAuthOptions(browser, site);
+  const context = await browser.newContext(crawlAuth.contextOptions);
+  const untrack = job.trackContext(context);
+
+  try {
+    const page = await context.newPage();
+    const crawler = new SiteCrawler({
+      maxPages: maxPages || site.maxPages,
+      crawlMode: site.crawlMode,
+      ...site.crawlSettings,
+      ...crawlAuth.crawlerOptions
+    });
+    const crawlResult = await crawler.crawl(page, site.baseUrl);
+    job.throwIfStopped();
+
+    // ページIDはクロール順ではなくレジストリの固定IDを使う
+    const registry = await syncPageRegistry(
+      database,
+      site.id,
+      SiteCrawler.generatePageIdentifiers(crawlResult.urls, crawlResult.metadata)
+    );
+    const targetPages = registry.pages;
+    console.log(`🔍 ${targetPages.length}ページを発見`);
+    job.report('step', {
+      siteId: site.id,
+      message: `${targetPages.length}ページを発見（新規${registry.added.length}, 消失${registry.removed.length}）`,
+      addedPages: registry.added,
+      removedPages: registry.removed,
+      failures: crawlResult.failures
+    });
+
+    checkpoint.targetPages = targetPages;
+    checkpoint.pageChanges = { added: registry.added, removed: registry.removed, restored: registry.restored };
+    return targetPages;
+  } finally {
+    untrack();
+    await context.close().catch(() => {});
+  }
+}
+
+/**
+ * サイトの対象ページを撮影し、ページごとの進捗をジョブに記録
+ * 撮影済みのページ（チェックポイント）はスキップし、同じセッションタイムスタンプで続行する
+ */
+async function captureSitePages(site, type, device, targetPages, url, job, checkpoint) {
+  const label = type === 'baseline' ? 'Baseline' : '';
+  const resumed = checkpoint.sessionTimestamp !== null;
+
+  if (!resumed) {
+    checkpoint.sessionTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  }
+  const { sessionTimestamp } = checkpoint;
+
+  // Baselineは撮影完了までバージョンを partial として記録
+  if (type === 'baseline') {
+    beginCaptureSession(path.join(SCREENSHOTS_DIR, site.id, 'baseline', device), sessionTimestamp);
+  }
+  await saveCaptureSession(job, checkpoint, 'running');
+
+  const captureOne = async (pageUrl, pageInfo) => {
+    job.throwIfStopped();
+    try {
+      const result = await takeHighPrecisionScreenshot(pageUrl, site.id, type, device, pageInfo, sessionTimestamp, job);
+      checkpoint.completedUrls.push(pageUrl);
+      checkpoint.captureResults.push({ url: result.url, filename: result.filename, timestamp: result.timestamp });
+      job.report('page', { siteId: site.id, device, url: pageUrl, filename: result.filename });
+      return result;
+    } catch (error) {
+      // 中断・一時停止による失敗はエラーとして数えない
+      if (!job.isStopRequested()) {
+        job.report('error', { siteId: site.id, device, url: pageUrl, message: error.message, errorType: error.type });
+      }
+      throw error;
+    }
+  };
+
+  const pageList = targetPages || [{ url: url || site.baseUrl }];
+  const remaining = pageList.filter(page => !checkpoint.completedUrls.includes(page.url));
+  job.report('total', { siteId: site.id, count: pageList.length, completed: pageList.length - remaining.length });
+
+  if (resumed) {
+    console.log(`▶️ ${site.id}: セッション ${sessionTimestamp} を再開 (残り${remaining.length}/${pageList.length}ページ)`);
+  }
+
+  if (targetPages) {
+    // 複数ページ並列撮影
+    console.log(`📸 ${label}複数ページ撮影 (${remaining.length}ページ) - セッション: ${sessionTimestamp}`);
+
+    const { errors: pageErrors } = await processConcurrent(
+      remaining,
+      page => captureOne(page.url, page),
+      CONFIG.MAX_CONCURRENT_PAGES
+    );
+
+    job.throwIfStopped();
+
+    if (pageErrors.length > 0) {
+      console.log(`⚠️ ${pageErrors.length}ページでエラーが発生しました`);
+    }
+  } else if (remaining.length > 0) {
+    // 単一ページ撮影
+    console.log(`📸 ${label}単一ページ撮影: ${remaining[0].url} - セッション: ${sessionTimestamp}`);
+    await captureOne(remaining[0].url, undefined);
+  }
+
+  await job.saveCheckpoint();
+  return checkpoint.captureResults;
+}
+
+/**
+ * Step1ジョブ: Baseline撮影
+ */
+async function runCaptureBaselineJob(params, job) {
+  const { url, pages, siteId, siteIds, device = 'desktop', browser, crawlMode = 'auto', maxPages = 30 } = params;
+  const targetSites = resolveTargetSites(siteId, siteIds);
+
+  if (targetSites.length === 0) {
+    throw new Error('有効なサイトが見つかりません');
+  }
+
+  console.log(`📸 Step1: Baseline撮影開始: ${targetSites.map(s => s.id).join(', ')}`);
+
+  const allResults = [];
+
+  // 各サイトを並列処理
+  const siteProcessor = async (site) => {
+    // 保存先はエンジン×デバイスの撮影キー（エンジン未指定時はサイト設定）
+    const captureDevice = getSiteCaptureKey(site.id, device, browser);
+    const checkpoint = getSiteCheckpoint(job, site, 'baseline', captureDevice);
+    if (checkpoint.result) {
+      return checkpoint.result;
+    }
+
+    job.throwIfStopped();
+    console.log(`🎯 サイト処理中: ${site.id} (${site.name})`);
+
+    const targetPages = await resolveTargetPages(site, { url, pages, crawlMode, maxPages }, job, checkpoint);
+
+    // Baseline撮影（セッションタイムスタンプはサイト×デバイスごと）
+    const captureResults = await captureSitePages(site, 'baseline', captureDevice, targetPages, url, job, checkpoint);
+
+    // 撮影セッションをBaselineバージョンとして登録
+    const baselineVersion = registerCaptureSession(
+      path.join(SCREENSHOTS_DIR, site.id, 'baseline', captureDevice),
+      checkpoint.sessionTimestamp
+    );
+    console.log(`🗃️ Baselineバージョン登録: ${checkpoint.sessionTimestamp} (${baselineVersion ? baselineVersion.pages.length : 0}ページ)`);
+    pruneHarArchives(path.join(SCREENSHOTS_DIR, site.id, 'baseline', captureDevice));
+
+    // サイト別結果を返す
+    checkpoint.result = {
+      siteId: site.id,
+      siteName: site.name,
+      device: captureDevice,
+      browser: parseCaptureKey(captureDevice).browser,
+      baselineVersion: baselineVersion ? baselineVersion.id : null,
+      captureCount: captureResults.length,
+      captureResults,
+      pageChanges: checkpoint.pageChanges,
+      timestamp: new Date().toISOString()
+    };
+    await saveCaptureSession(job, checkpoint, 'completed');
+    await job.saveCheckpoint();
+
+    return checkpoint.result;
+  };
+
+  // サイトを並列処理
+  const { results: siteResults, errors: siteErrors } = await processConcurrent(
+    targetSites,
+    siteProcessor,
+    CONFIG.MAX_CONCURRENT_SITES
+  );
+
+  const stopError = siteErrors.find(({ error }) => ['JOB_PAUSED', 'JOB_CANCELLED'].includes(error.type));
+  if (stopError) {
+    await markStoppedSessions(job, stopError.error);
+    throw stopError.error;
+  }
+
+  allResults.push(...siteResults);
+
+  if (siteErrors.length > 0) {
+    console.log(`⚠️ ${siteErrors.length}サイトでエラーが発生しました`);
+    siteErrors.forEach(({ error, item }) => {
+      job.report('error', { siteId: item ? item.id : null, message: error.message });
+    });
+  }
+
+  // 全体的な統計
+  const summary = {
+    totalSites: allResults.length,
+    totalPages: allResults.reduce((sum, r) => sum + r.captureCount, 0)
+  };
+
+  console.log(`✅ Step1: Baseline撮影完了: ${summary.totalSites}サイト, ${summary.totalPages}ページ`);
+  return { success: true, summary, results: allResults };
+}
+
+/**
+ * Step2+3ジョブ: 撮影→即座に比較
+ */
+async function runCaptureAndCompareJob(params, job) {
+  const {
+    url, pages, siteId, siteIds, device = 'desktop', browser, threshold = 2.0, crawlMode = 'auto',
+    algorithm, judgeBy, ssimThreshold
+  } = params;
+  const targetSites = resolveTargetSites(siteId, siteIds);
+
+  if (targetSites.length === 0) {
+    throw new Error('有効なサイトが見つかりません');
+  }
+
+  console.log(`🚀 Step2+3統合実行開始: ${targetSites.map(s => s.id).join(', ')}`);
+
+  const allResults = [];
+
+  // 各サイトを処理
+  for (const site of targetSites) {
+    // Afterは同じ撮影キー（エンジン×デバイス）のBaselineとだけ比較する
+    const captureDevice = getSiteCaptureKey(site.id, device, browser);
+    const checkpoint = getSiteCheckpoint(job, site, 'after', captureDevice);
+    if (checkpoint.result) {
+      allResults.push(checkpoint.result);
+      continue;
+    }
+
+    console.log(`🎯 サイト処理中: ${site.id} (${site.name})`);
+
+    let targetPages;
+    let captureResults;
+    try {
+      job.throwIfStopped();
+      targetPages = await resolveTargetPages(site, { url, pages, crawlMode }, job, checkpoint);
+
+      // Step2: 撮影（セッションタイムスタンプはサイト×デバイスごと）
+      captureResults = await captureSitePages(site, 'after', captureDevice, targetPages, url, job, checkpoint);
+    } catch (error) {
+      if (['JOB_PAUSED', 'JOB_CANCELLED'].includes(error.type)) {
+        await markStoppedSessions(job, error);
+      }
+      throw error;
+    }
+
+    // Step3: 比較（Baselineが存在する場合のみ）
+    console.log(`🔍 比較処理開始 (閾値: ${threshold}%)`);
+    job.report('step', { siteId: site.id, message: `${site.id} の比較を実行中` });
+    let compareResults;
+
+    try {
+      const compareOptions = { algorithm, judgeBy, ssimThreshold };
+      if (targetPages && targetPages.length > 1) {
+        // 今回撮影したセッションと比較（撮影できなかったページは MISSING_AFTER）
+        compareOptions.afterSession = checkpoint.sessionTimestamp;
+        // 複数ページ比較
+        compareResults = await compareMultiPageScreenshots(site.id, captureDevice, threshold, compareOptions);
+      } else {
+        // 単一ページ比較
+        compareResults = await compareHighPrecisionScreenshots(site.id, captureDevice, threshold, compareOptions);
+      }
+    } catch (error) {
+      console.log(`⚠️ ${site.id} の比較をスキップ: ${error.message}`);
+      job.report('step', { siteId: site.id, message: `${site.id} の比較をスキップ: ${error.message}` });
+      compareResults = {
+        status: 'SKIP',
+        message: 'Baselineスクリーンショットが見つかりません。先にStep1でBaseline撮影を実行してください。',
+        error: error.message
+      };
+    }
+
+    // サイト別結果
+    checkpoint.result = {
+      siteId: site.id,
+      siteName: site.name,
+      device: captureDevice,
+      browser: parseCaptureKey(captureDevice).browser,
+      threshold,
+      captureCount: captureResults.length,
+      captureResults,
+      pageChanges: checkpoint.pageChanges,
+      compareResults: compareResults,
+      timestamp: new Date().toISOString()
+    };
+    allResults.push(checkpoint.result);
+    await saveCaptureSession(job, checkpoint, 'completed');
+    await job.saveCheckpoint();
+  }
+
+  // 全体的な統計
+  const summary = {
+    totalSites: allResults.length,
+    totalPages: allResults.reduce((sum, r) => sum + r.captureCount, 0),
+    ngSites: allResults.filter(r =>
+      r.compareResults.summary ? r.compareResults.summary.ng > 0 || r.compareResults.summary.missingAfter > 0 :
+      r.compareResults.status === 'NG'
+    ).length
+  };
+
+  console.log(`✅ Step2+3統合実行完了: ${summary.totalSites}サイト, ${summary.totalPages}ページ`);
+  return { success: true, summary, results: allResults };
+}
+
+/**
+ * 📈 結果一覧取得
+ */
+app.get('/results', async (req, res) => {
+  try {
+    const results = [];
+    const siteDirs = fs.readdirSync(SCREENSHOTS_DIR).filter(dir =>
+      fs.statSync(path.join(SCREENSHOTS_DIR, dir)).isDirectory()
+    );
+
+    siteDirs.forEach(siteId => {
+      const siteDir = path.join(SCREENSHOTS_DIR, siteId);
+      const site = sitesManager.getSite(siteId) || { name: siteId, baseUrl: 'Unknown' };
+
+      const siteResult = {
+        siteId,
+        siteName: site.name,
+        baseUrl: site.baseUrl,
+        devices: []
+      };
+
+      const devices = listDeviceDirs(siteId, [path.join(siteDir, 'baseline'), path.join(siteDir, 'after')]);
+      devices.forEach(device => {
+        const baselineDir = path.join(siteDir, 'baseline', device);
+        const afterDir = path.join(siteDir, 'after', device);
+
+        const deviceResult = {
+          device,
+          profile: describeSiteDevice(siteId, device),
+          baseline: { count: 0, latest: null },
+          after: { count: 0, latest: null },
+          hasBaseline: fs.existsSync(baselineDir),
+          hasAfter: fs.existsSync(afterDir)
+        };
+
+        if (deviceResult.hasBaseline) {
+          const baselineFiles = fs.readdirSync(baselineDir).filter(f => f.endsWith('.png'));
+          deviceResult.baseline.count = baselineFiles.length;
+          if (baselineFiles.length > 0) {
+            const latestFile = baselineFiles.sort().pop();
+            const stats = fs.statSync(path.join(baselineDir, latestFile));
+            deviceResult.baseline.latest = {
+              filename: latestFile,
+              timestamp: stats.mtime,
+              path: `/screenshots/${siteId}/baseline/${device}/${latestFile}`
+            };
+          }
+        }
+
+        if (deviceResult.hasAfter) {
+          const afterFiles = fs.readdirSync(afterDir).filter(f => f.endsWith('.png'));
+          deviceResult.after.count = afterFiles.length;
+          if (afterFiles.length > 0) {
+            const latestFile = afterFiles.sort().pop();
+            const stats = fs.statSync(path.join(afterDir, latestFile));
+            deviceResult.after.latest = {
+              filename: latestFile,
+              timestamp: stats.mtime,
+              path: `/screenshots/${siteId}/after/${device}/${latestFile}`
+            };
+          }
+        }
+
+        siteResult.devices.push(deviceResult);
+      });
+
+      results.push(siteResult);
+    });
+
+    // ページごとの最新比較結果を集計（承認済みの差分はNGに含めない）
+    for (const siteResult of results) {
+      for (const deviceResult of siteResult.devices) {
+        const latestResults = await database.getLatestComparisonResults(siteResult.siteId, deviceResult.device);
+        deviceResult.review = {
+          total: latestResults.length,
+          ok: latestResults.filter(r => r.status === 'OK').length,
+          ng: latestResults.filter(r => r.status === 'NG' && !isApproved(r)).length,
+          approved: latestResults.filter(r => r.status === 'NG' && isApproved(r)).length,
+          rejected: latestResults.filter(r => r.review && r.review.status === 'rejected').length,
+          missingAfter: latestResults.filter(r => r.status === 'MISSING_AFTER').length,
+          newPages: latestResults.filter(r => r.status === 'NEW_PAGE' && !isApproved(r)).length,
+          componentNg: latestResults.filter(r => getRecordComponents(r).some(isComponentNg) && !isApproved(r)).length,
+          runtimeErrorNg: latestResults.filter(r => (getRecordRuntimeErrors(r) || {}).newCount > 0 && !isApproved(r)).length,
+          httpNg: latestResults.filter(r => (getRecordHttp(r) || {}).severity === 'NG' && !isApproved(r)).length,
+          phpErrorCritical: latestResults.filter(r => getRecordPhpErrors(r).length > 0 && !isApproved(r)).length
+        };
+
+        // ページごとの最新結果（コンポーネントの結果はページの下の行として表示）
+        deviceResult.pages = latestResults
+          .map(r => ({
+            pageId: r.pageId,
+            pageIdentifier: r.pageIdentifier,
+            url: r.url,
+            status: r.status,
+            diffPercentage: r.diffPercentage,
+            reviewStatus: r.review ? r.review.status : null,
+            components: getRecordComponents(r),
+            runtimeErrors: getRecordRuntimeErrors(r),
+            phpErrors: getRecordPhpErrors(r)
+          }))
+          .sort((a, b) => String(a.pageId).localeCompare(String(b.pageId), undefined, { numeric: true }));
+
+        // ステータスコード・リダイレクト・canonicalが変わったページ（ページとは別の行）
+        deviceResult.httpChanges = latestResults
+          .filter(r => getRecordHttp(r))
+          .map(r => ({ ...getRecordHttp(r), reviewStatus: r.review ? r.review.status : null }))
+          .sort((a, b) => String(a.pageId).localeCompare(String(b.pageId), undefined, { numeric: true }));
+      }
+    }
+
+    res.json({ success: true, results });
+
+  } catch (error) {
+    console.error('❌ 結果一覧取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 比較記録に保存したコンポーネントの結果
+ */
+function getRecordComponents(record) {
+  return (record.metadata && record.metadata.components) || [];
+}
+
+/**
+ * 比較記録に保存したブラウザのエラーの比較結果（記録がなければnull）
+ */
+function getRecordRuntimeErrors(record) {
+  return (record.metadata && record.metadata.runtimeErrors) || null;
+}
+
+/**
+ * 比較記録に保存したPHPエラー・WordPressのエラー画面の検出結果
+ */
+function getRecordPhpErrors(record) {
+  return (record.metadata && record.metadata.phpErrors) || [];
+}
+
+/**
+ * 比較記録に保存したHTTPステータス・リダイレクトの変化の行（変化がなければnull）
+ */
+function getRecordHttp(record) {
+  const comparison = record && record.metadata && record.metadata.http;
+  return comparison ? buildHttpChangeRow(record, comparison) : null;
+}
+
+/**
+ * 🎯 スクリーンショット一覧取得
+ */
+app.get('/screenshots/:siteId', (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const siteDir = path.join(SCREENSHOTS_DIR, siteId);
+
+    if (!fs.existsSync(siteDir)) {
+      return res.json({ screenshots: [] });
+    }
+
+    const screenshots = [];
+    const types = ['baseline', 'after'];
+    const devices = listDeviceDirs(siteId, types.map(type => path.join(siteDir, type)));
+
+    types.forEach(type => {
+      devices.forEach(device => {
+        const deviceDir = path.join(siteDir, type, device);
+        if (fs.existsSync(deviceDir)) {
+          const files = fs.readdirSync(deviceDir)
+            .filter(file => file.endsWith('.png'))
+            .map(file => ({
+              filename: file,
+              path: `/screenshots/${siteId}/${type}/${device}/${file}`,
+              type,
+              device,
+              deviceLabel: describeDeviceLabel(siteId, device),
+              timestamp: fs.statSync(path.join(deviceDir, file)).mtime
+            }));
+          screenshots.push(...files);
+        }
+      });
+    });
+
+    screenshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    res.json({ screenshots });
+
+  } catch (error) {
+    console.error('❌ スクリーンショット一覧取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 🎯 差分画像一覧取得
+ */
+app.get('/diffs/:siteId', (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const siteDir = path.join(DIFFS_DIR, siteId);
+
+    if (!fs.existsSync(siteDir)) {
       return res.json({ diffs: [] });
     }
 
     const diffs = [];
-    const devices = ['desktop', 'mobile'];
+    const devices = listDeviceDirs(siteId, [siteDir]);
 
     devices.forEach(device => {
       const deviceDir = path.join(siteDir, device);
@@ -959,6 +1716,7 @@ app.get('/diffs/:siteId', (req, res) => {
               filename: file,
               path: `/diffs/${siteId}/${device}/${file}`,
               device,
+              deviceLabel: describeDeviceLabel(siteId, device),
               timestamp: stats.mtime,
               size: stats.size
             };
@@ -980,6 +1738,95 @@ app.get('/diffs/:siteId', (req, res) => {
   }
 });
 
+/**
+ * 🧬 構造の差分（DOM・計算済みスタイル）一覧取得
+ */
+app.get('/dom-diffs/:siteId', (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const siteDir = path.join(DIFFS_DIR, siteId);
+
+    if (!fs.existsSync(siteDir)) {
+      return res.json({ domDiffs: [] });
+    }
+
+    const domDiffs = listDeviceDirs(siteId, [siteDir]).flatMap(device =>
+      listDomDiffFiles(siteId, device).map(({ fullPath, ...file }) => ({
+        ...file,
+        deviceLabel: describeDeviceLabel(siteId, device),
+        summary: JSON.parse(fs.readFileSync(fullPath, 'utf8')).summary
+      }))
+    );
+
+    domDiffs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    res.json({ domDiffs });
+
+  } catch (error) {
+    console.error('❌ 構造の差分一覧取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 🧬 ページの最新の構造の差分を取得
+ */
+app.get('/dom-diffs/:siteId/:device/:pageIdentifier', (req, res) => {
+  try {
+    const { siteId, device, pageIdentifier } = req.params;
+    const latest = listDomDiffFiles(siteId, device).find(file => file.pageIdentifier === pageIdentifier);
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: `構造の差分が見つかりません: ${siteId}/${device}/${pageIdentifier}`
+      });
+    }
+
+    res.json({
+      success: true,
+      path: latest.path,
+      timestamp: latest.timestamp,
+      domDiff: JSON.parse(fs.readFileSync(latest.fullPath, 'utf8'))
+    });
+
+  } catch (error) {
+    console.error('❌ 構造の差分取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * デバイスの構造の差分ファイル一覧（新しい順）
+ */
+function listDomDiffFiles(siteId, device) {
+  const deviceDir = path.join(DIFFS_DIR, siteId, device);
+  if (!fs.existsSync(deviceDir)) return [];
+
+  return fs.readdirSync(deviceDir, { recursive: true })
+    .filter(file => file.endsWith('_dom.json'))
+    .map(file => {
+      const fullPath = path.join(deviceDir, file);
+      const pageMatch = path.basename(file).match(/^page-(\d{3,})_([^_]+)_/);
+      return {
+        filename: path.basename(file),
+        path: `/diffs/${siteId}/${device}/${file.split(path.sep).join('/')}`,
+        fullPath,
+        device,
+        pageId: pageMatch ? pageMatch[1] : null,
+        pageIdentifier: pageMatch ? pageMatch[2] : null,
+        timestamp: fs.statSync(fullPath).mtime
+      };
+    })
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
 /**
  * 🎯 ルートページ
  */
@@ -992,7 +1839,7 @@ app.get('/', (req, res) => {
  */
 app.get('/sites', (req, res) => {
   try {
-    const sites = sitesManager.getAllSites();
+    const sites = sitesManager.getAllSites().map(toPublicSite);
     res.json({
       success: true,
       sites: sites,
@@ -1000,33 +1847,95 @@ app.get('/sites', (req, res) => {
       enabled: sites.filter(s => s.enabled).length
     });
   } catch (error) {
-    console.error('❌ サイト一覧取得エラー:', error);
-    res.status(500).json({
+    console.error('❌ サイト一覧取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 📱 デバイスプロファイル・ブラウザエンジン一覧（siteId 指定時はサイト固有のプロファイルを含む）
+ */
+app.get('/devices', (req, res) => {
+  try {
+    const { siteId } = req.query;
+    const site = siteId ? sitesManager.getSite(siteId) : null;
+
+    if (siteId && !site) {
+      return res.status(404).json({
+        success: false,
+        error: 'Site not found'
+      });
+    }
+
+    const profiles = getDeviceProfiles(CONFIG.DEVICE_PROFILES, site && site.deviceProfiles);
+    res.json({
+      success: true,
+      devices: Object.keys(profiles).map(name => describeDeviceProfile({ name, ...profiles[name] })),
+      browsers: BROWSER_ENGINES,
+      defaultBrowser: resolveBrowserEngine(site && site.browser)
+    });
+
+  } catch (error) {
+    console.error('❌ デバイスプロファイル取得エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 🔑 WordPressにログインしてログイン状態を保存（ログイン情報の確認・再ログイン）
+ */
+app.post('/sites/:siteId/login', async (req, res) => {
+  try {
+    const { siteId } = req.params;
+
+    if (!sitesManager.getSite(siteId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Site not found'
+      });
+    }
+
+    const browser = await getBrowser();
+    await wpAuth.getStorageState(browser, getSecureSite(siteId), { force: true });
+
+    res.json({ success: true, siteId, message: 'ログイン状態を保存しました' });
+
+  } catch (error) {
+    console.error('❌ ログインエラー:', error);
+    const status = ['AUTH_FAILED', 'AUTH_CREDENTIALS_MISSING'].includes(error.type) ? 400 : 500;
+    res.status(status).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type
     });
   }
 });
 
 /**
- * 🌐 サイト追加
+ * 🙈 比較除外領域の取得
  */
-app.post('/sites', (req, res) => {
+app.get('/sites/:siteId/ignore-regions', (req, res) => {
   try {
-    const { siteId, name, baseUrl, maxPages } = req.body;
+    const { siteId } = req.params;
+    const site = sitesManager.getSite(siteId);
 
-    if (!siteId || !baseUrl) {
-      return res.status(400).json({
+    if (!site) {
+      return res.status(404).json({
         success: false,
-        error: 'siteId and baseUrl are required'
+        error: 'Site not found'
       });
     }
 
-    const site = sitesManager.addSite(siteId, { name, baseUrl, maxPages });
-    res.json({ success: true, site });
+    res.json({ success: true, siteId, ignoreRegions: site.ignoreRegions || [] });
 
   } catch (error) {
-    console.error('❌ サイト追加エラー:', error);
+    console.error('❌ 除外領域取得エラー:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1035,16 +1944,24 @@ app.post('/sites', (req, res) => {
 });
 
 /**
- * 🌐 サイト更新
+ * 👆 撮影前の操作ステップの取得
  */
-app.put('/sites/:siteId', (req, res) => {
+app.get('/sites/:siteId/capture-steps', (req, res) => {
   try {
     const { siteId } = req.params;
-    const site = sitesManager.updateSite(siteId, req.body);
-    res.json({ success: true, site });
+    const site = sitesManager.getSite(siteId);
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        error: 'Site not found'
+      });
+    }
+
+    res.json({ success: true, siteId, captureSteps: site.captureSteps || [] });
 
   } catch (error) {
-    console.error('❌ サイト更新エラー:', error);
+    console.error('❌ 操作ステップ取得エラー:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1191,260 +2108,425 @@ app.get('/results', (req, res) => {
 });
 
 /**
- * 📸 セッション画像一覧取得
+ * 📸 セッション画像一覧取得
+ */
+app.get('/session-images/:siteId/:device', async (req, res) => {
+  try {
+    const { siteId, device } = req.params;
+
+    // Baselineの最新セッションを取得
+    const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
+    const afterDir = path.join(SCREENSHOTS_DIR, siteId, 'after', device);
+
+    if (!fs.existsSync(baselineDir)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Baselineスクリーンショットが見つかりません'
+      });
+    }
+
+    // 表示するBaselineバージョン（指定がなければ固定バージョン、なければ最新）
+    const baselineVersion = resolveBaselineVersion(baselineDir, req.query.baselineVersion);
+
+    if (!baselineVersion) {
+      return res.status(404).json({
+        success: false,
+        error: '有効なセッションが見つかりません'
+      });
+    }
+
+    // ファイル情報（ページのURL・ペアリング用のキーはページレジストリから取得）
+    const pageIndex = await loadPageIndex(siteId);
+    const latestSession = baselineVersion.id;
+    const baselineSessionFiles = baselineVersion.pages
+      .map(page => describeSessionFile(pageIndex, siteId, 'baseline', device, page.file))
+      .sort((a, b) => a.filename.localeCompare(b.filename));
+
+    // Afterファイルを探す（同じセッション優先、なければ最新のセッション）
+    let afterFiles = [];
+    if (fs.existsSync(afterDir)) {
+      // 1. 同じセッションのファイルを探す
+      afterFiles = fs.readdirSync(afterDir)
+        .filter(file => file.endsWith('.png') && file.includes(latestSession))
+        .map(file => describeSessionFile(pageIndex, siteId, 'after', device, file))
+        .sort((a, b) => a.filename.localeCompare(b.filename));
+
+      // 2. 同じセッションが見つからない場合、最新のAfterファイルセッションを使用
+      if (afterFiles.length === 0) {
+        console.log(`⚠️ 同じセッション(${latestSession})のAfterファイルが見つかりません。最新のAfterファイルを使用します。`);
+
+        const allAfterFiles = fs.readdirSync(afterDir)
+          .filter(file => file.endsWith('.png'))
+          .map(file => describeSessionFile(pageIndex, siteId, 'after', device, file));
+
+        // 最新セッションを取得
+        const afterSessions = {};
+        allAfterFiles.forEach(file => {
+          const key = file.sessionTimestamp || 'unknown';
+          if (!afterSessions[key]) afterSessions[key] = [];
+          afterSessions[key].push(file);
+        });
+
+        const latestAfterSession = Object.keys(afterSessions)
+          .filter(key => key !== 'unknown')
+          .sort()
+          .pop();
+
+        if (latestAfterSession) {
+          console.log(`📸 最新のAfterセッション ${latestAfterSession} を使用します`);
+          afterFiles = afterSessions[latestAfterSession].sort((a, b) => a.filename.localeCompare(b.filename));
+        }
+      }
+    }
+
+    // 各ページの比較結果を生成（既存の差分ファイルがあれば利用、なければ新規作成）
+    const latestRecords = await database.getLatestComparisonResults(siteId, device);
+    const comparisons = [];
+    for (const baselineFile of baselineSessionFiles) {
+      const afterFile = afterFiles.find(f => f.pageKey === baselineFile.pageKey);
+
+      if (afterFile) {
+        try {
+          // 既存の差分ファイルをチェック
+          const existingDiff = await findExistingDiffFile(siteId, device, baselineFile.pageIdentifier);
+
+          if (existingDiff) {
+            // 既存の差分ファイルを利用（コンポーネントは同じペアの比較記録、なければ比較し直す）
+            const record = latestRecords.find(r =>
+              r.baselineFile === baselineFile.filename && r.afterFile === afterFile.filename
+            );
+            const components = record && record.metadata.components ? record.metadata.components :
+              await compareComponents(baselineFile.fullPath, afterFile.fullPath, siteId, device, {
+                pageId: baselineFile.pageId,
+                pageIdentifier: baselineFile.pageIdentifier
+              });
+
+            const existingResult = applyComponentResults({
+              pageIdentifier: baselineFile.pageIdentifier,
+              diffPath: existingDiff.relativePath,
+              status: existingDiff.status,
+              diffPercentage: existingDiff.diffPercentage || 0,
+              changedRegions: existingDiff.changedRegions,
+              changedRegionCount: existingDiff.changedRegions.length,
+              regionsImagePath: existingDiff.regionsImagePath,
+              contentShifts: existingDiff.contentShifts,
+              domDiff: existingDiff.domDiff,
+              domDiffPath: existingDiff.domDiffPath,
+              isExistingResult: true
+            }, components);
+            applySiteRuntimeErrors(existingResult, baselineFile.fullPath, afterFile.fullPath, siteId);
+            applyCapturedHttpResults(existingResult, baselineFile.fullPath, afterFile.fullPath);
+            applyCapturedPhpErrors(existingResult, baselineFile.fullPath, afterFile.fullPath);
+            comparisons.push(existingResult);
+            console.log(`♻️ 既存差分ファイルを利用: ${baselineFile.pageIdentifier}`);
+          } else {
+            // 新規比較実行
+            const comparison = await compareSpecificFiles(
+              baselineFile.fullPath,
+              afterFile.fullPath,
+              siteId,
+              device,
+              2.0
+            );
+            // pageIdentifierを確実に設定
+            comparison.pageIdentifier = comparison.pageIdentifier || baselineFile.pageIdentifier;
+            comparisons.push(comparison);
+            console.log(`🆕 新規比較実行: ${baselineFile.pageIdentifier}`);
+          }
+        } catch (error) {
+          console.error(`❌ ${baselineFile.pageIdentifier}の比較エラー:`, error);
+          comparisons.push(null);
+        }
+      } else if (afterFiles.length > 0) {
+        // Afterセッションで撮影されなかったページ
+        comparisons.push({
+          pageIdentifier: baselineFile.pageIdentifier,
+          status: 'MISSING_AFTER',
+          diffPercentage: null,
+          error: 'After screenshot not found'
+        });
+      } else {
+        comparisons.push(null);
+      }
+    }
+
+    // Baselineにない新規ページ
+    const baselineKeys = new Set(baselineSessionFiles.map(f => f.pageKey));
+    const newPages = afterFiles
+      .filter(f => !baselineKeys.has(f.pageKey))
+      .map(f => ({ ...f, status: 'NEW_PAGE' }));
+
+    // 承認・却下の記録を各ページに反映（表示中のAfterファイルに対するもののみ）
+    const approvals = await database.getApprovals(siteId, { device, limit: 500 });
+    const findReview = (afterFile) => {
+      const approval = afterFile && approvals.find(a =>
+        a.pages.some(p => p.afterFile === afterFile.filename)
+      );
+      return approval ? {
+        status: approval.action,
+        approvalId: approval.id,
+        user: approval.user,
+        comment: approval.comment,
+        reviewedAt: approval.createdAt
+      } : null;
+    };
+    comparisons.forEach((comparison, index) => {
+      if (!comparison) return;
+      comparison.review = findReview(afterFiles.find(f => f.pageKey === baselineSessionFiles[index].pageKey));
+    });
+    newPages.forEach(page => {
+      page.review = findReview(page);
+    });
+
+    res.json({
+      success: true,
+      images: {
+        baseline: {
+          sessionTimestamp: latestSession,
+          version: baselineVersion.id,
+          versionSource: baselineVersion.source,
+          files: baselineSessionFiles
+        },
+        after: {
+          sessionTimestamp: afterFiles.length > 0 ? afterFiles[0].sessionTimestamp : latestSession,
+          files: afterFiles
+        },
+        comparisons,
+        newPages
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ セッション画像取得エラー:', error);
+    res.status(error.type === 'BASELINE_VERSION_NOT_FOUND' ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 承認・Baseline操作のエラーのステータス
+const REVIEW_ERROR_STATUS = {
+  MISSING_AFTER: 404,
+  UNKNOWN_SITE: 404,
+  INVALID_DEVICE: 400,
+  BASELINE_VERSION_NOT_FOUND: 404
+};
+
+/**
+ * 🗃️ Baselineバージョン一覧
+ */
+app.get('/baselines/:siteId/:device', (req, res) => {
+  try {
+    const { siteId, device } = req.params;
+    validateScreenshotTarget(siteId, device, sitesManager.getSite(siteId));
+    const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
+
+    if (!fs.existsSync(baselineDir)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Baselineスクリーンショットが見つかりません'
+      });
+    }
+
+    res.json({ success: true, siteId, device, ...listBaselineVersions(baselineDir) });
+
+  } catch (error) {
+    console.error('❌ Baselineバージョン一覧取得エラー:', error);
+    res.status(REVIEW_ERROR_STATUS[error.type] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 📌 Baselineバージョンを「現在」に固定（ロールバック）
+ */
+app.put('/baselines/:siteId/:device/current', (req, res) => {
+  try {
+    const { siteId, device } = req.params;
+    validateScreenshotTarget(siteId, device, sitesManager.getSite(siteId));
+    const { versionId } = req.body;
+
+    if (!versionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'versionId is required'
+      });
+    }
+
+    const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
+    pinBaselineVersion(baselineDir, versionId);
+    console.log(`📌 Baselineバージョン固定: ${siteId}/${device} → ${versionId}`);
+
+    res.json({ success: true, siteId, device, ...listBaselineVersions(baselineDir) });
+
+  } catch (error) {
+    console.error('❌ Baselineバージョン固定エラー:', error);
+    res.status(REVIEW_ERROR_STATUS[error.type] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * 📌 Baselineバージョンの固定を解除（最新バージョンに戻す）
+ */
+app.delete('/baselines/:siteId/:device/current', (req, res) => {
+  try {
+    const { siteId, device } = req.params;
+    validateScreenshotTarget(siteId, device, sitesManager.getSite(siteId));
+    const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
+
+    if (!fs.existsSync(baselineDir)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Baselineスクリーンショットが見つかりません'
+      });
+    }
+
+    const current = unpinBaselineVersion(baselineDir);
+    console.log(`📌 Baselineバージョン固定解除: ${siteId}/${device} (現在: ${current})`);
+
+    res.json({ success: true, siteId, device, ...listBaselineVersions(baselineDir) });
+
+  } catch (error) {
+    console.error('❌ Baselineバージョン固定解除エラー:', error);
+    res.status(REVIEW_ERROR_STATUS[error.type] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * ✅ ページ単位の承認（After → Baseline 昇格）
+ */
+app.post('/approve-page', async (req, res) => {
+  try {
+    const { siteId, device = 'desktop', pageIdentifier, sessionTimestamp, user, comment } = req.body;
+
+    if (!siteId || !pageIdentifier) {
+      return res.status(400).json({
+        success: false,
+        error: 'siteId and pageIdentifier are required'
+      });
+    }
+
+    const approval = await reviewAfterSession({
+      action: 'approved',
+      scope: 'page',
+      siteId,
+      device,
+      sessionTimestamp,
+      pageIdentifiers: [pageIdentifier],
+      user,
+      comment
+    });
+
+    res.json({ success: true, approval });
+
+  } catch (error) {
+    console.error('❌ ページ承認エラー:', error);
+    res.status(REVIEW_ERROR_STATUS[error.type] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * ✅ セッション全体の承認
+ */
+app.post('/approve-session', async (req, res) => {
+  try {
+    const { siteId, device = 'desktop', sessionTimestamp, user, comment } = req.body;
+
+    if (!siteId) {
+      return res.status(400).json({
+        success: false,
+        error: 'siteId is required'
+      });
+    }
+
+    const approval = await reviewAfterSession({
+      action: 'approved',
+      scope: 'session',
+      siteId,
+      device,
+      sessionTimestamp,
+      pageIdentifiers: null,
+      user,
+      comment
+    });
+
+    res.json({ success: true, approval });
+
+  } catch (error) {
+    console.error('❌ セッション承認エラー:', error);
+    res.status(REVIEW_ERROR_STATUS[error.type] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * ❌ ページ単位の却下（Baselineは変更せず記録のみ）
  */
-app.get('/session-images/:siteId/:device', async (req, res) => {
+app.post('/reject-page', async (req, res) => {
   try {
-    const { siteId, device } = req.params;
-
-    // Baselineの最新セッションを取得
-    const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
-    const afterDir = path.join(SCREENSHOTS_DIR, siteId, 'after', device);
+    const { siteId, device = 'desktop', pageIdentifier, sessionTimestamp, user, comment } = req.body;
 
-    if (!fs.existsSync(baselineDir)) {
-      return res.status(404).json({
+    if (!siteId || !pageIdentifier) {
+      return res.status(400).json({
         success: false,
-        error: 'Baselineスクリーンショットが見つかりません'
+        error: 'siteId and pageIdentifier are required'
       });
     }
 
-    // ファイル一覧を取得してセッションでグループ化
-    const baselineFiles = fs.readdirSync(baselineDir)
-      .filter(file => file.endsWith('.png'))
-      .map(file => {
-        const timestampMatch = file.match(/(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/);
-        const sessionTimestamp = timestampMatch ? timestampMatch[1] : null;
-        const pageIdentifierMatch = file.match(/page-\d+_([^_]+)_/);
-        const pageIdentifier = pageIdentifierMatch ? pageIdentifierMatch[1] : null;
-
-        // ページ識別子からURLを復元
-        let pageUrl = null;
-        if (pageIdentifier) {
-          // 保存された設定からサイト情報を取得
-          try {
-            const configPath = path.join(__dirname, 'data', 'sites.json');
-            if (fs.existsSync(configPath)) {
-              const sites = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-              const site = sites.find(s => s.id === siteId);
-              if (site && site.baseUrl) {
-                if (pageIdentifier === 'top') {
-                  pageUrl = site.baseUrl;
-                } else {
-                  // 識別子をパスに変換
-                  const path = pageIdentifier.replace(/-/g, '/');
-                  pageUrl = `${site.baseUrl.replace(/\/$/, '')}/${path}`;
-                }
-              }
-            }
-          } catch (error) {
-            console.warn(`サイト設定の読み込みエラー: ${error.message}`);
-          }
-        }
-
-        return {
-          filename: file,
-          sessionTimestamp,
-          pageIdentifier,
-          pageUrl,
-          path: `/screenshots/${siteId}/baseline/${device}/${file}`,
-          fullPath: path.join(baselineDir, file)
-        };
-      });
-
-    // セッションごとにグループ化
-    const sessions = {};
-    baselineFiles.forEach(file => {
-      const key = file.sessionTimestamp || 'unknown';
-      if (!sessions[key]) sessions[key] = [];
-      sessions[key].push(file);
+    const approval = await reviewAfterSession({
+      action: 'rejected',
+      scope: 'page',
+      siteId,
+      device,
+      sessionTimestamp,
+      pageIdentifiers: [pageIdentifier],
+      user,
+      comment
     });
 
-    // 最新セッションを取得
-    const latestSession = Object.keys(sessions)
-      .filter(key => key !== 'unknown')
-      .sort()
-      .pop();
-
-    if (!latestSession) {
-      return res.status(404).json({
-        success: false,
-        error: '有効なセッションが見つかりません'
-      });
-    }
-
-    const baselineSessionFiles = sessions[latestSession].sort((a, b) =>
-      a.filename.localeCompare(b.filename)
-    );
-
-    // Afterファイルを探す（同じセッション優先、なければ最新のセッション）
-    let afterFiles = [];
-    if (fs.existsSync(afterDir)) {
-      // 1. 同じセッションのファイルを探す
-      afterFiles = fs.readdirSync(afterDir)
-        .filter(file => file.endsWith('.png') && file.includes(latestSession))
-        .map(file => {
-          const pageIdentifierMatch = file.match(/page-\d+_([^_]+)_/);
-          const pageIdentifier = pageIdentifierMatch ? pageIdentifierMatch[1] : null;
-
-          // ページ識別子からURLを復元
-          let pageUrl = null;
-          if (pageIdentifier) {
-            try {
-              const configPath = path.join(__dirname, 'data', 'sites.json');
-              if (fs.existsSync(configPath)) {
-                const sites = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-                const site = sites.find(s => s.id === siteId);
-                if (site && site.baseUrl) {
-                  if (pageIdentifier === 'top') {
-                    pageUrl = site.baseUrl;
-                  } else {
-                    const path = pageIdentifier.replace(/-/g, '/');
-                    pageUrl = `${site.baseUrl.replace(/\/$/, '')}/${path}`;
-                  }
-                }
-              }
-            } catch (error) {
-              console.warn(`サイト設定の読み込みエラー: ${error.message}`);
-            }
-          }
-
-          return {
-            filename: file,
-            sessionTimestamp: latestSession,
-            pageIdentifier,
-            pageUrl,
-            path: `/screenshots/${siteId}/after/${device}/${file}`,
-            fullPath: path.join(afterDir, file)
-          };
-        })
-        .sort((a, b) => a.filename.localeCompare(b.filename));
-
-      // 2. 同じセッションが見つからない場合、最新のAfterファイルセッションを使用
-      if (afterFiles.length === 0) {
-        console.log(`⚠️ 同じセッション(${latestSession})のAfterファイルが見つかりません。最新のAfterファイルを使用します。`);
-
-        const allAfterFiles = fs.readdirSync(afterDir)
-          .filter(file => file.endsWith('.png'))
-          .map(file => {
-            const timestampMatch = file.match(/(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/);
-            const sessionTimestamp = timestampMatch ? timestampMatch[1] : null;
-            const pageIdentifierMatch = file.match(/page-\d+_([^_]+)_/);
-            const pageIdentifier = pageIdentifierMatch ? pageIdentifierMatch[1] : null;
-
-            // ページ識別子からURLを復元
-            let pageUrl = null;
-            if (pageIdentifier) {
-              try {
-                const configPath = path.join(__dirname, 'data', 'sites.json');
-                if (fs.existsSync(configPath)) {
-                  const sites = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-                  const site = sites.find(s => s.id === siteId);
-                  if (site && site.baseUrl) {
-                    if (pageIdentifier === 'top') {
-                      pageUrl = site.baseUrl;
-                    } else {
-                      const path = pageIdentifier.replace(/-/g, '/');
-                      pageUrl = `${site.baseUrl.replace(/\/$/, '')}/${path}`;
-                    }
-                  }
-                }
-              } catch (error) {
-                console.warn(`サイト設定の読み込みエラー: ${error.message}`);
-              }
-            }
-
-            return {
-              filename: file,
-              sessionTimestamp,
-              pageIdentifier,
-              pageUrl,
-              path: `/screenshots/${siteId}/after/${device}/${file}`,
-              fullPath: path.join(afterDir, file)
-            };
-          });
-
-        // 最新セッションを取得
-        const afterSessions = {};
-        allAfterFiles.forEach(file => {
-          const key = file.sessionTimestamp || 'unknown';
-          if (!afterSessions[key]) afterSessions[key] = [];
-          afterSessions[key].push(file);
-        });
-
-        const latestAfterSession = Object.keys(afterSessions)
-          .filter(key => key !== 'unknown')
-          .sort()
-          .pop();
-
-        if (latestAfterSession) {
-          console.log(`📸 最新のAfterセッション ${latestAfterSession} を使用します`);
-          afterFiles = afterSessions[latestAfterSession].sort((a, b) => a.filename.localeCompare(b.filename));
-        }
-      }
-    }
-
-    // 各ページの比較結果を生成（既存の差分ファイルがあれば利用、なければ新規作成）
-    const comparisons = [];
-    for (const baselineFile of baselineSessionFiles) {
-      const afterFile = afterFiles.find(f =>
-        f.pageIdentifier === baselineFile.pageIdentifier
-      );
+    res.json({ success: true, approval });
 
-      if (afterFile) {
-        try {
-          // 既存の差分ファイルをチェック
-          const existingDiff = await findExistingDiffFile(siteId, device, baselineFile.pageIdentifier);
+  } catch (error) {
+    console.error('❌ ページ却下エラー:', error);
+    res.status(REVIEW_ERROR_STATUS[error.type] || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-          if (existingDiff) {
-            // 既存の差分ファイルを利用
-            comparisons.push({
-              pageIdentifier: baselineFile.pageIdentifier,
-              diffPath: existingDiff.relativePath,
-              status: existingDiff.status,
-              diffPercentage: existingDiff.diffPercentage || 0,
-              isExistingResult: true
-            });
-            console.log(`♻️ 既存差分ファイルを利用: ${baselineFile.pageIdentifier}`);
-          } else {
-            // 新規比較実行
-            const comparison = await compareSpecificFiles(
-              baselineFile.fullPath,
-              afterFile.fullPath,
-              siteId,
-              device,
-              2.0
-            );
-            // pageIdentifierを確実に設定
-            comparison.pageIdentifier = comparison.pageIdentifier || baselineFile.pageIdentifier;
-            comparisons.push(comparison);
-            console.log(`🆕 新規比較実行: ${baselineFile.pageIdentifier}`);
-          }
-        } catch (error) {
-          console.error(`❌ ${baselineFile.pageIdentifier}の比較エラー:`, error);
-          comparisons.push(null);
-        }
-      } else {
-        comparisons.push(null);
-      }
-    }
+/**
+ * 📜 承認・却下履歴
+ */
+app.get('/approvals/:siteId', async (req, res) => {
+  try {
+    const { siteId } = req.params;
+    const { device, pageIdentifier, limit = 50 } = req.query;
 
-    res.json({
-      success: true,
-      images: {
-        baseline: {
-          sessionTimestamp: latestSession,
-          files: baselineSessionFiles
-        },
-        after: {
-          sessionTimestamp: afterFiles.length > 0 ? afterFiles[0].sessionTimestamp : latestSession,
-          files: afterFiles
-        },
-        comparisons
-      }
+    const approvals = await database.getApprovals(siteId, {
+      device,
+      pageIdentifier,
+      limit: parseInt(limit)
     });
 
+    res.json({ success: true, approvals });
+
   } catch (error) {
-    console.error('❌ セッション画像取得エラー:', error);
+    console.error('❌ 承認履歴取得エラー:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1453,95 +2535,152 @@ app.get('/session-images/:siteId/:device', async (req, res) => {
 });
 
 /**
- * 特定ファイル間の比較
+ * Afterセッションのページを承認・却下し、監査記録を保存
+ * 承認時はAfterスクリーンショットを新しいBaselineバージョンとして昇格する
  */
-async function compareSpecificFiles(baselinePath, afterPath, siteId, device, threshold) {
-  const baselineBuffer = fs.readFileSync(baselinePath);
-  const afterBuffer = fs.readFileSync(afterPath);
+async function reviewAfterSession({ action, scope, siteId, device, sessionTimestamp, pageIdentifiers, user, comment }) {
+  validateScreenshotTarget(siteId, device, sitesManager.getSite(siteId));
 
-  const baselinePng = PNG.sync.read(baselineBuffer);
-  const afterPng = PNG.sync.read(afterBuffer);
-
-  // サイズ調整
-  const maxWidth = Math.max(baselinePng.width, afterPng.width);
-  const maxHeight = Math.max(baselinePng.height, afterPng.height);
+  const siteDir = path.join(SCREENSHOTS_DIR, siteId);
+  const after = findAfterFiles(siteDir, device, sessionTimestamp);
 
-  let resizedBaseline = baselinePng;
-  let resizedAfter = afterPng;
+  const targets = pageIdentifiers
+    ? after.files.filter(info => pageIdentifiers.includes(info.pageIdentifier))
+    : after.files;
 
-  if (baselinePng.width !== maxWidth || baselinePng.height !== maxHeight) {
-    const resizedBuffer = await sharp(baselineBuffer)
-      .resize(maxWidth, maxHeight, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
-      .png()
-      .toBuffer();
-    resizedBaseline = PNG.sync.read(resizedBuffer);
+  if (targets.length === 0) {
+    throw new VRTError('承認対象のAfterスクリーンショットが見つかりません', 'MISSING_AFTER');
   }
 
-  if (afterPng.width !== maxWidth || afterPng.height !== maxHeight) {
-    const resizedBuffer = await sharp(afterBuffer)
-      .resize(maxWidth, maxHeight, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
-      .png()
-      .toBuffer();
-    resizedAfter = PNG.sync.read(resizedBuffer);
+  const approvalId = `approval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const promoted = action === 'approved'
+    ? promoteAfterToBaseline(siteDir, device, targets, approvalId)
+    : null;
+  const pages = promoted
+    ? promoted.pages
+    : targets.map(info => ({ pageIdentifier: info.pageIdentifier, afterFile: info.file }));
+
+  const approval = await database.saveApproval({
+    id: approvalId,
+    action,
+    scope,
+    siteId,
+    device,
+    sessionTimestamp: after.sessionTimestamp,
+    pages,
+    baselineVersion: promoted ? promoted.baselineVersion : null,
+    user,
+    comment
+  });
+
+  console.log(`${action === 'approved' ? '✅' : '❌'} ${siteId}/${device}: ${pages.length}ページを${action === 'approved' ? '承認' : '却下'} (${approval.user})`);
+
+  return approval;
+}
+
+/**
+ * サイトのページレジストリからペアリング用の索引を作成
+ */
+async function loadPageIndex(siteId) {
+  try {
+    return indexRegistryPages(await database.getSitePages(siteId));
+  } catch (error) {
+    console.log('⚠️ ページレジストリ読み込みエラー:', error.message);
+    return indexRegistryPages([]);
   }
+}
+
+/**
+ * スクリーンショットのページキー（同じページなら撮影時期・識別子が違っても同じ）を取得
+ */
+function getFilePageKey(pageIndex, dir, info) {
+  const metadata = loadCaptureMetadata(path.join(dir, info.file));
+  return pageIndex.keyOf(info.pageIdentifier, metadata ? metadata.url : null);
+}
+
+/**
+ * ページキーからURLを取得（レジストリ未登録はnull）
+ */
+function getPageUrl(pageIndex, pageKey) {
+  const entry = pageIndex.byUrl.get(pageKey);
+  return entry ? entry.url : null;
+}
+
+/**
+ * セッション画像一覧用のファイル情報（ページのURLとペアリング用のキーを含む）
+ */
+function describeSessionFile(pageIndex, siteId, type, device, file) {
+  const dir = path.join(SCREENSHOTS_DIR, siteId, type, device);
+  const info = parseScreenshotFilename(file);
+  const pageIdentifier = info ? info.pageIdentifier : null;
+  const pageKey = info ? getFilePageKey(pageIndex, dir, info) : null;
+  const timestampMatch = file.match(/(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/);
 
-  // 差分計算
-  const diffPng = new PNG({ width: maxWidth, height: maxHeight });
+  return {
+    filename: file,
+    sessionTimestamp: timestampMatch ? timestampMatch[1] : null,
+    pageId: info ? info.pageId : null,
+    pageIdentifier,
+    pageKey,
+    pageUrl: pageKey ? getPageUrl(pageIndex, pageKey) : null,
+    path: `/screenshots/${siteId}/${type}/${device}/${file}`,
+    fullPath: path.join(dir, file)
+  };
+}
 
-  const diffPixels = pixelmatch(
-    resizedBaseline.data,
-    resizedAfter.data,
-    diffPng.data,
-    maxWidth,
-    maxHeight,
-    {
-      threshold: CONFIG.PIXELMATCH_THRESHOLD,  // 正しい色差許容度を使用 (0.02)
-      alpha: 0.1,
-      antialiasing: false,                     // より正確な差分検出のため無効化
-      diffColor: [255, 0, 0],
-      diffColorAlt: [255, 255, 0]
+/**
+ * 撮影時に記録したページのテンプレートを取得（先に見つかったものを採用）
+ */
+function loadPageTemplate(...screenshotPaths) {
+  for (const screenshotPath of screenshotPaths) {
+    const metadata = loadCaptureMetadata(screenshotPath);
+    if (metadata && metadata.pageInfo && metadata.pageInfo.template) {
+      return metadata.pageInfo.template;
     }
-  );
+  }
+  return null;
+}
 
-  const totalPixels = maxWidth * maxHeight;
-  const diffPercentage = (diffPixels / totalPixels) * 100;
-  
-  // 高精度な差分率（小数点6桁まで保持）
-  const preciseDiffPercentage = Math.round(diffPercentage * 1000000) / 1000000;
-  
-  // ファイル名用の丸め（小数点4桁）
-  const roundedForFilename = Math.round(diffPercentage * 10000) / 10000;
+/**
+ * 撮影時に記録した除外領域（矩形）を取得
+ */
+function loadCapturedIgnoreRects(screenshotPath) {
+  const metadata = loadCaptureMetadata(screenshotPath);
+  return metadata && Array.isArray(metadata.ignoreRegions) ? metadata.ignoreRegions : [];
+}
 
-  // baselineのファイル名からpageInfoを抽出
-  const baselineFilename = path.basename(baselinePath);
-  const pageMatch = baselineFilename.match(/page-(\d{3})_([^_]+)_/);
+/**
+ * 撮影時に記録した除外領域を比較画像に適用
+ * baseline/after 両方の除外領域の和集合をマスクする
+ */
+function applyCapturedIgnoreRegions(baselinePath, afterPath, images, width, height) {
+  const rects = [baselinePath, afterPath].flatMap(loadCapturedIgnoreRects);
 
-  // 差分画像を保存
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  let diffFilename;
-  if (pageMatch) {
-    const pageId = pageMatch[1];
-    const pageIdentifier = pageMatch[2];
-    diffFilename = `page-${pageId}_${pageIdentifier}_${timestamp}_diff-${roundedForFilename}%.png`;
-  } else {
-    // フォールバック：旧形式
-    diffFilename = `${path.basename(baselinePath, '.png')}_diff-${roundedForFilename}%_${timestamp}.png`;
+  const { mask, maskedPixels } = buildIgnoreMask(width, height, rects);
+  if (maskedPixels > 0) {
+    applyIgnoreMask(images, mask);
   }
-  const diffDir = path.join(DIFFS_DIR, siteId, device, `threshold-${threshold}`);
 
-  fs.ensureDirSync(diffDir);
-  const diffPath = path.join(diffDir, diffFilename);
+  return { mask, maskedPixels, regionCount: rects.length };
+}
+
+/**
+ * 特定ファイル間の比較
+ */
+async function compareSpecificFiles(baselinePath, afterPath, siteId, device, threshold) {
+  // baselineのファイル名からpageInfoを抽出
+  const pageMatch = path.basename(baselinePath).match(/page-(\d{3,})_([^_]+)_/);
+  const pageInfo = pageMatch ? { pageId: pageMatch[1], pageIdentifier: pageMatch[2] } : null;
 
-  const diffBuffer = PNG.sync.write(diffPng);
-  fs.writeFileSync(diffPath, diffBuffer);
+  const result = await compareFiles(baselinePath, afterPath, siteId, device, threshold, pageInfo);
+  applyComponentResults(result, await compareComponents(baselinePath, afterPath, siteId, device, pageInfo));
+  applySiteRuntimeErrors(result, baselinePath, afterPath, siteId);
+  applyCapturedHttpResults(result, baselinePath, afterPath);
+  applyCapturedPhpErrors(result, baselinePath, afterPath);
 
   return {
-    status: preciseDiffPercentage > threshold ? 'NG' : 'OK',
-    diffPercentage: preciseDiffPercentage,  // 高精度値を返す
-    diffPixels,
-    diffPath: `/diffs/${siteId}/${device}/threshold-${threshold}/${diffFilename}`,
-    threshold,
-    pageIdentifier: pageMatch ? pageMatch[2] : null
+    ...result,
+    pageIdentifier: pageInfo ? pageInfo.pageIdentifier : null
   };
 }
 
@@ -1627,64 +2766,148 @@ app.use('/screenshots', express.static(SCREENSHOTS_DIR));
 app.use('/diffs', express.static(DIFFS_DIR));
 
 /**
- * ブラウザインスタンスを取得（再利用）
+ * ブラウザインスタンスを取得（エンジンごとに再利用）
  */
-async function getBrowser() {
-  if (!globalBrowser || !globalBrowser.isConnected()) {
-    console.log('🚀 新しいブラウザインスタンスを起動');
-    globalBrowser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-web-security'
-      ]
-    });
+async function getBrowser(engine = 'chromium') {
+  const name = resolveBrowserEngine(engine);
+  const current = browserPool.get(name);
+
+  if (!current || !current.isConnected()) {
+    console.log(`🚀 新しいブラウザインスタンスを起動 (${name})`);
+    try {
+      // 起動オプションはChromium専用
+      browserPool.set(name, await playwright[name].launch({
+        headless: true,
+        args: name === 'chromium' ? [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-web-security'
+        ] : []
+      }));
+    } catch (error) {
+      throw new VRTError(
+        `${name} を起動できません（npx playwright install ${name} を実行してください）: ${error.message}`,
+        'BROWSER_LAUNCH_ERROR',
+        { retryable: false }
+      );
+    }
+  }
+  return browserPool.get(name);
+}
+
+/**
+ * 認証情報を復号したサイト設定を取得（ログイン撮影用）
+ */
+function getSecureSite(siteId) {
+  return { id: siteId, ...sitesManager.getSecureSite(siteId) };
+}
+
+/**
+ * クロールのログイン設定（auth.crawl のサイトはログイン状態でクロールし、ログアウトURLは辿らない）
+ */
+async function getCrawlAuthOptions(browser, site) {
+  if (!site.auth || !site.auth.enabled || !site.auth.crawl) {
+    return { contextOptions: {}, crawlerOptions: {} };
   }
-  return globalBrowser;
+
+  console.log(`🔑 ${site.id} をログイン状態でクロールします`);
+  const excludePatterns = (site.crawlSettings && site.crawlSettings.excludePatterns) ||
+    SiteCrawler.DEFAULT_EXCLUDE_PATTERNS;
+
+  return {
+    contextOptions: { storageState: await wpAuth.getStorageState(browser, getSecureSite(site.id)) },
+    crawlerOptions: { excludePatterns: [...excludePatterns, ...LOGGED_IN_EXCLUDE_PATTERNS] }
+  };
 }
 
 /**
  * 高精度スクリーンショット撮影実装
+ * job を渡した場合は中断・一時停止の要求を確認し、コンテキストを中断時に閉じられるよう登録する
  */
-async function takeHighPrecisionScreenshot(url, siteId, type, device, pageInfo = null, sessionTimestamp = null) {
-  const browser = await getBrowser();
+async function takeHighPrecisionScreenshot(url, siteId, type, device, pageInfo = null, sessionTimestamp = null, job = null) {
+  // device は撮影キー（<デバイス> または <デバイス>@<エンジン>）
+  const deviceProfile = getSiteDeviceProfile(siteId, device);
+  const { device: deviceName, browser: engine } = parseCaptureKey(device);
+  const browser = await getBrowser(engine);
   let context = null;
+  let untrackContext = null;
+  let har = null;
+  let filepath = null;
   let attempt = 1;
   
   return await errorHandler.executeWithRetry(async () => {
     try {
-      // サイトごとのコンテキスト（キャッシュ・Cookie共有）
+      if (job) job.throwIfStopped();
+
+      // ログインが必要なページは保存済みのログイン状態（Cookie）で撮影
+      const authenticated = requiresLogin(sitesManager.getSite(siteId), url);
+
+      // 保存先
+      // セッションタイムスタンプが指定されていれば使用、そうでなければ新規作成
+      const timestamp = sessionTimestamp || new Date().toISOString().replace(/[:.]/g, '-');
+      let filename;
+
+      if (pageInfo) {
+        // ページ識別子付きファイル名
+        filename = `page-${pageInfo.pageId}_${pageInfo.identifier}_${timestamp}.png`;
+      } else {
+        // 従来のファイル名
+        filename = `${timestamp}.png`;
+      }
+
+      const dir = path.join(SCREENSHOTS_DIR, siteId, type, device);
+      filepath = path.join(dir, filename);
+
+      // 外部リソースのHAR（Baselineはコンテキストを閉じた時点で記録される）
+      har = getSiteHarUsage(siteId, type, device, url, filename, pageInfo);
+
+      // デバイスプロファイル（ビューポート・デバイスピクセル比・UserAgent・タッチ）
       const contextOptions = {
-        viewport: device === 'mobile' ? CONFIG.MOBILE_VIEWPORT : CONFIG.VIEWPORT,
-        deviceScaleFactor: 1,
-        hasTouch: device === 'mobile',
-        isMobile: device === 'mobile',
+        ...buildContextOptions(deviceProfile),
         ignoreHTTPSErrors: true,
         reducedMotion: 'reduce',
         forcedColors: 'none',
         colorScheme: 'light',
-        // キャッシュとCookieを保持
-        storageState: undefined // 同じサイトでは状態を保持
+        storageState: authenticated ? await wpAuth.getStorageState(browser, getSecureSite(siteId)) : undefined,
+        recordHar: har && har.mode === 'record' ? getRecordHarOptions(har.path, har.urlFilter) : undefined
       };
 
-      context = await browser.newContext(contextOptions);
+      context = await browser.newContext(contextOptions);
+      if (job) untrackContext = job.trackContext(context);
+
+      // 決定的レンダリング（時計・乱数の固定、広告・解析スクリプトの遮断）
+      const determinism = getSiteDeterminism(siteId);
+      const determinismStats = await applyDeterminism(context, determinism);
+
+      // 外部ホストへのリクエストはBaseline撮影時のHARから返す
+      if (har && har.mode === 'replay') {
+        await replayFromHar(context, har.path, har.urlFilter);
+        console.log(`📼 HARを再生: ${path.relative(SCREENSHOTS_DIR, har.path)}`);
+      }
+
       const page = await context.newPage();
 
+      // ブラウザのエラー（意図的に遮断したリクエストは除く）
+      const getRuntimeErrors = collectRuntimeErrors(page, {
+        isIgnoredUrl: requestUrl => determinism.blockThirdParty &&
+          determinism.blockedHosts.some(host => matchHostPattern(requestUrl, host))
+      });
+
       // WordPress最適化設定
-      await setupWordPressOptimization(page);
+      await setupWordPressOptimization(page, { userAgent: contextOptions.userAgent });
 
       // ページ読み込み（エラーハンドリング強化）
+      let response = null;
       try {
-        await page.goto(url, {
+        response = await page.goto(url, {
           waitUntil: 'networkidle',
           timeout: CONFIG.TIMEOUT
         });
       } catch (error) {
         const action = await errorHandler.handleScreenshotError(error, url, siteId, attempt);
         if (action === 'retry_with_fallback') {
-          await page.goto(url, {
+          response = await page.goto(url, {
             waitUntil: 'domcontentloaded',
             timeout: CONFIG.TIMEOUT
           });
@@ -1698,9 +2921,44 @@ async function takeHighPrecisionScreenshot(url, siteId, type, device, pageInfo =
         attempt++;
       }
 
+      // ログイン画面に戻された場合はログイン状態を破棄して再試行（次回はログインし直す）
+      if (authenticated && isLoginPage(page.url())) {
+        wpAuth.invalidate(siteId);
+        throw new VRTError(`ログイン状態が失効しています: ${url}`, 'AUTH_EXPIRED', { siteId });
+      }
+
       // WordPress特化の待機処理
       await waitForWordPressReady(page);
 
+      // メインドキュメントのステータス・リダイレクト（操作ステップによる遷移の前に記録）
+      const http = await recordNavigation(page, response);
+      if (http.status >= 400 || http.redirectChain.length > 0) {
+        console.log(`🚦 HTTP ${http.status}${http.redirectChain.length > 0 ? ` (リダイレクト → ${http.finalUrl})` : ''}: ${url}`);
+      }
+
+      // 撮影前の操作ステップ（タブ切り替え・メニュー展開・Cookieバナー等）
+      const captureSteps = sitesManager.getCaptureSteps(siteId, url, deviceName);
+      try {
+        await runCaptureSteps(page, captureSteps);
+      } catch (error) {
+        if (error.type === 'INTERACTION_STEP_FAILED') {
+          await errorHandler.handleInteractionError(error, url, siteId, device);
+        }
+        throw error;
+      }
+
+      // 埋め込み（YouTube・地図）をプレースホルダーに置き換え
+      const replacedIframes = await replaceIframes(page, determinism);
+
+      // 比較除外領域をフルページ座標に解決
+      // スクリーンショットはデバイスピクセル比の解像度で撮るため、除外領域・コンポーネントの位置も合わせる
+      const scale = contextOptions.deviceScaleFactor || 1;
+      const ignoreRegions = await resolveIgnoreRegions(
+        page,
+        sitesManager.getIgnoreRegions(siteId, url, deviceName),
+        scale
+      );
+
       // スクリーンショット撮影
       const screenshot = await page.screenshot({
         fullPage: true,
@@ -1709,25 +2967,60 @@ async function takeHighPrecisionScreenshot(url, siteId, type, device, pageInfo =
       });
 
       // ローカルファイルに保存
-      // セッションタイムスタンプが指定されていれば使用、そうでなければ新規作成
-      const timestamp = sessionTimestamp || new Date().toISOString().replace(/[:.]/g, '-');
-      let filename;
+      fs.ensureDirSync(dir);
+      fs.writeFileSync(filepath, screenshot);
 
-      if (pageInfo) {
-        // ページ識別子付きファイル名
-        filename = `page-${pageInfo.pageId}_${pageInfo.identifier}_${timestamp}.png`;
-      } else {
-        // 従来のファイル名
-        filename = `${timestamp}.png`;
+      console.log(`✅ スクリーンショット保存: ${filepath}`);
+
+      // DOMスナップショット（要素の位置・計算済みスタイル。NG時の構造の差分に使う）
+      const domElements = await captureDomSnapshot(page, filepath);
+
+      const runtimeErrors = getRuntimeErrors();
+      if (runtimeErrors.length > 0) {
+        console.log(`🐞 ブラウザのエラー: ${runtimeErrors.length}件 (${url})`);
       }
 
-      const dir = path.join(SCREENSHOTS_DIR, siteId, type, device);
+      // 表示中のPHPエラー・WordPressのエラー画面（ジョブのイベントでも通知）
+      const phpErrors = await scanPhpErrors(page);
+      if (phpErrors.length > 0) {
+        console.log(`🧨 ${describePhpErrors(phpErrors)}: ${url}`);
+        if (job) {
+          job.report('phpError', {
+            siteId, device, url, message: `🧨 ${describePhpErrors(phpErrors)}: ${url}`, errors: phpErrors
+          });
+        }
+      }
 
-      fs.ensureDirSync(dir);
-      const filepath = path.join(dir, filename);
-      fs.writeFileSync(filepath, screenshot);
+      // コンポーネント（ヘッダー・フッター等）の要素スクリーンショット
+      const components = await captureComponents(
+        page,
+        sitesManager.getComponents(siteId, url, deviceName),
+        filepath,
+        ignoreRegions,
+        scale
+      );
 
-      console.log(`✅ スクリーンショット保存: ${filepath}`);
+      // 撮影メタデータ（除外領域など）を保存
+      saveCaptureMetadata(filepath, {
+        url,
+        siteId,
+        type,
+        device,
+        pageInfo,
+        browser: engine,
+        viewport: contextOptions.viewport,
+        deviceScaleFactor: scale,
+        authenticated,
+        captureSteps: captureSteps.length,
+        components,
+        determinism: { ...describeDeterminism(determinism), ...determinismStats, replacedIframes },
+        networkReplay: har ? { mode: har.mode, har: path.relative(SCREENSHOTS_DIR, har.path) } : null,
+        domElements,
+        runtimeErrors,
+        http,
+        phpErrors,
+        ignoreRegions
+      });
 
       return {
         filename,
@@ -1737,10 +3030,21 @@ async function takeHighPrecisionScreenshot(url, siteId, type, device, pageInfo =
         type,
         device,
         size: screenshot.length,
+        browser: engine,
+        authenticated,
+        captureSteps: captureSteps.length,
+        components: components.filter(component => component.found).length,
+        networkReplay: har ? har.mode : null,
+        runtimeErrors: runtimeErrors.length,
+        httpStatus: http.status,
+        phpErrors: phpErrors.length,
+        ignoreRegions: ignoreRegions.length,
         timestamp: new Date().toISOString()
       };
 
     } finally {
+      if (untrackContext) untrackContext();
+
       // コンテキストのみクローズ（ブラウザは再利用）
       if (context) {
         try {
@@ -1749,14 +3053,20 @@ async function takeHighPrecisionScreenshot(url, siteId, type, device, pageInfo =
           console.log('⚠️ コンテキストクローズエラー:', error.message);
         }
       }
+
+      // 撮影できなかったページのHARは残さない
+      if (har && har.mode === 'record' && !fs.existsSync(filepath)) {
+        fs.removeSync(har.path);
+      }
     }
   }, `スクリーンショット撮影: ${url}`, 3);
 }
 
 /**
  * WordPress最適化設定
+ * UserAgentはデバイスプロファイルで指定されていればそれを使う
  */
-async function setupWordPressOptimization(page) {
+async function setupWordPressOptimization(page, options = {}) {
   await page.addInitScript(() => {
     const style = document.createElement('style');
     style.textContent = `
@@ -1775,7 +3085,8 @@ async function setupWordPressOptimization(page) {
   });
 
   await page.setExtraHTTPHeaders({
-    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    'User-Agent': options.userAgent ||
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
   });
 }
 
@@ -1902,7 +3213,7 @@ async function autoScrollToBottom(page) {
 /**
  * 高精度画像比較
  */
-async function compareHighPrecisionScreenshots(siteId, device, threshold = 2.0) {
+async function compareHighPrecisionScreenshots(siteId, device, threshold = 2.0, options = {}) {
   return await errorHandler.executeWithRetry(async () => {
     const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
     const afterDir = path.join(SCREENSHOTS_DIR, siteId, 'after', device);
@@ -1911,8 +3222,9 @@ async function compareHighPrecisionScreenshots(siteId, device, threshold = 2.0)
       throw new VRTError('Baseline または After スクリーンショットが見つかりません', 'MISSING_BASELINE');
     }
 
-    // ページペアでファイルを取得
-    const baselineFiles = fs.readdirSync(baselineDir).filter(f => f.endsWith('.png'));
+    // ページペアでファイルを取得（Baselineは現在のバージョンのファイルのみ）
+    const baselineFiles = Array.from(getVersionFiles(resolveBaselineVersion(baselineDir)).values())
+      .map(info => info.file);
     const afterFiles = fs.readdirSync(afterDir).filter(f => f.endsWith('.png'));
 
     if (baselineFiles.length === 0 || afterFiles.length === 0) {
@@ -1924,7 +3236,7 @@ async function compareHighPrecisionScreenshots(siteId, device, threshold = 2.0)
   let afterFile = null;
 
   for (const bFile of baselineFiles) {
-    const pageMatch = bFile.match(/page-(\d{3})_([^_]+)_/);
+    const pageMatch = bFile.match(/page-(\d{3,})_([^_]+)_/);
     if (!pageMatch) continue;
 
     const pageId = pageMatch[1];
@@ -1949,91 +3261,37 @@ async function compareHighPrecisionScreenshots(siteId, device, threshold = 2.0)
 
     const baselinePath = path.join(baselineDir, baselineFile);
     const afterPath = path.join(afterDir, afterFile);
+    const pageMatch = baselineFile.match(/page-(\d{3,})_([^_]+)_/);
 
-    // 画像読み込み（エラーハンドリング強化）
-    let baselineBuffer, afterBuffer;
+    // 画像比較（エラーハンドリング強化）
+    let comparison;
     try {
-      baselineBuffer = fs.readFileSync(baselinePath);
-      afterBuffer = fs.readFileSync(afterPath);
+      const pageInfo = { pageId: pageMatch[1], pageIdentifier: pageMatch[2] };
+      comparison = await compareFiles(baselinePath, afterPath, siteId, device, threshold, pageInfo, options);
+      applyComponentResults(
+        comparison,
+        await compareComponents(baselinePath, afterPath, siteId, device, pageInfo, options)
+      );
+      applySiteRuntimeErrors(comparison, baselinePath, afterPath, siteId);
+      applyCapturedHttpResults(comparison, baselinePath, afterPath);
+      applyCapturedPhpErrors(comparison, baselinePath, afterPath);
     } catch (error) {
       const errorResult = await errorHandler.handleComparisonError(error, siteId, device);
       if (errorResult.status === 'ERROR') {
-        throw new VRTError(errorResult.message, 'CORRUPTED_IMAGE');
+        // 破損と判定できたエラーだけを CORRUPTED_IMAGE とし、それ以外（SSIM・判定処理の失敗など）は区別する
+        const corrupted = errorHandler.classifyComparisonError(error) === 'CORRUPTED_IMAGE';
+        throw new VRTError(errorResult.message, corrupted ? 'CORRUPTED_IMAGE' : 'COMPARISON_ERROR');
       }
       throw error;
     }
 
-    let baselinePng, afterPng;
-    try {
-      baselinePng = PNG.sync.read(baselineBuffer);
-      afterPng = PNG.sync.read(afterBuffer);
-    } catch (error) {
-      throw new VRTError(`画像形式が不正です: ${error.message}`, 'CORRUPTED_IMAGE');
-    }
-
-  // サイズ調整
-  const maxWidth = Math.max(baselinePng.width, afterPng.width);
-  const maxHeight = Math.max(baselinePng.height, afterPng.height);
-
-  let resizedBaseline = baselinePng;
-  let resizedAfter = afterPng;
-
-  if (baselinePng.width !== maxWidth || baselinePng.height !== maxHeight) {
-    const resizedBuffer = await sharp(baselineBuffer)
-      .resize(maxWidth, maxHeight, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
-      .png()
-      .toBuffer();
-    resizedBaseline = PNG.sync.read(resizedBuffer);
-  }
-
-  if (afterPng.width !== maxWidth || afterPng.height !== maxHeight) {
-    const resizedBuffer = await sharp(afterBuffer)
-      .resize(maxWidth, maxHeight, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
-      .png()
-      .toBuffer();
-    resizedAfter = PNG.sync.read(resizedBuffer);
-  }
-
-  // 差分画像作成
-  const diffPng = new PNG({ width: maxWidth, height: maxHeight });
-
-  const diffPixels = pixelmatch(
-    resizedBaseline.data,
-    resizedAfter.data,
-    diffPng.data,
-    maxWidth,
-    maxHeight,
-    {
-      threshold: CONFIG.PIXELMATCH_THRESHOLD,  // 正しい色差許容度を使用 (0.02)
-      alpha: 0.1,
-      antialiasing: false,                     // より正確な差分検出のため無効化
-      diffColor: [255, 0, 0],
-      diffColorAlt: [255, 255, 0]
-    }
-  );
-
-  // 差分率計算（高精度）
-  const totalPixels = maxWidth * maxHeight;
-  const diffPercentage = (diffPixels / totalPixels) * 100;
-  
-  // 高精度な差分率（小数点6桁まで保持）
-  const preciseDiffPercentage = Math.round(diffPercentage * 1000000) / 1000000;
-
-  // 差分画像保存（闾値別ディレクトリ）
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const diffFilename = `${timestamp}_diff.png`;
-  const diffDir = path.join(DIFFS_DIR, siteId, device, `threshold-${threshold}`);
-
-  fs.ensureDirSync(diffDir);
-  const diffPath = path.join(diffDir, diffFilename);
-
-  const diffBuffer = PNG.sync.write(diffPng);
-  fs.writeFileSync(diffPath, diffBuffer);
+    const { status, diffPixels, diffPercentage: preciseDiffPercentage, dimensions } = comparison;
+    const diffFilename = comparison.diffFile || path.basename(comparison.diffPath);
 
-  // 結果判定（高精度値で判定）
-  const status = preciseDiffPercentage > threshold ? 'NG' : 'OK';
-
-  console.log(`${status === 'NG' ? '⚠️' : '✅'} 比較結果: ${preciseDiffPercentage.toFixed(6)}% (${diffPixels}px) [闾値: ${threshold}%]`);
+    const summaryText = comparison.algorithm === 'ssim'
+      ? `SSIM ${comparison.ssim}`
+      : `${preciseDiffPercentage.toFixed(6)}% (${diffPixels}px)${comparison.ssim !== undefined ? ` / SSIM ${comparison.ssim}` : ''}`;
+    console.log(`${status === 'NG' ? '⚠️' : '✅'} 比較結果: ${summaryText} [闾値: ${threshold}%]`);
 
     const result = {
       siteId,
@@ -2041,13 +3299,31 @@ async function compareHighPrecisionScreenshots(siteId, device, threshold = 2.0)
       baselineFile,
       afterFile,
       diffFile: diffFilename,
-      diffPath: `/diffs/${siteId}/${device}/threshold-${threshold}/${diffFilename}`,
+      diffPath: comparison.diffPath,
       diffPixels,
       diffPercentage: preciseDiffPercentage,  // 高精度値を返す
+      ssim: comparison.ssim,
+      ssimHeatmapPath: comparison.ssimHeatmapPath,
+      algorithm: comparison.algorithm,
+      judgeBy: comparison.judgeBy,
+      changedRegions: comparison.changedRegions,
+      changedRegionCount: comparison.changedRegionCount,
+      regionsImagePath: comparison.regionsImagePath,
+      contentShifts: comparison.contentShifts,
+      domDiff: comparison.domDiff,
+      domDiffPath: comparison.domDiffPath,
+      components: comparison.components,
+      componentStatus: comparison.componentStatus,
+      runtimeErrors: comparison.runtimeErrors,
+      runtimeErrorStatus: comparison.runtimeErrorStatus,
+      http: comparison.http,
+      httpStatus: comparison.httpStatus,
+      phpErrors: comparison.phpErrors,
+      phpErrorStatus: comparison.phpErrorStatus,
       status,
       threshold,
       timestamp: new Date().toISOString(),
-      dimensions: { width: maxWidth, height: maxHeight }
+      dimensions
     };
 
     // データベースに結果を保存
@@ -2062,8 +3338,18 @@ async function compareHighPrecisionScreenshots(siteId, device, threshold = 2.0)
         baselineFile,
         afterFile,
         diffFile: diffFilename,
+        pageId: pageMatch[1],
+        pageIdentifier: pageMatch[2],
         metadata: {
-          dimensions: { width: maxWidth, height: maxHeight }
+          dimensions,
+          algorithm: comparison.algorithm,
+          ssim: comparison.ssim,
+          changedRegions: comparison.changedRegions,
+          contentShifts: comparison.contentShifts,
+          components: summarizeComponentRecords(comparison.components),
+          runtimeErrors: summarizeRuntimeErrors(comparison.runtimeErrors),
+          http: comparison.http,
+          phpErrors: comparison.phpErrors
         }
       });
     } catch (dbError) {
@@ -2148,12 +3434,19 @@ app.listen(PORT, () => {
   console.log(`🎉 Local WordPress VRT Server running on port ${PORT}`);
   console.log(`🌐 API URL: http://localhost:${PORT}`);
   console.log('🚀 Ready for high-precision WordPress VRT!');
+
+  // APIで追加・更新して保存したサイト設定を反映してから、再起動前の未完了ジョブを再開
+  database.getAllSiteConfigs()
+    .then(sites => sitesManager.loadSavedSites(sites))
+    .catch(error => console.error('❌ サイト設定読み込みエラー:', error.message))
+    .then(() => jobQueue.restore())
+    .catch(error => console.error('❌ ジョブ再投入エラー:', error.message));
 });
 
 /**
  * 複数ページ画像比較
  */
-async function compareMultiPageScreenshots(siteId, device, threshold = 2.0) {
+async function compareMultiPageScreenshots(siteId, device, threshold = 2.0, options = {}) {
   const baselineDir = path.join(SCREENSHOTS_DIR, siteId, 'baseline', device);
   const afterDir = path.join(SCREENSHOTS_DIR, siteId, 'after', device);
 
@@ -2161,49 +3454,51 @@ async function compareMultiPageScreenshots(siteId, device, threshold = 2.0) {
     throw new Error('Baseline または After スクリーンショットが見つかりません');
   }
 
-  const baselineFiles = fs.readdirSync(baselineDir).filter(f => f.endsWith('.png'));
-  const afterFiles = fs.readdirSync(afterDir).filter(f => f.endsWith('.png'));
-
-  console.log(`🔍 複数ページ比較: baseline ${baselineFiles.length}ファイル, after ${afterFiles.length}ファイル`);
+  // Baselineは指定バージョン（未指定時は固定バージョン、なければ最新）のファイルを使用
+  const baselineVersion = resolveBaselineVersion(baselineDir, options.baselineVersion);
+  if (!baselineVersion) {
+    throw new Error('Baselineバージョンが見つかりません');
+  }
 
-  const results = [];
-  const processedPairs = new Map();
+  // ページレジストリで同じページを対応付け（撮影時のURL、なければ識別子から解決）
+  const pageIndex = await loadPageIndex(siteId);
 
-  // 最新セッション同士でページIDペアリング
   const baselineSessionMap = new Map();
-  const afterSessionMap = new Map();
+  getVersionFiles(baselineVersion).forEach(info => {
+    baselineSessionMap.set(getFilePageKey(pageIndex, baselineDir, info), {
+      file: info.file,
+      timestamp: info.sessionTimestamp,
+      pageId: info.pageId,
+      pageIdentifier: info.pageIdentifier
+    });
+  });
 
-  // baselineファイルをページごとに分類し、最新のものを取得
-  // ページ識別子のみでペアリング（pageIdは無視）
-  baselineFiles.forEach(f => {
-    const pageMatch = f.match(/page-(\d{3})_([^_]+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/);
-    if (pageMatch) {
-      const pageKey = pageMatch[2]; // 識別子のみを使用
-      const timestamp = pageMatch[3];
+  // Afterは指定セッション（未指定時はページごとに最新）のファイルを使用
+  const afterFiles = listScreenshotFiles(afterDir)
+    .filter(info => !options.afterSession || info.sessionTimestamp === options.afterSession);
 
-      if (!baselineSessionMap.has(pageKey) || timestamp > baselineSessionMap.get(pageKey).timestamp) {
-        baselineSessionMap.set(pageKey, { file: f, timestamp, pageId: pageMatch[1], pageIdentifier: pageMatch[2] });
-      }
-    }
-  });
+  console.log(`🔍 複数ページ比較: baselineバージョン ${baselineVersion.id} (${baselineSessionMap.size}ページ), after ${afterFiles.length}ファイル`);
 
-  // afterファイルをページごとに分類し、最新のものを取得
-  // ページ識別子のみでペアリング（pageIdは無視）
-  afterFiles.forEach(f => {
-    const pageMatch = f.match(/page-(\d{3})_([^_]+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/);
-    if (pageMatch) {
-      const pageKey = pageMatch[2]; // 識別子のみを使用
-      const timestamp = pageMatch[3];
+  const results = [];
 
-      if (!afterSessionMap.has(pageKey) || timestamp > afterSessionMap.get(pageKey).timestamp) {
-        afterSessionMap.set(pageKey, { file: f, timestamp, pageId: pageMatch[1], pageIdentifier: pageMatch[2] });
-      }
+  // ページキーでペアリング（pageIdは無視）
+  const afterSessionMap = new Map();
+  afterFiles.forEach(info => {
+    const pageKey = getFilePageKey(pageIndex, afterDir, info);
+    const current = afterSessionMap.get(pageKey);
+    if (!current || info.sessionTimestamp > current.timestamp) {
+      afterSessionMap.set(pageKey, {
+        file: info.file,
+        timestamp: info.sessionTimestamp,
+        pageId: info.pageId,
+        pageIdentifier: info.pageIdentifier
+      });
     }
   });
 
   console.log(`🔄 最新ペアリング: baseline ${baselineSessionMap.size}ページ, after ${afterSessionMap.size}ページ`);
 
-  // 最新セッション同士でペアを作成
+  // Baselineバージョンの各ページとAfterでペアを作成
   for (const [pageKey, baselineInfo] of baselineSessionMap) {
     const afterInfo = afterSessionMap.get(pageKey);
 
@@ -2214,26 +3509,47 @@ async function compareMultiPageScreenshots(siteId, device, threshold = 2.0) {
         // 重複差分ファイルを削除
         await cleanupOldDiffFiles(siteId, device, baselineInfo.pageId, baselineInfo.pageIdentifier);
 
-        const result = await compareFiles(
-          path.join(baselineDir, baselineInfo.file),
+        const template = loadPageTemplate(
           path.join(afterDir, afterInfo.file),
-          siteId,
-          device,
-          threshold,
-          { pageId: baselineInfo.pageId, pageIdentifier: baselineInfo.pageIdentifier }
+          path.join(baselineDir, baselineInfo.file)
+        );
+
+        const pageInfo = { pageId: baselineInfo.pageId, pageIdentifier: baselineInfo.pageIdentifier };
+        const baselinePath = path.join(baselineDir, baselineInfo.file);
+        const afterPath = path.join(afterDir, afterInfo.file);
+
+        const result = await compareFiles(baselinePath, afterPath, siteId, device, threshold, pageInfo, options);
+
+        // コンポーネントはそれぞれのしきい値で判定（NGならページもNG）
+        applyComponentResults(
+          result,
+          await compareComponents(baselinePath, afterPath, siteId, device, pageInfo, options)
         );
 
+        // Baselineになかったブラウザのエラーが出たページもNG
+        applySiteRuntimeErrors(result, baselinePath, afterPath, siteId);
+
+        // ステータスコード・リダイレクトが変わったページもNG（canonicalの変化は報告のみ）
+        applyCapturedHttpResults(result, baselinePath, afterPath);
+
+        // PHPエラー・WordPressのエラー画面が表示されたページはNG（CRITICAL）
+        applyCapturedPhpErrors(result, baselinePath, afterPath);
+
         results.push({
           pageId: baselineInfo.pageId,
           pageIdentifier: baselineInfo.pageIdentifier,
+          pageUrl: getPageUrl(pageIndex, pageKey),
           baselineFile: baselineInfo.file,
           afterFile: afterInfo.file,
           baselineTimestamp: baselineInfo.timestamp,
           afterTimestamp: afterInfo.timestamp,
+          baselineVersion: baselineVersion.id,
+          template,
           ...result
         });
 
-        processedPairs.set(baselineInfo.pageId, true);
+        // ページ単位の結果をデータベースに保存（承認状態の集計に使用）
+        await saveComparisonRecord(siteId, device, threshold, results[results.length - 1]);
       } catch (error) {
         console.error(`❌ ページ${baselineInfo.pageId} の比較エラー:`, error.message);
         results.push({
@@ -2244,29 +3560,132 @@ async function compareMultiPageScreenshots(siteId, device, threshold = 2.0) {
         });
       }
     } else {
+      // Afterで撮影できなかったページ（削除・404などの可能性）
       console.log(`⚠️ ページ${baselineInfo.pageId} (${baselineInfo.pageIdentifier}) のafterファイルが見つかりません`);
+      results.push({
+        pageId: baselineInfo.pageId,
+        pageIdentifier: baselineInfo.pageIdentifier,
+        pageUrl: getPageUrl(pageIndex, pageKey),
+        baselineFile: baselineInfo.file,
+        afterFile: null,
+        baselineTimestamp: baselineInfo.timestamp,
+        afterTimestamp: null,
+        baselineVersion: baselineVersion.id,
+        template: loadPageTemplate(path.join(baselineDir, baselineInfo.file)),
+        status: 'MISSING_AFTER',
+        diffPercentage: null,
+        error: 'After screenshot not found'
+      });
+      await saveComparisonRecord(siteId, device, threshold, results[results.length - 1]);
     }
   }
 
+  // Baselineにないページ（新しく追加されたページ）
+  for (const [pageKey, afterInfo] of afterSessionMap) {
+    if (baselineSessionMap.has(pageKey)) continue;
+
+    console.log(`🆕 ページ${afterInfo.pageId} (${afterInfo.pageIdentifier}) はBaselineにありません`);
+    results.push({
+      pageId: afterInfo.pageId,
+      pageIdentifier: afterInfo.pageIdentifier,
+      pageUrl: getPageUrl(pageIndex, pageKey),
+      baselineFile: null,
+      afterFile: afterInfo.file,
+      baselineTimestamp: null,
+      afterTimestamp: afterInfo.timestamp,
+      baselineVersion: baselineVersion.id,
+      template: loadPageTemplate(path.join(afterDir, afterInfo.file)),
+      status: 'NEW_PAGE',
+      diffPercentage: null
+    });
+    await saveComparisonRecord(siteId, device, threshold, results[results.length - 1]);
+  }
+
   // 統計情報
   const summary = {
     totalPages: results.length,
     ok: results.filter(r => r.status === 'OK').length,
     ng: results.filter(r => r.status === 'NG').length,
     error: results.filter(r => r.status === 'ERROR').length,
-    threshold: threshold
+    missingAfter: results.filter(r => r.status === 'MISSING_AFTER').length,
+    newPages: results.filter(r => r.status === 'NEW_PAGE').length,
+    shifted: results.filter(r => r.contentShiftCount > 0).length,
+    componentNg: results.filter(r => r.componentStatus === 'NG').length,
+    runtimeErrorNg: results.filter(r => r.runtimeErrorStatus === 'NG').length,
+    httpNg: results.filter(r => r.httpStatus === 'NG').length,
+    phpErrorCritical: results.filter(r => r.phpErrorStatus === 'CRITICAL').length,
+    baselineVersion: baselineVersion.id,
+    afterSession: options.afterSession || null,
+    threshold: threshold,
+    algorithm: resolveComparisonOptions(siteId, options).algorithm,
+    byTemplate: summarizeByTemplate(results)
   };
 
-  console.log(`✅ 複数ページ比較完了: ${summary.totalPages}ページ (OK: ${summary.ok}, NG: ${summary.ng})`);
+  // SSIMを算出した場合は平均値も集計
+  const ssimValues = results.filter(r => typeof r.ssim === 'number').map(r => r.ssim);
+  if (ssimValues.length > 0) {
+    summary.avgSsim = Math.round(ssimValues.reduce((sum, v) => sum + v, 0) / ssimValues.length * 1000000) / 1000000;
+  }
+
+  console.log(`✅ 複数ページ比較完了: ${summary.totalPages}ページ (OK: ${summary.ok}, NG: ${summary.ng}, Afterなし: ${summary.missingAfter}, 新規: ${summary.newPages})`);
 
   return {
     siteId,
     device,
     summary,
-    results: results.sort((a, b) => a.pageId.localeCompare(b.pageId))
+    results: results.sort((a, b) => a.pageId.localeCompare(b.pageId, undefined, { numeric: true }))
   };
 }
 
+/**
+ * ページ単位の比較結果をデータベースに保存
+ */
+async function saveComparisonRecord(siteId, device, threshold, record) {
+  try {
+    await database.saveComparisonResult({
+      siteId,
+      device,
+      status: record.status,
+      diffPercentage: record.diffPercentage,
+      diffPixels: record.diffPixels,
+      threshold,
+      baselineFile: record.baselineFile,
+      afterFile: record.afterFile,
+      diffFile: record.diffFile,
+      url: record.pageUrl,
+      pageId: record.pageId,
+      pageIdentifier: record.pageIdentifier,
+      metadata: {
+        algorithm: record.algorithm,
+        ssim: record.ssim,
+        baselineVersion: record.baselineVersion,
+        template: record.template,
+        components: summarizeComponentRecords(record.components),
+        runtimeErrors: summarizeRuntimeErrors(record.runtimeErrors),
+        http: record.http,
+        phpErrors: record.phpErrors
+      }
+    });
+  } catch (dbError) {
+    console.log('⚠️ DB保存エラー:', dbError.message);
+  }
+}
+
+/**
+ * データベースに保存するコンポーネントの比較結果（一覧表示に必要な項目のみ）
+ */
+function summarizeComponentRecords(components) {
+  if (!components) return undefined;
+
+  return components.map(component => ({
+    name: component.name,
+    status: component.status,
+    diffPercentage: component.diffPercentage,
+    threshold: component.threshold,
+    diffPath: component.diffPath || null
+  }));
+}
+
 /**
  * 古い差分ファイルをクリーンアップ
  */
@@ -2313,7 +3732,7 @@ async function findExistingDiffFile(siteId, device, pageIdentifier) {
 
     // より厳密なパターンマッチング：page-XXX_pageIdentifier_*_diff.png
     const diffFiles = files.filter(file => {
-      const pageMatch = file.match(/page-\d{3}_([^_]+)_.*_diff\.png$/);
+      const pageMatch = file.match(/page-\d{3,}_([^_]+)_.*_diff\.png$/);
       return pageMatch && pageMatch[1] === pageIdentifier;
     }).sort().reverse(); // 最新ファイルを優先
 
@@ -2353,12 +3772,20 @@ async function findExistingDiffFile(siteId, device, pageIdentifier) {
         status = 'Unknown'; // 不明ステータス
       }
 
+      // 比較時に保存した変更領域を読み込み
+      const diffMetadata = loadCaptureMetadata(fullPath) || {};
+
       return {
         fullPath,
         relativePath,
         fileName: latestDiffFile,
         status,
-        diffPercentage
+        diffPercentage,
+        changedRegions: diffMetadata.changedRegions || [],
+        regionsImagePath: diffMetadata.regionsImagePath || null,
+        contentShifts: diffMetadata.contentShifts || [],
+        domDiff: diffMetadata.domDiff || null,
+        domDiffPath: diffMetadata.domDiffPath || null
       };
     }
 
@@ -2371,8 +3798,12 @@ async function findExistingDiffFile(siteId, device, pageIdentifier) {
 
 /**
  * ファイルペア比較
+ * options.algorithm: 'pixelmatch' | 'ssim' | 'both'
+ * options.judgeBy: NG判定に使う指標 'pixelmatch' | 'ssim' | 'both'（どちらかNGならNG）
  */
-async function compareFiles(baselinePath, afterPath, siteId, device, threshold, pageInfo) {
+async function compareFiles(baselinePath, afterPath, siteId, device, threshold, pageInfo, options = {}) {
+  const comparison = resolveComparisonOptions(siteId, options);
+
   // 画像読み込み
   const baselineBuffer = fs.readFileSync(baselinePath);
   const afterBuffer = fs.readFileSync(afterPath);
@@ -2380,7 +3811,252 @@ async function compareFiles(baselinePath, afterPath, siteId, device, threshold,
   const baselinePng = PNG.sync.read(baselineBuffer);
   const afterPng = PNG.sync.read(afterBuffer);
 
-  // サイズ調整
+  // 高さだけが変わった場合は行アラインメントでずれを補正し、できなければリサイズして比較
+  const canAlign = CONFIG.CONTENT_ALIGNMENT &&
+    baselinePng.width === afterPng.width && baselinePng.height !== afterPng.height;
+  const prepared = (canAlign && prepareAlignedImages(baselinePng, afterPng, baselinePath, afterPath)) ||
+    await prepareResizedImages(baselinePng, afterPng, baselineBuffer, afterBuffer, baselinePath, afterPath);
+
+  const { width: compareWidth, height: compareHeight, ignore, alignment, afterSnapshot } = prepared;
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filePrefix = pageInfo
+    ? `page-${pageInfo.pageId}_${pageInfo.pageIdentifier}_${timestamp}`
+    : timestamp;
+  const diffDir = path.join(DIFFS_DIR, siteId, device, `threshold-${threshold}`);
+  fs.ensureDirSync(diffDir);
+
+  const result = {
+    algorithm: comparison.algorithm,
+    judgeBy: comparison.judgeBy,
+    threshold,
+    ignoredPixels: ignore.maskedPixels,
+    ignoreRegionCount: ignore.regionCount,
+    dimensions: { width: afterSnapshot.width, height: afterSnapshot.height },
+    contentShifts: [],
+    contentShiftCount: 0
+  };
+
+  if (alignment) {
+    result.contentShifts = alignment.shifts.map(shift => ({ ...shift, description: describeShift(shift) }));
+    result.contentShiftCount = alignment.shifts.length;
+    result.alignedHeight = compareHeight;
+    console.log(`📏 コンテンツずれを検出: ${result.contentShifts.map(s => s.description).join(', ')}`);
+  }
+
+  let ssimResult = null;
+  let regionMask = null;
+
+  // SSIM算出（除外領域のピクセルは算出対象外）
+  if (comparison.algorithm === 'ssim' || comparison.algorithm === 'both') {
+    ssimResult = computeSSIM(prepared.baseline, prepared.after, compareWidth, compareHeight, {
+      mask: ignore.maskedPixels > 0 ? ignore.mask : null,
+      blockSize: comparison.ssimBlockSize
+    });
+    const preciseSsim = Math.round(ssimResult.ssim * 1000000) / 1000000;
+
+    const heatmapFilename = `${filePrefix}_ssim-${Math.round(ssimResult.ssim * 10000) / 10000}.png`;
+    const heatmapPath = path.join(diffDir, heatmapFilename);
+    const heatmap = createSSIMHeatmap(ssimResult, compareWidth, compareHeight);
+    fs.writeFileSync(heatmapPath, PNG.sync.write(toAfterCoordinates(heatmap, prepared)));
+
+    result.ssim = preciseSsim;
+    result.minSsim = Math.round(ssimResult.minSsim * 1000000) / 1000000;
+    result.ssimThreshold = comparison.ssimThreshold;
+    result.ssimStatus = preciseSsim < comparison.ssimThreshold ? 'NG' : 'OK';
+    result.ssimHeatmapPath = heatmapPath.replace(__dirname, '');
+  }
+
+  if (comparison.algorithm === 'pixelmatch' || comparison.algorithm === 'both') {
+    // 差分画像作成
+    const diffPng = new PNG({ width: compareWidth, height: compareHeight });
+
+    const diffPixels = pixelmatch(
+      prepared.baseline.data,
+      prepared.after.data,
+      diffPng.data,
+      compareWidth,
+      compareHeight,
+      {
+        threshold: CONFIG.PIXELMATCH_THRESHOLD,  // 正しい色差許容度を使用 (0.02)
+        alpha: 0.1,
+        antialiasing: false,                     // より正確な差分検出のため無効化
+        diffColor: [255, 0, 0],
+        diffColorAlt: [255, 255, 0]
+      }
+    );
+
+    // 差分率計算（高精度）- 除外領域は分母からも除く
+    const totalPixels = Math.max(1, compareWidth * compareHeight - ignore.maskedPixels);
+    const diffPercentage = (diffPixels / totalPixels) * 100;
+
+    // 高精度な差分率（小数点6桁まで保持）
+    const preciseDiffPercentage = Math.round(diffPercentage * 1000000) / 1000000;
+
+    // ファイル名用の丸め（小数点4桁）
+    const roundedForFilename = Math.round(diffPercentage * 10000) / 10000;
+
+    // 変更領域の抽出（オーバーレイ描画前の差分色で判定）
+    regionMask = createDiffMask(diffPng).mask;
+
+    // 除外領域を差分画像にオーバーレイ
+    if (ignore.maskedPixels > 0) {
+      paintIgnoreOverlay(diffPng, ignore.mask);
+    }
+
+    // 差分画像保存
+    const diffFilename = `${filePrefix}_diff-${roundedForFilename}%.png`;
+    const diffPath = path.join(diffDir, diffFilename);
+
+    const diffBuffer = PNG.sync.write(toAfterCoordinates(diffPng, prepared));
+    fs.writeFileSync(diffPath, diffBuffer);
+
+    result.diffFile = diffFilename;
+    result.diffPath = diffPath.replace(__dirname, '');
+    result.diffPixels = diffPixels;
+    result.diffPercentage = preciseDiffPercentage;  // 高精度値を返す
+    result.pixelStatus = preciseDiffPercentage > threshold ? 'NG' : 'OK';
+  } else {
+    // SSIMのみの場合はヒートマップを差分画像として扱う
+    result.diffPath = result.ssimHeatmapPath;
+    result.diffPixels = null;
+    result.diffPercentage = null;
+
+    // しきい値を下回ったブロックを変更領域とする
+    regionMask = createSSIMRegionMask(ssimResult, compareWidth, compareHeight, comparison.ssimThreshold).mask;
+  }
+
+  // 変更領域はAfter画像の座標で算出
+  if (alignment) {
+    regionMask = projectToAfter(regionMask, alignment, compareWidth, afterSnapshot.height, 1);
+  }
+
+  // 変更領域のクラスタリングと注釈画像の生成
+  Object.assign(result, saveChangedRegions(regionMask, afterSnapshot, diffDir, filePrefix));
+
+  // 結果判定（設定された指標で判定）
+  result.status = judgeComparisonStatus(result, comparison.judgeBy);
+
+  // NGページは撮影時のDOMスナップショットから構造の差分を作成
+  if (result.status === 'NG') {
+    Object.assign(result, saveDomDiff(baselinePath, afterPath, result.changedRegions, diffDir, filePrefix));
+  }
+
+  if (result.diffFile) {
+    saveCaptureMetadata(path.join(diffDir, result.diffFile), {
+      status: result.status,
+      diffPercentage: result.diffPercentage,
+      changedRegions: result.changedRegions,
+      regionsImagePath: result.regionsImagePath,
+      contentShifts: result.contentShifts,
+      domDiff: result.domDiff || null,
+      domDiffPath: result.domDiffPath || null
+    });
+  }
+
+  return result;
+}
+
+/**
+ * 🧱 ページのコンポーネント画像を比較
+ * Baseline・Afterの撮影メタデータに記録されたコンポーネントを名前で対応付け、それぞれのしきい値で判定する
+ */
+async function compareComponents(baselinePath, afterPath, siteId, device, pageInfo, options = {}) {
+  const baselineComponents = loadCapturedComponents(baselinePath);
+  const afterComponents = loadCapturedComponents(afterPath);
+  const siteComponents = (sitesManager.getSite(siteId) || {}).components || [];
+  const names = [...new Set([...baselineComponents, ...afterComponents].map(component => component.name))];
+
+  const results = [];
+  for (const name of names) {
+    const baseline = baselineComponents.find(component => component.name === name) || {};
+    const after = afterComponents.find(component => component.name === name) || {};
+    if (!baseline.found && !after.found) continue;
+
+    const threshold = resolveComponentThreshold(name, siteComponents, [...afterComponents, ...baselineComponents]);
+    const base = { name, selector: after.selector || baseline.selector, threshold };
+
+    if (!after.found) {
+      console.log(`⚠️ コンポーネント ${name} がAfterで見つかりません`);
+      results.push({ ...base, status: 'MISSING_AFTER', diffPercentage: null, error: after.error || 'Component not found' });
+      continue;
+    }
+    if (!baseline.found) {
+      results.push({ ...base, status: 'MISSING_BASELINE', diffPercentage: null });
+      continue;
+    }
+
+    try {
+      const comparison = await compareFiles(
+        getComponentPath(baselinePath, name),
+        getComponentPath(afterPath, name),
+        siteId,
+        device,
+        threshold,
+        getComponentPageInfo(pageInfo, name),
+        options
+      );
+
+      results.push({
+        ...base,
+        status: comparison.status,
+        diffPercentage: comparison.diffPercentage,
+        diffPixels: comparison.diffPixels,
+        ssim: comparison.ssim,
+        diffPath: comparison.diffPath,
+        regionsImagePath: comparison.regionsImagePath,
+        changedRegionCount: comparison.changedRegionCount
+      });
+    } catch (error) {
+      console.error(`❌ コンポーネント ${name} の比較エラー:`, error.message);
+      results.push({ ...base, status: 'ERROR', diffPercentage: null, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 📏 行アラインメントでずれを補正した比較用画像を作成
+ * 挿入・削除が検出されなかった場合はnull（通常の比較に任せる）
+ */
+function prepareAlignedImages(baselinePng, afterPng, baselinePath, afterPath) {
+  const alignment = alignRows(baselinePng, afterPng, { maxEdits: CONFIG.ALIGNMENT_MAX_EDITS });
+  if (!alignment || alignment.shifts.length === 0) {
+    return null;
+  }
+
+  const { width } = afterPng;
+  const aligned = buildAlignedImages(baselinePng, afterPng, alignment);
+
+  // 除外領域は各画像自身の座標で作成し、対応行に合わせて結合
+  const baselineRects = loadCapturedIgnoreRects(baselinePath);
+  const afterRects = loadCapturedIgnoreRects(afterPath);
+  const { mask, maskedPixels } = alignMasks(
+    buildIgnoreMask(width, baselinePng.height, baselineRects).mask,
+    buildIgnoreMask(width, afterPng.height, afterRects).mask,
+    alignment,
+    width
+  );
+  if (maskedPixels > 0) {
+    applyIgnoreMask([aligned.baseline, aligned.after], mask);
+  }
+
+  return {
+    baseline: aligned.baseline,
+    after: aligned.after,
+    width,
+    height: aligned.height,
+    ignore: { mask, maskedPixels, regionCount: baselineRects.length + afterRects.length },
+    alignment,
+    afterSnapshot: afterPng
+  };
+}
+
+/**
+ * 大きい方のサイズに合わせてリサイズした比較用画像を作成
+ */
+async function prepareResizedImages(baselinePng, afterPng, baselineBuffer, afterBuffer, baselinePath, afterPath) {
   const maxWidth = Math.max(baselinePng.width, afterPng.width);
   const maxHeight = Math.max(baselinePng.height, afterPng.height);
 
@@ -2403,58 +4079,148 @@ async function compareFiles(baselinePath, afterPath, siteId, device, threshold,
     resizedAfter = PNG.sync.read(resizedBuffer);
   }
 
-  // 差分画像作成
-  const diffPng = new PNG({ width: maxWidth, height: maxHeight });
+  // 注釈画像用にマスク前のAfter画像を保持
+  const afterSnapshot = new PNG({ width: maxWidth, height: maxHeight });
+  resizedAfter.data.copy(afterSnapshot.data);
 
-  const diffPixels = pixelmatch(
-    resizedBaseline.data,
-    resizedAfter.data,
-    diffPng.data,
-    maxWidth,
-    maxHeight,
-    {
-      threshold: CONFIG.PIXELMATCH_THRESHOLD,  // 正しい色差許容度を使用 (0.02)
-      alpha: 0.1,
-      antialiasing: false,                     // より正確な差分検出のため無効化
-      diffColor: [255, 0, 0],
-      diffColorAlt: [255, 255, 0]
-    }
+  // 除外領域を適用
+  const ignore = applyCapturedIgnoreRegions(
+    baselinePath, afterPath, [resizedBaseline, resizedAfter], maxWidth, maxHeight
   );
 
-  // 差分率計算（高精度）
-  const totalPixels = maxWidth * maxHeight;
-  const diffPercentage = (diffPixels / totalPixels) * 100;
-  
-  // 高精度な差分率（小数点6桁まで保持）
-  const preciseDiffPercentage = Math.round(diffPercentage * 1000000) / 1000000;
-  
-  // ファイル名用の丸め（小数点4桁）
-  const roundedForFilename = Math.round(diffPercentage * 10000) / 10000;
+  return {
+    baseline: resizedBaseline,
+    after: resizedAfter,
+    width: maxWidth,
+    height: maxHeight,
+    ignore,
+    alignment: null,
+    afterSnapshot
+  };
+}
 
-  // 差分画像保存
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const diffFilename = pageInfo
-    ? `page-${pageInfo.pageId}_${pageInfo.pageIdentifier}_${timestamp}_diff-${roundedForFilename}%.png`
-    : `${timestamp}_diff-${roundedForFilename}%.png`;
-  const diffDir = path.join(DIFFS_DIR, siteId, device, `threshold-${threshold}`);
+/**
+ * 🧬 BaselineとAfterのDOMスナップショットの差分を変更領域に対応付けて保存
+ * どちらかのスナップショットがない場合（導入前の撮影・コンポーネント画像）は何もしない
+ */
+function saveDomDiff(baselinePath, afterPath, changedRegions, diffDir, filePrefix) {
+  const baselineSnapshot = loadDomSnapshot(baselinePath);
+  const afterSnapshot = loadDomSnapshot(afterPath);
+  if (!baselineSnapshot || !afterSnapshot) {
+    return {};
+  }
 
-  fs.ensureDirSync(diffDir);
-  const diffPath = path.join(diffDir, diffFilename);
+  const domDiff = mapDomChangesToRegions(
+    diffDomSnapshots(baselineSnapshot, afterSnapshot),
+    changedRegions,
+    afterSnapshot.devicePixelRatio || 1
+  );
+  const domDiffPath = path.join(diffDir, `${filePrefix}_dom.json`);
+  fs.writeFileSync(domDiffPath, JSON.stringify({
+    baselineFile: path.basename(baselinePath),
+    afterFile: path.basename(afterPath),
+    url: afterSnapshot.url,
+    devicePixelRatio: afterSnapshot.devicePixelRatio || 1,
+    createdAt: new Date().toISOString(),
+    ...domDiff
+  }, null, 2));
+
+  const { added, removed, moved, resized, textChanged, styleChanged } = domDiff.summary;
+  console.log(`🧬 構造の差分: 追加${added} 削除${removed} 移動${moved} サイズ${resized} テキスト${textChanged} スタイル${styleChanged}`);
+
+  return { domDiff: domDiff.summary, domDiffPath: domDiffPath.replace(__dirname, '') };
+}
+
+/**
+ * 比較用画像（アラインメント済み）をAfter画像の座標に戻し、挿入・削除位置を描画
+ */
+function toAfterCoordinates(png, prepared) {
+  if (!prepared.alignment) {
+    return png;
+  }
+
+  const { afterSnapshot, alignment } = prepared;
+  const projected = new PNG({ width: afterSnapshot.width, height: afterSnapshot.height });
+  projected.data.set(projectToAfter(png.data, alignment, png.width, afterSnapshot.height));
+  paintShiftOverlay(projected, afterSnapshot, alignment.shifts);
+
+  return projected;
+}
+
+/**
+ * 🧩 変更領域をクラスタリングし、番号付き矩形の注釈画像を保存
+ */
+function saveChangedRegions(regionMask, afterPng, diffDir, filePrefix) {
+  const { width, height } = afterPng;
+  const { regions, totalRegions, truncated } = findChangedRegions(regionMask, width, height, {
+    cellSize: CONFIG.REGION_CELL_SIZE,
+    maxRegions: CONFIG.MAX_CHANGED_REGIONS
+  });
+
+  if (regions.length === 0) {
+    return { changedRegions: [], changedRegionCount: 0, regionsImagePath: null };
+  }
 
-  const diffBuffer = PNG.sync.write(diffPng);
-  fs.writeFileSync(diffPath, diffBuffer);
+  const regionsFilename = `${filePrefix}_regions.png`;
+  const regionsPath = path.join(diffDir, regionsFilename);
+  fs.writeFileSync(regionsPath, PNG.sync.write(drawRegionAnnotations(afterPng, regions)));
 
-  // 結果判定（高精度値で判定）
-  const status = preciseDiffPercentage > threshold ? 'NG' : 'OK';
+  if (truncated) {
+    console.log(`⚠️ 変更領域が多いため上位${regions.length}件のみ表示します（全${totalRegions}件）`);
+  }
 
   return {
-    diffPath: diffPath.replace(__dirname, ''),
-    diffPixels,
-    diffPercentage: preciseDiffPercentage,  // 高精度値を返す
-    status,
-    threshold,
-    dimensions: { width: maxWidth, height: maxHeight }
+    changedRegions: regions,
+    changedRegionCount: totalRegions,
+    regionsImagePath: regionsPath.replace(__dirname, '')
+  };
+}
+
+/**
+ * 比較設定を解決（リクエスト指定 > サイト設定 > デフォルト）
+ */
+function resolveComparisonOptions(siteId, overrides = {}) {
+  const site = sitesManager.getSite(siteId) || {};
+  const siteSettings = site.comparison || {};
+  const pick = (key, fallback) => overrides[key] !== undefined && overrides[key] !== null
+    ? overrides[key]
+    : siteSettings[key] !== undefined ? siteSettings[key] : fallback;
+
+  const algorithm = pick('algorithm', CONFIG.COMPARISON_ALGORITHM);
+  const defaultJudgeBy = algorithm === 'ssim' ? 'ssim' : 'pixelmatch';
+  let judgeBy = pick('judgeBy', defaultJudgeBy);
+
+  // 実行していない指標では判定できない
+  if (algorithm !== 'both' && judgeBy !== algorithm) {
+    judgeBy = algorithm;
+  }
+
+  return {
+    algorithm,
+    judgeBy,
+    ssimThreshold: parseFloat(pick('ssimThreshold', CONFIG.SSIM_THRESHOLD)),
+    ssimBlockSize: parseInt(pick('ssimBlockSize', CONFIG.SSIM_BLOCK_SIZE))
   };
 }
 
+/**
+ * 比較アルゴリズム指定のバリデーション
+ */
+function isValidComparisonAlgorithm(algorithm) {
+  return algorithm === undefined || CONFIG.COMPARISON_ALGORITHMS.includes(algorithm);
+}
+
+/**
+ * 指標別の判定結果から最終ステータスを決定
+ */
+function judgeComparisonStatus(result, judgeBy) {
+  if (judgeBy === 'ssim') {
+    return result.ssimStatus;
+  }
+  if (judgeBy === 'both') {
+    return result.pixelStatus === 'NG' || result.ssimStatus === 'NG' ? 'NG' : 'OK';
+  }
+  return result.pixelStatus;
+}
+
 module.exports = app;
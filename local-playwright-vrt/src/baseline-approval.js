@@ -0,0 +1,126 @@
+/**
+ * ✅ ベースライン承認
+ * 意図した差分を承認し、Afterスクリーンショットを新しいBaselineバージョンとして昇格させる
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getMetadataPath, saveCaptureMetadata } = require('./capture-metadata');
+const { listScreenshotFiles, getLatestSessionTimestamp } = require('./session-files');
+const { copyComponentScreenshots } = require('./components');
+const { copyDomSnapshot } = require('./dom-snapshot');
+const { VRTError } = require('../../src/error-handler');
+const { DEVICE_NAME_PATTERN } = require('./device-profiles');
+const { BROWSER_ENGINES, parseCaptureKey, getCaptureKey } = require('./browser-engines');
+const {
+  loadVersionManifest,
+  createDerivedVersion,
+  resolveBaselineVersion,
+  getVersionFiles
+} = require('./baseline-versions');
+
+/**
+ * 承認・Baseline操作の対象（サイト・撮影キー）を検証
+ * リクエストの値をそのまま保存先のパスに使うため、登録済みのサイトと撮影キーの形式以外は拒否する
+ */
+function validateScreenshotTarget(siteId, device, site) {
+  if (!site || typeof siteId !== 'string' || path.basename(siteId) !== siteId || siteId.startsWith('.')) {
+    throw new VRTError(`サイトID ${siteId} が見つかりません`, 'UNKNOWN_SITE');
+  }
+
+  const { device: deviceName, browser } = parseCaptureKey(device);
+  if (!DEVICE_NAME_PATTERN.test(deviceName) || !BROWSER_ENGINES.includes(browser) ||
+    getCaptureKey(deviceName, browser) !== device) {
+    throw new VRTError(`不正なデバイスです: ${device}`, 'INVALID_DEVICE');
+  }
+}
+
+/**
+ * 承認対象のAfterファイルを取得
+ * afterSessionTimestamp 未指定時は最新セッション
+ */
+function findAfterFiles(siteDir, device, afterSessionTimestamp = null) {
+  const afterFiles = listScreenshotFiles(path.join(siteDir, 'after', device));
+  const sessionTimestamp = afterSessionTimestamp || getLatestSessionTimestamp(afterFiles);
+
+  return {
+    sessionTimestamp,
+    files: afterFiles.filter(info => info.sessionTimestamp === sessionTimestamp)
+  };
+}
+
+/**
+ * 承認対象のAfterスクリーンショットをBaselineに昇格
+ * 現在のBaselineバージョンの該当ページだけを差し替えた新しいバージョンを作成する
+ * 置き換え前のファイルは元のバージョンに残るため、いつでもそのバージョンに戻せる
+ */
+function promoteAfterToBaseline(siteDir, device, afterInfos, approvalId) {
+  const afterDir = path.join(siteDir, 'after', device);
+  const baselineDir = path.join(siteDir, 'baseline', device);
+  fs.ensureDirSync(baselineDir);
+
+  const versionId = createVersionId(baselineDir);
+  const parentVersion = resolveBaselineVersion(baselineDir);
+  const previousFiles = getVersionFiles(parentVersion);
+
+  const pages = afterInfos.map(afterInfo => {
+    const baselineFile = `page-${afterInfo.pageId}_${afterInfo.pageIdentifier}_${versionId}.png`;
+    const baselinePath = path.join(baselineDir, baselineFile);
+    const afterPath = path.join(afterDir, afterInfo.file);
+
+    fs.copyFileSync(afterPath, baselinePath);
+    if (fs.existsSync(getMetadataPath(afterPath))) {
+      fs.copyFileSync(getMetadataPath(afterPath), getMetadataPath(baselinePath));
+    }
+    copyComponentScreenshots(afterPath, baselinePath);
+    copyDomSnapshot(afterPath, baselinePath);
+    saveCaptureMetadata(baselinePath, {
+      type: 'baseline',
+      approvedFrom: afterInfo.file,
+      approvalId,
+      baselineVersion: versionId
+    });
+
+    const previous = previousFiles.get(afterInfo.pageIdentifier);
+    return {
+      pageId: afterInfo.pageId,
+      pageIdentifier: afterInfo.pageIdentifier,
+      afterFile: afterInfo.file,
+      baselineFile,
+      previousBaselineFile: previous ? previous.file : null
+    };
+  });
+
+  const version = createDerivedVersion(
+    baselineDir,
+    parentVersion,
+    versionId,
+    pages.map(page => ({ pageId: page.pageId, pageIdentifier: page.pageIdentifier, file: page.baselineFile })),
+    { approvalId }
+  );
+
+  return { baselineVersion: version.id, parentVersion: version.parentVersion, pages };
+}
+
+/**
+ * 新しいバージョンID（セッションタイムスタンプ形式）を採番
+ * 既存バージョンと重複する場合は1ミリ秒ずつずらす
+ */
+function createVersionId(baselineDir) {
+  const existing = new Set(loadVersionManifest(baselineDir).versions.map(v => v.id));
+  let time = Date.now();
+  let id = new Date(time).toISOString().replace(/[:.]/g, '-');
+
+  while (existing.has(id)) {
+    time++;
+    id = new Date(time).toISOString().replace(/[:.]/g, '-');
+  }
+
+  return id;
+}
+
+module.exports = {
+  validateScreenshotTarget,
+  findAfterFiles,
+  promoteAfterToBaseline
+};
@@ -0,0 +1,260 @@
+/**
+ * 🗃️ Baselineバージョン管理
+ * Baseline撮影セッション（および承認による更新）ごとにバージョンを作成し、マニフェストに記録する
+ * 比較は「現在のバージョン」（固定されたバージョン、なければ最新）のファイルに対して行う
+ * 撮影途中（中断・一時停止を含む）のセッションは partial として記録し、現在のバージョンにはしない
+ *
+ * マニフェスト: screenshots/<siteId>/baseline/<device>/versions.json
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { VRTError } = require('../../src/error-handler');
+const { listScreenshotFiles, parseScreenshotFilename } = require('./session-files');
+
+const MANIFEST_FILENAME = 'versions.json';
+
+/**
+ * マニフェストのパスを取得
+ */
+function getManifestPath(baselineDir) {
+  return path.join(baselineDir, MANIFEST_FILENAME);
+}
+
+/**
+ * マニフェストを読み込み、未登録のスクリーンショットをバージョンとして取り込む
+ * （マニフェスト導入前の撮影や /screenshot で個別に撮影したファイルも対象）
+ */
+function loadVersionManifest(baselineDir) {
+  const manifestPath = getManifestPath(baselineDir);
+  const manifest = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : { pinned: null, versions: [] };
+
+  const registered = new Set(manifest.versions.flatMap(v => v.pages.map(p => p.file)));
+  const unregistered = listScreenshotFiles(baselineDir).filter(info => !registered.has(info.file));
+
+  if (unregistered.length > 0) {
+    unregistered.forEach(info => {
+      let version = manifest.versions.find(v => v.id === info.sessionTimestamp);
+      if (!version) {
+        version = createVersionEntry(info.sessionTimestamp, 'capture');
+        manifest.versions.push(version);
+      }
+      upsertPage(version, info);
+    });
+    manifest.versions.sort((a, b) => a.id.localeCompare(b.id));
+    saveVersionManifest(baselineDir, manifest);
+  }
+
+  return manifest;
+}
+
+/**
+ * マニフェストを保存
+ */
+function saveVersionManifest(baselineDir, manifest) {
+  fs.ensureDirSync(baselineDir);
+  fs.writeFileSync(getManifestPath(baselineDir), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * バージョンエントリを作成
+ */
+function createVersionEntry(id, source, extra = {}) {
+  return {
+    id,
+    source,
+    createdAt: new Date().toISOString(),
+    ...extra,
+    pages: []
+  };
+}
+
+/**
+ * バージョンにページを追加（同じページ識別子は置き換え）
+ */
+function upsertPage(version, info) {
+  const page = { pageId: info.pageId, pageIdentifier: info.pageIdentifier, file: info.file };
+  const index = version.pages.findIndex(p => p.pageIdentifier === info.pageIdentifier);
+
+  if (index >= 0) {
+    version.pages[index] = page;
+  } else {
+    version.pages.push(page);
+  }
+  version.pages.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Baseline撮影セッションの開始を記録（撮影完了まで partial）
+ */
+function beginCaptureSession(baselineDir, sessionTimestamp) {
+  const manifest = loadVersionManifest(baselineDir);
+  let version = manifest.versions.find(v => v.id === sessionTimestamp);
+
+  if (!version) {
+    version = createVersionEntry(sessionTimestamp, 'capture');
+    manifest.versions.push(version);
+    manifest.versions.sort((a, b) => a.id.localeCompare(b.id));
+  }
+  version.partial = true;
+  saveVersionManifest(baselineDir, manifest);
+
+  return version;
+}
+
+/**
+ * Baseline撮影セッションを完了したバージョンとして登録
+ * 1ページも撮影できなかったセッションはバージョンにしない
+ */
+function registerCaptureSession(baselineDir, sessionTimestamp) {
+  const manifest = loadVersionManifest(baselineDir);
+  const version = manifest.versions.find(v => v.id === sessionTimestamp);
+  if (!version) return null;
+
+  if (version.pages.length === 0) {
+    manifest.versions = manifest.versions.filter(v => v.id !== sessionTimestamp);
+    saveVersionManifest(baselineDir, manifest);
+    return null;
+  }
+
+  delete version.partial;
+  version.completedAt = new Date().toISOString();
+  saveVersionManifest(baselineDir, manifest);
+  return version;
+}
+
+/**
+ * 元バージョンのページを一部差し替えた新しいバージョンを作成
+ * 固定中のバージョンから派生した場合は、固定も新しいバージョンに移す
+ * @param {Object|null} parent - 元のバージョン（ファイル作成前に解決しておくこと）
+ * @param {Array<{pageId, pageIdentifier, file}>} pages - 差し替えるページ（ファイルは作成済みであること）
+ */
+function createDerivedVersion(baselineDir, parent, id, pages, extra = {}) {
+  const manifest = loadVersionManifest(baselineDir);
+  const version = createVersionEntry(id, 'approval', { parentVersion: parent ? parent.id : null, ...extra });
+
+  (parent ? parent.pages : []).forEach(page => upsertPage(version, page));
+  pages.forEach(page => upsertPage(version, page));
+
+  manifest.versions = manifest.versions.filter(v => v.id !== id).concat(version);
+  manifest.versions.sort((a, b) => a.id.localeCompare(b.id));
+  if (manifest.pinned && parent && manifest.pinned === parent.id) {
+    manifest.pinned = id;
+  }
+  saveVersionManifest(baselineDir, manifest);
+
+  return version;
+}
+
+/**
+ * 現在のバージョン（固定バージョン、なければ撮影途中を除く最新）を取得
+ */
+function getCurrentVersion(manifest) {
+  if (manifest.pinned) {
+    const pinned = manifest.versions.find(v => v.id === manifest.pinned);
+    if (pinned) return pinned;
+  }
+  const completed = manifest.versions.filter(v => !v.partial);
+  return completed[completed.length - 1] || null;
+}
+
+/**
+ * バージョン一覧を取得（新しい順）
+ */
+function listBaselineVersions(baselineDir) {
+  const manifest = loadVersionManifest(baselineDir);
+  const current = getCurrentVersion(manifest);
+
+  const versions = manifest.versions
+    .map(version => ({
+      id: version.id,
+      source: version.source,
+      createdAt: version.createdAt,
+      parentVersion: version.parentVersion || null,
+      approvalId: version.approvalId || null,
+      pageCount: version.pages.length,
+      pages: version.pages,
+      partial: Boolean(version.partial),
+      isCurrent: current !== null && version.id === current.id,
+      isPinned: version.id === manifest.pinned
+    }))
+    .reverse();
+
+  return { current: current ? current.id : null, pinned: manifest.pinned, versions };
+}
+
+/**
+ * 比較に使うバージョンを解決（versionId未指定時は現在のバージョン）
+ */
+function resolveBaselineVersion(baselineDir, versionId = null) {
+  const manifest = loadVersionManifest(baselineDir);
+
+  if (!versionId) {
+    return getCurrentVersion(manifest);
+  }
+
+  const version = manifest.versions.find(v => v.id === versionId);
+  if (!version) {
+    throw new VRTError(`Baselineバージョン ${versionId} が見つかりません`, 'BASELINE_VERSION_NOT_FOUND');
+  }
+  return version;
+}
+
+/**
+ * バージョンのファイルをページ識別子ごとのMapにする
+ * 値の形式は session-files の getLatestFilePerPage と同じ
+ */
+function getVersionFiles(version) {
+  const files = new Map();
+  if (!version) return files;
+
+  version.pages.forEach(page => {
+    const info = parseScreenshotFilename(page.file);
+    if (info) files.set(page.pageIdentifier, info);
+  });
+
+  return files;
+}
+
+/**
+ * バージョンを「現在」に固定
+ */
+function pinBaselineVersion(baselineDir, versionId) {
+  const manifest = loadVersionManifest(baselineDir);
+
+  if (!manifest.versions.some(v => v.id === versionId)) {
+    throw new VRTError(`Baselineバージョン ${versionId} が見つかりません`, 'BASELINE_VERSION_NOT_FOUND');
+  }
+
+  manifest.pinned = versionId;
+  saveVersionManifest(baselineDir, manifest);
+  return versionId;
+}
+
+/**
+ * 固定を解除（最新バージョンが「現在」になる）
+ */
+function unpinBaselineVersion(baselineDir) {
+  const manifest = loadVersionManifest(baselineDir);
+  manifest.pinned = null;
+  saveVersionManifest(baselineDir, manifest);
+
+  const current = getCurrentVersion(manifest);
+  return current ? current.id : null;
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  loadVersionManifest,
+  beginCaptureSession,
+  registerCaptureSession,
+  createDerivedVersion,
+  getCurrentVersion,
+  listBaselineVersions,
+  resolveBaselineVersion,
+  getVersionFiles,
+  pinBaselineVersion,
+  unpinBaselineVersion
+};
@@ -0,0 +1,71 @@
+/**
+ * 🧭 ブラウザエンジン
+ * Playwright の chromium / firefox / webkit で撮影し、エンジンごとにBaseline・比較を分ける
+ *
+ * 保存先のデバイス名（撮影キー）: chromium は従来どおり <device>、それ以外は <device>@<engine>
+ * 例: screenshots/<siteId>/baseline/mobile@webkit/
+ * 撮影キーが異なるファイルは比較しないため、WebKitのAfterがChromiumのBaselineと比較されることはない
+ */
+
+const { VRTError } = require('../../src/error-handler');
+
+const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+const DEFAULT_BROWSER_ENGINE = 'chromium';
+
+const ENGINE_SEPARATOR = '@';
+
+/**
+ * エンジン名を検証して返す（未指定は chromium）
+ */
+function resolveBrowserEngine(engine) {
+  const name = engine || DEFAULT_BROWSER_ENGINE;
+  if (!BROWSER_ENGINES.includes(name)) {
+    throw new VRTError(
+      `未対応のブラウザエンジンです: ${name}（${BROWSER_ENGINES.join(' / ')}）`,
+      'UNKNOWN_BROWSER',
+      { retryable: false }
+    );
+  }
+  return name;
+}
+
+/**
+ * デバイスとエンジンから撮影キー（保存先のデバイス名）を作成
+ */
+function getCaptureKey(device, engine) {
+  const browser = resolveBrowserEngine(engine);
+  return browser === DEFAULT_BROWSER_ENGINE ? device : `${device}${ENGINE_SEPARATOR}${browser}`;
+}
+
+/**
+ * 撮影キーをデバイスとエンジンに分解
+ */
+function parseCaptureKey(key) {
+  const [device, browser = DEFAULT_BROWSER_ENGINE] = String(key).split(ENGINE_SEPARATOR);
+  return { key: String(key), device, browser };
+}
+
+/**
+ * 撮影キーをデバイスの順（deviceOrder）→ エンジンの順に並べる
+ */
+function sortCaptureKeys(keys, deviceOrder) {
+  const rank = (list, value) => (list.includes(value) ? list.indexOf(value) : list.length);
+
+  return keys
+    .map(parseCaptureKey)
+    .sort((a, b) =>
+      rank(deviceOrder, a.device) - rank(deviceOrder, b.device) ||
+      rank(BROWSER_ENGINES, a.browser) - rank(BROWSER_ENGINES, b.browser) ||
+      a.key.localeCompare(b.key)
+    )
+    .map(parsed => parsed.key);
+}
+
+module.exports = {
+  BROWSER_ENGINES,
+  DEFAULT_BROWSER_ENGINE,
+  resolveBrowserEngine,
+  getCaptureKey,
+  parseCaptureKey,
+  sortCaptureKeys
+};
@@ -0,0 +1,52 @@
+/**
+ * 🏷️ 撮影メタデータ管理
+ * スクリーンショットPNGと同名のJSONファイルに撮影時の情報を保存する
+ */
+
+const fs = require('fs-extra');
+
+/**
+ * PNGパスからメタデータJSONのパスを取得
+ */
+function getMetadataPath(screenshotPath) {
+  return screenshotPath.replace(/\.png$/, '.json');
+}
+
+/**
+ * 撮影メタデータを保存（既存の内容にマージ）
+ */
+function saveCaptureMetadata(screenshotPath, data) {
+  const metadataPath = getMetadataPath(screenshotPath);
+  const existing = loadCaptureMetadata(screenshotPath) || {};
+  const metadata = {
+    ...existing,
+    ...data,
+    updatedAt: new Date().toISOString()
+  };
+
+  fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+  return metadata;
+}
+
+/**
+ * 撮影メタデータを読み込み（存在しない場合はnull）
+ */
+function loadCaptureMetadata(screenshotPath) {
+  const metadataPath = getMetadataPath(screenshotPath);
+
+  try {
+    if (fs.existsSync(metadataPath)) {
+      return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    }
+  } catch (error) {
+    console.log(`⚠️ 撮影メタデータの読み込みに失敗: ${metadataPath} - ${error.message}`);
+  }
+
+  return null;
+}
+
+module.exports = {
+  getMetadataPath,
+  saveCaptureMetadata,
+  loadCaptureMetadata
+};
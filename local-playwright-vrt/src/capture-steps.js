@@ -0,0 +1,135 @@
+/**
+ * 👆 撮影前の操作ステップ
+ * タブ切り替え・メガメニュー・Cookieバナーなど、操作しないと表示されない状態を撮影する
+ *
+ * サイト設定: captureSteps: [{ pages: ['/products/*'], devices: ['mobile'], steps: [...] }]
+ * - pages 未指定はサイト全体、devices 未指定は全デバイス（一致したグループのステップを定義順に実行）
+ * - ステップ: { action: 'click' | 'hover' | 'fill' | 'waitForSelector' | 'scrollTo' | 'evaluate', ... }
+ *   例: { action: 'click', selector: '#cookie-accept', optional: true }
+ *       { action: 'fill', selector: '#s', value: 'test' }
+ *       { action: 'evaluate', script: 'document.body.classList.add("menu-open")' }
+ * - optional: true のステップは失敗しても続行（表示されないことがあるバナー等）
+ */
+
+const { VRTError } = require('../../src/error-handler');
+
+const STEP_TIMEOUT = 10000;
+
+// アクションごとの必須項目
+const STEP_ACTIONS = {
+  click: ['selector'],
+  hover: ['selector'],
+  fill: ['selector', 'value'],
+  waitForSelector: ['selector'],
+  scrollTo: ['selector'],
+  evaluate: ['script']
+};
+
+/**
+ * 操作ステップ定義を検証（問題があれば VRTError）
+ */
+function validateCaptureSteps(groups) {
+  if (!Array.isArray(groups)) {
+    throw new VRTError('captureSteps は配列で指定してください', 'INVALID_CAPTURE_STEPS');
+  }
+
+  groups.forEach((group, groupIndex) => {
+    if (!group || !Array.isArray(group.steps)) {
+      throw new VRTError(`captureSteps[${groupIndex}].steps を配列で指定してください`, 'INVALID_CAPTURE_STEPS');
+    }
+
+    group.steps.forEach((step, index) => {
+      const required = step && STEP_ACTIONS[step.action];
+      if (!required) {
+        throw new VRTError(
+          `captureSteps[${groupIndex}].steps[${index}] の action は ${Object.keys(STEP_ACTIONS).join(' / ')} で指定してください`,
+          'INVALID_CAPTURE_STEPS'
+        );
+      }
+
+      const missing = required.filter(key => step[key] === undefined || step[key] === '');
+      if (missing.length > 0) {
+        throw new VRTError(
+          `captureSteps[${groupIndex}].steps[${index}] (${step.action}) に ${missing.join(', ')} を指定してください`,
+          'INVALID_CAPTURE_STEPS'
+        );
+      }
+    });
+  });
+
+  return groups;
+}
+
+/**
+ * ログ・エラー表示用のステップ説明
+ */
+function describeStep(step) {
+  return step.action === 'evaluate' ? 'evaluate' : `${step.action} ${step.selector}`;
+}
+
+/**
+ * ステップを1つ実行
+ */
+async function executeStep(page, step) {
+  const timeout = step.timeout || STEP_TIMEOUT;
+
+  switch (step.action) {
+    case 'click':
+      await page.click(step.selector, { timeout });
+      break;
+    case 'hover':
+      await page.hover(step.selector, { timeout });
+      break;
+    case 'fill':
+      await page.fill(step.selector, String(step.value), { timeout });
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+      break;
+    case 'scrollTo':
+      await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+      break;
+    case 'evaluate':
+      await page.evaluate(step.script);
+      break;
+  }
+
+  // 操作後の表示切り替え（メニューの展開など）を待つ
+  if (step.waitAfter) {
+    await page.waitForTimeout(step.waitAfter);
+  }
+}
+
+/**
+ * 撮影前の操作ステップを順に実行
+ * 失敗したステップは INTERACTION_STEP_FAILED（再試行しない）として返す
+ */
+async function runCaptureSteps(page, steps = []) {
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+
+    try {
+      await executeStep(page, step);
+    } catch (error) {
+      if (step.optional) {
+        console.log(`⏭️ 操作ステップをスキップ (${index + 1}/${steps.length}): ${describeStep(step)} - ${error.message}`);
+        continue;
+      }
+
+      throw new VRTError(
+        `操作ステップ ${index + 1}/${steps.length} に失敗: ${describeStep(step)} - ${error.message}`,
+        'INTERACTION_STEP_FAILED',
+        { step, index, originalError: error.message, retryable: false }
+      );
+    }
+  }
+
+  return steps.length;
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  validateCaptureSteps,
+  describeStep,
+  runCaptureSteps
+};
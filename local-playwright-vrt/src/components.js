@@ -0,0 +1,217 @@
+/**
+ * 🧱 コンポーネント単位の撮影・比較
+ * ヘッダー・グローバルナビ・フッター・お問い合わせフォーム・カートなどをセレクタで指定し、
+ * フルページとは別に要素スクリーンショットを撮って専用のしきい値で比較する
+ * （長いページではヘッダーの崩れもフルページの差分率では数%未満に薄まるため）
+ *
+ * サイト設定: components: [{ name: 'header', selector: '.site-header', threshold: 0.5, pages, devices }]
+ * 保存先: <ページの撮影ディレクトリ>/components/<name>/<ページと同じファイル名>
+ * 撮影したコンポーネントはページの撮影メタデータ（components）に記録する
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { VRTError } = require('../../src/error-handler');
+const { getMetadataPath, saveCaptureMetadata, loadCaptureMetadata } = require('./capture-metadata');
+const { scaleRect } = require('./ignore-regions');
+
+const DEFAULT_COMPONENT_THRESHOLD = 0.5;
+
+// コンポーネント名（ディレクトリ名・差分ファイル名になるため英数字とハイフンのみ）
+const COMPONENT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+const COMPONENTS_DIR = 'components';
+
+/**
+ * コンポーネント定義を検証（問題があれば VRTError）
+ */
+function validateComponents(components) {
+  if (!Array.isArray(components)) {
+    throw new VRTError('components は配列で指定してください', 'INVALID_COMPONENTS');
+  }
+
+  const names = new Set();
+  components.forEach((component, index) => {
+    if (!component || !COMPONENT_NAME_PATTERN.test(String(component.name))) {
+      throw new VRTError(`components[${index}].name は英数字とハイフンで指定してください`, 'INVALID_COMPONENTS');
+    }
+    if (names.has(component.name)) {
+      throw new VRTError(`コンポーネント名が重複しています: ${component.name}`, 'INVALID_COMPONENTS');
+    }
+    if (!component.selector) {
+      throw new VRTError(`${component.name} の selector を指定してください`, 'INVALID_COMPONENTS');
+    }
+    if (component.threshold !== undefined && !(component.threshold >= 0)) {
+      throw new VRTError(`${component.name} の threshold は0以上の数値で指定してください`, 'INVALID_COMPONENTS');
+    }
+    names.add(component.name);
+  });
+
+  return components;
+}
+
+/**
+ * ページのスクリーンショットに対応するコンポーネント画像のパス
+ */
+function getComponentPath(screenshotPath, name) {
+  return path.join(path.dirname(screenshotPath), COMPONENTS_DIR, name, path.basename(screenshotPath));
+}
+
+/**
+ * 差分ファイル名に使うページ情報（<ページ識別子>@<コンポーネント名>）
+ */
+function getComponentPageInfo(pageInfo, name) {
+  return {
+    pageId: pageInfo ? pageInfo.pageId : '000',
+    pageIdentifier: pageInfo ? `${pageInfo.pageIdentifier}@${name}` : name
+  };
+}
+
+/**
+ * フルページ座標の除外領域を要素内の座標に変換（要素と重ならないものは除く）
+ */
+function toComponentRects(rects, box) {
+  return rects
+    .map(rect => {
+      const x0 = Math.max(rect.x, box.x);
+      const y0 = Math.max(rect.y, box.y);
+      const x1 = Math.min(rect.x + rect.width, box.x + box.width);
+      const y1 = Math.min(rect.y + rect.height, box.y + box.height);
+
+      return { ...rect, x: x0 - box.x, y: y0 - box.y, width: x1 - x0, height: y1 - y0 };
+    })
+    .filter(rect => rect.width > 0 && rect.height > 0);
+}
+
+/**
+ * 撮影中のページでコンポーネントの要素スクリーンショットを保存
+ * 見つからない・非表示の要素は found: false として記録する（撮影は失敗させない）
+ * 要素の位置は scale（deviceScaleFactor）倍してスクリーンショットと除外領域のピクセル座標に合わせる
+ */
+async function captureComponents(page, components, screenshotPath, ignoreRects = [], scale = 1) {
+  const captured = [];
+
+  for (const component of components) {
+    const entry = {
+      name: component.name,
+      selector: component.selector,
+      threshold: component.threshold !== undefined ? component.threshold : null,
+      found: false
+    };
+
+    try {
+      const element = page.locator(component.selector).first();
+      const cssBox = await element.count() > 0
+        ? await element.evaluate(el => {
+          const rect = el.getBoundingClientRect();
+          return {
+            x: Math.floor(rect.left + window.scrollX),
+            y: Math.floor(rect.top + window.scrollY),
+            width: Math.ceil(rect.width),
+            height: Math.ceil(rect.height)
+          };
+        })
+        : null;
+
+      if (!cssBox || cssBox.width === 0 || cssBox.height === 0) {
+        console.log(`⚠️ コンポーネントが見つかりません: ${component.name} (${component.selector})`);
+        captured.push(entry);
+        continue;
+      }
+
+      const box = scaleRect(cssBox, scale);
+      const componentPath = getComponentPath(screenshotPath, component.name);
+      fs.ensureDirSync(path.dirname(componentPath));
+      await element.screenshot({ path: componentPath, animations: 'disabled', type: 'png' });
+
+      saveCaptureMetadata(componentPath, {
+        component: component.name,
+        selector: component.selector,
+        box,
+        ignoreRegions: toComponentRects(ignoreRects, box)
+      });
+
+      captured.push({ ...entry, found: true, box });
+    } catch (error) {
+      console.log(`⚠️ コンポーネント撮影エラー: ${component.name} - ${error.message}`);
+      captured.push({ ...entry, error: error.message });
+    }
+  }
+
+  return captured;
+}
+
+/**
+ * ページの撮影メタデータから撮影したコンポーネントを取得
+ */
+function loadCapturedComponents(screenshotPath) {
+  const metadata = loadCaptureMetadata(screenshotPath);
+  return metadata && Array.isArray(metadata.components) ? metadata.components : [];
+}
+
+/**
+ * ページのスクリーンショットを別名でコピーする際にコンポーネント画像もコピー（承認時のBaseline昇格）
+ */
+function copyComponentScreenshots(fromPath, toPath) {
+  loadCapturedComponents(fromPath)
+    .filter(component => component.found)
+    .forEach(component => {
+      const from = getComponentPath(fromPath, component.name);
+      const to = getComponentPath(toPath, component.name);
+      if (!fs.existsSync(from)) return;
+
+      fs.ensureDirSync(path.dirname(to));
+      fs.copyFileSync(from, to);
+      if (fs.existsSync(getMetadataPath(from))) {
+        fs.copyFileSync(getMetadataPath(from), getMetadataPath(to));
+      }
+    });
+}
+
+/**
+ * 比較に使うしきい値（現在のサイト設定 → 撮影時の設定 → 既定値）
+ */
+function resolveComponentThreshold(name, siteComponents = [], captured = []) {
+  const configured = siteComponents.find(component => component.name === name);
+  if (configured && configured.threshold !== undefined) return configured.threshold;
+
+  const recorded = captured.find(component => component.name === name && component.threshold !== null);
+  return recorded ? recorded.threshold : DEFAULT_COMPONENT_THRESHOLD;
+}
+
+/**
+ * NGとして扱うコンポーネントの比較結果（Afterで見つからなかったものを含む）
+ */
+function isComponentNg(component) {
+  return component.status === 'NG' || component.status === 'MISSING_AFTER';
+}
+
+/**
+ * ページの比較結果にコンポーネントの結果を反映
+ * コンポーネントがNGならページ全体の差分率がしきい値未満でもページをNGにする
+ */
+function applyComponentResults(result, components) {
+  if (components.length === 0) return result;
+
+  result.components = components;
+  result.componentStatus = components.some(isComponentNg) ? 'NG' : 'OK';
+  if (result.componentStatus === 'NG' && result.status === 'OK') {
+    result.status = 'NG';
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_COMPONENT_THRESHOLD,
+  COMPONENT_NAME_PATTERN,
+  validateComponents,
+  getComponentPath,
+  getComponentPageInfo,
+  toComponentRects,
+  captureComponents,
+  loadCapturedComponents,
+  copyComponentScreenshots,
+  resolveComponentThreshold,
+  isComponentNg,
+  applyComponentResults
+};
@@ -0,0 +1,304 @@
+/**
+ * 📏 コンテンツずれ補正（行ハッシュのシーケンスアラインメント）
+ * 途中に行が挿入・削除されてページ高さが変わった場合でも、対応する行同士を比較できるようにする
+ * 挿入・削除された帯は「y=380に42px挿入」のような独立した検出結果として扱う
+ */
+
+const { PNG } = require('pngjs');
+
+// 編集距離の上限（超える場合は別物のページとみなしてアラインメントしない）
+const DEFAULT_MAX_EDITS = 1000;
+
+// 差分画像上で挿入帯・削除位置を示す色
+const INSERTED_OVERLAY_COLOR = [0, 180, 0];
+const REMOVED_MARKER_COLOR = [255, 140, 0];
+
+/**
+ * 各行のハッシュ値を算出（FNV-1a）
+ */
+function computeRowHashes(png) {
+  const { width, height, data } = png;
+  const rowBytes = width * 4;
+  const hashes = new Uint32Array(height);
+
+  for (let y = 0; y < height; y++) {
+    let hash = 0x811c9dc5;
+    const offset = y * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      hash ^= data[offset + i];
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hashes[y] = hash >>> 0;
+  }
+
+  return hashes;
+}
+
+/**
+ * Myers差分で行の編集スクリプトを算出
+ * @returns {Array<'match'|'del'|'ins'>|null} 編集距離が上限を超えた場合はnull
+ */
+function diffSequences(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // バックトラック用に k = -d-1 .. d+1 の範囲を保存
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 保存した探索履歴から編集スクリプトを復元
+ */
+function backtrack(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const saved = trace[d];
+    const at = (k) => saved[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push('match');
+      x--;
+      y--;
+    }
+    ops.push(x === prevX ? 'ins' : 'del');
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push('match');
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * 2画像の行をアラインメントし、対応行と挿入・削除帯を求める
+ * 幅が異なる場合、または差が大きすぎる場合はnullを返す
+ * @returns {{ baselineRows: Int32Array, afterRows: Int32Array, shifts: Array }|null}
+ */
+function alignRows(baselinePng, afterPng, options = {}) {
+  if (baselinePng.width !== afterPng.width) return null;
+
+  const a = computeRowHashes(baselinePng);
+  const b = computeRowHashes(afterPng);
+
+  // 共通の先頭・末尾を除外して探索範囲を絞る
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const ops = diffSequences(
+    a.subarray(prefix, a.length - suffix),
+    b.subarray(prefix, b.length - suffix),
+    options.maxEdits || DEFAULT_MAX_EDITS
+  );
+  if (!ops) return null;
+
+  const baselineRows = [];
+  const afterRows = [];
+  const shifts = [];
+  let i = prefix;
+  let j = prefix;
+
+  for (let r = 0; r < prefix; r++) {
+    baselineRows.push(r);
+    afterRows.push(r);
+  }
+
+  // 連続する非一致（del/ins）を1つの塊として処理
+  let p = 0;
+  while (p < ops.length) {
+    if (ops[p] === 'match') {
+      baselineRows.push(i++);
+      afterRows.push(j++);
+      p++;
+      continue;
+    }
+
+    let dels = 0;
+    let inss = 0;
+    while (p < ops.length && ops[p] !== 'match') {
+      if (ops[p] === 'del') dels++;
+      else inss++;
+      p++;
+    }
+
+    // 削除と挿入が重なる分は「内容の変更」として同じ位置で比較する
+    const modified = Math.min(dels, inss);
+    for (let t = 0; t < modified; t++) {
+      baselineRows.push(i + t);
+      afterRows.push(j + t);
+    }
+
+    if (inss > dels) {
+      shifts.push({ type: 'inserted', y: j + modified, height: inss - dels, baselineY: i + modified });
+    } else if (dels > inss) {
+      shifts.push({ type: 'removed', y: j + modified, height: dels - inss, baselineY: i + modified });
+    }
+
+    i += dels;
+    j += inss;
+  }
+
+  for (let r = 0; r < suffix; r++) {
+    baselineRows.push(i++);
+    afterRows.push(j++);
+  }
+
+  return {
+    baselineRows: Int32Array.from(baselineRows),
+    afterRows: Int32Array.from(afterRows),
+    shifts
+  };
+}
+
+/**
+ * 対応行だけを並べた比較用画像を作成
+ */
+function buildAlignedImages(baselinePng, afterPng, alignment) {
+  const { width } = baselinePng;
+  const height = alignment.baselineRows.length;
+  const rowBytes = width * 4;
+  const alignedBaseline = new PNG({ width, height });
+  const alignedAfter = new PNG({ width, height });
+
+  for (let r = 0; r < height; r++) {
+    const bRow = alignment.baselineRows[r] * rowBytes;
+    const aRow = alignment.afterRows[r] * rowBytes;
+    baselinePng.data.copy(alignedBaseline.data, r * rowBytes, bRow, bRow + rowBytes);
+    afterPng.data.copy(alignedAfter.data, r * rowBytes, aRow, aRow + rowBytes);
+  }
+
+  return { baseline: alignedBaseline, after: alignedAfter, width, height };
+}
+
+/**
+ * 行単位のマスク（除外領域など）を比較用の行並びに合わせて結合
+ * baseline・afterどちらかでマスクされていれば対象とする
+ */
+function alignMasks(baselineMask, afterMask, alignment, width) {
+  const height = alignment.baselineRows.length;
+  const mask = new Uint8Array(width * height);
+  let maskedPixels = 0;
+
+  for (let r = 0; r < height; r++) {
+    const bRow = alignment.baselineRows[r] * width;
+    const aRow = alignment.afterRows[r] * width;
+    for (let x = 0; x < width; x++) {
+      if (baselineMask[bRow + x] || afterMask[aRow + x]) {
+        mask[r * width + x] = 1;
+        maskedPixels++;
+      }
+    }
+  }
+
+  return { mask, maskedPixels };
+}
+
+/**
+ * 比較用の行並びのデータをAfter画像の座標に戻す
+ * bytesPerPixel: PNGデータは4、マスクは1
+ */
+function projectToAfter(alignedData, alignment, width, afterHeight, bytesPerPixel = 4) {
+  const rowBytes = width * bytesPerPixel;
+  const projected = new Uint8Array(rowBytes * afterHeight);
+
+  for (let r = 0; r < alignment.afterRows.length; r++) {
+    const source = alignedData.subarray(r * rowBytes, (r + 1) * rowBytes);
+    projected.set(source, alignment.afterRows[r] * rowBytes);
+  }
+
+  return projected;
+}
+
+/**
+ * After座標の差分画像に挿入帯（半透明の緑）と削除位置（橙の線）を描画
+ */
+function paintShiftOverlay(diffPng, afterPng, shifts) {
+  const { width, height } = diffPng;
+
+  for (const shift of shifts) {
+    if (shift.type === 'inserted') {
+      for (let y = shift.y; y < Math.min(height, shift.y + shift.height); y++) {
+        for (let x = 0; x < width; x++) {
+          const idx = (y * width + x) << 2;
+          diffPng.data[idx] = (afterPng.data[idx] + INSERTED_OVERLAY_COLOR[0]) >> 1;
+          diffPng.data[idx + 1] = (afterPng.data[idx + 1] + INSERTED_OVERLAY_COLOR[1]) >> 1;
+          diffPng.data[idx + 2] = (afterPng.data[idx + 2] + INSERTED_OVERLAY_COLOR[2]) >> 1;
+          diffPng.data[idx + 3] = 255;
+        }
+      }
+    } else {
+      const lineY = Math.min(Math.max(0, shift.y - 1), height - 2);
+      for (let y = Math.max(0, lineY); y < Math.min(height, lineY + 2); y++) {
+        for (let x = 0; x < width; x++) {
+          const idx = (y * width + x) << 2;
+          diffPng.data[idx] = REMOVED_MARKER_COLOR[0];
+          diffPng.data[idx + 1] = REMOVED_MARKER_COLOR[1];
+          diffPng.data[idx + 2] = REMOVED_MARKER_COLOR[2];
+          diffPng.data[idx + 3] = 255;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * ずれ検出結果の説明文を作成
+ */
+function describeShift(shift) {
+  return shift.type === 'inserted'
+    ? `y=${shift.y}に${shift.height}px挿入`
+    : `y=${shift.y}で${shift.height}px削除（baseline y=${shift.baselineY}）`;
+}
+
+module.exports = {
+  DEFAULT_MAX_EDITS,
+  INSERTED_OVERLAY_COLOR,
+  REMOVED_MARKER_COLOR,
+  computeRowHashes,
+  alignRows,
+  buildAlignedImages,
+  alignMasks,
+  projectToAfter,
+  paintShiftOverlay,
+  describeShift
+};
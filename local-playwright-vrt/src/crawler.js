@@ -1,32 +1,74 @@
 /**
  * 🕷️ URLクローラー機能
  * 同一ドメイン内のリンクを自動収集
+ *
+ * crawlMode（サイト設定）:
+ *   links   - トップページからリンクをたどる（デフォルト）
+ *   sitemap - robots.txt の Sitemap 行・/wp-sitemap.xml・/sitemap_index.xml のURLを使用
+ *   both    - サイトマップのURLに加えてリンクもたどる
+ *
+ * samplePerTemplate（crawlSettings）を指定すると、bodyクラスで判定したテンプレートごとに
+ * 最初に見つかったN件だけを対象ページにする（リンクは対象外のページからもたどる）
+ *
+ * 訪問したページのメインドキュメントのステータス・最終URL・リダイレクトの経路は metadata[url].http に、
+ * 読み込めなかったページは failures に記録する
  */
 
 const { URL } = require('url');
+const { classifyTemplate } = require('./page-templates');
+const { recordNavigation, recordNavigationError } = require('./http-status');
+
+const CRAWL_MODES = ['links', 'sitemap', 'both'];
+
+// 既定で探すサイトマップ（WordPressコア・Yoast）
+const DEFAULT_SITEMAP_PATHS = ['/wp-sitemap.xml', '/sitemap_index.xml'];
+
+// サイトマップインデックスをたどる上限（ファイル数）
+const MAX_SITEMAP_FILES = 50;
+
+// 既定の除外URL（crawlSettings.excludePatterns 未指定時）
+const DEFAULT_EXCLUDE_PATTERNS = [
+  /\.(pdf|zip|exe|dmg|doc|docx|xls|xlsx)$/i,
+  /^mailto:/,
+  /^tel:/,
+  /^javascript:/,
+  /#.*$/,
+  /\/wp-admin/,
+  /\/admin/,
+  /\?.*logout/,
+  /\?.*action=logout/
+];
 
 class SiteCrawler {
   constructor(options = {}) {
     this.maxPages = options.maxPages || 20;
     this.maxDepth = options.maxDepth || 3;
     this.timeout = options.timeout || 30000;
-    this.excludePatterns = options.excludePatterns || [
-      /\.(pdf|zip|exe|dmg|doc|docx|xls|xlsx)$/i,
-      /^mailto:/,
-      /^tel:/,
-      /^javascript:/,
-      /#.*$/,
-      /\/wp-admin/,
-      /\/admin/,
-      /\?.*logout/,
-      /\?.*action=logout/
-    ];
+    this.crawlMode = options.crawlMode || 'links';
+    this.sitemapPaths = options.sitemapPaths || DEFAULT_SITEMAP_PATHS;
+    this.maxSitemapFiles = options.maxSitemapFiles || MAX_SITEMAP_FILES;
+    // テンプレートごとの代表ページ数（0は無効）と、サンプリング時に訪問するページ数の上限
+    this.samplePerTemplate = options.samplePerTemplate || 0;
+    this.maxVisits = options.maxVisits || this.maxPages * 5;
+
+    if (!CRAWL_MODES.includes(this.crawlMode)) {
+      throw new Error(`不正なcrawlModeです: ${this.crawlMode}（${CRAWL_MODES.join(' / ')}）`);
+    }
+
+    this.excludePatterns = options.excludePatterns || DEFAULT_EXCLUDE_PATTERNS;
   }
 
   /**
    * URLを正規化して重複を防ぐ
    */
   normalizeUrl(url) {
+    return SiteCrawler.normalizeUrl(url);
+  }
+
+  /**
+   * URLを正規化（ページレジストリでも同じ規則を使う）
+   */
+  static normalizeUrl(url) {
     try {
       const urlObj = new URL(url);
       
@@ -52,14 +94,32 @@ class SiteCrawler {
     const baseDomain = new URL(baseUrl).hostname;
     const visited = new Set();
     const normalizedToOriginal = new Map(); // 正規化URL → 元URL
-    const queue = [{ url: baseUrl, depth: 0 }];
+    const queue = [{ url: baseUrl, depth: 0, source: 'links' }];
     const urls = [];
     const urlMetadata = new Map();
+    const templates = {}; // テンプレート → { selected, skipped }
+    const failures = []; // 読み込めなかったページ
+    let followLinks = this.crawlMode !== 'sitemap';
+    let sitemaps = [];
+    let visits = 0;
+
+    console.log(`🕷️ クローリング開始: ${baseUrl} (最大${this.maxPages}ページ, ${this.crawlMode})`);
 
-    console.log(`🕷️ クローリング開始: ${baseUrl} (最大${this.maxPages}ページ)`);
+    if (this.crawlMode !== 'links') {
+      const discovered = await this.discoverSitemapUrls(page, baseUrl);
+      sitemaps = discovered.sitemaps;
 
-    while (queue.length > 0 && urls.length < this.maxPages) {
-      const { url, depth } = queue.shift();
+      if (discovered.urls.length > 0) {
+        // サイトマップのURLはトップページと同じ深さ（入口）として扱う
+        queue.push(...discovered.urls.map(url => ({ url, depth: 0, source: 'sitemap' })));
+      } else if (this.crawlMode === 'sitemap') {
+        console.log('⚠️ サイトマップからURLを取得できないため、リンクをたどります');
+        followLinks = true;
+      }
+    }
+
+    while (queue.length > 0 && urls.length < this.maxPages && (!this.samplePerTemplate || visits < this.maxVisits)) {
+      const { url, depth, source } = queue.shift();
       const normalizedUrl = this.normalizeUrl(url);
       
       // 正規化されたURLで重複チェック
@@ -75,35 +135,55 @@ class SiteCrawler {
       visited.add(normalizedUrl);
       normalizedToOriginal.set(normalizedUrl, url);
       
+      visits++;
+
       try {
         // ページ訪問
         console.log(`📄 訪問中 (${urls.length + 1}/${this.maxPages}): ${url}`);
-        await page.goto(url, {
+        const response = await page.goto(url, {
           waitUntil: 'networkidle',
           timeout: this.timeout
         });
+        const http = await this.readNavigation(page, response);
+        if (http && (http.status >= 400 || http.redirectChain.length > 0)) {
+          console.log(`🚦 ${url}: HTTP ${http.status}${http.redirectChain.length > 0 ? ` (リダイレクト → ${http.finalUrl})` : ''}`);
+        }
 
-        // ページタイトル取得
+        // ページタイトル・テンプレート取得
         const title = await page.title();
         const pathname = new URL(url).pathname;
-        
-        urls.push(url);
-        urlMetadata.set(url, {
-          title: title || pathname,
-          pathname: pathname,
-          depth: depth,
-          index: urls.length
-        });
+        const template = classifyTemplate(await this.readBodyClass(page));
+        if (!templates[template]) {
+          templates[template] = { selected: 0, skipped: 0 };
+        }
+        const counts = templates[template];
+
+        if (this.samplePerTemplate && counts.selected >= this.samplePerTemplate) {
+          // 代表ページが揃ったテンプレートは対象外（リンクはたどる）
+          counts.skipped++;
+        } else {
+          counts.selected++;
+          urls.push(url);
+          urlMetadata.set(url, {
+            title: title || pathname,
+            pathname: pathname,
+            depth: depth,
+            index: urls.length,
+            source: source,
+            template: template,
+            http: http
+          });
+        }
 
         // 同一ドメインのリンクを収集
-        if (depth < this.maxDepth) {
+        if (followLinks && depth < this.maxDepth) {
           const links = await this.extractLinks(page, baseDomain);
           const newLinks = links
             .filter(link => {
               const normalizedLink = this.normalizeUrl(link);
               return !visited.has(normalizedLink) && this.isSameDomain(link, baseDomain);
             })
-            .map(link => ({ url: link, depth: depth + 1 }));
+            .map(link => ({ url: link, depth: depth + 1, source: 'links' }));
           
           queue.push(...newLinks);
           console.log(`🔗 ${newLinks.length}個の新しいリンクを発見 (重複除去済み)`);
@@ -111,17 +191,142 @@ class SiteCrawler {
 
       } catch (error) {
         console.log(`⚠️ ページ読み込みエラー: ${url} - ${error.message}`);
+        failures.push({ url, depth, source, http: recordNavigationError(error) });
       }
     }
 
-    console.log(`✅ クローリング完了: ${urls.length}ページを収集`);
+    console.log(`✅ クローリング完了: ${urls.length}ページを収集 (${Object.keys(templates).length}テンプレート)`);
     
     return {
       urls: urls,
-      metadata: Object.fromEntries(urlMetadata)
+      metadata: Object.fromEntries(urlMetadata),
+      crawlMode: this.crawlMode,
+      sitemaps: sitemaps,
+      templates: templates,
+      failures: failures
     };
   }
 
+  /**
+   * メインドキュメントのステータス・リダイレクトを取得（取得できない場合はnull）
+   */
+  async readNavigation(page, response) {
+    try {
+      return await recordNavigation(page, response);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * bodyのクラスを取得（取得できない場合は空文字）
+   */
+  async readBodyClass(page) {
+    try {
+      return await page.$eval('body', body => body.className);
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * サイトマップからURLを収集
+   * robots.txt の Sitemap 行と既定のパスを起点に、サイトマップインデックスをたどる
+   */
+  async discoverSitemapUrls(page, baseUrl) {
+    const baseDomain = new URL(baseUrl).hostname;
+    const sitemapQueue = [
+      ...await this.readRobotsSitemaps(page, baseUrl),
+      ...this.sitemapPaths.map(sitemapPath => new URL(sitemapPath, baseUrl).href)
+    ];
+    const fetched = new Set();
+    const sitemaps = [];
+    const found = new Map(); // 正規化URL → 元URL
+
+    while (sitemapQueue.length > 0 && fetched.size < this.maxSitemapFiles) {
+      const sitemapUrl = sitemapQueue.shift();
+      if (fetched.has(sitemapUrl) || !this.isSameDomain(sitemapUrl, baseDomain)) {
+        continue;
+      }
+      fetched.add(sitemapUrl);
+
+      const xml = await this.fetchText(page, sitemapUrl);
+      if (!xml) continue;
+
+      const { isIndex, locations } = SiteCrawler.parseSitemap(xml);
+      sitemaps.push(sitemapUrl);
+
+      if (isIndex) {
+        sitemapQueue.push(...locations);
+        continue;
+      }
+
+      locations
+        .filter(url => this.isSameDomain(url, baseDomain) && !this.shouldExclude(url))
+        .forEach(url => {
+          const normalizedUrl = this.normalizeUrl(url);
+          if (!found.has(normalizedUrl)) {
+            found.set(normalizedUrl, url);
+          }
+        });
+    }
+
+    console.log(`🗺️ サイトマップ: ${sitemaps.length}ファイルから${found.size}件のURLを取得`);
+
+    return { urls: Array.from(found.values()), sitemaps };
+  }
+
+  /**
+   * robots.txt の Sitemap 行を取得
+   */
+  async readRobotsSitemaps(page, baseUrl) {
+    const robots = await this.fetchText(page, new URL('/robots.txt', baseUrl).href);
+    if (!robots) return [];
+
+    return robots
+      .split(/\r?\n/)
+      .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  /**
+   * URLの本文を取得（取得できない場合はnull）
+   * ページと同じブラウザコンテキストのリクエストを使う
+   */
+  async fetchText(page, url) {
+    try {
+      const response = await page.request.get(url, { timeout: this.timeout });
+      if (!response.ok()) return null;
+      return await response.text();
+    } catch (error) {
+      console.log(`⚠️ 取得エラー: ${url} - ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * サイトマップXMLを解析（<sitemapindex> の場合は子サイトマップのURL）
+   * <image:loc> などの拡張要素は対象外
+   */
+  static parseSitemap(xml) {
+    const isIndex = /<sitemapindex[\s>]/i.test(xml);
+    const locations = [];
+    const locPattern = /<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi;
+    let match;
+
+    while ((match = locPattern.exec(xml)) !== null) {
+      locations.push(match[1]
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'"));
+    }
+
+    return { isIndex, locations };
+  }
+
   /**
    * ページからリンクを抽出
    */
@@ -215,10 +420,15 @@ class SiteCrawler {
         url: url,
         pageId: String(index + 1).padStart(3, '0'),
         identifier: identifier,
-        title: meta.title || identifier
+        title: meta.title || identifier,
+        template: meta.template || null,
+        http: meta.http || null
       };
     });
   }
 }
 
+SiteCrawler.CRAWL_MODES = CRAWL_MODES;
+SiteCrawler.DEFAULT_EXCLUDE_PATTERNS = DEFAULT_EXCLUDE_PATTERNS;
+
 module.exports = SiteCrawler;
\ No newline at end of file
@@ -0,0 +1,275 @@
+/**
+ * 🎲 決定的レンダリング
+ * 撮影ごとに変わる表示（フッターの日付・「3分前」表記・ランダムなスライダー・広告・埋め込み動画）を固定し、
+ * 差分のノイズを減らす
+ *
+ * サイト設定: determinism: { freezeClock, fixedTime, seedRandom, randomSeed, blockThirdParty, blockedHosts,
+ *                            replaceIframes, iframeHosts }
+ * - 各項目は既定で有効。blockedHosts・iframeHosts は既定のホストに追加される
+ * - ホストの指定は 'example.com'（サブドメインを含む）または 'google.com/maps'（パスの前方一致）
+ */
+
+const { VRTError } = require('../../src/error-handler');
+
+// 広告・解析・チャットウィジェット
+const DEFAULT_BLOCKED_HOSTS = [
+  'googletagmanager.com',
+  'google-analytics.com',
+  'analytics.google.com',
+  'doubleclick.net',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'adservice.google.com',
+  'amazon-adsystem.com',
+  'connect.facebook.net',
+  'ads-twitter.com',
+  'clarity.ms',
+  'hotjar.com',
+  'criteo.com',
+  'taboola.com',
+  'outbrain.com',
+  'intercom.io',
+  'intercomcdn.com',
+  'embed.tawk.to',
+  'zdassets.com',
+  'client.crisp.chat',
+  'js.hs-scripts.com',
+  'js.driftt.com'
+];
+
+// プレースホルダーに置き換える埋め込み（動画・地図）
+const DEFAULT_IFRAME_HOSTS = [
+  'youtube.com',
+  'youtube-nocookie.com',
+  'player.vimeo.com',
+  'google.com/maps',
+  'maps.google.com'
+];
+
+const DEFAULT_DETERMINISM = {
+  freezeClock: true,
+  fixedTime: '2025-01-01T00:00:00.000Z',
+  seedRandom: true,
+  randomSeed: 20250101,
+  blockThirdParty: true,
+  blockedHosts: [],
+  replaceIframes: true,
+  iframeHosts: []
+};
+
+const TOGGLE_KEYS = ['freezeClock', 'seedRandom', 'blockThirdParty', 'replaceIframes'];
+
+/**
+ * 決定的レンダリング設定を検証（問題があれば VRTError）
+ */
+function validateDeterminism(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new VRTError('determinism はオブジェクトで指定してください', 'INVALID_DETERMINISM');
+  }
+
+  TOGGLE_KEYS.forEach(key => {
+    if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+      throw new VRTError(`determinism.${key} は true / false で指定してください`, 'INVALID_DETERMINISM');
+    }
+  });
+  if (settings.fixedTime !== undefined && Number.isNaN(new Date(settings.fixedTime).getTime())) {
+    throw new VRTError(`determinism.fixedTime が日時として解釈できません: ${settings.fixedTime}`, 'INVALID_DETERMINISM');
+  }
+  if (settings.randomSeed !== undefined && !Number.isInteger(settings.randomSeed)) {
+    throw new VRTError('determinism.randomSeed は整数で指定してください', 'INVALID_DETERMINISM');
+  }
+  ['blockedHosts', 'iframeHosts'].forEach(key => {
+    const hosts = settings[key];
+    if (hosts !== undefined && (!Array.isArray(hosts) || hosts.some(host => typeof host !== 'string' || !host))) {
+      throw new VRTError(`determinism.${key} はホスト名の配列で指定してください`, 'INVALID_DETERMINISM');
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * 既定値にサイト設定を重ねる（ホストは既定のリストに追加）
+ */
+function resolveDeterminism(siteSettings = {}) {
+  const settings = { ...DEFAULT_DETERMINISM, ...(siteSettings || {}) };
+
+  return {
+    ...settings,
+    blockedHosts: [...new Set([...DEFAULT_BLOCKED_HOSTS, ...settings.blockedHosts])],
+    iframeHosts: [...new Set([...DEFAULT_IFRAME_HOSTS, ...settings.iframeHosts])]
+  };
+}
+
+/**
+ * URLがホストの指定に一致するか（サブドメインを含み、パス指定は前方一致）
+ */
+function matchHostPattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const [patternHost, ...pathParts] = pattern.replace(/^https?:\/\//, '').split('/');
+  const host = patternHost.replace(/^www\./, '');
+  const pathPrefix = pathParts.length > 0 ? `/${pathParts.join('/')}` : '';
+  const hostname = parsed.hostname.replace(/^www\./, '');
+
+  return (hostname === host || hostname.endsWith(`.${host}`)) && parsed.pathname.startsWith(pathPrefix);
+}
+
+/**
+ * ページ内で時計・乱数を固定する初期化スクリプト（ページのスクリプトより先に実行）
+ */
+function installDeterministicGlobals({ freezeClock, time, seedRandom, seed }) {
+  if (freezeClock) {
+    const NativeDate = Date;
+    const FixedDate = function (...args) {
+      if (!(this instanceof FixedDate)) {
+        return new NativeDate(time).toString();
+      }
+      return args.length === 0 ? new NativeDate(time) : new NativeDate(...args);
+    };
+    FixedDate.prototype = NativeDate.prototype;
+    FixedDate.now = () => time;
+    FixedDate.parse = NativeDate.parse;
+    FixedDate.UTC = NativeDate.UTC;
+    window.Date = FixedDate;
+
+    performance.now = () => 0;
+  }
+
+  if (seedRandom) {
+    // mulberry32
+    let state = seed >>> 0;
+    Math.random = () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+/**
+ * ブラウザコンテキストに決定的レンダリングを適用
+ * 返り値の stats に遮断したリクエスト数を記録する
+ */
+async function applyDeterminism(context, settings) {
+  const stats = { blockedRequests: 0, blockedFrames: 0 };
+
+  if (settings.freezeClock || settings.seedRandom) {
+    await context.addInitScript(installDeterministicGlobals, {
+      freezeClock: settings.freezeClock,
+      time: new Date(settings.fixedTime).getTime(),
+      seedRandom: settings.seedRandom,
+      seed: settings.randomSeed
+    });
+  }
+
+  if (settings.blockThirdParty || settings.replaceIframes) {
+    await context.route('**/*', route => {
+      const request = route.request();
+      const url = request.url();
+
+      if (settings.blockThirdParty && settings.blockedHosts.some(host => matchHostPattern(url, host))) {
+        stats.blockedRequests++;
+        return route.abort('blockedbyclient');
+      }
+
+      // 埋め込みの読み込み自体を止める（表示はプレースホルダーに置き換える）
+      if (settings.replaceIframes && isSubframeNavigation(request) &&
+        settings.iframeHosts.some(host => matchHostPattern(url, host))) {
+        stats.blockedFrames++;
+        return route.fulfill({ status: 200, contentType: 'text/html', body: '' });
+      }
+
+      return route.continue();
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * iframe内のドキュメントの読み込みか
+ */
+function isSubframeNavigation(request) {
+  try {
+    return request.isNavigationRequest() && Boolean(request.frame().parentFrame());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 埋め込み（YouTube・地図など）のiframeを同じ大きさのプレースホルダーに置き換え
+ */
+async function replaceIframes(page, settings) {
+  if (!settings.replaceIframes) return 0;
+
+  const sources = await page.$$eval('iframe', frames => frames.map(frame => frame.src || frame.dataset.src || ''));
+  const targets = sources
+    .map((src, index) => ({ src, index }))
+    .filter(({ src }) => settings.iframeHosts.some(host => matchHostPattern(src, host)));
+
+  if (targets.length === 0) return 0;
+
+  await page.$$eval('iframe', (frames, targetList) => {
+    targetList.forEach(({ index, src }) => {
+      const frame = frames[index];
+      const rect = frame.getBoundingClientRect();
+      const placeholder = document.createElement('div');
+
+      placeholder.className = 'vrt-iframe-placeholder';
+      placeholder.textContent = new URL(src).hostname;
+      placeholder.style.cssText = [
+        `width: ${rect.width || frame.width || 300}px`,
+        `height: ${rect.height || frame.height || 150}px`,
+        'display: flex',
+        'align-items: center',
+        'justify-content: center',
+        'background: #d0d0d0',
+        'color: #555',
+        'font: 14px sans-serif',
+        'box-sizing: border-box'
+      ].join('; ');
+      frame.replaceWith(placeholder);
+    });
+  }, targets);
+
+  console.log(`🧩 埋め込みをプレースホルダーに置き換え: ${targets.length}件`);
+  return targets.length;
+}
+
+/**
+ * メタデータに記録する設定（既定から追加したホストのみ記録）
+ */
+function describeDeterminism(settings) {
+  return {
+    freezeClock: settings.freezeClock,
+    fixedTime: settings.freezeClock ? settings.fixedTime : null,
+    seedRandom: settings.seedRandom,
+    randomSeed: settings.seedRandom ? settings.randomSeed : null,
+    blockThirdParty: settings.blockThirdParty,
+    extraBlockedHosts: settings.blockedHosts.filter(host => !DEFAULT_BLOCKED_HOSTS.includes(host)),
+    replaceIframes: settings.replaceIframes,
+    extraIframeHosts: settings.iframeHosts.filter(host => !DEFAULT_IFRAME_HOSTS.includes(host))
+  };
+}
+
+module.exports = {
+  DEFAULT_DETERMINISM,
+  DEFAULT_BLOCKED_HOSTS,
+  DEFAULT_IFRAME_HOSTS,
+  validateDeterminism,
+  resolveDeterminism,
+  matchHostPattern,
+  installDeterministicGlobals,
+  applyDeterminism,
+  replaceIframes,
+  describeDeterminism
+};
@@ -0,0 +1,155 @@
+/**
+ * 📱 デバイスプロファイル
+ * 撮影時のビューポート・デバイスピクセル比・UserAgent・タッチ操作を名前付きで定義する
+ * プロファイル名はスクリーンショット・差分の保存先（<siteId>/<type>/<device>/）に使う
+ *
+ * 定義の優先順: 既定（desktop / tablet / mobile）< device-profiles.json（全体）< サイト設定 deviceProfiles
+ * 例: { "ipad": { "label": "iPad Pro 11", "descriptor": "iPad Pro 11" } }
+ *     descriptor は Playwright のデバイス名（明示した項目が優先）
+ */
+
+const fs = require('fs-extra');
+const { devices: PLAYWRIGHT_DEVICES } = require('playwright');
+const { VRTError } = require('../../src/error-handler');
+
+const DEFAULT_DEVICE_PROFILES = {
+  desktop: {
+    label: 'デスクトップ',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  },
+  tablet: {
+    label: 'タブレット',
+    viewport: { width: 768, height: 1024 },
+    deviceScaleFactor: 1,
+    isMobile: true,
+    hasTouch: true
+  },
+  mobile: {
+    label: 'モバイル',
+    viewport: { width: 375, height: 667 },
+    deviceScaleFactor: 1,
+    isMobile: true,
+    hasTouch: true
+  }
+};
+
+// プロファイル名（ディレクトリ名になるため英数字とハイフンのみ）
+const DEVICE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+// ブラウザコンテキストに渡す項目
+const CONTEXT_OPTION_KEYS = ['viewport', 'deviceScaleFactor', 'isMobile', 'hasTouch', 'userAgent'];
+
+/**
+ * 既定のプロファイルに設定ファイルのプロファイルを追加して読み込む
+ */
+function loadDeviceProfiles(configPath) {
+  const profiles = { ...DEFAULT_DEVICE_PROFILES };
+
+  if (configPath && fs.existsSync(configPath)) {
+    console.log(`📱 デバイスプロファイルを読み込み: ${configPath}`);
+    Object.assign(profiles, validateDeviceProfiles(JSON.parse(fs.readFileSync(configPath, 'utf8'))));
+  }
+
+  return profiles;
+}
+
+/**
+ * プロファイル定義を検証（問題があれば VRTError）
+ */
+function validateDeviceProfiles(profiles) {
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new VRTError('デバイスプロファイルはオブジェクトで指定してください', 'INVALID_DEVICE_PROFILE');
+  }
+
+  Object.entries(profiles).forEach(([name, profile]) => {
+    if (!DEVICE_NAME_PATTERN.test(name)) {
+      throw new VRTError(`デバイスプロファイル名は英数字とハイフンで指定してください: ${name}`, 'INVALID_DEVICE_PROFILE');
+    }
+    if (profile.descriptor && !PLAYWRIGHT_DEVICES[profile.descriptor]) {
+      throw new VRTError(`Playwrightに存在しないデバイスです: ${profile.descriptor}`, 'INVALID_DEVICE_PROFILE');
+    }
+
+    const viewport = profile.viewport || (profile.descriptor && PLAYWRIGHT_DEVICES[profile.descriptor].viewport);
+    if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) {
+      throw new VRTError(`${name} のビューポート（width, height）を指定してください`, 'INVALID_DEVICE_PROFILE');
+    }
+  });
+
+  return profiles;
+}
+
+/**
+ * 全体のプロファイルにサイト固有のプロファイルを重ねる
+ */
+function getDeviceProfiles(globalProfiles, siteProfiles = {}) {
+  return { ...globalProfiles, ...(siteProfiles || {}) };
+}
+
+/**
+ * プロファイル名から定義を取得（未定義は VRTError）
+ */
+function resolveDeviceProfile(name, globalProfiles, siteProfiles = {}) {
+  const profiles = getDeviceProfiles(globalProfiles, siteProfiles);
+
+  if (!DEVICE_NAME_PATTERN.test(String(name)) || !Object.prototype.hasOwnProperty.call(profiles, name)) {
+    throw new VRTError(
+      `未定義のデバイスプロファイルです: ${name}（${Object.keys(profiles).join(' / ')}）`,
+      'UNKNOWN_DEVICE',
+      { retryable: false }
+    );
+  }
+
+  return { name, ...profiles[name] };
+}
+
+/**
+ * ブラウザコンテキストの設定を作成（descriptor の値を明示した項目で上書き）
+ */
+function buildContextOptions(profile) {
+  const descriptor = profile.descriptor ? PLAYWRIGHT_DEVICES[profile.descriptor] : {};
+  const options = { deviceScaleFactor: 1, isMobile: false, hasTouch: false };
+
+  CONTEXT_OPTION_KEYS.forEach(key => {
+    const value = profile[key] !== undefined ? profile[key] : descriptor[key];
+    if (value !== undefined) options[key] = value;
+  });
+
+  return options;
+}
+
+/**
+ * 一覧・結果表示用のプロファイル情報
+ */
+function describeDeviceProfile(profile) {
+  return {
+    name: profile.name,
+    label: profile.label || profile.descriptor || profile.name,
+    descriptor: profile.descriptor || null,
+    ...buildContextOptions(profile)
+  };
+}
+
+/**
+ * デバイス名をプロファイルの定義順（未定義のものは名前順で後ろ）に並べる
+ */
+function sortDeviceNames(names, profiles) {
+  const order = Object.keys(profiles);
+  const rank = name => (order.includes(name) ? order.indexOf(name) : order.length);
+
+  return [...names].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+module.exports = {
+  DEFAULT_DEVICE_PROFILES,
+  DEVICE_NAME_PATTERN,
+  loadDeviceProfiles,
+  validateDeviceProfiles,
+  getDeviceProfiles,
+  resolveDeviceProfile,
+  buildContextOptions,
+  describeDeviceProfile,
+  sortDeviceNames
+};
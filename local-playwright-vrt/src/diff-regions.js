@@ -0,0 +1,252 @@
+/**
+ * 🧩 変更領域のクラスタリング
+ * 差分ピクセルを近接するまとまりごとにグループ化し、バウンディングボックスを算出する
+ * レビュー時に「どこが変わったか」へ直接移動できるよう、番号付き矩形を描画した画像も生成する
+ */
+
+const { PNG } = require('pngjs');
+
+const DEFAULT_CELL_SIZE = 16;
+const DEFAULT_MAX_REGIONS = 50;
+
+// 注釈の描画色
+const REGION_BOX_COLOR = [220, 0, 120];
+const REGION_LABEL_TEXT_COLOR = [255, 255, 255];
+
+// 番号描画用の3x5ドットフォント
+const DIGIT_FONT = {
+  0: ['111', '101', '101', '101', '111'],
+  1: ['010', '110', '010', '010', '111'],
+  2: ['111', '001', '111', '100', '111'],
+  3: ['111', '001', '111', '001', '111'],
+  4: ['101', '101', '111', '001', '001'],
+  5: ['111', '100', '111', '001', '111'],
+  6: ['111', '100', '111', '101', '111'],
+  7: ['111', '001', '001', '001', '001'],
+  8: ['111', '101', '111', '101', '111'],
+  9: ['111', '101', '111', '001', '111']
+};
+
+/**
+ * pixelmatchの差分画像から差分ピクセルのマスクを作成
+ * 差分色（赤/黄）以外はグレースケールで描画されるため色で判別できる
+ */
+function createDiffMask(diffPng) {
+  const { width, height, data } = diffPng;
+  const mask = new Uint8Array(width * height);
+  let count = 0;
+
+  for (let i = 0; i < mask.length; i++) {
+    const idx = i << 2;
+    if (data[idx] === 255 && data[idx + 2] === 0 && (data[idx + 1] === 0 || data[idx + 1] === 255)) {
+      mask[i] = 1;
+      count++;
+    }
+  }
+
+  return { mask, count };
+}
+
+/**
+ * SSIMのブロック結果から、しきい値を下回るブロックのマスクを作成
+ */
+function createSSIMRegionMask(ssimResult, width, height, ssimThreshold) {
+  const { blocks, blockSize, cols } = ssimResult;
+  const mask = new Uint8Array(width * height);
+  let count = 0;
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / blockSize);
+    for (let x = 0; x < width; x++) {
+      const value = blocks[row * cols + Math.floor(x / blockSize)];
+      if (value !== null && value < ssimThreshold) {
+        mask[y * width + x] = 1;
+        count++;
+      }
+    }
+  }
+
+  return { mask, count };
+}
+
+/**
+ * 差分マスクを変更領域にクラスタリング
+ * セル単位で差分の有無を集計し、隣接（斜め含む）セルを連結して1領域とする
+ * @returns {{ regions: Array<{id, x, y, width, height, pixels}>, totalRegions: number, truncated: boolean }}
+ */
+function findChangedRegions(mask, width, height, options = {}) {
+  const cellSize = options.cellSize || DEFAULT_CELL_SIZE;
+  const maxRegions = options.maxRegions || DEFAULT_MAX_REGIONS;
+  const minPixels = options.minPixels || 1;
+
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cellCount = cols * rows;
+
+  // セルごとの差分ピクセル数と実際の差分範囲
+  const counts = new Int32Array(cellCount);
+  const minX = new Int32Array(cellCount).fill(width);
+  const minY = new Int32Array(cellCount).fill(height);
+  const maxX = new Int32Array(cellCount).fill(-1);
+  const maxY = new Int32Array(cellCount).fill(-1);
+
+  for (let y = 0; y < height; y++) {
+    const rowOffset = Math.floor(y / cellSize) * cols;
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      const cell = rowOffset + Math.floor(x / cellSize);
+      counts[cell]++;
+      if (x < minX[cell]) minX[cell] = x;
+      if (y < minY[cell]) minY[cell] = y;
+      if (x > maxX[cell]) maxX[cell] = x;
+      if (y > maxY[cell]) maxY[cell] = y;
+    }
+  }
+
+  // 隣接セルを連結
+  const visited = new Uint8Array(cellCount);
+  const clusters = [];
+
+  for (let start = 0; start < cellCount; start++) {
+    if (!counts[start] || visited[start]) continue;
+
+    const cluster = { x0: width, y0: height, x1: -1, y1: -1, pixels: 0 };
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      cluster.pixels += counts[cell];
+      cluster.x0 = Math.min(cluster.x0, minX[cell]);
+      cluster.y0 = Math.min(cluster.y0, minY[cell]);
+      cluster.x1 = Math.max(cluster.x1, maxX[cell]);
+      cluster.y1 = Math.max(cluster.y1, maxY[cell]);
+
+      const col = cell % cols;
+      const row = (cell - col) / cols;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nCol = col + dx;
+          const nRow = row + dy;
+          if (nCol < 0 || nRow < 0 || nCol >= cols || nRow >= rows) continue;
+          const neighbor = nRow * cols + nCol;
+          if (counts[neighbor] && !visited[neighbor]) {
+            visited[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    if (cluster.pixels >= minPixels) {
+      clusters.push(cluster);
+    }
+  }
+
+  // 上限を超える場合は差分ピクセル数の多い領域を優先
+  const truncated = clusters.length > maxRegions;
+  const selected = truncated
+    ? clusters.sort((a, b) => b.pixels - a.pixels).slice(0, maxRegions)
+    : clusters;
+
+  // ページの上から順に番号を振る
+  const regions = selected
+    .sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0)
+    .map((cluster, index) => ({
+      id: index + 1,
+      x: cluster.x0,
+      y: cluster.y0,
+      width: cluster.x1 - cluster.x0 + 1,
+      height: cluster.y1 - cluster.y0 + 1,
+      pixels: cluster.pixels
+    }));
+
+  return { regions, totalRegions: clusters.length, truncated };
+}
+
+/**
+ * 矩形を塗りつぶし（画像範囲外はクリップ）
+ */
+function fillRect(png, x, y, w, h, color) {
+  const x0 = Math.max(0, x);
+  const y0 = Math.max(0, y);
+  const x1 = Math.min(png.width, x + w);
+  const y1 = Math.min(png.height, y + h);
+
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) {
+      const idx = (py * png.width + px) << 2;
+      png.data[idx] = color[0];
+      png.data[idx + 1] = color[1];
+      png.data[idx + 2] = color[2];
+      png.data[idx + 3] = 255;
+    }
+  }
+}
+
+/**
+ * 番号ラベルを描画
+ */
+function drawLabel(png, text, x, y, scale) {
+  const padding = scale;
+  const charWidth = 3 * scale;
+  const labelWidth = text.length * (charWidth + scale) + padding;
+  const labelHeight = 5 * scale + padding * 2;
+
+  fillRect(png, x, y, labelWidth, labelHeight, REGION_BOX_COLOR);
+
+  text.split('').forEach((char, charIndex) => {
+    const glyph = DIGIT_FONT[char];
+    if (!glyph) return;
+    const offsetX = x + padding + charIndex * (charWidth + scale);
+    glyph.forEach((line, gy) => {
+      line.split('').forEach((bit, gx) => {
+        if (bit === '1') {
+          fillRect(png, offsetX + gx * scale, y + padding + gy * scale, scale, scale, REGION_LABEL_TEXT_COLOR);
+        }
+      });
+    });
+  });
+
+  return labelHeight;
+}
+
+/**
+ * 画像に変更領域の番号付き矩形を描画した新しいPNGを作成
+ */
+function drawRegionAnnotations(sourcePng, regions, options = {}) {
+  const lineWidth = options.lineWidth || 3;
+  const scale = options.labelScale || 4;
+  const annotated = new PNG({ width: sourcePng.width, height: sourcePng.height });
+  sourcePng.data.copy(annotated.data);
+
+  for (const region of regions) {
+    // 枠線が差分に重ならないよう外側に描画
+    const x = region.x - lineWidth;
+    const y = region.y - lineWidth;
+    const w = region.width + lineWidth * 2;
+    const h = region.height + lineWidth * 2;
+
+    fillRect(annotated, x, y, w, lineWidth, REGION_BOX_COLOR);
+    fillRect(annotated, x, y + h - lineWidth, w, lineWidth, REGION_BOX_COLOR);
+    fillRect(annotated, x, y, lineWidth, h, REGION_BOX_COLOR);
+    fillRect(annotated, x + w - lineWidth, y, lineWidth, h, REGION_BOX_COLOR);
+
+    // ラベルは枠の上に置き、余白がなければ枠の内側に置く
+    const labelHeight = 5 * scale + scale * 2;
+    const labelY = y - labelHeight >= 0 ? y - labelHeight : Math.max(0, y);
+    drawLabel(annotated, String(region.id), Math.max(0, x), labelY, scale);
+  }
+
+  return annotated;
+}
+
+module.exports = {
+  DEFAULT_CELL_SIZE,
+  DEFAULT_MAX_REGIONS,
+  REGION_BOX_COLOR,
+  createDiffMask,
+  createSSIMRegionMask,
+  findChangedRegions,
+  drawRegionAnnotations
+};
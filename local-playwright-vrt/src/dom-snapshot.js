@@ -0,0 +1,332 @@
+/**
+ * 🧬 DOMスナップショットと構造の差分
+ * 撮影時に表示中の要素の位置（バウンディングボックス）と主要な計算済みスタイルを保存し、
+ * NGページではBaselineとAfterの差分（要素の追加・削除・移動・サイズ変化・テキストやスタイルの変化）を変更領域に対応付ける
+ * （ピクセル差分だけでは「どのCSSが変わったか」がわからないため）
+ *
+ * 保存先: <ページの撮影ディレクトリ>/dom/<ページと同じファイル名>.json
+ * 差分: <差分ディレクトリ>/<ファイル接頭辞>_dom.json
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const DOM_DIR = 'dom';
+
+// 記録する計算済みスタイル
+const SNAPSHOT_STYLE_PROPERTIES = [
+  'display',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'line-height',
+  'color',
+  'background-color',
+  'text-align',
+  'margin-top',
+  'margin-right',
+  'margin-bottom',
+  'margin-left',
+  'padding-top',
+  'padding-right',
+  'padding-bottom',
+  'padding-left'
+];
+
+const MAX_SNAPSHOT_ELEMENTS = 3000;
+const MAX_DOM_CHANGES = 200;
+
+// 位置・サイズの変化とみなす差（CSSピクセル）
+const MOVE_TOLERANCE = 2;
+
+/**
+ * ページのスクリーンショットに対応するDOMスナップショットのパス
+ */
+function getDomSnapshotPath(screenshotPath) {
+  return path.join(path.dirname(screenshotPath), DOM_DIR, path.basename(screenshotPath).replace(/\.png$/, '.json'));
+}
+
+/**
+ * ページ内で表示中の要素を収集（page.evaluate で実行）
+ * key は文書内のパス（id があれば id、なければ タグ.先頭クラス:nth-of-type）、parent は記録した最も近い祖先の key
+ */
+function collectDomSnapshot({ maxElements, styleProperties }) {
+  const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'META', 'LINK', 'TEMPLATE', 'TITLE', 'BR']);
+  const elements = [];
+  let truncated = false;
+
+  const getSegment = el => {
+    const tag = el.tagName.toLowerCase();
+    if (el.id) return `${tag}#${el.id}`;
+
+    let index = 1;
+    for (let sibling = el.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.tagName === el.tagName) index++;
+    }
+    const className = typeof el.className === 'string' ? el.className.trim() : '';
+    return `${tag}${className ? `.${className.split(/\s+/)[0]}` : ''}:nth-of-type(${index})`;
+  };
+
+  const walk = (el, parentPath, parentKey) => {
+    if (SKIP_TAGS.has(el.tagName)) return;
+    if (elements.length >= maxElements) {
+      truncated = true;
+      return;
+    }
+
+    const style = window.getComputedStyle(el);
+    if (style.display === 'none') return;
+
+    const elementPath = parentPath ? `${parentPath} > ${getSegment(el)}` : getSegment(el);
+    const rect = el.getBoundingClientRect();
+    let key = parentKey;
+
+    if (style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0) {
+      const text = Array.from(el.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 80);
+      const styles = {};
+      styleProperties.forEach(property => {
+        styles[property] = style.getPropertyValue(property);
+      });
+
+      elements.push({
+        key: elementPath,
+        parent: parentKey,
+        tag: el.tagName.toLowerCase(),
+        text,
+        box: {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        },
+        styles
+      });
+      key = elementPath;
+    }
+
+    Array.from(el.children).forEach(child => walk(child, elementPath, key));
+  };
+
+  walk(document.body, '', null);
+
+  return { url: window.location.href, devicePixelRatio: window.devicePixelRatio, truncated, elements };
+}
+
+/**
+ * 撮影中のページのDOMスナップショットを保存（失敗しても撮影は失敗させない）
+ * 返り値は記録した要素数（保存できなければnull）
+ */
+async function captureDomSnapshot(page, screenshotPath) {
+  try {
+    const snapshot = await page.evaluate(collectDomSnapshot, {
+      maxElements: MAX_SNAPSHOT_ELEMENTS,
+      styleProperties: SNAPSHOT_STYLE_PROPERTIES
+    });
+    const snapshotPath = getDomSnapshotPath(screenshotPath);
+
+    fs.ensureDirSync(path.dirname(snapshotPath));
+    fs.writeFileSync(snapshotPath, JSON.stringify(snapshot));
+
+    if (snapshot.truncated) {
+      console.log(`⚠️ 要素が多いためDOMスナップショットは先頭${MAX_SNAPSHOT_ELEMENTS}要素のみ記録します`);
+    }
+    return snapshot.elements.length;
+  } catch (error) {
+    console.log(`⚠️ DOMスナップショット保存エラー: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * スクリーンショットに対応するDOMスナップショットを読み込み（なければnull）
+ */
+function loadDomSnapshot(screenshotPath) {
+  const snapshotPath = getDomSnapshotPath(screenshotPath);
+  if (!fs.existsSync(snapshotPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * ページのスクリーンショットを別名でコピーする際にDOMスナップショットもコピー（承認時のBaseline昇格）
+ */
+function copyDomSnapshot(fromPath, toPath) {
+  const from = getDomSnapshotPath(fromPath);
+  if (!fs.existsSync(from)) return;
+
+  const to = getDomSnapshotPath(toPath);
+  fs.ensureDirSync(path.dirname(to));
+  fs.copyFileSync(from, to);
+}
+
+/**
+ * 要素を対応付ける特徴（前の兄弟要素の増減で key がずれた要素を同じ要素として扱う）
+ */
+function getElementSignature(element) {
+  return `${element.tag}|${element.key.split(' > ').pop().replace(/:nth-of-type\(\d+\)$/, '')}|${element.text}`;
+}
+
+/**
+ * BaselineとAfterの要素を対応付ける（After要素の key → Baseline要素）
+ * 1. key とテキストが同じ要素 2. key がずれた同じ特徴の要素 3. key が同じでテキストだけ変わった要素 の順
+ */
+function matchElements(baseline, after) {
+  const baselineByKey = new Map(baseline.elements.map(element => [element.key, element]));
+  const matches = new Map();
+  const used = new Set();
+
+  after.elements.forEach(element => {
+    const before = baselineByKey.get(element.key);
+    if (before && before.text === element.text) {
+      matches.set(element.key, before);
+      used.add(before.key);
+    }
+  });
+
+  const unmatched = () => baseline.elements.filter(element => !used.has(element.key));
+  after.elements.filter(element => !matches.has(element.key)).forEach(element => {
+    const before = unmatched().find(candidate => getElementSignature(candidate) === getElementSignature(element));
+    if (before) {
+      matches.set(element.key, before);
+      used.add(before.key);
+    }
+  });
+
+  after.elements.filter(element => !matches.has(element.key)).forEach(element => {
+    const before = baselineByKey.get(element.key);
+    if (before && !used.has(before.key)) {
+      matches.set(element.key, before);
+      used.add(before.key);
+    }
+  });
+
+  return { matches, used };
+}
+
+/**
+ * 2つのDOMスナップショットの構造の差分
+ * - 追加・削除は最上位の要素のみ（子孫は親と一緒に増減したものとして扱う）
+ * - 移動は親要素と同じだけ動いたもの（親の移動に伴うもの）を除く
+ * - サイズ変化は子要素にサイズ変化がない最も内側の要素のみ（祖先が連鎖して大きくなるため）
+ */
+function diffDomSnapshots(baseline, after, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : MOVE_TOLERANCE;
+  const { matches, used } = matchElements(baseline, after);
+
+  const changes = [];
+  const deltas = new Map();
+  const resizedKeys = new Set();
+
+  after.elements.forEach(element => {
+    const before = matches.get(element.key);
+    if (!before) return;
+
+    const delta = { dx: element.box.x - before.box.x, dy: element.box.y - before.box.y };
+    deltas.set(element.key, delta);
+
+    const parentDelta = deltas.get(element.parent) || { dx: 0, dy: 0 };
+    const moved = Math.abs(delta.dx - parentDelta.dx) > tolerance || Math.abs(delta.dy - parentDelta.dy) > tolerance;
+    const resize = { dw: element.box.width - before.box.width, dh: element.box.height - before.box.height };
+    const resized = Math.abs(resize.dw) > tolerance || Math.abs(resize.dh) > tolerance;
+    const styles = Object.keys(element.styles)
+      .filter(property => before.styles[property] !== element.styles[property])
+      .map(property => ({ property, before: before.styles[property], after: element.styles[property] }));
+    const textChange = before.text !== element.text ? { before: before.text, after: element.text } : null;
+
+    if (resized) resizedKeys.add(element.key);
+    if (!moved && !resized && styles.length === 0 && !textChange) return;
+
+    changes.push({
+      type: 'changed',
+      key: element.key,
+      tag: element.tag,
+      text: element.text,
+      box: element.box,
+      baselineBox: before.box,
+      moved: moved ? delta : null,
+      resized: resized ? resize : null,
+      textChange,
+      styles
+    });
+  });
+
+  // 子要素のサイズ変化に連鎖しただけの祖先は除く
+  const resizedParents = new Set(after.elements.filter(e => resizedKeys.has(e.key)).map(e => e.parent));
+  const structural = changes
+    .map(change => (change.resized && resizedParents.has(change.key) ? { ...change, resized: null } : change))
+    .filter(change => change.moved || change.resized || change.textChange || change.styles.length > 0);
+
+  const added = after.elements.filter(element => !matches.has(element.key));
+  const addedKeys = new Set(added.map(element => element.key));
+  added.filter(element => !addedKeys.has(element.parent)).forEach(element => {
+    structural.push({ type: 'added', key: element.key, tag: element.tag, text: element.text, box: element.box });
+  });
+
+  const removed = baseline.elements.filter(element => !used.has(element.key));
+  const removedKeys = new Set(removed.map(element => element.key));
+  removed.filter(element => !removedKeys.has(element.parent)).forEach(element => {
+    structural.push({ type: 'removed', key: element.key, tag: element.tag, text: element.text, box: element.box });
+  });
+
+  return {
+    summary: {
+      added: structural.filter(change => change.type === 'added').length,
+      removed: structural.filter(change => change.type === 'removed').length,
+      moved: structural.filter(change => change.moved).length,
+      resized: structural.filter(change => change.resized).length,
+      textChanged: structural.filter(change => change.textChange).length,
+      styleChanged: structural.filter(change => change.styles && change.styles.length > 0).length
+    },
+    changes: structural
+  };
+}
+
+/**
+ * 構造の差分を変更領域（After画像のピクセル座標）に対応付ける
+ * 変更領域に重なる変更を先に並べ、件数が多い場合は MAX_DOM_CHANGES 件に絞る
+ */
+function mapDomChangesToRegions(diff, regions = [], devicePixelRatio = 1) {
+  const overlaps = (box, region) => {
+    const x = region.x / devicePixelRatio;
+    const y = region.y / devicePixelRatio;
+    return box.x < x + region.width / devicePixelRatio && box.x + box.width > x &&
+      box.y < y + region.height / devicePixelRatio && box.y + box.height > y;
+  };
+
+  const mapped = diff.changes
+    .map(change => ({ ...change, regions: regions.filter(region => overlaps(change.box, region)).map(r => r.id) }))
+    .sort((a, b) => (b.regions.length > 0) - (a.regions.length > 0) || a.box.y - b.box.y);
+  const changes = mapped.slice(0, MAX_DOM_CHANGES);
+
+  return {
+    ...diff,
+    totalChanges: mapped.length,
+    changes,
+    regions: regions.map(region => ({
+      id: region.id,
+      changes: changes.map((change, index) => (change.regions.includes(region.id) ? index : -1)).filter(i => i >= 0)
+    }))
+  };
+}
+
+module.exports = {
+  SNAPSHOT_STYLE_PROPERTIES,
+  MAX_DOM_CHANGES,
+  getDomSnapshotPath,
+  collectDomSnapshot,
+  captureDomSnapshot,
+  loadDomSnapshot,
+  copyDomSnapshot,
+  diffDomSnapshots,
+  mapDomChangesToRegions
+};
@@ -0,0 +1,146 @@
+/**
+ * 🚦 HTTPステータス・リダイレクトの記録と比較
+ * 更新後に500を返すようになったページやトップページへリダイレクトされるようになったページは、
+ * 画面が崩れていなくても（エラーページ・トップページの撮影として）見逃されるため、
+ * クロール・撮影時にメインドキュメントのステータス・最終URL・リダイレクトの経路・canonicalを記録し、
+ * BaselineとAfterの違い（200→404・新しいリダイレクト・canonicalの変更）を報告する
+ *
+ * - ステータス・リダイレクト・最終URLの変化はページをNGにする
+ * - canonicalの変化は報告のみ（WARNING）
+ * - Baselineに記録がない（導入前の撮影）場合は比較しない
+ */
+
+const { loadCaptureMetadata } = require('./capture-metadata');
+
+/**
+ * page.goto のレスポンスからメインドキュメントの記録を作成
+ * finalUrl は記録時点のページURL（JavaScript・meta refresh によるリダイレクトも含む）
+ */
+async function recordNavigation(page, response) {
+  const redirectChain = [];
+  let request = response ? response.request().redirectedFrom() : null;
+
+  while (request) {
+    const redirectResponse = await request.response().catch(() => null);
+    redirectChain.unshift({ url: request.url(), status: redirectResponse ? redirectResponse.status() : null });
+    request = request.redirectedFrom();
+  }
+
+  return {
+    status: response ? response.status() : null,
+    finalUrl: page.url(),
+    redirectChain,
+    canonical: await readCanonical(page)
+  };
+}
+
+/**
+ * 読み込みに失敗したページの記録
+ */
+function recordNavigationError(error) {
+  return { status: null, finalUrl: null, redirectChain: [], canonical: null, error: error.message };
+}
+
+/**
+ * <link rel="canonical"> のURL（なければnull）
+ */
+async function readCanonical(page) {
+  try {
+    return await page.$eval('link[rel="canonical"]', link => link.href);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * スクリーンショットの撮影メタデータからHTTPの記録を取得（記録がなければnull）
+ */
+function loadHttpRecord(screenshotPath) {
+  const metadata = loadCaptureMetadata(screenshotPath);
+  return metadata && metadata.http ? metadata.http : null;
+}
+
+/**
+ * リダイレクトの経路を比較用の文字列にする
+ */
+function describeRedirectChain(chain) {
+  return chain.map(hop => `${hop.status} ${hop.url}`).join(' → ');
+}
+
+/**
+ * BaselineとAfterのHTTPの記録を比較（どちらかの記録がなければnull）
+ * 変化ごとに type（status / redirect / finalUrl / canonical）と severity（NG / WARNING）を返す
+ */
+function compareHttpRecords(baseline, after) {
+  if (!baseline || !after) return null;
+
+  const changes = [];
+
+  if (baseline.status !== after.status) {
+    changes.push({
+      type: 'status',
+      severity: 'NG',
+      before: baseline.status,
+      after: after.status,
+      error: after.error || null
+    });
+  }
+
+  const redirectChanged = describeRedirectChain(baseline.redirectChain) !== describeRedirectChain(after.redirectChain);
+  if (redirectChanged) {
+    changes.push({ type: 'redirect', severity: 'NG', before: baseline.redirectChain, after: after.redirectChain });
+  }
+
+  // リダイレクトの経路が同じまま最終URLが変わった場合（JavaScriptによるリダイレクト）
+  if (!redirectChanged && after.finalUrl && baseline.finalUrl !== after.finalUrl) {
+    changes.push({ type: 'finalUrl', severity: 'NG', before: baseline.finalUrl, after: after.finalUrl });
+  }
+
+  if (after.status !== null && baseline.canonical !== after.canonical) {
+    changes.push({ type: 'canonical', severity: 'WARNING', before: baseline.canonical, after: after.canonical });
+  }
+
+  return { baseline, after, changes };
+}
+
+/**
+ * ページの比較結果にHTTPの比較を反映（NGの変化があれば差分率に関係なくページをNGにする）
+ */
+function applyHttpResults(result, comparison) {
+  if (!comparison) return result;
+
+  result.http = comparison;
+  result.httpStatus = comparison.changes.some(change => change.severity === 'NG') ? 'NG' :
+    comparison.changes.length > 0 ? 'WARNING' : 'OK';
+  if (result.httpStatus === 'NG' && result.status === 'OK') {
+    result.status = 'NG';
+  }
+  return result;
+}
+
+/**
+ * 比較結果一覧に表示するHTTPの変化の行（変化がなければnull）
+ */
+function buildHttpChangeRow(page, comparison) {
+  if (!comparison || comparison.changes.length === 0) return null;
+
+  return {
+    pageId: page.pageId,
+    pageIdentifier: page.pageIdentifier,
+    url: page.url || comparison.baseline.finalUrl,
+    severity: comparison.changes.some(change => change.severity === 'NG') ? 'NG' : 'WARNING',
+    baseline: { status: comparison.baseline.status, finalUrl: comparison.baseline.finalUrl },
+    after: { status: comparison.after.status, finalUrl: comparison.after.finalUrl },
+    changes: comparison.changes
+  };
+}
+
+module.exports = {
+  recordNavigation,
+  recordNavigationError,
+  loadHttpRecord,
+  describeRedirectChain,
+  compareHttpRecords,
+  applyHttpResults,
+  buildHttpChangeRow
+};
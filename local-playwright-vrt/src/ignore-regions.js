@@ -0,0 +1,144 @@
+/**
+ * 🙈 比較除外領域（マスク）
+ * スライダー・広告枠・カウンター等の動的領域を差分計算から除外する
+ */
+
+// 差分画像上で除外領域を示すオーバーレイ色
+const IGNORE_OVERLAY_COLOR = [0, 120, 255];
+
+/**
+ * CSSピクセルの矩形をスクリーンショットのピクセルに変換（deviceScaleFactor 倍、端数は外側に丸める）
+ */
+function scaleRect(rect, scale = 1) {
+  if (scale === 1) return rect;
+
+  const x = Math.floor(rect.x * scale);
+  const y = Math.floor(rect.y * scale);
+  return {
+    ...rect,
+    x,
+    y,
+    width: Math.ceil((rect.x + rect.width) * scale) - x,
+    height: Math.ceil((rect.y + rect.height) * scale) - y
+  };
+}
+
+/**
+ * 撮影中のページでCSSセレクタを矩形に解決
+ * 固定矩形はそのまま返す（フルページ座標）
+ * scale（deviceScaleFactor）を指定するとスクリーンショットのピクセル座標で返す
+ */
+async function resolveIgnoreRegions(page, regions = [], scale = 1) {
+  const resolved = [];
+
+  for (const region of regions) {
+    if (region.selector) {
+      try {
+        const rects = await page.evaluate((selector) => {
+          return Array.from(document.querySelectorAll(selector))
+            .map(el => {
+              const rect = el.getBoundingClientRect();
+              return {
+                x: Math.floor(rect.left + window.scrollX),
+                y: Math.floor(rect.top + window.scrollY),
+                width: Math.ceil(rect.width),
+                height: Math.ceil(rect.height)
+              };
+            })
+            .filter(rect => rect.width > 0 && rect.height > 0);
+        }, region.selector);
+
+        rects.forEach(rect => resolved.push({ ...rect, source: 'selector', selector: region.selector }));
+      } catch (error) {
+        console.log(`⚠️ 除外セレクタの解決に失敗: ${region.selector} - ${error.message}`);
+      }
+    } else if (isValidRect(region)) {
+      resolved.push({
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height,
+        source: 'rect'
+      });
+    }
+  }
+
+  return resolved.map(rect => scaleRect(rect, scale));
+}
+
+/**
+ * 矩形定義が有効かチェック
+ */
+function isValidRect(region) {
+  return ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key])) &&
+    region.width > 0 && region.height > 0;
+}
+
+/**
+ * 除外矩形からピクセルマスクを作成
+ * 重なった矩形も1ピクセル1回としてカウントする
+ */
+function buildIgnoreMask(width, height, rects = []) {
+  const mask = new Uint8Array(width * height);
+  let maskedPixels = 0;
+
+  for (const rect of rects) {
+    const x0 = Math.max(0, Math.floor(rect.x));
+    const y0 = Math.max(0, Math.floor(rect.y));
+    const x1 = Math.min(width, Math.floor(rect.x + rect.width));
+    const y1 = Math.min(height, Math.floor(rect.y + rect.height));
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const idx = y * width + x;
+        if (!mask[idx]) {
+          mask[idx] = 1;
+          maskedPixels++;
+        }
+      }
+    }
+  }
+
+  return { mask, maskedPixels };
+}
+
+/**
+ * マスク領域を両画像で同一色に塗りつぶし、差分として検出されないようにする
+ */
+function applyIgnoreMask(images, mask) {
+  for (const image of images) {
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) {
+        const idx = i << 2;
+        image.data[idx] = 0;
+        image.data[idx + 1] = 0;
+        image.data[idx + 2] = 0;
+        image.data[idx + 3] = 255;
+      }
+    }
+  }
+}
+
+/**
+ * 差分画像に除外領域をオーバーレイ表示（半透明で重ねる）
+ */
+function paintIgnoreOverlay(diffPng, mask, color = IGNORE_OVERLAY_COLOR) {
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) {
+      const idx = i << 2;
+      diffPng.data[idx] = (diffPng.data[idx] + color[0]) >> 1;
+      diffPng.data[idx + 1] = (diffPng.data[idx + 1] + color[1]) >> 1;
+      diffPng.data[idx + 2] = (diffPng.data[idx + 2] + color[2]) >> 1;
+      diffPng.data[idx + 3] = 255;
+    }
+  }
+}
+
+module.exports = {
+  IGNORE_OVERLAY_COLOR,
+  scaleRect,
+  resolveIgnoreRegions,
+  buildIgnoreMask,
+  applyIgnoreMask,
+  paintIgnoreOverlay
+};
@@ -0,0 +1,354 @@
+/**
+ * 📋 ジョブキュー
+ * 撮影・比較などの長時間処理をジョブとして順番に実行し、進捗をVRTDatabaseに保存する
+ * サーバー再起動時は実行待ち・実行中だったジョブを再投入する
+ *
+ * 中断（cancel）・一時停止（pause）はページ単位のチェックポイントで反映する
+ * 処理側は job.checkpoint に途中経過を保存し、再開（resume）時はそこから続行する
+ *
+ * 進捗は 'update' イベント（job）で通知する（SSE配信用）
+ */
+
+const { EventEmitter } = require('events');
+const { VRTError } = require('../../src/error-handler');
+
+// ジョブに保存するイベントの上限（古いものから削除）
+const MAX_JOB_EVENTS = 500;
+
+const JOB_STATUSES = ['queued', 'running', 'paused', 'cancelled', 'completed', 'failed'];
+
+// 終了済み（再実行しない）ステータス
+const FINISHED_STATUSES = ['cancelled', 'completed', 'failed'];
+
+class JobQueue extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    this.database = database;
+    this.concurrency = options.concurrency || 1;
+    this.maxEvents = options.maxEvents || MAX_JOB_EVENTS;
+    this.handlers = new Map();
+    this.pending = [];
+    this.running = 0;
+    // 実行中ジョブの制御状態（jobId → { stopRequest, contexts }）
+    this.controls = new Map();
+  }
+
+  /**
+   * ジョブ種別ごとの処理を登録
+   * handler(params, job) の job.report(type, data) で進捗を通知する
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * ジョブを登録して実行待ちにする
+   */
+  async enqueue(type, params = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`未登録のジョブ種別です: ${type}`);
+    }
+
+    const job = await this.database.saveJob({
+      id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      status: 'queued',
+      params,
+      progress: { total: 0, completed: 0, failed: 0 },
+      events: [],
+      eventSeq: 0,
+      checkpoint: {},
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    });
+
+    console.log(`📋 ジョブ登録: ${job.id} (${type})`);
+    this.pending.push(job.id);
+    this.emit('update', job);
+    setImmediate(() => this.processNext());
+
+    return job;
+  }
+
+  /**
+   * 再起動前に実行待ち・実行中だったジョブを再投入
+   * 実行中だったジョブはチェックポイントから続行する
+   */
+  async restore() {
+    const jobs = await this.database.getJobs({ status: ['queued', 'running'], limit: Infinity });
+    const restored = jobs.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const job of restored) {
+      if (job.status === 'running') {
+        job.status = 'queued';
+        this.appendEvent(job, 'restarted', { message: 'サーバー再起動により再実行します（完了済みのページから続行）' });
+        await this.database.saveJob(job);
+      }
+      if (!this.pending.includes(job.id)) {
+        this.pending.push(job.id);
+      }
+    }
+
+    if (restored.length > 0) {
+      console.log(`📋 ジョブ再投入: ${restored.length}件`);
+    }
+    this.processNext();
+
+    return restored.length;
+  }
+
+  /**
+   * 空きがあれば次のジョブを実行
+   */
+  processNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.running++;
+      this.runJob(jobId)
+        .catch(error => console.error(`❌ ジョブ実行エラー [${jobId}]:`, error.message))
+        .finally(() => {
+          this.running--;
+          this.processNext();
+        });
+    }
+  }
+
+  /**
+   * ジョブを1件実行
+   */
+  async runJob(jobId) {
+    const job = await this.database.getJob(jobId);
+    if (!job || job.status !== 'queued') return;
+
+    const handler = this.handlers.get(job.type);
+    const control = { stopRequest: null, contexts: new Set() };
+    this.controls.set(job.id, control);
+
+    // 進捗は実行ごとに数え直す（再開時は処理側が完了済みページ数を total と一緒に報告する）
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.progress = { total: 0, completed: 0, failed: 0 };
+    job.checkpoint = job.checkpoint || {};
+    this.appendEvent(job, 'started', { message: `${job.type} を開始しました` });
+    await this.save(job);
+
+    console.log(`▶️ ジョブ開始: ${job.id} (${job.type})`);
+
+    const context = {
+      id: job.id,
+      checkpoint: job.checkpoint,
+      report: (type, data = {}) => this.report(job, type, data),
+      saveCheckpoint: () => this.save(job),
+      isStopRequested: () => control.stopRequest !== null,
+      throwIfStopped: () => this.throwIfStopped(control),
+      trackContext: (browserContext) => {
+        control.contexts.add(browserContext);
+        return () => control.contexts.delete(browserContext);
+      }
+    };
+
+    try {
+      job.result = await handler(job.params, context);
+      job.status = 'completed';
+      this.appendEvent(job, 'completed', { message: `${job.type} が完了しました` });
+      console.log(`✅ ジョブ完了: ${job.id}`);
+    } catch (error) {
+      if (error.type === 'JOB_PAUSED') {
+        job.status = 'paused';
+        this.appendEvent(job, 'paused', { message: '一時停止しました（再開時は完了済みのページから続行します）' });
+        console.log(`⏸️ ジョブ一時停止: ${job.id}`);
+      } else if (error.type === 'JOB_CANCELLED') {
+        job.status = 'cancelled';
+        this.appendEvent(job, 'cancelled', { message: '中断しました' });
+        console.log(`⏹️ ジョブ中断: ${job.id}`);
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        this.appendEvent(job, 'failed', { message: error.message });
+        console.error(`❌ ジョブ失敗: ${job.id}`, error.message);
+      }
+    } finally {
+      this.controls.delete(job.id);
+    }
+
+    job.completedAt = FINISHED_STATUSES.includes(job.status) ? new Date().toISOString() : null;
+    await this.save(job);
+  }
+
+  /**
+   * 中断・一時停止が要求されていれば例外を投げる（ページ単位で呼び出す）
+   */
+  throwIfStopped(control) {
+    if (control.stopRequest === 'cancel') {
+      throw new VRTError('ジョブが中断されました', 'JOB_CANCELLED', { retryable: false });
+    }
+    if (control.stopRequest === 'pause') {
+      throw new VRTError('ジョブが一時停止されました', 'JOB_PAUSED', { retryable: false });
+    }
+  }
+
+  /**
+   * ジョブを中断
+   * 実行中の場合は開いているブラウザコンテキストを閉じて即座に停止させる
+   */
+  async cancel(jobId) {
+    const job = await this.database.getJob(jobId);
+    if (!job) return null;
+
+    if (job.status === 'running') {
+      const control = this.controls.get(jobId);
+      if (control) {
+        control.stopRequest = 'cancel';
+        await this.closeContexts(control);
+      }
+      return job;
+    }
+
+    if (job.status === 'queued' || job.status === 'paused') {
+      this.pending = this.pending.filter(id => id !== jobId);
+      job.status = 'cancelled';
+      job.completedAt = new Date().toISOString();
+      this.appendEvent(job, 'cancelled', { message: '中断しました' });
+      return await this.save(job);
+    }
+
+    throw new VRTError(`${job.status} のジョブは中断できません`, 'INVALID_JOB_STATE');
+  }
+
+  /**
+   * ジョブを一時停止
+   * 実行中の場合は撮影中のページが終わった時点で停止する
+   */
+  async pause(jobId) {
+    const job = await this.database.getJob(jobId);
+    if (!job) return null;
+
+    if (job.status === 'running') {
+      const control = this.controls.get(jobId);
+      if (control && control.stopRequest === null) {
+        control.stopRequest = 'pause';
+      }
+      return job;
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(id => id !== jobId);
+      job.status = 'paused';
+      this.appendEvent(job, 'paused', { message: '一時停止しました' });
+      return await this.save(job);
+    }
+
+    throw new VRTError(`${job.status} のジョブは一時停止できません`, 'INVALID_JOB_STATE');
+  }
+
+  /**
+   * 一時停止したジョブを再開（チェックポイントから続行）
+   */
+  async resume(jobId) {
+    const job = await this.database.getJob(jobId);
+    if (!job) return null;
+
+    if (job.status !== 'paused') {
+      throw new VRTError(`${job.status} のジョブは再開できません`, 'INVALID_JOB_STATE');
+    }
+
+    job.status = 'queued';
+    this.appendEvent(job, 'resumed', { message: '再開しました' });
+    const saved = await this.save(job);
+
+    this.pending.push(jobId);
+    setImmediate(() => this.processNext());
+
+    return saved;
+  }
+
+  /**
+   * ジョブが開いているブラウザコンテキストを閉じる
+   */
+  async closeContexts(control) {
+    const contexts = Array.from(control.contexts);
+    control.contexts.clear();
+
+    await Promise.all(contexts.map(async (browserContext) => {
+      try {
+        await browserContext.close();
+      } catch (error) {
+        console.log('⚠️ コンテキストクローズエラー:', error.message);
+      }
+    }));
+  }
+
+  /**
+   * 進捗を記録
+   * total: 処理予定ページ数（completed: うち完了済み）を加算 / page: 完了ページ / error: 失敗ページ / その他: ログのみ
+   */
+  report(job, type, data) {
+    if (type === 'total') {
+      job.progress.total += data.count || 0;
+      job.progress.completed += data.completed || 0;
+    } else if (type === 'page') {
+      job.progress.completed++;
+    } else if (type === 'error') {
+      job.progress.failed++;
+    }
+
+    this.appendEvent(job, type, data);
+    return this.save(job);
+  }
+
+  /**
+   * ジョブにイベントを追加（seqは削除後も続く通し番号）
+   */
+  appendEvent(job, type, data) {
+    job.eventSeq = (job.eventSeq || 0) + 1;
+    job.events.push({ seq: job.eventSeq, type, ...data, at: new Date().toISOString() });
+    if (job.events.length > this.maxEvents) {
+      job.events.splice(0, job.events.length - this.maxEvents);
+    }
+  }
+
+  /**
+   * ジョブを保存して購読者に通知
+   */
+  async save(job) {
+    const saved = await this.database.saveJob(job);
+    job.updatedAt = saved.updatedAt;
+    this.emit('update', saved);
+    return saved;
+  }
+
+  /**
+   * ジョブを取得
+   */
+  async getJob(jobId) {
+    return await this.database.getJob(jobId);
+  }
+
+  /**
+   * ジョブ一覧を取得
+   */
+  async getJobs(options = {}) {
+    return await this.database.getJobs(options);
+  }
+
+  /**
+   * 特定ジョブの更新を購読（解除関数を返す）
+   */
+  subscribe(jobId, listener) {
+    const handler = (job) => {
+      if (job.id === jobId) listener(job);
+    };
+    this.on('update', handler);
+    return () => this.off('update', handler);
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JOB_STATUSES,
+  FINISHED_STATUSES,
+  MAX_JOB_EVENTS
+};
@@ -0,0 +1,141 @@
+/**
+ * 📼 外部リソースのHAR記録・再生
+ * CDNの画像バリアントや外部フォントは何も変えなくても撮影ごとに変わるため、
+ * Baseline撮影時に外部ホストへのリクエストをHARに記録し、After撮影時はそのHARから返す
+ * （差分にはサイト自身のHTML/CSS/JSの変化だけが残る）
+ *
+ * サイト設定: networkReplay: { enabled: false, firstPartyHosts: [] }
+ * - 撮影するページのホスト（サブドメインを含む）は常に記録・再生の対象外。firstPartyHosts で追加できる
+ * - HARにないリクエスト（承認で差し替えたページ、新しく増えた外部リソース）は通常どおり取得する
+ * 保存先: screenshots/<siteId>/baseline/<device>/har/<セッションタイムスタンプ>/<ページのファイル名>.har
+ * - どのBaselineバージョンからも参照されなくなったセッションのHARは削除する
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { VRTError } = require('../../src/error-handler');
+const { parseScreenshotFilename } = require('./session-files');
+const { loadVersionManifest, resolveBaselineVersion, getVersionFiles } = require('./baseline-versions');
+
+const DEFAULT_NETWORK_REPLAY = {
+  enabled: false,
+  firstPartyHosts: []
+};
+
+const HAR_DIR = 'har';
+
+/**
+ * HAR記録・再生の設定を検証（問題があれば VRTError）
+ */
+function validateNetworkReplay(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new VRTError('networkReplay はオブジェクトで指定してください', 'INVALID_NETWORK_REPLAY');
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    throw new VRTError('networkReplay.enabled は true / false で指定してください', 'INVALID_NETWORK_REPLAY');
+  }
+
+  const hosts = settings.firstPartyHosts;
+  if (hosts !== undefined && (!Array.isArray(hosts) || hosts.some(host => typeof host !== 'string' || !host))) {
+    throw new VRTError('networkReplay.firstPartyHosts はホスト名の配列で指定してください', 'INVALID_NETWORK_REPLAY');
+  }
+
+  return settings;
+}
+
+/**
+ * 既定値にサイト設定を重ねる
+ */
+function resolveNetworkReplay(siteSettings = {}) {
+  return { ...DEFAULT_NETWORK_REPLAY, ...(siteSettings || {}) };
+}
+
+/**
+ * Baselineのスクリーンショットに対応するHARのパス（ファイル名の形式外はnull）
+ */
+function getHarPath(baselineDir, filename) {
+  const info = parseScreenshotFilename(filename);
+  if (!info) return null;
+
+  return path.join(baselineDir, HAR_DIR, info.sessionTimestamp, filename.replace(/\.png$/, '.har'));
+}
+
+/**
+ * 外部ホスト（ページのホストと firstPartyHosts 以外）へのリクエストに一致する正規表現
+ * recordHar の urlFilter・routeFromHAR の url に渡す
+ */
+function buildThirdPartyPattern(pageUrl, firstPartyHosts = []) {
+  const hosts = [new URL(pageUrl).hostname, ...firstPartyHosts]
+    .map(host => host.replace(/^https?:\/\//, '').replace(/\/.*$/, '').replace(/^www\./, '').toLowerCase());
+  const alternatives = [...new Set(hosts)]
+    .map(host => host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+
+  return new RegExp(`^https?://(?!(?:[^/?#]*\\.)?(?:${alternatives})(?::\\d+)?(?:[/?#]|$))`, 'i');
+}
+
+/**
+ * Baseline撮影時にコンテキストへ渡す recordHar オプション
+ */
+function getRecordHarOptions(harPath, urlFilter) {
+  fs.ensureDirSync(path.dirname(harPath));
+  return { path: harPath, mode: 'minimal', urlFilter };
+}
+
+/**
+ * After撮影で再生する、現在のBaselineバージョンのページのHAR（なければnull）
+ */
+function findBaselineHar(baselineDir, pageIdentifier) {
+  const baseline = getVersionFiles(resolveBaselineVersion(baselineDir)).get(pageIdentifier);
+  if (!baseline) return null;
+
+  const harPath = getHarPath(baselineDir, baseline.file);
+  return harPath && fs.existsSync(harPath) ? harPath : null;
+}
+
+/**
+ * 外部ホストへのリクエストをHARから返す（HARにないリクエストは後続のルート・ネットワークへ）
+ * 決定的レンダリングのルートより後に登録すること（後から登録したルートが先に処理される）
+ */
+async function replayFromHar(context, harPath, urlFilter) {
+  await context.routeFromHAR(harPath, { url: urlFilter, notFound: 'fallback' });
+}
+
+/**
+ * どのBaselineバージョンからも参照されなくなったセッションのHARを削除
+ * 撮影途中（partial）のセッションは参照中として残す
+ */
+function pruneHarArchives(baselineDir) {
+  const harRoot = path.join(baselineDir, HAR_DIR);
+  if (!fs.existsSync(harRoot)) return [];
+
+  const manifest = loadVersionManifest(baselineDir);
+  const referenced = new Set(manifest.versions.map(version => version.id));
+  manifest.versions.forEach(version => {
+    version.pages.forEach(page => {
+      const info = parseScreenshotFilename(page.file);
+      if (info) referenced.add(info.sessionTimestamp);
+    });
+  });
+
+  const removed = fs.readdirSync(harRoot).filter(session => !referenced.has(session));
+  removed.forEach(session => fs.removeSync(path.join(harRoot, session)));
+
+  if (removed.length > 0) {
+    console.log(`🧹 参照されなくなったHARを削除: ${removed.join(', ')}`);
+  }
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_NETWORK_REPLAY,
+  HAR_DIR,
+  validateNetworkReplay,
+  resolveNetworkReplay,
+  getHarPath,
+  buildThirdPartyPattern,
+  getRecordHarOptions,
+  findBaselineHar,
+  replayFromHar,
+  pruneHarArchives
+};
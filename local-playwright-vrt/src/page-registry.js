@@ -0,0 +1,150 @@
+/**
+ * 📇 ページレジストリ
+ * サイトごとに「正規化URL → 固定のページID・識別子」を VRTDatabase（pages）に保存する
+ * クロール順やパスの長さに関係なく同じページには同じIDを割り当て、撮影ファイル名と比較のペアリングに使う
+ *
+ * 識別子はパスから作成し、30文字を超える場合や他のページと重複する場合はURLのハッシュを付ける
+ * 一度割り当てたIDと識別子は変更しない（既存のスクリーンショットとの対応を保つ）
+ */
+
+const crypto = require('crypto');
+const { URL } = require('url');
+const SiteCrawler = require('./crawler');
+
+const MAX_IDENTIFIER_LENGTH = 30;
+const HASH_LENGTH = 6;
+
+/**
+ * URLのパスから識別子の元になる文字列を作成
+ */
+function createSlug(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    pathname = String(url);
+  }
+
+  const slug = pathname
+    .replace(/^\//, '')
+    .replace(/\/$/, '')
+    .replace(/[^a-zA-Z0-9]/g, '-')
+    .toLowerCase();
+
+  return slug || 'top';
+}
+
+/**
+ * 重複しない識別子を作成（長い・重複する場合はハッシュ付き）
+ */
+function createIdentifier(url, normalizedUrl, usedIdentifiers) {
+  const slug = createSlug(url);
+  if (slug.length <= MAX_IDENTIFIER_LENGTH && !usedIdentifiers.has(slug)) {
+    return slug;
+  }
+
+  const hash = crypto.createHash('sha1').update(normalizedUrl).digest('hex').substring(0, HASH_LENGTH);
+  const prefix = slug.substring(0, MAX_IDENTIFIER_LENGTH - HASH_LENGTH - 1).replace(/-+$/, '');
+  return `${prefix}-${hash}`;
+}
+
+/**
+ * レポート用のページ情報
+ */
+function toPageSummary(entry) {
+  return { pageId: entry.pageId, identifier: entry.identifier, url: entry.url };
+}
+
+/**
+ * クロール結果のページをレジストリに登録し、固定のページID・識別子に置き換える
+ * markMissing: 今回見つからなかった登録済みページを removed にする（ページ指定の撮影では false）
+ * @returns {{pages, added, removed, restored}}
+ */
+async function syncPageRegistry(database, siteId, pages, options = {}) {
+  const { markMissing = true } = options;
+  const entries = await database.getSitePages(siteId);
+  const byUrl = new Map(entries.map(entry => [entry.normalizedUrl, entry]));
+  const usedIdentifiers = new Set(entries.map(entry => entry.identifier));
+  const now = new Date().toISOString();
+  const seen = new Set();
+  const added = [];
+  const restored = [];
+  let nextId = entries.reduce((max, entry) => Math.max(max, parseInt(entry.pageId, 10)), 0) + 1;
+
+  const resolvedPages = pages.map(page => {
+    const normalizedUrl = SiteCrawler.normalizeUrl(page.url);
+    let entry = byUrl.get(normalizedUrl);
+
+    if (!entry) {
+      entry = {
+        siteId,
+        url: page.url,
+        normalizedUrl,
+        pageId: String(nextId++).padStart(3, '0'),
+        identifier: createIdentifier(page.url, normalizedUrl, usedIdentifiers),
+        status: 'active',
+        firstSeenAt: now
+      };
+      usedIdentifiers.add(entry.identifier);
+      byUrl.set(normalizedUrl, entry);
+      entries.push(entry);
+      added.push(entry);
+    } else if (entry.status === 'removed') {
+      restored.push(entry);
+    }
+
+    entry.status = 'active';
+    entry.lastSeenAt = now;
+    entry.title = page.title || entry.title || entry.identifier;
+    if (page.template) entry.template = page.template;
+    delete entry.removedAt;
+    seen.add(normalizedUrl);
+
+    return { ...page, pageId: entry.pageId, identifier: entry.identifier };
+  });
+
+  const removed = markMissing
+    ? entries.filter(entry => entry.status === 'active' && !seen.has(entry.normalizedUrl))
+    : [];
+  removed.forEach(entry => {
+    entry.status = 'removed';
+    entry.removedAt = now;
+  });
+
+  await database.saveSitePages(siteId, entries);
+
+  if (added.length > 0 || removed.length > 0) {
+    console.log(`📇 ${siteId}: 新規${added.length}ページ, 消失${removed.length}ページ`);
+  }
+
+  return {
+    pages: resolvedPages,
+    added: added.map(toPageSummary),
+    removed: removed.map(toPageSummary),
+    restored: restored.map(toPageSummary)
+  };
+}
+
+/**
+ * レジストリからペアリング用の索引を作成
+ * keyOf: 撮影時のURLがあればURL、なければ識別子から登録済みページを引き、同じページに同じキーを返す
+ */
+function indexRegistryPages(entries) {
+  const byUrl = new Map(entries.map(entry => [entry.normalizedUrl, entry]));
+  const byIdentifier = new Map(entries.map(entry => [entry.identifier, entry]));
+
+  const keyOf = (pageIdentifier, url = null) => {
+    if (url) return SiteCrawler.normalizeUrl(url);
+    const entry = byIdentifier.get(pageIdentifier);
+    return entry ? entry.normalizedUrl : `identifier:${pageIdentifier}`;
+  };
+
+  return { byUrl, byIdentifier, keyOf };
+}
+
+module.exports = {
+  MAX_IDENTIFIER_LENGTH,
+  createIdentifier,
+  syncPageRegistry,
+  indexRegistryPages
+};
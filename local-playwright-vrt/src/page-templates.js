@@ -0,0 +1,104 @@
+/**
+ * 🧩 WordPressテンプレート判定
+ * bodyのクラス（single-post, page-template-*, archive, woocommerce-page など）からページのテンプレートを判定する
+ * テンプレートごとに代表ページだけを撮影するサンプリングと、結果のテンプレート別集計に使用
+ */
+
+const UNKNOWN_TEMPLATE = 'unknown';
+
+// 判定ルール（上から順に評価し、最初に一致したものを採用）
+const TEMPLATE_RULES = [
+  // WooCommerce
+  { label: 'cart', match: classes => classes.has('woocommerce-cart') },
+  { label: 'checkout', match: classes => classes.has('woocommerce-checkout') },
+  { label: 'my-account', match: classes => classes.has('woocommerce-account') },
+  { label: 'single-product', match: classes => classes.has('single-product') },
+  {
+    label: 'product-archive',
+    match: classes => classes.has('post-type-archive-product') ||
+      classes.has('tax-product_cat') || classes.has('tax-product_tag')
+  },
+  // 特殊ページ
+  { label: 'home', match: classes => classes.has('home') },
+  { label: '404', match: classes => classes.has('error404') },
+  { label: 'search', match: classes => classes.has('search') },
+  // 固定ページテンプレート（page-template-default は通常の固定ページ）
+  {
+    label: classes => findClass(classes, /^page-template-(?!default$)/),
+    match: classes => findClass(classes, /^page-template-(?!default$)/) !== null
+  },
+  // 投稿・カスタム投稿（single-format-* は投稿フォーマットなので除外）
+  {
+    label: classes => findClass(classes, /^single-(?!format-)/),
+    match: classes => classes.has('single') && findClass(classes, /^single-(?!format-)/) !== null
+  },
+  { label: 'page', match: classes => classes.has('page') },
+  // アーカイブ
+  {
+    label: classes => findClass(classes, /^post-type-archive-/),
+    match: classes => findClass(classes, /^post-type-archive-/) !== null
+  },
+  { label: 'archive-category', match: classes => classes.has('category') },
+  { label: 'archive-tag', match: classes => classes.has('tag') },
+  {
+    label: classes => findClass(classes, /^tax-/).replace(/^tax-/, 'archive-'),
+    match: classes => findClass(classes, /^tax-/) !== null
+  },
+  { label: 'archive-author', match: classes => classes.has('author') },
+  { label: 'archive-date', match: classes => classes.has('date') },
+  { label: 'archive', match: classes => classes.has('archive') },
+  { label: 'blog', match: classes => classes.has('blog') },
+  { label: 'woocommerce-page', match: classes => classes.has('woocommerce-page') }
+];
+
+/**
+ * パターンに一致する最初のクラスを取得
+ */
+function findClass(classes, pattern) {
+  for (const className of classes) {
+    if (pattern.test(className)) return className;
+  }
+  return null;
+}
+
+/**
+ * bodyのクラスからテンプレートを判定
+ */
+function classifyTemplate(bodyClass) {
+  const classes = new Set(String(bodyClass || '').split(/\s+/).filter(Boolean));
+  const rule = TEMPLATE_RULES.find(r => r.match(classes));
+
+  if (!rule) return UNKNOWN_TEMPLATE;
+  return typeof rule.label === 'function' ? rule.label(classes) : rule.label;
+}
+
+/**
+ * 比較結果をテンプレート別に集計
+ */
+function summarizeByTemplate(results) {
+  const summary = {};
+
+  results.forEach(result => {
+    const template = result.template || UNKNOWN_TEMPLATE;
+    if (!summary[template]) {
+      summary[template] = { total: 0, ok: 0, ng: 0, error: 0, missingAfter: 0, newPages: 0, pages: [] };
+    }
+
+    const group = summary[template];
+    group.total++;
+    if (result.status === 'OK') group.ok++;
+    if (result.status === 'NG') group.ng++;
+    if (result.status === 'ERROR') group.error++;
+    if (result.status === 'MISSING_AFTER') group.missingAfter++;
+    if (result.status === 'NEW_PAGE') group.newPages++;
+    group.pages.push(result.pageIdentifier);
+  });
+
+  return summary;
+}
+
+module.exports = {
+  UNKNOWN_TEMPLATE,
+  classifyTemplate,
+  summarizeByTemplate
+};
@@ -0,0 +1,115 @@
+/**
+ * 🧨 PHPエラー・WordPressのエラー画面の検出
+ * プラグイン更新後にページ上部へ「Warning: Undefined array key」などが出力されても、
+ * 残りの表示が変わらなければ差分率はしきい値未満になるため、撮影時に表示中のテキストを走査して
+ * PHPの Notice / Warning / Fatal error、WordPressの重大なエラー画面・データベース接続エラー・メンテナンス表示を記録し、
+ * Afterで検出したページは差分率に関係なくNG（phpErrorStatus: CRITICAL）にする
+ */
+
+const { loadCaptureMetadata } = require('./capture-metadata');
+
+// 検出するパターン（PHPのエラーは「on line <行>」または「<ファイル>.php:<行>」まで一致したものだけ）
+const PHP_ERROR_PATTERNS = [
+  {
+    type: 'php',
+    label: 'PHPエラー',
+    pattern: /\b(?:PHP )?(?:Fatal error|Parse error|Recoverable fatal error|Warning|Notice|Deprecated)\s*:\s+[^\n]{1,300}?(?:\bon line\s+\d+|\.php:\d+)/gi
+  },
+  {
+    type: 'critical',
+    label: 'WordPressの重大なエラー',
+    pattern: /There has been a critical error on (?:this|your) website|このサイトで重大なエラーが発生しました/gi
+  },
+  {
+    type: 'database',
+    label: 'データベース接続エラー',
+    pattern: /Error establishing a database connection|データベース接続確立エラー/gi
+  },
+  {
+    type: 'database',
+    label: 'データベースエラー',
+    pattern: /WordPress (?:database error|データベースエラー)[^\n]{0,200}/gi
+  },
+  {
+    type: 'maintenance',
+    label: 'メンテナンス表示',
+    pattern: /Briefly unavailable for scheduled maintenance|現在メンテナンス中のため、しばらくの間ご利用いただけません/gi
+  }
+];
+
+// 1ページに記録する検出結果の上限
+const MAX_PHP_ERRORS = 20;
+
+/**
+ * テキストからエラーの出力を検出（同じ出力は1件にまとめる）
+ */
+function findPhpErrors(text) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const { type, label, pattern } of PHP_ERROR_PATTERNS) {
+    for (const match of String(text || '').matchAll(pattern)) {
+      const message = match[0].replace(/\s+/g, ' ').trim().slice(0, 300);
+      if (seen.has(message) || errors.length >= MAX_PHP_ERRORS) continue;
+
+      seen.add(message);
+      errors.push({ type, label, message });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 撮影中のページの表示テキストを走査（取得できなければ空配列）
+ */
+async function scanPhpErrors(page) {
+  try {
+    const text = await page.$eval('body', body => body.innerText);
+    return findPhpErrors(text);
+  } catch (error) {
+    console.log(`⚠️ エラー出力の検出に失敗: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * スクリーンショットの撮影メタデータから検出結果を取得（記録がなければnull）
+ */
+function loadPhpErrors(screenshotPath) {
+  const metadata = loadCaptureMetadata(screenshotPath);
+  return metadata && Array.isArray(metadata.phpErrors) ? metadata.phpErrors : null;
+}
+
+/**
+ * ページの比較結果にAfterの検出結果を反映（検出があればページをNGにし、phpErrorStatus を CRITICAL にする）
+ * Baselineの検出件数も参考として記録する
+ */
+function applyPhpErrorResults(result, afterErrors, baselineErrors = null) {
+  if (!afterErrors || afterErrors.length === 0) return result;
+
+  result.phpErrors = afterErrors;
+  result.phpErrorStatus = 'CRITICAL';
+  result.baselinePhpErrorCount = baselineErrors ? baselineErrors.length : null;
+  if (result.status === 'OK') {
+    result.status = 'NG';
+  }
+  return result;
+}
+
+/**
+ * 検出結果の要約（ジョブの通知・ログ用）
+ */
+function describePhpErrors(errors) {
+  const labels = [...new Set(errors.map(error => error.label))];
+  return `${labels.join('・')} ${errors.length}件`;
+}
+
+module.exports = {
+  PHP_ERROR_PATTERNS,
+  findPhpErrors,
+  scanPhpErrors,
+  loadPhpErrors,
+  applyPhpErrorResults,
+  describePhpErrors
+};
@@ -0,0 +1,190 @@
+/**
+ * 🐞 ブラウザのエラー収集・比較
+ * プラグイン更新でJavaScriptが壊れても初回描画は変わらないことが多く、画像の差分ではOKになってしまうため、
+ * 撮影中のコンソールエラー・未捕捉の例外・失敗したリクエスト・4xx/5xxのサブリソースを撮影メタデータに記録し、
+ * BaselineになかったエラーがAfterで発生したページを差分率に関係なくNGにする
+ *
+ * サイト設定: runtimeErrors: { failOnNewErrors: true, ignorePatterns: [] }
+ * - ignorePatterns はメッセージ・URLに含まれる文字列（一致したエラーは比較しない）
+ * - Baselineにエラーの記録がない（導入前の撮影）場合は比較しない
+ */
+
+const { VRTError } = require('../../src/error-handler');
+const { loadCaptureMetadata } = require('./capture-metadata');
+
+const DEFAULT_RUNTIME_ERRORS = {
+  failOnNewErrors: true,
+  ignorePatterns: []
+};
+
+// 1ページに記録するエラーの上限（同じエラーはまとめて count に数える）
+const MAX_RUNTIME_ERRORS = 50;
+
+// ページ遷移・読み込み中止などで発生する、エラーではないリクエストの失敗
+const CANCELLED_REQUEST_ERRORS = ['net::ERR_ABORTED', 'NS_BINDING_ABORTED', 'cancelled'];
+
+/**
+ * エラー収集設定を検証（問題があれば VRTError）
+ */
+function validateRuntimeErrorSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new VRTError('runtimeErrors はオブジェクトで指定してください', 'INVALID_RUNTIME_ERRORS');
+  }
+  if (settings.failOnNewErrors !== undefined && typeof settings.failOnNewErrors !== 'boolean') {
+    throw new VRTError('runtimeErrors.failOnNewErrors は true / false で指定してください', 'INVALID_RUNTIME_ERRORS');
+  }
+
+  const patterns = settings.ignorePatterns;
+  if (patterns !== undefined && (!Array.isArray(patterns) || patterns.some(p => typeof p !== 'string' || !p))) {
+    throw new VRTError('runtimeErrors.ignorePatterns は文字列の配列で指定してください', 'INVALID_RUNTIME_ERRORS');
+  }
+
+  return settings;
+}
+
+/**
+ * 既定値にサイト設定を重ねる
+ */
+function resolveRuntimeErrorSettings(siteSettings = {}) {
+  return { ...DEFAULT_RUNTIME_ERRORS, ...(siteSettings || {}) };
+}
+
+/**
+ * ページのエラーを収集するリスナーを登録（page.goto の前に呼ぶ）
+ * isIgnoredUrl: 意図的に遮断したリクエスト（決定的レンダリング）など記録しないURLの判定
+ * 返り値の関数で、同じエラーをまとめた一覧を取得する
+ */
+function collectRuntimeErrors(page, { isIgnoredUrl = () => false } = {}) {
+  const entries = new Map();
+
+  const record = (entry) => {
+    if (entry.url && isIgnoredUrl(entry.url)) return;
+
+    const signature = getErrorSignature(entry);
+    const existing = entries.get(signature);
+    if (existing) {
+      existing.count++;
+    } else if (entries.size < MAX_RUNTIME_ERRORS) {
+      entries.set(signature, { ...entry, count: 1 });
+    }
+  };
+
+  page.on('console', message => {
+    if (message.type() !== 'error') return;
+    const location = message.location() || {};
+    record({ type: 'console', message: message.text(), url: location.url || null });
+  });
+
+  page.on('pageerror', error => {
+    record({ type: 'pageerror', message: error.message, url: null });
+  });
+
+  page.on('requestfailed', request => {
+    const failure = request.failure();
+    const errorText = failure ? failure.errorText : 'failed';
+    if (CANCELLED_REQUEST_ERRORS.some(cancelled => errorText.includes(cancelled))) return;
+
+    record({ type: 'requestfailed', message: errorText, url: request.url(), resourceType: request.resourceType() });
+  });
+
+  page.on('response', response => {
+    if (response.status() < 400) return;
+
+    record({
+      type: 'http',
+      message: `HTTP ${response.status()}`,
+      url: response.url(),
+      status: response.status(),
+      resourceType: response.request().resourceType()
+    });
+  });
+
+  return () => Array.from(entries.values());
+}
+
+/**
+ * 同じエラーとみなす特徴（キャッシュ対策のクエリ・行番号・数値の違いは無視）
+ */
+function getErrorSignature(entry) {
+  const url = entry.url ? entry.url.replace(/[?#].*$/, '') : '';
+  const message = String(entry.message || '')
+    .replace(/https?:\/\/[^\s)'"]+/g, match => match.replace(/[?#].*$/, ''))
+    .replace(/:\d+(:\d+)?/g, '')
+    .replace(/\d+/g, 'N')
+    .trim()
+    .slice(0, 200);
+
+  return `${entry.type}|${entry.status || ''}|${url}|${message}`;
+}
+
+/**
+ * スクリーンショットの撮影メタデータから収集したエラーを取得（記録がなければnull）
+ */
+function loadRuntimeErrors(screenshotPath) {
+  const metadata = loadCaptureMetadata(screenshotPath);
+  return metadata && Array.isArray(metadata.runtimeErrors) ? metadata.runtimeErrors : null;
+}
+
+/**
+ * BaselineとAfterのエラーを比較（どちらかの記録がなければnull）
+ */
+function compareRuntimeErrors(baselineErrors, afterErrors, settings = DEFAULT_RUNTIME_ERRORS) {
+  if (!baselineErrors || !afterErrors) return null;
+
+  const isIgnored = entry => settings.ignorePatterns.some(pattern =>
+    String(entry.message || '').includes(pattern) || String(entry.url || '').includes(pattern)
+  );
+  const baseline = baselineErrors.filter(entry => !isIgnored(entry));
+  const after = afterErrors.filter(entry => !isIgnored(entry));
+  const baselineSignatures = new Set(baseline.map(getErrorSignature));
+  const afterSignatures = new Set(after.map(getErrorSignature));
+
+  return {
+    baselineCount: baseline.length,
+    afterCount: after.length,
+    newErrors: after.filter(entry => !baselineSignatures.has(getErrorSignature(entry))),
+    resolvedErrors: baseline.filter(entry => !afterSignatures.has(getErrorSignature(entry)))
+  };
+}
+
+/**
+ * ページの比較結果にエラーの比較を反映
+ * 新しいエラーがあればページ全体の差分率がしきい値未満でもページをNGにする（failOnNewErrors: false なら記録のみ）
+ */
+function applyRuntimeErrorResults(result, comparison, settings = DEFAULT_RUNTIME_ERRORS) {
+  if (!comparison) return result;
+
+  result.runtimeErrors = comparison;
+  result.runtimeErrorStatus = comparison.newErrors.length > 0 ? 'NG' : 'OK';
+  if (result.runtimeErrorStatus === 'NG' && settings.failOnNewErrors && result.status === 'OK') {
+    result.status = 'NG';
+  }
+  return result;
+}
+
+/**
+ * データベースに保存するエラーの比較結果（一覧表示に必要な項目のみ）
+ */
+function summarizeRuntimeErrors(comparison) {
+  if (!comparison) return undefined;
+
+  return {
+    baselineCount: comparison.baselineCount,
+    afterCount: comparison.afterCount,
+    newCount: comparison.newErrors.length,
+    resolvedCount: comparison.resolvedErrors.length,
+    newErrors: comparison.newErrors.slice(0, 10)
+  };
+}
+
+module.exports = {
+  DEFAULT_RUNTIME_ERRORS,
+  validateRuntimeErrorSettings,
+  resolveRuntimeErrorSettings,
+  collectRuntimeErrors,
+  getErrorSignature,
+  loadRuntimeErrors,
+  compareRuntimeErrors,
+  applyRuntimeErrorResults,
+  summarizeRuntimeErrors
+};
@@ -0,0 +1,69 @@
+/**
+ * 🗂️ スクリーンショットファイルの解析・セッション分類
+ * ファイル名形式: page-<3桁ID>_<ページ識別子>_<セッションタイムスタンプ>.png
+ */
+
+const fs = require('fs-extra');
+
+const SCREENSHOT_FILENAME_PATTERN = /page-(\d{3,})_([^_]+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)/;
+
+/**
+ * ファイル名からページ情報を抽出（形式外はnull）
+ */
+function parseScreenshotFilename(filename) {
+  const match = filename.match(SCREENSHOT_FILENAME_PATTERN);
+  if (!match) return null;
+
+  return {
+    file: filename,
+    pageId: match[1],
+    pageIdentifier: match[2],
+    sessionTimestamp: match[3]
+  };
+}
+
+/**
+ * ディレクトリ内のスクリーンショットを解析して一覧化
+ */
+function listScreenshotFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.png'))
+    .map(parseScreenshotFilename)
+    .filter(Boolean);
+}
+
+/**
+ * 最新のセッションタイムスタンプを取得
+ */
+function getLatestSessionTimestamp(files) {
+  return files
+    .map(info => info.sessionTimestamp)
+    .sort()
+    .pop() || null;
+}
+
+/**
+ * ページ識別子ごとに最新のファイルを取得
+ */
+function getLatestFilePerPage(files) {
+  const latest = new Map();
+
+  files.forEach(info => {
+    const current = latest.get(info.pageIdentifier);
+    if (!current || info.sessionTimestamp > current.sessionTimestamp) {
+      latest.set(info.pageIdentifier, info);
+    }
+  });
+
+  return latest;
+}
+
+module.exports = {
+  SCREENSHOT_FILENAME_PATTERN,
+  parseScreenshotFilename,
+  listScreenshotFiles,
+  getLatestSessionTimestamp,
+  getLatestFilePerPage
+};
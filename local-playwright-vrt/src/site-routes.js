@@ -0,0 +1,239 @@
+/**
+ * 🌐 サイトの追加・更新API
+ * POST /sites・PUT /sites/:siteId でサイト設定（除外領域・比較・クロール・ログイン・デバイス・ブラウザ・
+ * 撮影前の操作・コンポーネント・決定的レンダリング・HAR再生・ブラウザのエラー）を検証して登録する
+ * 除外領域・操作ステップだけの更新（PUT /sites/:siteId/ignore-regions・capture-steps）も同じ経路で保存する
+ *
+ * 登録したサイトは SitesManager（撮影・比較で使用）に反映し、データベースにも保存する
+ * 管理者のパスワードは SitesManager で暗号化し、APIの応答・データベースには含めない
+ */
+
+const express = require('express');
+const { VRTError } = require('../../src/error-handler');
+const SiteCrawler = require('./crawler');
+const { toPublicSite } = require('./sites-config');
+const { validateDeviceProfiles } = require('./device-profiles');
+const { resolveBrowserEngine } = require('./browser-engines');
+const { validateCaptureSteps } = require('./capture-steps');
+const { validateComponents } = require('./components');
+const { validateDeterminism } = require('./deterministic-rendering');
+const { validateNetworkReplay } = require('./network-replay');
+const { validateRuntimeErrorSettings } = require('./runtime-errors');
+
+// サイト設定の検証エラー（400で返す）
+const SITE_SETTINGS_ERRORS = [
+  'INVALID_SITE_SETTINGS', 'INVALID_DEVICE_PROFILE', 'UNKNOWN_BROWSER', 'INVALID_CAPTURE_STEPS', 'INVALID_COMPONENTS',
+  'INVALID_DETERMINISM', 'INVALID_NETWORK_REPLAY', 'INVALID_RUNTIME_ERRORS'
+];
+
+// POST /sites で受け付けるサイト設定
+const SITE_SETTING_KEYS = [
+  'name', 'baseUrl', 'maxPages', 'enabled', 'crawlMode', 'crawlSettings', 'ignoreRegions', 'comparison', 'auth', 'admin',
+  'deviceProfiles', 'browser', 'captureSteps', 'components', 'determinism', 'networkReplay', 'runtimeErrors'
+];
+
+/**
+ * ログイン撮影設定を検証（問題なければnull）
+ */
+function validateAuthSettings(auth) {
+  if (auth === undefined) return null;
+  if (!auth || typeof auth !== 'object') {
+    return 'auth must be an object: { enabled, pages, crawl }';
+  }
+  if (auth.pages !== undefined && !Array.isArray(auth.pages)) {
+    return 'auth.pages must be an array of URL patterns';
+  }
+  return null;
+}
+
+/**
+ * サイト設定を検証（問題があれば VRTError）
+ */
+function validateSiteSettings(settings) {
+  if (settings.crawlMode && !SiteCrawler.CRAWL_MODES.includes(settings.crawlMode)) {
+    throw new VRTError(`crawlMode must be one of: ${SiteCrawler.CRAWL_MODES.join(', ')}`, 'INVALID_SITE_SETTINGS');
+  }
+  if (settings.ignoreRegions !== undefined && !Array.isArray(settings.ignoreRegions)) {
+    throw new VRTError('ignoreRegions must be an array', 'INVALID_SITE_SETTINGS');
+  }
+
+  const authError = validateAuthSettings(settings.auth);
+  if (authError) {
+    throw new VRTError(authError, 'INVALID_SITE_SETTINGS');
+  }
+
+  if (settings.deviceProfiles) {
+    validateDeviceProfiles(settings.deviceProfiles);
+  }
+  if (settings.browser) {
+    resolveBrowserEngine(settings.browser);
+  }
+  if (settings.captureSteps) {
+    validateCaptureSteps(settings.captureSteps);
+  }
+  if (settings.components) {
+    validateComponents(settings.components);
+  }
+  if (settings.determinism) {
+    validateDeterminism(settings.determinism);
+  }
+  if (settings.networkReplay) {
+    validateNetworkReplay(settings.networkReplay);
+  }
+  if (settings.runtimeErrors) {
+    validateRuntimeErrorSettings(settings.runtimeErrors);
+  }
+}
+
+/**
+ * サイト設定APIのエラー応答（検証エラーは400）
+ */
+function sendSiteError(res, error, label) {
+  console.error(`❌ ${label}:`, error);
+  res.status(SITE_SETTINGS_ERRORS.includes(error.type) ? 400 : 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * サイトの追加・更新ルーター
+ */
+function createSiteRouter({ sitesManager, database, wpAuth }) {
+  const router = express.Router();
+
+  // 設定を検証して SitesManager に反映し、データベースに保存
+  const saveSiteUpdate = async (siteId, updates) => {
+    validateSiteSettings(updates);
+
+    const site = toPublicSite(sitesManager.updateSite(siteId, updates));
+    await database.saveSiteConfig(siteId, site);
+    return site;
+  };
+
+  const sendSiteNotFound = res => res.status(404).json({
+    success: false,
+    error: 'Site not found'
+  });
+
+  /**
+   * 🌐 サイト追加
+   * 設定はリクエスト本体に直接指定する（従来の { siteId, config } 形式も受け付ける）
+   */
+  router.post('/sites', async (req, res) => {
+    try {
+      const { siteId } = req.body;
+      const body = req.body.config || req.body;
+      const settings = Object.fromEntries(
+        SITE_SETTING_KEYS.filter(key => body[key] !== undefined).map(key => [key, body[key]])
+      );
+
+      if (!siteId || !settings.baseUrl) {
+        return res.status(400).json({
+          success: false,
+          error: 'siteId and baseUrl are required'
+        });
+      }
+
+      if (sitesManager.getSite(siteId)) {
+        return res.status(409).json({
+          success: false,
+          error: `サイトID ${siteId} は既に存在します`
+        });
+      }
+
+      validateSiteSettings(settings);
+
+      const site = toPublicSite(sitesManager.addSite(siteId, settings));
+      await database.saveSiteConfig(siteId, site);
+
+      res.json({ success: true, site });
+
+    } catch (error) {
+      sendSiteError(res, error, 'サイト追加エラー');
+    }
+  });
+
+  /**
+   * 🌐 サイト更新
+   */
+  router.put('/sites/:siteId', async (req, res) => {
+    try {
+      const { siteId } = req.params;
+
+      if (!sitesManager.getSite(siteId)) {
+        return sendSiteNotFound(res);
+      }
+
+      const site = await saveSiteUpdate(siteId, req.body);
+
+      // ログイン情報が変わった場合は保存済みのログイン状態を破棄
+      if (req.body.admin) {
+        wpAuth.invalidate(siteId);
+      }
+
+      res.json({ success: true, site });
+
+    } catch (error) {
+      sendSiteError(res, error, 'サイト更新エラー');
+    }
+  });
+
+  /**
+   * 🙈 比較除外領域の更新
+   * body: { ignoreRegions: [{ selector }, { x, y, width, height }, { selector, pages: ['/blog/*'] }] }
+   */
+  router.put('/sites/:siteId/ignore-regions', async (req, res) => {
+    try {
+      const { siteId } = req.params;
+      const { ignoreRegions } = req.body;
+
+      if (!sitesManager.getSite(siteId)) {
+        return sendSiteNotFound(res);
+      }
+
+      if (!Array.isArray(ignoreRegions)) {
+        return res.status(400).json({
+          success: false,
+          error: 'ignoreRegions must be an array'
+        });
+      }
+
+      const site = await saveSiteUpdate(siteId, { ignoreRegions });
+      res.json({ success: true, siteId, ignoreRegions: site.ignoreRegions });
+
+    } catch (error) {
+      sendSiteError(res, error, '除外領域更新エラー');
+    }
+  });
+
+  /**
+   * 👆 撮影前の操作ステップの更新
+   * body: { captureSteps: [{ pages: ['/products/*'], devices: ['mobile'], steps: [{ action: 'click', selector: '.tab' }] }] }
+   */
+  router.put('/sites/:siteId/capture-steps', async (req, res) => {
+    try {
+      const { siteId } = req.params;
+      const captureSteps = validateCaptureSteps(req.body.captureSteps);
+
+      if (!sitesManager.getSite(siteId)) {
+        return sendSiteNotFound(res);
+      }
+
+      const site = await saveSiteUpdate(siteId, { captureSteps });
+      res.json({ success: true, siteId, captureSteps: site.captureSteps });
+
+    } catch (error) {
+      sendSiteError(res, error, '操作ステップ更新エラー');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  SITE_SETTINGS_ERRORS,
+  validateAuthSettings,
+  validateSiteSettings,
+  createSiteRouter
+};
@@ -5,7 +5,8 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { getSecureCredentials } = require('../../src/security');
+const { getSecureCredentials, setSecureCredentials } = require('../../src/security');
+const { validateCaptureSteps } = require('./capture-steps');
 
 // デフォルトのサイト設定
 const DEFAULT_SITES_CONFIG = {
@@ -60,6 +61,8 @@ function loadSitesFromJSON() {
               baseUrl: baseUrl,
               maxPages: 20,
               enabled: true,
+              // ページ収集方法（links / sitemap / both）
+              crawlMode: site.crawlMode || 'links',
               crawlSettings: {
                 maxDepth: 3,
                 excludePatterns: [
@@ -70,12 +73,32 @@ function loadSitesFromJSON() {
                   /\?.*login/
                 ]
               },
-              // 管理情報（VRT用途では使用しないが保持）
-              admin: {
+              // 比較除外領域（セレクタ・固定矩形）
+              ignoreRegions: site.ignoreRegions || [],
+              // 比較設定（algorithm: pixelmatch/ssim/both, judgeBy, ssimThreshold）
+              comparison: site.comparison || {},
+              // ログイン撮影（enabled, pages: ログインが必要なページ, crawl: ログイン状態でクロール）
+              auth: site.auth || { enabled: false, pages: [], crawl: false },
+              // サイト固有のデバイスプロファイル（例: { ipad: { descriptor: 'iPad Pro 11' } }）
+              deviceProfiles: site.deviceProfiles || {},
+              // 撮影に使うブラウザエンジン（chromium / firefox / webkit、実行時の指定が優先）
+              browser: site.browser || 'chromium',
+              // 撮影前の操作ステップ（ページパターン・デバイスごと）
+              captureSteps: site.captureSteps || [],
+              // コンポーネント単位の撮影・比較（name, selector, threshold）
+              components: site.components || [],
+              // 決定的レンダリング（時計・乱数の固定、外部スクリプトの遮断、埋め込みの置き換え）
+              determinism: site.determinism || {},
+              // 外部リソースのHAR記録・再生（enabled, firstPartyHosts）
+              networkReplay: site.networkReplay || {},
+              // ブラウザのエラーの比較（failOnNewErrors, ignorePatterns）
+              runtimeErrors: site.runtimeErrors || {},
+              // 管理情報（ログイン撮影で使用）
+              admin: encryptAdmin({
                 loginUrl: site.urladmin,
                 username: site.username,
                 password: site.password
-              }
+              })
             };
             console.log(`✓ ${index + 1}. ${site.siteName} (${siteId})`);
           });
@@ -93,6 +116,70 @@ function loadSitesFromJSON() {
   return DEFAULT_SITES_CONFIG;
 }
 
+/**
+ * 管理者のログイン情報を暗号化（指定のない項目は current の値を引き継ぐ）
+ * getSecureSite で復号するため、平文のまま保存しない
+ */
+function encryptAdmin(admin, current = {}) {
+  const encrypted = setSecureCredentials(admin.username, admin.password);
+  return {
+    ...current,
+    ...admin,
+    username: admin.username ? encrypted.username : current.username,
+    password: admin.password ? encrypted.password : current.password
+  };
+}
+
+/**
+ * APIで返すサイト情報（管理者パスワードは返さず、設定済みかどうかだけを返す）
+ */
+function toPublicSite(site) {
+  if (!site || !site.admin) return site;
+
+  const { password, ...admin } = site.admin;
+  return { ...site, admin: { ...admin, hasPassword: Boolean(password) } };
+}
+
+/**
+ * URLがページパターンにマッチするかチェック
+ * RegExp はURL全体、文字列はパス名に対して評価（* はワイルドカード）
+ */
+function matchUrlPattern(pattern, pageUrl) {
+  if (!pageUrl) return false;
+  
+  if (pattern instanceof RegExp) {
+    return pattern.test(pageUrl);
+  }
+  
+  let pathname;
+  try {
+    pathname = new URL(pageUrl).pathname;
+  } catch {
+    pathname = pageUrl;
+  }
+  
+  const normalize = (value) => value.replace(/\/+$/, '') || '/';
+  const escaped = normalize(String(pattern))
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  
+  return new RegExp(`^${escaped}$`).test(normalize(pathname));
+}
+
+/**
+ * 除外領域・操作ステップ・コンポーネントの設定がページとデバイスに適用されるかチェック
+ * pages・devices 未指定はサイト全体・全デバイスに適用
+ */
+function appliesToPage(entry, pageUrl, device = null) {
+  if (entry.devices && device && !entry.devices.includes(device)) {
+    return false;
+  }
+  if (!entry.pages || entry.pages.length === 0) {
+    return true;
+  }
+  return entry.pages.some(pattern => matchUrlPattern(pattern, pageUrl));
+}
+
 // サイト設定を読み込み
 const SITES_CONFIG = loadSitesFromJSON();
 
@@ -144,6 +231,29 @@ class SitesManager {
     };
   }
   
+  /**
+   * データベースに保存したサイト設定を反映（起動時）
+   * 管理者のログイン情報は保存していないため読み込まない
+   * 設定ファイルで定義済みのサイトは、クロール設定（正規表現の除外パターン）も設定ファイルの値を使う
+   */
+  loadSavedSites(savedSites = []) {
+    savedSites.forEach(({ id, admin, crawlSettings, updatedAt, version, ...config }) => {
+      try {
+        if (this.sites[id]) {
+          this.sites[id] = { ...this.sites[id], ...config };
+        } else {
+          this.addSite(id, { ...config, crawlSettings });
+        }
+      } catch (error) {
+        console.log(`⚠️ 保存済みのサイト設定を読み込めません: ${id} - ${error.message}`);
+      }
+    });
+
+    if (savedSites.length > 0) {
+      console.log(`📁 保存済みのサイト設定を反映: ${savedSites.length}サイト`);
+    }
+  }
+
   /**
    * サイトを追加
    */
@@ -161,10 +271,31 @@ class SitesManager {
       baseUrl: config.baseUrl,
       maxPages: config.maxPages || 20,
       enabled: config.enabled !== false,
+      crawlMode: config.crawlMode || 'links',
       crawlSettings: config.crawlSettings || {
         maxDepth: 3,
         excludePatterns: []
-      }
+      },
+      ignoreRegions: config.ignoreRegions || [],
+      // 比較設定 { algorithm, judgeBy, ssimThreshold }
+      comparison: config.comparison || {},
+      // ログイン撮影 { enabled, pages, crawl }
+      auth: config.auth || { enabled: false, pages: [], crawl: false },
+      // サイト固有のデバイスプロファイル { name: { viewport, deviceScaleFactor, userAgent, hasTouch, descriptor } }
+      deviceProfiles: config.deviceProfiles || {},
+      // 撮影に使うブラウザエンジン（chromium / firefox / webkit）
+      browser: config.browser || 'chromium',
+      // 撮影前の操作ステップ [{ pages, devices, steps: [{ action, selector, ... }] }]
+      captureSteps: config.captureSteps || [],
+      // コンポーネント単位の撮影・比較 [{ name, selector, threshold, pages, devices }]
+      components: config.components || [],
+      // 決定的レンダリング { freezeClock, seedRandom, blockThirdParty, replaceIframes, ... }
+      determinism: config.determinism || {},
+      // 外部リソースのHAR記録・再生 { enabled, firstPartyHosts }
+      networkReplay: config.networkReplay || {},
+      // ブラウザのエラーの比較 { failOnNewErrors, ignorePatterns }
+      runtimeErrors: config.runtimeErrors || {},
+      ...(config.admin ? { admin: encryptAdmin(config.admin) } : {})
     };
     
     return this.sites[siteId];
@@ -178,9 +309,11 @@ class SitesManager {
       throw new Error(`サイトID ${siteId} が見つかりません`);
     }
     
+    const current = this.sites[siteId];
     this.sites[siteId] = {
-      ...this.sites[siteId],
-      ...updates
+      ...current,
+      ...updates,
+      ...(updates.admin ? { admin: encryptAdmin(updates.admin, current.admin) } : {})
     };
     
     return this.sites[siteId];
@@ -198,6 +331,70 @@ class SitesManager {
     return true;
   }
   
+  /**
+   * 比較除外領域を設定
+   * 例: [{ selector: '.slider' }, { x: 0, y: 0, width: 300, height: 100, pages: ['/blog/*'] }]
+   */
+  setIgnoreRegions(siteId, regions) {
+    if (!this.sites[siteId]) {
+      throw new Error(`サイトID ${siteId} が見つかりません`);
+    }
+    if (!Array.isArray(regions)) {
+      throw new Error('ignoreRegions は配列で指定してください');
+    }
+    
+    this.sites[siteId].ignoreRegions = regions;
+    return this.sites[siteId];
+  }
+  
+  /**
+   * ページに適用される比較除外領域を取得
+   * pages 未指定の領域はサイト全体、指定ありはマッチしたページのみ
+   */
+  getIgnoreRegions(siteId, pageUrl, device = null) {
+    const site = this.sites[siteId];
+    if (!site || !Array.isArray(site.ignoreRegions)) return [];
+    
+    return site.ignoreRegions.filter(region => appliesToPage(region, pageUrl, device));
+  }
+  
+  /**
+   * 撮影前の操作ステップを設定
+   * 例: [{ steps: [{ action: 'click', selector: '#cookie-accept', optional: true }] },
+   *      { pages: ['/products/*'], steps: [{ action: 'click', selector: '.tab-reviews' }] }]
+   */
+  setCaptureSteps(siteId, captureSteps) {
+    if (!this.sites[siteId]) {
+      throw new Error(`サイトID ${siteId} が見つかりません`);
+    }
+    
+    this.sites[siteId].captureSteps = validateCaptureSteps(captureSteps);
+    return this.sites[siteId];
+  }
+  
+  /**
+   * ページで実行する操作ステップを取得
+   * 一致したグループ（pages・devices 未指定は全体）のステップを定義順に連結
+   */
+  getCaptureSteps(siteId, pageUrl, device = null) {
+    const site = this.sites[siteId];
+    if (!site || !Array.isArray(site.captureSteps)) return [];
+    
+    return site.captureSteps
+      .filter(group => appliesToPage(group, pageUrl, device))
+      .flatMap(group => group.steps);
+  }
+  
+  /**
+   * ページで撮影するコンポーネントを取得（pages・devices 未指定は全体）
+   */
+  getComponents(siteId, pageUrl, device = null) {
+    const site = this.sites[siteId];
+    if (!site || !Array.isArray(site.components)) return [];
+    
+    return site.components.filter(component => appliesToPage(component, pageUrl, device));
+  }
+  
   /**
    * サイトの有効/無効を切り替え
    */
@@ -235,5 +432,7 @@ const sitesManager = new SitesManager();
 
 module.exports = {
   sitesManager,
-  SITES_CONFIG
+  SITES_CONFIG,
+  matchUrlPattern,
+  toPublicSite
 };
\ No newline at end of file
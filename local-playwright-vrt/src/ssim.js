@@ -0,0 +1,150 @@
+/**
+ * 🧠 SSIM（構造的類似度）比較
+ * ブロック単位で輝度の構造的類似度を算出し、ヒートマップ画像を生成する
+ * フォントヒンティングや画像の再エンコードによる微小なピクセル差に強い
+ */
+
+const { PNG } = require('pngjs');
+
+// SSIM定数（8bit輝度）
+const C1 = Math.pow(0.01 * 255, 2);
+const C2 = Math.pow(0.03 * 255, 2);
+
+const DEFAULT_BLOCK_SIZE = 16;
+
+/**
+ * RGBAピクセルの輝度を取得（ITU-R BT.601）
+ */
+function luma(data, idx) {
+  return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+}
+
+/**
+ * 1ブロック分のSSIMを算出（マスク済みピクセルは除外）
+ * 有効ピクセルが無い場合は null を返す
+ */
+function computeBlockSSIM(img1, img2, width, x0, y0, x1, y1, mask) {
+  let n = 0;
+  let sum1 = 0;
+  let sum2 = 0;
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = y * width + x;
+      if (mask && mask[i]) continue;
+      sum1 += luma(img1.data, i << 2);
+      sum2 += luma(img2.data, i << 2);
+      n++;
+    }
+  }
+
+  if (n === 0) return null;
+
+  const mean1 = sum1 / n;
+  const mean2 = sum2 / n;
+  let var1 = 0;
+  let var2 = 0;
+  let cov = 0;
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = y * width + x;
+      if (mask && mask[i]) continue;
+      const d1 = luma(img1.data, i << 2) - mean1;
+      const d2 = luma(img2.data, i << 2) - mean2;
+      var1 += d1 * d1;
+      var2 += d2 * d2;
+      cov += d1 * d2;
+    }
+  }
+
+  var1 /= n;
+  var2 /= n;
+  cov /= n;
+
+  return ((2 * mean1 * mean2 + C1) * (2 * cov + C2)) /
+    ((mean1 * mean1 + mean2 * mean2 + C1) * (var1 + var2 + C2));
+}
+
+/**
+ * 2画像のSSIMをブロック単位で算出
+ * @returns {{ ssim: number, minSsim: number, blockSize: number, cols: number, rows: number, blocks: Array }}
+ */
+function computeSSIM(img1, img2, width, height, options = {}) {
+  const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+  const mask = options.mask || null;
+  const cols = Math.ceil(width / blockSize);
+  const rows = Math.ceil(height / blockSize);
+  const blocks = new Array(cols * rows).fill(null);
+
+  let total = 0;
+  let count = 0;
+  let minSsim = 1;
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x0 = col * blockSize;
+      const y0 = row * blockSize;
+      const value = computeBlockSSIM(
+        img1, img2, width,
+        x0, y0,
+        Math.min(x0 + blockSize, width), Math.min(y0 + blockSize, height),
+        mask
+      );
+
+      blocks[row * cols + col] = value;
+      if (value !== null) {
+        total += value;
+        count++;
+        minSsim = Math.min(minSsim, value);
+      }
+    }
+  }
+
+  return {
+    ssim: count > 0 ? total / count : 1,
+    minSsim,
+    blockSize,
+    cols,
+    rows,
+    blocks
+  };
+}
+
+/**
+ * ブロック別SSIMからヒートマップ画像を生成
+ * 類似度が高いほど白、低いほど赤。マスク領域（null）はグレー
+ */
+function createSSIMHeatmap(result, width, height) {
+  const { blocks, blockSize, cols } = result;
+  const heatmap = new PNG({ width, height });
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / blockSize);
+    for (let x = 0; x < width; x++) {
+      const value = blocks[row * cols + Math.floor(x / blockSize)];
+      const idx = (y * width + x) << 2;
+
+      if (value === null) {
+        heatmap.data[idx] = 200;
+        heatmap.data[idx + 1] = 200;
+        heatmap.data[idx + 2] = 200;
+      } else {
+        // SSIM 0.5以下を最大強度とする
+        const intensity = Math.min(1, Math.max(0, (1 - value) / 0.5));
+        heatmap.data[idx] = 255;
+        heatmap.data[idx + 1] = Math.round(255 * (1 - intensity));
+        heatmap.data[idx + 2] = Math.round(255 * (1 - intensity));
+      }
+      heatmap.data[idx + 3] = 255;
+    }
+  }
+
+  return heatmap;
+}
+
+module.exports = {
+  DEFAULT_BLOCK_SIZE,
+  computeSSIM,
+  createSSIMHeatmap
+};
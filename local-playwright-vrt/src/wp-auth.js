@@ -0,0 +1,172 @@
+/**
+ * 🔑 WordPressログイン撮影
+ * サイトごとに wp-login.php から1回ログインし、Playwrightのストレージ状態（Cookie）を保存して
+ * 会員限定ページ・管理バー表示状態の撮影やログイン状態でのクロールで再利用する
+ *
+ * サイト設定: auth: { enabled, pages: ['/members/*'], crawl }
+ * - pages 未指定時は全ページをログイン状態で撮影
+ * - crawl: true でログイン状態のままクロール
+ *
+ * ストレージ状態: <stateDir>/<siteId>.json
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { VRTError } = require('../../src/error-handler');
+const { matchUrlPattern } = require('./sites-config');
+
+// 保存したログイン状態を再利用する期間（WordPressの認証Cookieより短くする）
+const AUTH_STATE_MAX_AGE = 12 * 60 * 60 * 1000;
+
+const LOGIN_TIMEOUT = 60000;
+
+// ログイン状態でクロールする際に辿らないURL（ログアウト・管理画面）
+const LOGGED_IN_EXCLUDE_PATTERNS = [
+  /\/wp-login\.php/,
+  /\/wp-admin/,
+  /action=logout/
+];
+
+/**
+ * サイト設定からログインURLを取得（未設定時は <origin>/wp-login.php）
+ */
+function getLoginUrl(site) {
+  const loginUrl = site.admin && site.admin.loginUrl;
+  if (!loginUrl) {
+    return new URL('/wp-login.php', site.baseUrl).href;
+  }
+  return /^https?:\/\//.test(loginUrl) ? loginUrl : `https://${loginUrl}`;
+}
+
+/**
+ * ログイン画面に戻されたかどうか（ログイン状態の失効判定）
+ */
+function isLoginPage(pageUrl) {
+  try {
+    return new URL(pageUrl).pathname.endsWith('/wp-login.php');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * ページをログイン状態で撮影するかどうか
+ */
+function requiresLogin(site, pageUrl) {
+  const auth = site && site.auth;
+  if (!auth || !auth.enabled) return false;
+  if (!Array.isArray(auth.pages) || auth.pages.length === 0) return true;
+
+  return auth.pages.some(pattern => matchUrlPattern(pattern, pageUrl));
+}
+
+class WordPressAuth {
+  constructor(options = {}) {
+    this.stateDir = options.stateDir;
+    this.maxAge = options.maxAge || AUTH_STATE_MAX_AGE;
+    this.timeout = options.timeout || LOGIN_TIMEOUT;
+    // ログイン中のサイト（siteId → Promise）。同時に撮影が始まってもログインは1回
+    this.pending = new Map();
+  }
+
+  /**
+   * ストレージ状態の保存先
+   */
+  getStatePath(siteId) {
+    return path.join(this.stateDir, `${siteId}.json`);
+  }
+
+  /**
+   * 再利用できるストレージ状態があるか
+   */
+  hasValidState(siteId) {
+    const statePath = this.getStatePath(siteId);
+    if (!fs.existsSync(statePath)) return false;
+
+    return Date.now() - fs.statSync(statePath).mtimeMs < this.maxAge;
+  }
+
+  /**
+   * ログイン済みのストレージ状態のパスを取得（なければログイン）
+   * @param {Object} site - 認証情報を復号済みのサイト設定（id を含む）
+   */
+  async getStorageState(browser, site, options = {}) {
+    if (!options.force && this.hasValidState(site.id)) {
+      return this.getStatePath(site.id);
+    }
+
+    if (!this.pending.has(site.id)) {
+      const login = this.login(browser, site)
+        .finally(() => this.pending.delete(site.id));
+      this.pending.set(site.id, login);
+    }
+    return await this.pending.get(site.id);
+  }
+
+  /**
+   * wp-login.php からログインしてストレージ状態を保存
+   */
+  async login(browser, site) {
+    const admin = site.admin || {};
+    if (!admin.username || !admin.password) {
+      throw new VRTError(`${site.id} のログイン情報が設定されていません`, 'AUTH_CREDENTIALS_MISSING', {
+        siteId: site.id,
+        retryable: false
+      });
+    }
+
+    const loginUrl = getLoginUrl(site);
+    console.log(`🔑 ${site.id} にログイン中: ${loginUrl}`);
+
+    const context = await browser.newContext({ ignoreHTTPSErrors: true });
+    try {
+      const page = await context.newPage();
+      await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: this.timeout });
+
+      await page.fill('#user_login', admin.username);
+      await page.fill('#user_pass', admin.password);
+      if (await page.$('#rememberme')) {
+        await page.check('#rememberme');
+      }
+      await Promise.all([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: this.timeout }),
+        page.click('#wp-submit')
+      ]);
+
+      const cookies = await context.cookies();
+      if (!cookies.some(cookie => cookie.name.startsWith('wordpress_logged_in_'))) {
+        const message = await page.$eval('#login_error', el => el.textContent.trim()).catch(() => null);
+        throw new VRTError(`${site.id} のログインに失敗しました${message ? `: ${message}` : ''}`, 'AUTH_FAILED', {
+          siteId: site.id,
+          loginUrl,
+          retryable: false
+        });
+      }
+
+      const statePath = this.getStatePath(site.id);
+      fs.ensureDirSync(this.stateDir);
+      await context.storageState({ path: statePath });
+
+      console.log(`✅ ${site.id} のログイン状態を保存しました`);
+      return statePath;
+    } finally {
+      await context.close().catch(error => console.log('⚠️ コンテキストクローズエラー:', error.message));
+    }
+  }
+
+  /**
+   * 保存したログイン状態を破棄（失効時・ログイン情報の変更時）
+   */
+  invalidate(siteId) {
+    fs.removeSync(this.getStatePath(siteId));
+  }
+}
+
+module.exports = {
+  WordPressAuth,
+  AUTH_STATE_MAX_AGE,
+  LOGGED_IN_EXCLUDE_PATTERNS,
+  getLoginUrl,
+  isLoginPage,
+  requiresLogin
+};
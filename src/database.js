@@ -23,7 +23,7 @@ class VRTDatabase {
    * ローカルDB初期化
    */
   initializeLocalDB() {
-    const collections = ['sites', 'sessions', 'results', 'metadata'];
+    const collections = ['sites', 'sessions', 'results', 'metadata', 'approvals', 'jobs', 'pages'];
     collections.forEach(collection => {
       const collectionPath = path.join(this.dataDir, `${collection}.json`);
       if (!fs.existsSync(collectionPath)) {
@@ -164,7 +164,7 @@ class VRTDatabase {
       sessionId: resultData.sessionId,
       siteId: resultData.siteId,
       device: resultData.device,
-      status: resultData.status, // 'OK', 'NG', 'ERROR'
+      status: resultData.status, // 'OK', 'NG', 'ERROR', 'MISSING_AFTER', 'NEW_PAGE'
       diffPercentage: resultData.diffPercentage,
       diffPixels: resultData.diffPixels,
       threshold: resultData.threshold,
@@ -173,6 +173,8 @@ class VRTDatabase {
       diffFile: resultData.diffFile,
       url: resultData.url,
       pageId: resultData.pageId,
+      pageIdentifier: resultData.pageIdentifier,
+      review: null,
       createdAt: new Date().toISOString(),
       metadata: resultData.metadata || {}
     };
@@ -209,8 +211,11 @@ class VRTDatabase {
       return {
         total: filteredResults.length,
         ok: filteredResults.filter(r => r.status === 'OK').length,
-        ng: filteredResults.filter(r => r.status === 'NG').length,
+        ng: filteredResults.filter(r => r.status === 'NG' && !isApproved(r)).length,
+        approved: filteredResults.filter(r => r.status === 'NG' && isApproved(r)).length,
         error: filteredResults.filter(r => r.status === 'ERROR').length,
+        missingAfter: filteredResults.filter(r => r.status === 'MISSING_AFTER').length,
+        newPages: filteredResults.filter(r => r.status === 'NEW_PAGE').length,
         avgDiffPercentage: filteredResults.length > 0 
           ? filteredResults.reduce((sum, r) => sum + (r.diffPercentage || 0), 0) / filteredResults.length 
           : 0,
@@ -222,6 +227,209 @@ class VRTDatabase {
     throw new Error('Firestoreモードは未実装です');
   }
 
+  /**
+   * ページごとの最新比較結果を取得
+   */
+  async getLatestComparisonResults(siteId, device) {
+    if (this.mode === 'local') {
+      const resultsPath = path.join(this.dataDir, 'results.json');
+      const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+      const latest = new Map();
+
+      results
+        .filter(r => r.siteId === siteId && r.device === device && r.pageIdentifier)
+        .forEach(r => {
+          const current = latest.get(r.pageIdentifier);
+          if (!current || r.createdAt >= current.createdAt) {
+            latest.set(r.pageIdentifier, r);
+          }
+        });
+
+      return Array.from(latest.values());
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
+  /**
+   * 承認・却下の監査記録を保存し、対象ページの比較結果にレビュー状態を反映
+   */
+  async saveApproval(approvalData) {
+    const data = {
+      id: approvalData.id || `approval-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      action: approvalData.action, // 'approved' or 'rejected'
+      scope: approvalData.scope || 'page', // 'page' or 'session'
+      siteId: approvalData.siteId,
+      device: approvalData.device,
+      sessionTimestamp: approvalData.sessionTimestamp || null,
+      pages: approvalData.pages || [],
+      baselineVersion: approvalData.baselineVersion || null, // 承認で作成されたBaselineバージョン
+      user: approvalData.user || 'anonymous',
+      comment: approvalData.comment || '',
+      createdAt: new Date().toISOString()
+    };
+
+    if (this.mode === 'local') {
+      const approvalsPath = path.join(this.dataDir, 'approvals.json');
+      const approvals = fs.existsSync(approvalsPath)
+        ? JSON.parse(fs.readFileSync(approvalsPath, 'utf8'))
+        : [];
+      approvals.push(data);
+      fs.writeFileSync(approvalsPath, JSON.stringify(approvals, null, 2));
+
+      // 承認時点までの比較結果にレビュー状態を記録
+      const pageIdentifiers = data.pages.map(p => p.pageIdentifier);
+      const resultsPath = path.join(this.dataDir, 'results.json');
+      const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+      results.forEach(r => {
+        if (
+          r.siteId === data.siteId &&
+          r.device === data.device &&
+          pageIdentifiers.includes(r.pageIdentifier) &&
+          r.createdAt <= data.createdAt
+        ) {
+          r.review = {
+            status: data.action,
+            approvalId: data.id,
+            user: data.user,
+            reviewedAt: data.createdAt
+          };
+        }
+      });
+      fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
+
+      console.log(`✅ レビュー記録保存: ${data.id} (${data.action}, ${pageIdentifiers.length}ページ)`);
+      return data;
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
+  /**
+   * 承認・却下の履歴を取得
+   */
+  async getApprovals(siteId, options = {}) {
+    const { device = null, pageIdentifier = null, limit = 50 } = options;
+
+    if (this.mode === 'local') {
+      const approvalsPath = path.join(this.dataDir, 'approvals.json');
+      if (!fs.existsSync(approvalsPath)) return [];
+      const approvals = JSON.parse(fs.readFileSync(approvalsPath, 'utf8'));
+
+      return approvals
+        .filter(a =>
+          a.siteId === siteId &&
+          (!device || a.device === device) &&
+          (!pageIdentifier || a.pages.some(p => p.pageIdentifier === pageIdentifier))
+        )
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
+  /**
+   * ジョブを保存（同じIDは上書き）
+   */
+  async saveJob(jobData) {
+    const data = {
+      ...jobData,
+      id: jobData.id || `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (this.mode === 'local') {
+      const jobsPath = path.join(this.dataDir, 'jobs.json');
+      const jobs = fs.existsSync(jobsPath)
+        ? JSON.parse(fs.readFileSync(jobsPath, 'utf8'))
+        : [];
+
+      const existingIndex = jobs.findIndex(j => j.id === data.id);
+      if (existingIndex >= 0) {
+        jobs[existingIndex] = data;
+      } else {
+        jobs.push(data);
+      }
+
+      fs.writeFileSync(jobsPath, JSON.stringify(jobs, null, 2));
+      return data;
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
+  /**
+   * ジョブを取得
+   */
+  async getJob(jobId) {
+    if (this.mode === 'local') {
+      const jobsPath = path.join(this.dataDir, 'jobs.json');
+      if (!fs.existsSync(jobsPath)) return null;
+      const jobs = JSON.parse(fs.readFileSync(jobsPath, 'utf8'));
+      return jobs.find(j => j.id === jobId) || null;
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
+  /**
+   * ジョブ一覧を取得（新しい順）
+   * status は単一値または配列で指定
+   */
+  async getJobs(options = {}) {
+    const { status = null, type = null, limit = 50 } = options;
+    const statuses = status ? [].concat(status) : null;
+
+    if (this.mode === 'local') {
+      const jobsPath = path.join(this.dataDir, 'jobs.json');
+      if (!fs.existsSync(jobsPath)) return [];
+      const jobs = JSON.parse(fs.readFileSync(jobsPath, 'utf8'));
+
+      return jobs
+        .filter(j => (!statuses || statuses.includes(j.status)) && (!type || j.type === type))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
+  /**
+   * サイトのページレジストリを取得（正規化URL → 固定のページID・識別子）
+   */
+  async getSitePages(siteId) {
+    if (this.mode === 'local') {
+      const pagesPath = path.join(this.dataDir, 'pages.json');
+      if (!fs.existsSync(pagesPath)) return [];
+      const pages = JSON.parse(fs.readFileSync(pagesPath, 'utf8'));
+      return pages.filter(p => p.siteId === siteId);
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
+  /**
+   * サイトのページレジストリを保存（サイト単位で置き換え）
+   */
+  async saveSitePages(siteId, sitePages) {
+    if (this.mode === 'local') {
+      const pagesPath = path.join(this.dataDir, 'pages.json');
+      const pages = fs.existsSync(pagesPath)
+        ? JSON.parse(fs.readFileSync(pagesPath, 'utf8'))
+        : [];
+
+      const updated = pages
+        .filter(p => p.siteId !== siteId)
+        .concat(sitePages.map(p => ({ ...p, siteId })));
+
+      fs.writeFileSync(pagesPath, JSON.stringify(updated, null, 2));
+      return sitePages;
+    }
+    
+    throw new Error('Firestoreモードは未実装です');
+  }
+
   /**
    * メタデータを保存
    */
@@ -286,14 +494,24 @@ class VRTDatabase {
       const filteredResults = results.filter(r => new Date(r.createdAt) >= cutoffDate);
       fs.writeFileSync(resultsPath, JSON.stringify(filteredResults, null, 2));
 
+      // 完了済みジョブのクリーンアップ（実行待ち・実行中・再開できる中断中は残す）
+      const jobsPath = path.join(this.dataDir, 'jobs.json');
+      const jobs = fs.existsSync(jobsPath) ? JSON.parse(fs.readFileSync(jobsPath, 'utf8')) : [];
+      const filteredJobs = jobs.filter(j =>
+        ['queued', 'running', 'paused'].includes(j.status) || new Date(j.createdAt) >= cutoffDate
+      );
+      fs.writeFileSync(jobsPath, JSON.stringify(filteredJobs, null, 2));
+
       const deletedSessions = sessions.length - filteredSessions.length;
       const deletedResults = results.length - filteredResults.length;
+      const deletedJobs = jobs.length - filteredJobs.length;
 
-      console.log(`🧹 DB クリーンアップ完了: ${deletedSessions}セッション, ${deletedResults}結果を削除`);
+      console.log(`🧹 DB クリーンアップ完了: ${deletedSessions}セッション, ${deletedResults}結果, ${deletedJobs}ジョブを削除`);
       
       return {
         deletedSessions,
         deletedResults,
+        deletedJobs,
         cutoffDate: cutoffDate.toISOString()
       };
     }
@@ -306,7 +524,9 @@ class VRTDatabase {
    */
   async getStats() {
     if (this.mode === 'local') {
-      const files = ['sites.json', 'sessions.json', 'results.json', 'metadata.json'];
+      const files = [
+        'sites.json', 'sessions.json', 'results.json', 'metadata.json', 'approvals.json', 'jobs.json', 'pages.json'
+      ];
       const stats = {};
       
       for (const file of files) {
@@ -335,6 +555,13 @@ class VRTDatabase {
   }
 }
 
+/**
+ * 承認済みの比較結果かどうか
+ */
+function isApproved(result) {
+  return Boolean(result.review && result.review.status === 'approved');
+}
+
 // シングルトンインスタンス
 let dbInstance = null;
 
@@ -347,5 +574,6 @@ function getDatabase(options = {}) {
 
 module.exports = {
   VRTDatabase,
-  getDatabase
+  getDatabase,
+  isApproved
 };
\ No newline at end of file
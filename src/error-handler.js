@@ -62,6 +62,11 @@ class ErrorHandler {
         return await fn();
       } catch (error) {
         lastError = error;
+
+        // 再試行しても意味のないエラー（ジョブの中断要求など）はそのまま返す
+        if (error instanceof VRTError && error.details.retryable === false) {
+          throw error;
+        }
         
         await this.logError(error, {
           context,
@@ -127,6 +132,26 @@ class ErrorHandler {
     return 'fail';
   }
 
+  /**
+   * 撮影前の操作ステップ（クリック・ホバー等）のエラー処理
+   * ページ読み込みは成功しているため、ナビゲーションエラーとは分けて記録する
+   */
+  async handleInteractionError(error, url, siteId, device) {
+    const details = error.details || {};
+    const errorInfo = {
+      url,
+      siteId,
+      device,
+      operation: 'capture_steps',
+      errorType: this.classifyScreenshotError(error),
+      stepIndex: details.index,
+      step: details.step
+    };
+
+    await this.logError(error, errorInfo);
+    console.log(`👆 ${url} - 操作ステップ失敗: ${error.message}`);
+  }
+
   /**
    * 差分検出エラーの処理
    */
@@ -177,6 +202,9 @@ class ErrorHandler {
   classifyScreenshotError(error) {
     const message = error.message.toLowerCase();
     
+    if (error.type === 'INTERACTION_STEP_FAILED') {
+      return 'INTERACTION';
+    }
     if (message.includes('timeout') || message.includes('navigation timeout')) {
       return 'TIMEOUT';
     }
@@ -222,7 +250,7 @@ class ErrorHandler {
     if (error.type === 'MAX_RETRY_EXCEEDED') {
       return 'HIGH';
     }
-    if (error.type === 'TIMEOUT' || error.type === 'NETWORK') {
+    if (error.type === 'TIMEOUT' || error.type === 'NETWORK' || error.type === 'INTERACTION_STEP_FAILED') {
       return 'MEDIUM';
     }
     
@@ -0,0 +1,92 @@
+/**
+ * 🧪 ベースライン承認（After → Baseline 昇格）のテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  validateScreenshotTarget,
+  findAfterFiles,
+  promoteAfterToBaseline
+} = require('../local-playwright-vrt/src/baseline-approval');
+const { loadCaptureMetadata } = require('../local-playwright-vrt/src/capture-metadata');
+const { resolveBaselineVersion } = require('../local-playwright-vrt/src/baseline-versions');
+
+describe('ベースライン承認', () => {
+  const siteDir = path.join(__dirname, 'temp-approval', 'site1');
+  const baselineDir = path.join(siteDir, 'baseline', 'desktop');
+  const afterDir = path.join(siteDir, 'after', 'desktop');
+  const baselineSession = '2025-01-01T00-00-00-000Z';
+  const afterSession = '2025-01-02T00-00-00-000Z';
+
+  beforeEach(() => {
+    fs.ensureDirSync(baselineDir);
+    fs.ensureDirSync(afterDir);
+    fs.writeFileSync(path.join(baselineDir, `page-001_top_${baselineSession}.png`), 'old-top');
+    fs.writeFileSync(path.join(afterDir, `page-001_top_${afterSession}.png`), 'new-top');
+    fs.writeFileSync(path.join(afterDir, `page-002_about_${afterSession}.png`), 'new-about');
+    fs.writeFileSync(path.join(afterDir, 'page-001_top_2024-12-31T00-00-00-000Z.png'), 'older-top');
+  });
+
+  afterEach(() => {
+    fs.removeSync(path.join(__dirname, 'temp-approval'));
+  });
+
+  test('最新のAfterセッションのファイルを取得する', () => {
+    const after = findAfterFiles(siteDir, 'desktop');
+
+    expect(after.sessionTimestamp).toBe(afterSession);
+    expect(after.files.map(f => f.pageIdentifier).sort()).toEqual(['about', 'top']);
+  });
+
+  test('承認したページを差し替えた新しいBaselineバージョンを作成する', () => {
+    const after = findAfterFiles(siteDir, 'desktop');
+    const top = after.files.find(f => f.pageIdentifier === 'top');
+
+    const promoted = promoteAfterToBaseline(siteDir, 'desktop', [top], 'approval-1');
+    const [page] = promoted.pages;
+    const baselinePath = path.join(baselineDir, page.baselineFile);
+
+    expect(promoted.parentVersion).toBe(baselineSession);
+    expect(page.baselineFile).toBe(`page-001_top_${promoted.baselineVersion}.png`);
+    expect(page.previousBaselineFile).toBe(`page-001_top_${baselineSession}.png`);
+    expect(fs.readFileSync(baselinePath, 'utf8')).toBe('new-top');
+    expect(fs.readFileSync(path.join(baselineDir, page.previousBaselineFile), 'utf8')).toBe('old-top');
+    expect(loadCaptureMetadata(baselinePath)).toMatchObject({
+      approvedFrom: `page-001_top_${afterSession}.png`,
+      approvalId: 'approval-1',
+      baselineVersion: promoted.baselineVersion
+    });
+    expect(resolveBaselineVersion(baselineDir).id).toBe(promoted.baselineVersion);
+  });
+
+  test('Baselineが無いページは新しいバージョンに追加され、既存ページは引き継がれる', () => {
+    const after = findAfterFiles(siteDir, 'desktop');
+    const about = after.files.find(f => f.pageIdentifier === 'about');
+
+    const promoted = promoteAfterToBaseline(siteDir, 'desktop', [about], 'approval-2');
+    const version = resolveBaselineVersion(baselineDir, promoted.baselineVersion);
+
+    expect(promoted.pages[0].previousBaselineFile).toBeNull();
+    expect(version.pages.map(p => p.file)).toEqual([
+      `page-001_top_${baselineSession}.png`,
+      `page-002_about_${promoted.baselineVersion}.png`
+    ]);
+  });
+
+  test('未登録のサイト・保存先の外を指すサイトIDやデバイスは拒否する', () => {
+    const site = { baseUrl: 'https://example.com/' };
+    const error = type => expect.objectContaining({ type });
+
+    expect(() => validateScreenshotTarget('site1', 'desktop', site)).not.toThrow();
+    expect(() => validateScreenshotTarget('site1', 'mobile@webkit', site)).not.toThrow();
+
+    expect(() => validateScreenshotTarget('site1', 'desktop', undefined)).toThrow(error('UNKNOWN_SITE'));
+    expect(() => validateScreenshotTarget('..', 'desktop', site)).toThrow(error('UNKNOWN_SITE'));
+    expect(() => validateScreenshotTarget('../site1', 'desktop', site)).toThrow(error('UNKNOWN_SITE'));
+
+    ['../..', '../../tmp', 'desktop/../..', 'desktop@chromium', 'desktop@opera', undefined].forEach(device => {
+      expect(() => validateScreenshotTarget('site1', device, site)).toThrow(error('INVALID_DEVICE'));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * 🧪 Baselineバージョン管理のテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  MANIFEST_FILENAME,
+  beginCaptureSession,
+  registerCaptureSession,
+  listBaselineVersions,
+  resolveBaselineVersion,
+  getVersionFiles,
+  pinBaselineVersion,
+  unpinBaselineVersion
+} = require('../local-playwright-vrt/src/baseline-versions');
+
+describe('Baselineバージョン管理', () => {
+  const baselineDir = path.join(__dirname, 'temp-versions', 'site1', 'baseline', 'desktop');
+  const firstSession = '2025-01-01T00-00-00-000Z';
+  const secondSession = '2025-01-02T00-00-00-000Z';
+
+  beforeEach(() => {
+    fs.ensureDirSync(baselineDir);
+    fs.writeFileSync(path.join(baselineDir, `page-001_top_${firstSession}.png`), 'v1-top');
+    fs.writeFileSync(path.join(baselineDir, `page-002_about_${firstSession}.png`), 'v1-about');
+    fs.writeFileSync(path.join(baselineDir, `page-001_top_${secondSession}.png`), 'v2-top');
+  });
+
+  afterEach(() => {
+    fs.removeSync(path.join(__dirname, 'temp-versions'));
+  });
+
+  test('撮影セッションごとにバージョンを作成しマニフェストに記録する', () => {
+    const { current, pinned, versions } = listBaselineVersions(baselineDir);
+
+    expect(fs.existsSync(path.join(baselineDir, MANIFEST_FILENAME))).toBe(true);
+    expect(versions.map(v => v.id)).toEqual([secondSession, firstSession]);
+    expect(versions.map(v => v.pageCount)).toEqual([1, 2]);
+    expect(current).toBe(secondSession);
+    expect(pinned).toBeNull();
+  });
+
+  test('固定したバージョンが現在のバージョンになり、解除すると最新に戻る', () => {
+    pinBaselineVersion(baselineDir, firstSession);
+
+    const current = resolveBaselineVersion(baselineDir);
+    expect(current.id).toBe(firstSession);
+    expect(getVersionFiles(current).get('top').file).toBe(`page-001_top_${firstSession}.png`);
+
+    // 固定中に撮影した新しいセッションは現在のバージョンにならない
+    fs.writeFileSync(path.join(baselineDir, 'page-001_top_2025-01-03T00-00-00-000Z.png'), 'v3-top');
+    expect(resolveBaselineVersion(baselineDir).id).toBe(firstSession);
+
+    expect(unpinBaselineVersion(baselineDir)).toBe('2025-01-03T00-00-00-000Z');
+  });
+
+  test('存在しないバージョンの指定はエラーになる', () => {
+    expect(() => pinBaselineVersion(baselineDir, 'missing')).toThrow('Baselineバージョン missing が見つかりません');
+    expect(() => resolveBaselineVersion(baselineDir, 'missing')).toThrow(expect.objectContaining({
+      type: 'BASELINE_VERSION_NOT_FOUND'
+    }));
+  });
+
+  test('撮影途中のセッションは完了するまで現在のバージョンにならない', () => {
+    const thirdSession = '2025-01-03T00-00-00-000Z';
+    beginCaptureSession(baselineDir, thirdSession);
+    fs.writeFileSync(path.join(baselineDir, `page-001_top_${thirdSession}.png`), 'v3-top');
+
+    const during = listBaselineVersions(baselineDir);
+    expect(during.current).toBe(secondSession);
+    expect(during.versions[0]).toMatchObject({ id: thirdSession, partial: true, pageCount: 1 });
+
+    registerCaptureSession(baselineDir, thirdSession);
+    expect(resolveBaselineVersion(baselineDir).id).toBe(thirdSession);
+
+    // 1ページも撮影できなかったセッションはバージョンにしない
+    beginCaptureSession(baselineDir, '2025-01-04T00-00-00-000Z');
+    expect(registerCaptureSession(baselineDir, '2025-01-04T00-00-00-000Z')).toBeNull();
+    expect(listBaselineVersions(baselineDir).versions).toHaveLength(3);
+  });
+});
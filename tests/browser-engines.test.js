@@ -0,0 +1,37 @@
+/**
+ * 🧪 ブラウザエンジンのテスト
+ */
+
+const {
+  resolveBrowserEngine,
+  getCaptureKey,
+  parseCaptureKey,
+  sortCaptureKeys
+} = require('../local-playwright-vrt/src/browser-engines');
+
+describe('ブラウザエンジン', () => {
+  test('chromium は従来のデバイス名、それ以外はエンジン付きの撮影キーになる', () => {
+    expect(getCaptureKey('desktop')).toBe('desktop');
+    expect(getCaptureKey('desktop', 'chromium')).toBe('desktop');
+    expect(getCaptureKey('mobile', 'webkit')).toBe('mobile@webkit');
+
+    expect(parseCaptureKey('mobile@webkit')).toEqual({ key: 'mobile@webkit', device: 'mobile', browser: 'webkit' });
+    expect(parseCaptureKey('desktop')).toEqual({ key: 'desktop', device: 'desktop', browser: 'chromium' });
+  });
+
+  test('未対応のエンジンは再試行しないエラーになる', () => {
+    expect(resolveBrowserEngine()).toBe('chromium');
+    expect(() => resolveBrowserEngine('safari')).toThrow('未対応のブラウザエンジンです');
+    expect(() => getCaptureKey('desktop', 'edge')).toThrow(expect.objectContaining({
+      type: 'UNKNOWN_BROWSER',
+      details: { retryable: false }
+    }));
+  });
+
+  test('撮影キーをデバイス順・エンジン順に並べる', () => {
+    const keys = ['mobile@webkit', 'desktop@firefox', 'mobile', 'desktop', 'old-device'];
+
+    expect(sortCaptureKeys(keys, ['desktop', 'tablet', 'mobile']))
+      .toEqual(['desktop', 'desktop@firefox', 'mobile', 'mobile@webkit', 'old-device']);
+  });
+});
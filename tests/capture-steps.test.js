@@ -0,0 +1,87 @@
+/**
+ * 🧪 撮影前の操作ステップのテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { validateCaptureSteps, runCaptureSteps } = require('../local-playwright-vrt/src/capture-steps');
+const { ErrorHandler } = require('../src/error-handler');
+
+describe('撮影前の操作ステップ', () => {
+  const logDir = path.join(__dirname, 'temp-logs');
+
+  afterAll(() => {
+    fs.removeSync(logDir);
+  });
+
+  // 実行した操作を記録し、missing のセレクタは見つからないページ
+  const createPage = (missing = []) => {
+    const calls = [];
+    const act = name => async (selector) => {
+      if (missing.includes(selector)) {
+        throw new Error(`Timeout 10000ms exceeded waiting for ${selector}`);
+      }
+      calls.push(`${name} ${selector}`);
+    };
+
+    return {
+      calls,
+      click: act('click'),
+      hover: act('hover'),
+      fill: async (selector, value) => calls.push(`fill ${selector}=${value}`),
+      waitForSelector: act('waitForSelector'),
+      locator: selector => ({ first: () => ({ scrollIntoViewIfNeeded: () => act('scrollTo')(selector) }) }),
+      evaluate: async () => calls.push('evaluate'),
+      waitForTimeout: async () => {}
+    };
+  };
+
+  test('ステップを定義順に実行する', async () => {
+    const page = createPage();
+    const count = await runCaptureSteps(page, [
+      { action: 'click', selector: '#cookie-accept' },
+      { action: 'hover', selector: '.menu-item-has-children' },
+      { action: 'fill', selector: '#s', value: 'test' },
+      { action: 'waitForSelector', selector: '.sub-menu' },
+      { action: 'scrollTo', selector: '#footer' },
+      { action: 'evaluate', script: 'window.scrollTo(0, 0)', waitAfter: 500 }
+    ]);
+
+    expect(count).toBe(6);
+    expect(page.calls).toEqual([
+      'click #cookie-accept',
+      'hover .menu-item-has-children',
+      'fill #s=test',
+      'waitForSelector .sub-menu',
+      'scrollTo #footer',
+      'evaluate'
+    ]);
+  });
+
+  test('失敗したステップは専用のエラー種別になり、optional は続行する', async () => {
+    const page = createPage(['#cookie-accept', '.tab-reviews']);
+
+    await expect(runCaptureSteps(page, [
+      { action: 'click', selector: '#cookie-accept', optional: true },
+      { action: 'click', selector: '.tab-reviews' },
+      { action: 'hover', selector: '.never-run' }
+    ])).rejects.toMatchObject({
+      type: 'INTERACTION_STEP_FAILED',
+      details: { index: 1, retryable: false }
+    });
+    expect(page.calls).toEqual([]);
+
+    const error = await runCaptureSteps(page, [{ action: 'click', selector: '.tab-reviews' }]).catch(e => e);
+    const handler = new ErrorHandler({ logDir });
+    expect(handler.classifyScreenshotError(error)).toBe('INTERACTION');
+    expect(handler.getSeverity(error)).toBe('MEDIUM');
+  });
+
+  test('不正なステップ定義はエラーになる', () => {
+    expect(() => validateCaptureSteps({ steps: [] })).toThrow('配列で指定してください');
+    expect(() => validateCaptureSteps([{ steps: [{ action: 'drag', selector: '.a' }] }])).toThrow('action は');
+    expect(() => validateCaptureSteps([{ pages: ['/shop/*'], steps: [{ action: 'fill', selector: '#s' }] }]))
+      .toThrow('value を指定してください');
+    expect(validateCaptureSteps([{ steps: [{ action: 'evaluate', script: 'void 0' }] }])).toHaveLength(1);
+  });
+});
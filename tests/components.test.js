@@ -0,0 +1,130 @@
+/**
+ * 🧪 コンポーネント単位の撮影・比較のテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  validateComponents,
+  getComponentPath,
+  toComponentRects,
+  captureComponents,
+  copyComponentScreenshots,
+  resolveComponentThreshold,
+  applyComponentResults
+} = require('../local-playwright-vrt/src/components');
+const { loadCaptureMetadata, saveCaptureMetadata } = require('../local-playwright-vrt/src/capture-metadata');
+const { resolveIgnoreRegions } = require('../local-playwright-vrt/src/ignore-regions');
+const { buildContextOptions } = require('../local-playwright-vrt/src/device-profiles');
+
+describe('コンポーネント単位の撮影・比較', () => {
+  const tempDir = path.join(__dirname, 'temp-components');
+  const screenshotPath = path.join(tempDir, 'after', 'page-001_top_2025-01-01T00-00-00-000Z.png');
+
+  // セレクタごとの要素位置（未定義のセレクタは見つからない）
+  const createPage = (boxes) => ({
+    locator: selector => ({
+      first: () => ({
+        count: async () => (boxes[selector] ? 1 : 0),
+        evaluate: async () => boxes[selector],
+        screenshot: async ({ path: filePath }) => fs.writeFileSync(filePath, 'png')
+      })
+    })
+  });
+
+  beforeEach(() => {
+    fs.ensureDirSync(path.dirname(screenshotPath));
+  });
+
+  afterEach(() => {
+    fs.removeSync(tempDir);
+  });
+
+  test('要素スクリーンショットを保存し、除外領域を要素内の座標に変換する', async () => {
+    const page = createPage({
+      '.site-header': { x: 0, y: 0, width: 1920, height: 120 },
+      '.site-footer': { x: 0, y: 3000, width: 1920, height: 400 }
+    });
+    const ignoreRects = [
+      { x: 1700, y: 20, width: 200, height: 300, source: 'selector' },
+      { x: 0, y: 1000, width: 100, height: 100, source: 'rect' }
+    ];
+
+    const captured = await captureComponents(page, [
+      { name: 'header', selector: '.site-header', threshold: 0.1 },
+      { name: 'footer', selector: '.site-footer' },
+      { name: 'cart', selector: '.woocommerce-cart-form' }
+    ], screenshotPath, ignoreRects);
+
+    expect(captured.map(c => [c.name, c.found])).toEqual([['header', true], ['footer', true], ['cart', false]]);
+    expect(fs.existsSync(getComponentPath(screenshotPath, 'header'))).toBe(true);
+    expect(loadCaptureMetadata(getComponentPath(screenshotPath, 'header')).ignoreRegions)
+      .toEqual([{ x: 1700, y: 20, width: 200, height: 100, source: 'selector' }]);
+    expect(toComponentRects(ignoreRects, captured[1].box)).toEqual([]);
+  });
+
+  test('デバイスピクセル比2のプロファイルでは除外領域・要素の位置をスクリーンショットのピクセルに合わせる', async () => {
+    const { deviceScaleFactor } = buildContextOptions({ descriptor: 'iPad Pro 11' });
+    expect(deviceScaleFactor).toBe(2);
+
+    const ignoreRects = await resolveIgnoreRegions({
+      evaluate: jest.fn().mockResolvedValue([{ x: 700, y: 10, width: 100, height: 40 }])
+    }, [{ selector: '.cart-count' }, { x: 0, y: 500, width: 834, height: 200 }], deviceScaleFactor);
+    expect(ignoreRects).toEqual([
+      { x: 1400, y: 20, width: 200, height: 80, source: 'selector', selector: '.cart-count' },
+      { x: 0, y: 1000, width: 1668, height: 400, source: 'rect' }
+    ]);
+
+    const captured = await captureComponents(createPage({
+      '.site-header': { x: 0, y: 0, width: 834, height: 60 }
+    }), [{ name: 'header', selector: '.site-header' }], screenshotPath, ignoreRects, deviceScaleFactor);
+
+    expect(captured[0].box).toEqual({ x: 0, y: 0, width: 1668, height: 120 });
+    expect(loadCaptureMetadata(getComponentPath(screenshotPath, 'header')).ignoreRegions)
+      .toEqual([{ x: 1400, y: 20, width: 200, height: 80, source: 'selector', selector: '.cart-count' }]);
+  });
+
+  test('コンポーネントがNGならページ全体の差分率がしきい値未満でもNGにする', () => {
+    const page = applyComponentResults({ status: 'OK', diffPercentage: 0.3 }, [
+      { name: 'header', status: 'NG', diffPercentage: 4.2, threshold: 0.5 },
+      { name: 'footer', status: 'OK', diffPercentage: 0, threshold: 0.5 }
+    ]);
+    expect(page).toMatchObject({ status: 'NG', componentStatus: 'NG' });
+
+    expect(applyComponentResults({ status: 'OK' }, [{ name: 'nav', status: 'MISSING_AFTER' }]).status).toBe('NG');
+    expect(applyComponentResults({ status: 'OK' }, [{ name: 'nav', status: 'MISSING_BASELINE' }]).status).toBe('OK');
+    expect(applyComponentResults({ status: 'OK' }, [])).toEqual({ status: 'OK' });
+  });
+
+  test('しきい値はサイト設定・撮影時の設定・既定値の順に決まる', () => {
+    const captured = [{ name: 'header', threshold: 0.2 }, { name: 'footer', threshold: null }];
+
+    expect(resolveComponentThreshold('header', [{ name: 'header', threshold: 1 }], captured)).toBe(1);
+    expect(resolveComponentThreshold('header', [], captured)).toBe(0.2);
+    expect(resolveComponentThreshold('footer', [], captured)).toBe(0.5);
+  });
+
+  test('承認でBaselineに昇格する際にコンポーネント画像もコピーする', async () => {
+    await captureComponents(createPage({ header: { x: 0, y: 0, width: 100, height: 50 } }), [
+      { name: 'header', selector: 'header' }
+    ], screenshotPath);
+    saveCaptureMetadata(screenshotPath, {
+      components: [{ name: 'header', selector: 'header', found: true }, { name: 'cart', selector: '.cart', found: false }]
+    });
+
+    const baselinePath = path.join(tempDir, 'baseline', 'page-001_top_2025-01-02T00-00-00-000Z.png');
+    copyComponentScreenshots(screenshotPath, baselinePath);
+
+    expect(fs.existsSync(getComponentPath(baselinePath, 'header'))).toBe(true);
+    expect(loadCaptureMetadata(getComponentPath(baselinePath, 'header')).component).toBe('header');
+    expect(fs.existsSync(getComponentPath(baselinePath, 'cart'))).toBe(false);
+  });
+
+  test('不正なコンポーネント定義はエラーになる', () => {
+    expect(() => validateComponents([{ name: 'global nav', selector: 'nav' }])).toThrow('英数字とハイフン');
+    expect(() => validateComponents([{ name: 'nav', selector: 'nav' }, { name: 'nav', selector: '.menu' }]))
+      .toThrow('重複');
+    expect(() => validateComponents([{ name: 'form', selector: '.wpcf7', threshold: -1 }])).toThrow('threshold');
+    expect(validateComponents([{ name: 'header', selector: 'header', threshold: 0 }])).toHaveLength(1);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * 🧪 コンテンツずれ補正のテスト
+ */
+
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const {
+  alignRows,
+  buildAlignedImages,
+  alignMasks,
+  projectToAfter,
+  describeShift
+} = require('../local-playwright-vrt/src/content-alignment');
+
+// 行ごとに異なる色で塗った画像を作成
+function createStripedPNG(rowValues, width = 8) {
+  const png = new PNG({ width, height: rowValues.length });
+  rowValues.forEach((value, y) => {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) << 2;
+      png.data[idx] = value;
+      png.data[idx + 1] = (value * 7) % 256;
+      png.data[idx + 2] = (value * 13) % 256;
+      png.data[idx + 3] = 255;
+    }
+  });
+  return png;
+}
+
+const baseRows = Array.from({ length: 60 }, (_, i) => i * 4);
+
+describe('コンテンツずれ補正', () => {
+  test('途中に挿入された行を検出し、残りの行は差分なしで比較できる', () => {
+    const afterRows = [...baseRows.slice(0, 20), 250, 251, 252, 253, ...baseRows.slice(20)];
+    const baseline = createStripedPNG(baseRows);
+    const after = createStripedPNG(afterRows);
+
+    const alignment = alignRows(baseline, after);
+    expect(alignment.shifts).toEqual([{ type: 'inserted', y: 20, height: 4, baselineY: 20 }]);
+    expect(describeShift(alignment.shifts[0])).toBe('y=20に4px挿入');
+
+    const aligned = buildAlignedImages(baseline, after, alignment);
+    expect(aligned.height).toBe(60);
+
+    const diff = new PNG({ width: aligned.width, height: aligned.height });
+    const diffPixels = pixelmatch(aligned.baseline.data, aligned.after.data, diff.data, aligned.width, aligned.height);
+    expect(diffPixels).toBe(0);
+  });
+
+  test('削除された行を検出する', () => {
+    const afterRows = [...baseRows.slice(0, 10), ...baseRows.slice(16)];
+    const alignment = alignRows(createStripedPNG(baseRows), createStripedPNG(afterRows));
+
+    expect(alignment.shifts).toEqual([{ type: 'removed', y: 10, height: 6, baselineY: 10 }]);
+  });
+
+  test('同じ位置で置き換わった行はずれではなく変更として比較される', () => {
+    const afterRows = [...baseRows];
+    afterRows[30] = 255;
+    afterRows.splice(45, 0, 254);
+
+    const alignment = alignRows(createStripedPNG(baseRows), createStripedPNG(afterRows));
+
+    expect(alignment.shifts).toHaveLength(1);
+    expect(alignment.shifts[0]).toMatchObject({ type: 'inserted', y: 45, height: 1 });
+    const pairIndex = Array.from(alignment.afterRows).indexOf(30);
+    expect(alignment.baselineRows[pairIndex]).toBe(30);
+  });
+
+  test('幅が異なる、または差が大きすぎる場合はnullを返す', () => {
+    expect(alignRows(createStripedPNG(baseRows, 8), createStripedPNG(baseRows, 10))).toBeNull();
+
+    const unrelated = createStripedPNG([...baseRows.map(v => v + 1), 3]);
+    expect(alignRows(createStripedPNG(baseRows), unrelated, { maxEdits: 10 })).toBeNull();
+  });
+
+  test('マスクと比較結果をAfter座標との間で変換できる', () => {
+    const width = 2;
+    const alignment = {
+      baselineRows: Int32Array.from([0, 1, 2]),
+      afterRows: Int32Array.from([0, 2, 3]),
+      shifts: [{ type: 'inserted', y: 1, height: 1, baselineY: 1 }]
+    };
+
+    const baselineMask = new Uint8Array([0, 0, 1, 1, 0, 0]);
+    const afterMask = new Uint8Array([0, 0, 0, 0, 0, 0, 1, 0]);
+    const { mask, maskedPixels } = alignMasks(baselineMask, afterMask, alignment, width);
+    expect(Array.from(mask)).toEqual([0, 0, 1, 1, 1, 0]);
+    expect(maskedPixels).toBe(3);
+
+    const projected = projectToAfter(mask, alignment, width, 4, 1);
+    expect(Array.from(projected)).toEqual([0, 0, 0, 0, 1, 1, 1, 0]);
+  });
+});
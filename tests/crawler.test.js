@@ -63,6 +63,108 @@ describe('SiteCrawler', () => {
   });
 });
 
+describe('サイトマップ収集', () => {
+  // URLごとの本文を返すページのモック（未定義のURLは404）
+  const createPage = (responses) => ({
+    request: {
+      get: jest.fn(async (url) => ({
+        ok: () => url in responses,
+        text: async () => responses[url]
+      }))
+    }
+  });
+
+  test('サイトマップインデックスと<loc>のCDATA・エンティティを解析する', () => {
+    const index = SiteCrawler.parseSitemap(
+      '<?xml version="1.0"?><sitemapindex><sitemap><loc>https://example.com/post-sitemap.xml</loc></sitemap></sitemapindex>'
+    );
+    expect(index).toEqual({ isIndex: true, locations: ['https://example.com/post-sitemap.xml'] });
+
+    const urlset = SiteCrawler.parseSitemap(
+      '<urlset><url><loc><![CDATA[ https://example.com/a ]]></loc>' +
+      '<image:image><image:loc>https://example.com/a.jpg</image:loc></image:image></url>' +
+      '<url><loc>https://example.com/?p=1&amp;page=2</loc></url></urlset>'
+    );
+    expect(urlset).toEqual({ isIndex: false, locations: ['https://example.com/a', 'https://example.com/?p=1&page=2'] });
+  });
+
+  test('robots.txtと既定のサイトマップからインデックスをたどり、除外パターンと重複を除く', async () => {
+    const crawler = new SiteCrawler({ crawlMode: 'sitemap' });
+    const page = createPage({
+      'https://example.com/robots.txt': 'User-agent: *\nSitemap: https://example.com/custom-sitemap.xml',
+      'https://example.com/custom-sitemap.xml': '<urlset><url><loc>https://example.com/landing/</loc></url></urlset>',
+      'https://example.com/sitemap_index.xml':
+        '<sitemapindex><sitemap><loc>https://example.com/page-sitemap.xml</loc></sitemap>' +
+        '<sitemap><loc>https://other.com/sitemap.xml</loc></sitemap></sitemapindex>',
+      'https://example.com/page-sitemap.xml':
+        '<urlset><url><loc>https://example.com/landing</loc></url>' +
+        '<url><loc>https://example.com/wp-admin/</loc></url>' +
+        '<url><loc>https://example.com/about/</loc></url></urlset>'
+    });
+
+    const { urls, sitemaps } = await crawler.discoverSitemapUrls(page, 'https://example.com/');
+
+    expect(urls).toEqual(['https://example.com/landing/', 'https://example.com/about/']);
+    expect(sitemaps).toEqual([
+      'https://example.com/custom-sitemap.xml',
+      'https://example.com/sitemap_index.xml',
+      'https://example.com/page-sitemap.xml'
+    ]);
+  });
+
+  test('sitemapモードはサイトマップのURLを訪問し、リンクはたどらない', async () => {
+    const crawler = new SiteCrawler({ crawlMode: 'sitemap', maxPages: 5 });
+    const page = {
+      ...createPage({
+        'https://example.com/wp-sitemap.xml': '<urlset><url><loc>https://example.com/orphan/</loc></url></urlset>'
+      }),
+      goto: jest.fn().mockResolvedValue(),
+      title: jest.fn().mockResolvedValue('タイトル'),
+      evaluate: jest.fn().mockResolvedValue(['https://example.com/linked'])
+    };
+
+    const result = await crawler.crawl(page, 'https://example.com/');
+    const pages = SiteCrawler.generatePageIdentifiers(result.urls, result.metadata);
+
+    expect(result.urls).toEqual(['https://example.com/', 'https://example.com/orphan/']);
+    expect(result.metadata['https://example.com/orphan/'].source).toBe('sitemap');
+    expect(result.sitemaps).toEqual(['https://example.com/wp-sitemap.xml']);
+    expect(page.evaluate).not.toHaveBeenCalled();
+    expect(pages.map(p => p.identifier)).toEqual(['top', 'orphan']);
+  });
+
+  test('不正なcrawlModeはエラーになる', () => {
+    expect(() => new SiteCrawler({ crawlMode: 'rss' })).toThrow('不正なcrawlModeです');
+    expect(SiteCrawler.CRAWL_MODES).toEqual(['links', 'sitemap', 'both']);
+  });
+});
+
+describe('テンプレート別サンプリング', () => {
+  test('テンプレートごとに代表ページだけを対象にし、対象外のページからもリンクをたどる', async () => {
+    const crawler = new SiteCrawler({ maxPages: 10, samplePerTemplate: 1 });
+    const site = {
+      'https://example.com/': { bodyClass: 'home', links: ['https://example.com/p1', 'https://example.com/p2'] },
+      'https://example.com/p1': { bodyClass: 'single single-post', links: [] },
+      'https://example.com/p2': { bodyClass: 'single single-post', links: ['https://example.com/shop'] },
+      'https://example.com/shop': { bodyClass: 'archive post-type-archive-product woocommerce-page', links: [] }
+    };
+    let current = null;
+    const page = {
+      goto: jest.fn(async (url) => { current = site[url]; }),
+      title: jest.fn().mockResolvedValue(''),
+      $eval: jest.fn(async () => current.bodyClass),
+      evaluate: jest.fn(async () => current.links)
+    };
+
+    const result = await crawler.crawl(page, 'https://example.com/');
+    const pages = SiteCrawler.generatePageIdentifiers(result.urls, result.metadata);
+
+    expect(result.urls).toEqual(['https://example.com/', 'https://example.com/p1', 'https://example.com/shop']);
+    expect(result.templates['single-post']).toEqual({ selected: 1, skipped: 1 });
+    expect(pages.map(p => p.template)).toEqual(['home', 'single-post', 'product-archive']);
+  });
+});
+
 // モックを使用した統合テスト
 describe('SiteCrawler Integration', () => {
   test('クロール設定が正しく適用される', () => {
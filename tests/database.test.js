@@ -171,6 +171,17 @@ describe('VRTDatabase', () => {
       expect(stats.ng).toBe(1);
       expect(stats.avgDiffPercentage).toBe(1.5); // (1.0 + 3.0 + 0.5) / 3
     });
+
+    test('Afterなし・新規ページの件数を集計できる', async () => {
+      await database.saveComparisonResult({ siteId: 'test-site', status: 'OK', diffPercentage: 0 });
+      await database.saveComparisonResult({ siteId: 'test-site', status: 'MISSING_AFTER', diffPercentage: null });
+      await database.saveComparisonResult({ siteId: 'test-site', status: 'NEW_PAGE', diffPercentage: null });
+
+      const stats = await database.getComparisonStats('test-site');
+      expect(stats.total).toBe(3);
+      expect(stats.missingAfter).toBe(1);
+      expect(stats.newPages).toBe(1);
+    });
   });
 
   describe('メタデータ管理', () => {
@@ -218,6 +229,60 @@ describe('VRTDatabase', () => {
       expect(remainingSessions).toHaveLength(1);
       expect(remainingSessions[0].id).toBe('new-session');
     });
+
+    test('古くても実行待ち・実行中・中断中（再開可能）のジョブは残す', async () => {
+      const oldDate = new Date();
+      oldDate.setDate(oldDate.getDate() - 100);
+
+      const jobsPath = path.join(testDataDir, 'jobs.json');
+      const jobs = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'].map(status => ({
+        id: `job-${status}`,
+        status,
+        createdAt: oldDate.toISOString()
+      }));
+      fs.writeFileSync(jobsPath, JSON.stringify(jobs, null, 2));
+
+      const result = await database.cleanup(50);
+      expect(result.deletedJobs).toBe(3);
+
+      const remainingJobs = JSON.parse(fs.readFileSync(jobsPath, 'utf8'));
+      expect(remainingJobs.map(j => j.id)).toEqual(['job-queued', 'job-running', 'job-paused']);
+    });
+  });
+
+  describe('レビュー（承認・却下）', () => {
+    test('承認記録を保存し、対象ページのNG結果を承認済みにする', async () => {
+      await database.saveComparisonResult({ siteId: 'site1', device: 'desktop', status: 'NG', pageIdentifier: 'top' });
+      await database.saveComparisonResult({ siteId: 'site1', device: 'desktop', status: 'NG', pageIdentifier: 'about' });
+
+      const approval = await database.saveApproval({
+        action: 'approved',
+        siteId: 'site1',
+        device: 'desktop',
+        pages: [{ pageIdentifier: 'top', afterFile: 'page-001_top_x.png' }],
+        user: 'reviewer',
+        comment: 'デザイン変更のため'
+      });
+
+      expect(approval.id).toMatch(/^approval-/);
+      expect(approval.user).toBe('reviewer');
+
+      const stats = await database.getComparisonStats('site1');
+      expect(stats.ng).toBe(1);
+      expect(stats.approved).toBe(1);
+
+      const latest = await database.getLatestComparisonResults('site1', 'desktop');
+      expect(latest.find(r => r.pageIdentifier === 'top').review.status).toBe('approved');
+    });
+
+    test('承認履歴をページ単位で絞り込める', async () => {
+      await database.saveApproval({ action: 'approved', siteId: 'site1', device: 'desktop', pages: [{ pageIdentifier: 'top' }] });
+      await database.saveApproval({ action: 'rejected', siteId: 'site1', device: 'mobile', pages: [{ pageIdentifier: 'about' }] });
+
+      expect(await database.getApprovals('site1')).toHaveLength(2);
+      expect(await database.getApprovals('site1', { device: 'mobile' })).toHaveLength(1);
+      expect(await database.getApprovals('site1', { pageIdentifier: 'top' })).toHaveLength(1);
+    });
   });
 
   describe('統計情報', () => {
@@ -0,0 +1,93 @@
+/**
+ * 🧪 決定的レンダリングのテスト
+ */
+
+const vm = require('vm');
+const {
+  DEFAULT_BLOCKED_HOSTS,
+  validateDeterminism,
+  resolveDeterminism,
+  matchHostPattern,
+  installDeterministicGlobals,
+  applyDeterminism,
+  describeDeterminism
+} = require('../local-playwright-vrt/src/deterministic-rendering');
+
+describe('決定的レンダリング', () => {
+  // 初期化スクリプトを別のグローバル環境で実行
+  const runInPage = (options, expression) => {
+    const sandbox = vm.createContext({ performance: { now: () => 1234.5 } });
+    sandbox.window = sandbox;
+    vm.runInContext(`(${installDeterministicGlobals.toString()})(${JSON.stringify(options)})`, sandbox);
+    return vm.runInContext(expression, sandbox);
+  };
+
+  test('時計を固定し、乱数を同じシードで再現する', () => {
+    const options = { freezeClock: true, time: Date.parse('2025-01-01T00:00:00.000Z'), seedRandom: true, seed: 42 };
+    const expression = 'JSON.stringify([Date.now(), new Date().toISOString(), new Date(0).getTime(), ' +
+      'new Date() instanceof Date, performance.now(), Math.random(), Math.random()])';
+
+    const first = JSON.parse(runInPage(options, expression));
+    const second = JSON.parse(runInPage(options, expression));
+
+    expect(first.slice(0, 5)).toEqual([Date.parse('2025-01-01T00:00:00.000Z'), '2025-01-01T00:00:00.000Z', 0, true, 0]);
+    expect(second).toEqual(first);
+    expect(first[5]).not.toBe(first[6]);
+    expect(JSON.parse(runInPage({ ...options, seed: 7 }, expression))[5]).not.toBe(first[5]);
+
+    const untouched = JSON.parse(runInPage({ freezeClock: false, seedRandom: false }, 'JSON.stringify([performance.now()])'));
+    expect(untouched).toEqual([1234.5]);
+  });
+
+  test('ホストの指定はサブドメインとパスの前方一致で判定する', () => {
+    expect(matchHostPattern('https://www.googletagmanager.com/gtm.js?id=GTM-X', 'googletagmanager.com')).toBe(true);
+    expect(matchHostPattern('https://static.hotjar.com/c/hotjar.js', 'hotjar.com')).toBe(true);
+    expect(matchHostPattern('https://www.google.com/maps/embed?pb=1', 'google.com/maps')).toBe(true);
+    expect(matchHostPattern('https://www.google.com/recaptcha/api.js', 'google.com/maps')).toBe(false);
+    expect(matchHostPattern('https://nothotjar.com/', 'hotjar.com')).toBe(false);
+    expect(matchHostPattern('about:blank', 'hotjar.com')).toBe(false);
+  });
+
+  test('設定した外部ホストへのリクエストを遮断し、件数を記録する', async () => {
+    let handler = null;
+    const context = {
+      addInitScript: jest.fn(),
+      route: async (pattern, fn) => { handler = fn; }
+    };
+    const settings = resolveDeterminism({ freezeClock: false, seedRandom: false, blockedHosts: ['chat.example.net'] });
+    const stats = await applyDeterminism(context, settings);
+
+    const request = url => {
+      const route = {
+        request: () => ({ url: () => url, isNavigationRequest: () => false }),
+        abort: jest.fn(),
+        continue: jest.fn(),
+        fulfill: jest.fn()
+      };
+      handler(route);
+      return route;
+    };
+
+    expect(request('https://widget.chat.example.net/loader.js').abort).toHaveBeenCalled();
+    expect(request('https://www.google-analytics.com/analytics.js').abort).toHaveBeenCalled();
+    expect(request('https://example.com/wp-content/themes/style.css').continue).toHaveBeenCalled();
+    expect(stats.blockedRequests).toBe(2);
+    expect(context.addInitScript).not.toHaveBeenCalled();
+  });
+
+  test('サイト設定を既定値に重ね、メタデータには追加分のみ記録する', () => {
+    const settings = resolveDeterminism({ replaceIframes: false, blockedHosts: ['ads.example.jp'] });
+
+    expect(settings.freezeClock).toBe(true);
+    expect(settings.blockedHosts).toEqual([...DEFAULT_BLOCKED_HOSTS, 'ads.example.jp']);
+    expect(describeDeterminism(settings)).toMatchObject({
+      replaceIframes: false,
+      extraBlockedHosts: ['ads.example.jp'],
+      extraIframeHosts: []
+    });
+
+    expect(() => validateDeterminism({ freezeClock: 'yes' })).toThrow('true / false');
+    expect(() => validateDeterminism({ fixedTime: 'someday' })).toThrow('日時');
+    expect(() => validateDeterminism({ blockedHosts: 'ads.example.jp' })).toThrow('ホスト名の配列');
+  });
+});
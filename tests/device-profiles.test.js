@@ -0,0 +1,59 @@
+/**
+ * 🧪 デバイスプロファイルのテスト
+ */
+
+const {
+  DEFAULT_DEVICE_PROFILES,
+  validateDeviceProfiles,
+  resolveDeviceProfile,
+  buildContextOptions,
+  describeDeviceProfile,
+  sortDeviceNames
+} = require('../local-playwright-vrt/src/device-profiles');
+
+describe('デバイスプロファイル', () => {
+  test('既定のプロファイルからコンテキスト設定を作成する', () => {
+    const options = buildContextOptions(resolveDeviceProfile('mobile', DEFAULT_DEVICE_PROFILES));
+
+    expect(options).toEqual({
+      viewport: { width: 375, height: 667 },
+      deviceScaleFactor: 1,
+      isMobile: true,
+      hasTouch: true
+    });
+  });
+
+  test('Playwrightのデバイス名を使い、明示した項目で上書きする', () => {
+    const siteProfiles = {
+      ipad: { label: 'iPad Pro 11', descriptor: 'iPad Pro 11' },
+      'ipad-wide': { descriptor: 'iPad Pro 11 landscape', deviceScaleFactor: 1 }
+    };
+
+    const ipad = describeDeviceProfile(resolveDeviceProfile('ipad', DEFAULT_DEVICE_PROFILES, siteProfiles));
+    expect(ipad.label).toBe('iPad Pro 11');
+    expect(ipad.viewport).toEqual({ width: 834, height: 1194 });
+    expect(ipad.deviceScaleFactor).toBe(2);
+    expect(ipad.hasTouch).toBe(true);
+    expect(ipad.userAgent).toMatch(/iPad/);
+
+    const wide = buildContextOptions(resolveDeviceProfile('ipad-wide', DEFAULT_DEVICE_PROFILES, siteProfiles));
+    expect(wide.viewport.width).toBeGreaterThan(wide.viewport.height);
+    expect(wide.deviceScaleFactor).toBe(1);
+  });
+
+  test('未定義・不正なプロファイルはエラーになる', () => {
+    expect(() => resolveDeviceProfile('watch', DEFAULT_DEVICE_PROFILES)).toThrow('未定義のデバイスプロファイルです');
+    expect(() => resolveDeviceProfile('../desktop', DEFAULT_DEVICE_PROFILES)).toThrow('未定義のデバイスプロファイルです');
+
+    expect(() => validateDeviceProfiles({ 'big screen': { viewport: { width: 2560, height: 1440 } } }))
+      .toThrow('英数字とハイフン');
+    expect(() => validateDeviceProfiles({ phone: { descriptor: 'Unknown Phone' } })).toThrow('Playwrightに存在しない');
+    expect(() => validateDeviceProfiles({ phone: { userAgent: 'x' } })).toThrow('ビューポート');
+    expect(validateDeviceProfiles({ '4k': { viewport: { width: 3840, height: 2160 } } })).toBeDefined();
+  });
+
+  test('デバイスをプロファイルの定義順に並べる', () => {
+    expect(sortDeviceNames(['mobile', 'old-device', 'desktop', 'tablet'], DEFAULT_DEVICE_PROFILES))
+      .toEqual(['desktop', 'tablet', 'mobile', 'old-device']);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * 🧪 変更領域クラスタリングのテスト
+ */
+
+const { PNG } = require('pngjs');
+const {
+  createDiffMask,
+  createSSIMRegionMask,
+  findChangedRegions,
+  drawRegionAnnotations,
+  REGION_BOX_COLOR
+} = require('../local-playwright-vrt/src/diff-regions');
+
+function markRect(mask, width, x, y, w, h) {
+  for (let py = y; py < y + h; py++) {
+    for (let px = x; px < x + w; px++) {
+      mask[py * width + px] = 1;
+    }
+  }
+}
+
+describe('変更領域クラスタリング', () => {
+  test('離れた差分は別々の領域になり、上から順に番号が振られる', () => {
+    const width = 200;
+    const height = 200;
+    const mask = new Uint8Array(width * height);
+    markRect(mask, width, 150, 150, 10, 5);
+    markRect(mask, width, 10, 20, 30, 10);
+
+    const { regions, totalRegions } = findChangedRegions(mask, width, height, { cellSize: 16 });
+
+    expect(totalRegions).toBe(2);
+    expect(regions[0]).toEqual({ id: 1, x: 10, y: 20, width: 30, height: 10, pixels: 300 });
+    expect(regions[1]).toEqual({ id: 2, x: 150, y: 150, width: 10, height: 5, pixels: 50 });
+  });
+
+  test('近接した差分（文字の変更など）は1つの領域にまとまる', () => {
+    const width = 100;
+    const height = 50;
+    const mask = new Uint8Array(width * height);
+    // 同じ行の数文字分の散発的な差分
+    [10, 18, 26, 34].forEach(x => markRect(mask, width, x, 10, 3, 8));
+
+    const { regions } = findChangedRegions(mask, width, height, { cellSize: 16 });
+
+    expect(regions).toHaveLength(1);
+    expect(regions[0]).toMatchObject({ x: 10, y: 10, width: 27, height: 8 });
+  });
+
+  test('上限を超える場合は差分の大きい領域を優先する', () => {
+    const width = 400;
+    const height = 40;
+    const mask = new Uint8Array(width * height);
+    markRect(mask, width, 0, 0, 2, 2);
+    markRect(mask, width, 100, 0, 10, 10);
+    markRect(mask, width, 200, 0, 5, 5);
+
+    const result = findChangedRegions(mask, width, height, { cellSize: 16, maxRegions: 2 });
+
+    expect(result.truncated).toBe(true);
+    expect(result.totalRegions).toBe(3);
+    expect(result.regions.map(r => r.x)).toEqual([100, 200]);
+  });
+
+  test('pixelmatchの差分色からマスクを作成する', () => {
+    const diff = new PNG({ width: 3, height: 1 });
+    diff.data.set([255, 0, 0, 255, 255, 255, 0, 255, 230, 230, 230, 255]);
+
+    const { mask, count } = createDiffMask(diff);
+
+    expect(count).toBe(2);
+    expect(Array.from(mask)).toEqual([1, 1, 0]);
+  });
+
+  test('SSIMしきい値を下回るブロックがマスクされる', () => {
+    const ssimResult = { blocks: [0.5, 1, null, 0.99], blockSize: 2, cols: 2 };
+    const { count } = createSSIMRegionMask(ssimResult, 4, 4, 0.98);
+
+    expect(count).toBe(4);
+  });
+
+  test('注釈画像は元画像を変更せずに枠を描画する', () => {
+    const source = new PNG({ width: 100, height: 100 });
+    source.data.fill(255);
+
+    const annotated = drawRegionAnnotations(source, [{ id: 1, x: 40, y: 50, width: 10, height: 10, pixels: 100 }]);
+    const borderIdx = (47 * 100 + 45) << 2;
+
+    expect(Array.from(annotated.data.slice(borderIdx, borderIdx + 3))).toEqual(REGION_BOX_COLOR);
+    expect(Array.from(source.data.slice(borderIdx, borderIdx + 3))).toEqual([255, 255, 255]);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * 🧪 DOMスナップショットと構造の差分のテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  getDomSnapshotPath,
+  loadDomSnapshot,
+  copyDomSnapshot,
+  diffDomSnapshots,
+  mapDomChangesToRegions
+} = require('../local-playwright-vrt/src/dom-snapshot');
+
+describe('DOMスナップショットと構造の差分', () => {
+  const tempDir = path.join(__dirname, 'temp-dom-snapshot');
+
+  const styles = (overrides = {}) => ({ 'font-size': '16px', color: 'rgb(0, 0, 0)', 'margin-top': '0px', ...overrides });
+  const element = (key, parent, box, extra = {}) => ({
+    key,
+    parent,
+    tag: key.split(' > ').pop().split(/[.#:]/)[0],
+    text: '',
+    box: { x: 0, width: 1000, ...box },
+    styles: styles(),
+    ...extra
+  });
+
+  const baseline = {
+    devicePixelRatio: 2,
+    elements: [
+      element('body', null, { y: 0, height: 900 }),
+      element('body > header#masthead', 'body', { y: 0, height: 100 }),
+      element('body > header#masthead > h1.site-title:nth-of-type(1)', 'body > header#masthead', { y: 20, height: 40 },
+        { text: 'サイト名' }),
+      element('body > main.content:nth-of-type(1)', 'body', { y: 100, height: 600 }),
+      element('body > main.content:nth-of-type(1) > p:nth-of-type(1)', 'body > main.content:nth-of-type(1)',
+        { y: 120, height: 40 }, { text: '本文' }),
+      element('body > div.banner:nth-of-type(1)', 'body', { y: 700, height: 50 }, { text: '旧バナー' })
+    ]
+  };
+
+  afterEach(() => {
+    fs.removeSync(tempDir);
+  });
+
+  test('スタイル変化・追加・削除を検出し、親に伴う移動とサイズ変化の連鎖は除く', () => {
+    const after = {
+      devicePixelRatio: 2,
+      elements: [
+        element('body', null, { y: 0, height: 960 }),
+        element('body > header#masthead', 'body', { y: 0, height: 160 }),
+        element('body > header#masthead > h1.site-title:nth-of-type(1)', 'body > header#masthead', { y: 20, height: 100 },
+          { text: 'サイト名', styles: styles({ 'font-size': '40px' }) }),
+        element('body > main.content:nth-of-type(1)', 'body', { y: 160, height: 600 }),
+        element('body > main.content:nth-of-type(1) > p:nth-of-type(1)', 'body > main.content:nth-of-type(1)',
+          { y: 180, height: 40 }, { text: '本文' }),
+        element('body > aside.notice:nth-of-type(1)', 'body', { y: 760, height: 60 }, { text: 'お知らせ' }),
+        element('body > aside.notice:nth-of-type(1) > a:nth-of-type(1)', 'body > aside.notice:nth-of-type(1)',
+          { y: 770, height: 20 })
+      ]
+    };
+
+    const diff = diffDomSnapshots(baseline, after);
+    const byKey = key => diff.changes.find(change => change.key === key);
+
+    expect(diff.summary).toEqual({ added: 1, removed: 1, moved: 1, resized: 1, textChanged: 0, styleChanged: 1 });
+    expect(byKey('body > header#masthead > h1.site-title:nth-of-type(1)')).toMatchObject({
+      resized: { dw: 0, dh: 60 },
+      styles: [{ property: 'font-size', before: '16px', after: '40px' }]
+    });
+    // main は header の拡大で下に動くが、その中の p は main と一緒に動いただけ
+    expect(byKey('body > main.content:nth-of-type(1)').moved).toEqual({ dx: 0, dy: 60 });
+    expect(byKey('body > main.content:nth-of-type(1) > p:nth-of-type(1)')).toBeUndefined();
+    expect(byKey('body > header#masthead')).toBeUndefined();
+    expect(byKey('body > aside.notice:nth-of-type(1)').type).toBe('added');
+    expect(byKey('body > div.banner:nth-of-type(1)').type).toBe('removed');
+  });
+
+  test('前の兄弟要素の増減で位置が変わっただけの要素は移動として扱う', () => {
+    const after = {
+      elements: [
+        ...baseline.elements.slice(0, 3),
+        element('body > main.content:nth-of-type(1)', 'body', { y: 100, height: 600 }),
+        element('body > main.content:nth-of-type(1) > p:nth-of-type(1)', 'body > main.content:nth-of-type(1)',
+          { y: 120, height: 40 }, { text: '追加した段落' }),
+        element('body > main.content:nth-of-type(1) > p:nth-of-type(2)', 'body > main.content:nth-of-type(1)',
+          { y: 170, height: 40 }, { text: '本文' }),
+        baseline.elements[5]
+      ]
+    };
+
+    const diff = diffDomSnapshots(baseline, after);
+
+    expect(diff.summary).toMatchObject({ added: 1, removed: 0, moved: 1 });
+    expect(diff.changes.find(change => change.text === '本文').moved).toEqual({ dx: 0, dy: 50 });
+    expect(diff.changes.find(change => change.type === 'added').text).toBe('追加した段落');
+  });
+
+  test('変更をデバイスピクセル比を考慮して変更領域に対応付ける', () => {
+    const diff = {
+      summary: {},
+      changes: [
+        { type: 'added', key: 'a', box: { x: 0, y: 500, width: 100, height: 50 } },
+        { type: 'changed', key: 'b', box: { x: 0, y: 20, width: 200, height: 40 }, styles: [] }
+      ]
+    };
+    const regions = [{ id: 1, x: 0, y: 60, width: 300, height: 40 }, { id: 2, x: 0, y: 1500, width: 10, height: 10 }];
+
+    const mapped = mapDomChangesToRegions(diff, regions, 2);
+
+    expect(mapped.changes.map(change => [change.key, change.regions])).toEqual([['b', [1]], ['a', []]]);
+    expect(mapped.regions).toEqual([{ id: 1, changes: [0] }, { id: 2, changes: [] }]);
+    expect(mapped.totalChanges).toBe(2);
+  });
+
+  test('承認でBaselineに昇格する際にDOMスナップショットもコピーする', () => {
+    const afterPath = path.join(tempDir, 'after', 'page-001_top_2025-01-01T00-00-00-000Z.png');
+    const baselinePath = path.join(tempDir, 'baseline', 'page-001_top_2025-01-02T00-00-00-000Z.png');
+    fs.ensureDirSync(path.dirname(getDomSnapshotPath(afterPath)));
+    fs.writeFileSync(getDomSnapshotPath(afterPath), JSON.stringify(baseline));
+
+    copyDomSnapshot(afterPath, baselinePath);
+
+    expect(getDomSnapshotPath(baselinePath))
+      .toBe(path.join(tempDir, 'baseline', 'dom', 'page-001_top_2025-01-02T00-00-00-000Z.json'));
+    expect(loadDomSnapshot(baselinePath).elements).toHaveLength(6);
+    expect(loadDomSnapshot(path.join(tempDir, 'after', 'missing.png'))).toBeNull();
+  });
+});
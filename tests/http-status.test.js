@@ -0,0 +1,87 @@
+/**
+ * 🧪 HTTPステータス・リダイレクトの記録と比較のテスト
+ */
+
+const {
+  recordNavigation,
+  recordNavigationError,
+  compareHttpRecords,
+  applyHttpResults,
+  buildHttpChangeRow
+} = require('../local-playwright-vrt/src/http-status');
+
+describe('HTTPステータス・リダイレクトの記録と比較', () => {
+  const record = (overrides = {}) => ({
+    status: 200,
+    finalUrl: 'https://example.com/about/',
+    redirectChain: [],
+    canonical: 'https://example.com/about/',
+    ...overrides
+  });
+
+  test('レスポンスからステータス・リダイレクトの経路・最終URL・canonicalを記録する', async () => {
+    const request = (url, status, redirectedFrom = null) => ({
+      url: () => url,
+      response: async () => ({ status: () => status }),
+      redirectedFrom: () => redirectedFrom
+    });
+    const first = request('http://example.com/old', 301);
+    const second = request('https://example.com/old', 302, first);
+    const response = { status: () => 200, request: () => request('https://example.com/', 200, second) };
+    const page = {
+      url: () => 'https://example.com/',
+      $eval: async () => 'https://example.com/'
+    };
+
+    expect(await recordNavigation(page, response)).toEqual({
+      status: 200,
+      finalUrl: 'https://example.com/',
+      redirectChain: [
+        { url: 'http://example.com/old', status: 301 },
+        { url: 'https://example.com/old', status: 302 }
+      ],
+      canonical: 'https://example.com/'
+    });
+  });
+
+  test('ステータスの変化・新しいリダイレクトでページをNGにする', () => {
+    const notFound = compareHttpRecords(record(), record({ status: 404, canonical: null }));
+    expect(notFound.changes.map(change => [change.type, change.before, change.after])).toEqual([
+      ['status', 200, 404],
+      ['canonical', 'https://example.com/about/', null]
+    ]);
+    expect(applyHttpResults({ status: 'OK' }, notFound)).toMatchObject({ status: 'NG', httpStatus: 'NG' });
+
+    const redirected = compareHttpRecords(record(), record({
+      finalUrl: 'https://example.com/',
+      redirectChain: [{ url: 'https://example.com/about/', status: 301 }],
+      canonical: 'https://example.com/'
+    }));
+    expect(redirected.changes.map(change => change.type)).toEqual(['redirect', 'canonical']);
+
+    const failed = compareHttpRecords(record(), recordNavigationError(new Error('net::ERR_TOO_MANY_REDIRECTS')));
+    expect(failed.changes).toEqual([
+      { type: 'status', severity: 'NG', before: 200, after: null, error: 'net::ERR_TOO_MANY_REDIRECTS' }
+    ]);
+  });
+
+  test('canonicalだけの変化は報告のみで、ページの判定は変えない', () => {
+    const comparison = compareHttpRecords(record(), record({ canonical: 'https://example.com/about-us/' }));
+    const result = applyHttpResults({ status: 'OK' }, comparison);
+
+    expect(result).toMatchObject({ status: 'OK', httpStatus: 'WARNING' });
+    expect(buildHttpChangeRow({ pageId: '002', pageIdentifier: 'about' }, comparison)).toMatchObject({
+      pageId: '002',
+      url: 'https://example.com/about/',
+      severity: 'WARNING',
+      baseline: { status: 200 },
+      after: { status: 200 }
+    });
+  });
+
+  test('記録のないBaseline・変化のないページは報告しない', () => {
+    expect(compareHttpRecords(null, record())).toBeNull();
+    expect(applyHttpResults({ status: 'OK' }, null)).toEqual({ status: 'OK' });
+    expect(buildHttpChangeRow({ pageId: '001' }, compareHttpRecords(record(), record()))).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * 🧪 比較除外領域（マスク）のテスト
+ */
+
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const {
+  resolveIgnoreRegions,
+  buildIgnoreMask,
+  applyIgnoreMask,
+  paintIgnoreOverlay,
+  IGNORE_OVERLAY_COLOR
+} = require('../local-playwright-vrt/src/ignore-regions');
+const { sitesManager, matchUrlPattern } = require('../local-playwright-vrt/src/sites-config');
+
+function createFilledPNG(width, height, color) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    const idx = i << 2;
+    png.data[idx] = color[0];
+    png.data[idx + 1] = color[1];
+    png.data[idx + 2] = color[2];
+    png.data[idx + 3] = 255;
+  }
+  return png;
+}
+
+describe('比較除外領域', () => {
+  describe('buildIgnoreMask', () => {
+    test('重なった矩形のピクセルを重複カウントしない', () => {
+      const { maskedPixels } = buildIgnoreMask(10, 10, [
+        { x: 0, y: 0, width: 4, height: 4 },
+        { x: 2, y: 2, width: 4, height: 4 }
+      ]);
+      expect(maskedPixels).toBe(16 + 16 - 4);
+    });
+
+    test('画像外にはみ出した矩形はクリップされる', () => {
+      const { maskedPixels } = buildIgnoreMask(10, 10, [
+        { x: 8, y: 8, width: 10, height: 10 }
+      ]);
+      expect(maskedPixels).toBe(4);
+    });
+  });
+
+  describe('applyIgnoreMask', () => {
+    test('マスク領域の差分が検出されなくなる', () => {
+      const width = 20;
+      const height = 20;
+      const baseline = createFilledPNG(width, height, [255, 255, 255]);
+      const after = createFilledPNG(width, height, [255, 255, 255]);
+
+      // after の左上10x10だけ色を変える
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) {
+          const idx = (y * width + x) << 2;
+          after.data[idx] = 0;
+        }
+      }
+
+      const { mask, maskedPixels } = buildIgnoreMask(width, height, [
+        { x: 0, y: 0, width: 10, height: 10 }
+      ]);
+      applyIgnoreMask([baseline, after], mask);
+
+      const diff = new PNG({ width, height });
+      const diffPixels = pixelmatch(baseline.data, after.data, diff.data, width, height, { threshold: 0.02 });
+
+      expect(maskedPixels).toBe(100);
+      expect(diffPixels).toBe(0);
+    });
+  });
+
+  describe('paintIgnoreOverlay', () => {
+    test('除外領域にオーバーレイ色が重なる', () => {
+      const diff = createFilledPNG(2, 1, [0, 0, 0]);
+      const { mask } = buildIgnoreMask(2, 1, [{ x: 0, y: 0, width: 1, height: 1 }]);
+
+      paintIgnoreOverlay(diff, mask);
+
+      expect(diff.data[2]).toBe(IGNORE_OVERLAY_COLOR[2] >> 1);
+      expect(diff.data[6]).toBe(0);
+    });
+  });
+
+  describe('resolveIgnoreRegions', () => {
+    test('セレクタは矩形に解決され、固定矩形はそのまま返る', async () => {
+      const page = {
+        evaluate: jest.fn().mockResolvedValue([{ x: 0, y: 100, width: 1920, height: 400 }])
+      };
+
+      const resolved = await resolveIgnoreRegions(page, [
+        { selector: '.hero-slider' },
+        { x: 10, y: 20, width: 30, height: 40 },
+        { x: 0, y: 0, width: 0, height: 10 }
+      ]);
+
+      expect(resolved).toEqual([
+        { x: 0, y: 100, width: 1920, height: 400, source: 'selector', selector: '.hero-slider' },
+        { x: 10, y: 20, width: 30, height: 40, source: 'rect' }
+      ]);
+    });
+  });
+
+  describe('SitesManager.getIgnoreRegions', () => {
+    const siteId = 'ignore-test-site';
+
+    beforeAll(() => {
+      sitesManager.addSite(siteId, {
+        baseUrl: 'https://example.com',
+        ignoreRegions: [
+          { selector: '.ad-slot' },
+          { selector: '.recent-posts', pages: ['/blog/*'] },
+          { x: 0, y: 0, width: 100, height: 100, devices: ['mobile'] }
+        ]
+      });
+    });
+
+    afterAll(() => {
+      sitesManager.deleteSite(siteId);
+    });
+
+    test('ページ・デバイス条件で絞り込まれる', () => {
+      expect(sitesManager.getIgnoreRegions(siteId, 'https://example.com/', 'desktop')).toHaveLength(1);
+      expect(sitesManager.getIgnoreRegions(siteId, 'https://example.com/blog/post-1', 'desktop')).toHaveLength(2);
+      expect(sitesManager.getIgnoreRegions(siteId, 'https://example.com/', 'mobile')).toHaveLength(2);
+    });
+
+    test('存在しないサイトは空配列を返す', () => {
+      expect(sitesManager.getIgnoreRegions('non-existent', 'https://example.com/')).toEqual([]);
+    });
+  });
+
+  describe('matchUrlPattern', () => {
+    test('ワイルドカードと正規表現に対応する', () => {
+      expect(matchUrlPattern('/about', 'https://example.com/about/')).toBe(true);
+      expect(matchUrlPattern('/blog/*', 'https://example.com/blog/a/b')).toBe(true);
+      expect(matchUrlPattern('/blog/*', 'https://example.com/news')).toBe(false);
+      expect(matchUrlPattern(/product/, 'https://example.com/product/1')).toBe(true);
+    });
+  });
+});
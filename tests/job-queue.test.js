@@ -0,0 +1,153 @@
+/**
+ * 🧪 ジョブキューのテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { VRTDatabase } = require('../src/database');
+const { JobQueue } = require('../local-playwright-vrt/src/job-queue');
+
+describe('ジョブキュー', () => {
+  const testDataDir = path.join(__dirname, 'temp-jobs');
+  let database;
+
+  // ジョブが指定ステータス（既定は完了・失敗）になるまで待機
+  const waitForJob = (queue, jobId, statuses = ['completed', 'failed']) => new Promise(resolve => {
+    const unsubscribe = queue.subscribe(jobId, job => {
+      if (statuses.includes(job.status)) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+
+  beforeEach(() => {
+    fs.ensureDirSync(testDataDir);
+    database = new VRTDatabase({ mode: 'local', dataDir: testDataDir });
+  });
+
+  afterEach(() => {
+    fs.removeSync(testDataDir);
+  });
+
+  test('登録したジョブを実行し、ページ単位の進捗と結果を保存する', async () => {
+    const queue = new JobQueue(database);
+    queue.registerHandler('capture', async (params, job) => {
+      await job.report('total', { count: 2 });
+      await job.report('page', { url: `${params.baseUrl}/` });
+      await job.report('error', { url: `${params.baseUrl}/broken`, message: 'timeout' });
+      return { success: true, captured: 1 };
+    });
+
+    const queued = await queue.enqueue('capture', { baseUrl: 'https://example.com' });
+    expect(queued.status).toBe('queued');
+
+    const finished = await waitForJob(queue, queued.id);
+    const saved = await database.getJob(queued.id);
+
+    expect(finished.status).toBe('completed');
+    expect(saved.progress).toEqual({ total: 2, completed: 1, failed: 1 });
+    expect(saved.result).toEqual({ success: true, captured: 1 });
+    expect(saved.events.map(e => e.type)).toEqual(['started', 'total', 'page', 'error', 'completed']);
+    expect(saved.events.map(e => e.seq)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('処理中の例外はジョブの失敗として記録する', async () => {
+    const queue = new JobQueue(database);
+    queue.registerHandler('capture', async () => {
+      throw new Error('サイトが見つかりません');
+    });
+
+    const queued = await queue.enqueue('capture', {});
+    const finished = await waitForJob(queue, queued.id);
+
+    expect(finished.status).toBe('failed');
+    expect(finished.error).toBe('サイトが見つかりません');
+    expect(finished.completedAt).not.toBeNull();
+  });
+
+  test('再起動時に実行中・実行待ちだったジョブを再実行する', async () => {
+    await database.saveJob({
+      id: 'job-interrupted',
+      type: 'capture',
+      status: 'running',
+      params: {},
+      progress: { total: 5, completed: 3, failed: 0 },
+      events: [],
+      result: null,
+      createdAt: new Date().toISOString()
+    });
+
+    const queue = new JobQueue(database);
+    const handler = jest.fn().mockResolvedValue({ success: true });
+    queue.registerHandler('capture', handler);
+
+    const done = waitForJob(queue, 'job-interrupted');
+    expect(await queue.restore()).toBe(1);
+
+    const finished = await done;
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(finished.status).toBe('completed');
+    expect(finished.events[0].type).toBe('restarted');
+  });
+
+  // ページごとにチェックポイントを保存しながら撮影する処理
+  const createPageHandler = (urls, captured, onPage = () => {}) => async (params, job) => {
+    job.checkpoint.completedUrls = job.checkpoint.completedUrls || [];
+    const remaining = urls.filter(url => !job.checkpoint.completedUrls.includes(url));
+    await job.report('total', { count: urls.length, completed: urls.length - remaining.length });
+
+    for (const url of remaining) {
+      job.throwIfStopped();
+      captured.push(url);
+      job.checkpoint.completedUrls.push(url);
+      await job.report('page', { url });
+      await onPage(job, url);
+    }
+    return { success: true };
+  };
+
+  test('一時停止したジョブを完了済みのページから再開する', async () => {
+    const queue = new JobQueue(database);
+    const urls = ['/a', '/b', '/c'];
+    const captured = [];
+    queue.registerHandler('capture', createPageHandler(urls, captured, async (job, url) => {
+      if (url === '/a') await queue.pause(job.id);
+    }));
+
+    const queued = await queue.enqueue('capture', {});
+    const paused = await waitForJob(queue, queued.id, ['paused']);
+    expect(paused.checkpoint.completedUrls).toEqual(['/a']);
+    expect(paused.completedAt).toBeNull();
+
+    const done = waitForJob(queue, queued.id);
+    await queue.resume(queued.id);
+    const finished = await done;
+
+    expect(finished.status).toBe('completed');
+    expect(captured).toEqual(['/a', '/b', '/c']);
+    expect(finished.progress).toEqual({ total: 3, completed: 3, failed: 0 });
+    expect(finished.events.map(e => e.type)).toContain('resumed');
+  });
+
+  test('中断時はブラウザコンテキストを閉じ、完了済み・中断済みのジョブは操作できない', async () => {
+    const queue = new JobQueue(database);
+    const browserContext = { close: jest.fn().mockResolvedValue() };
+    const captured = [];
+    queue.registerHandler('capture', createPageHandler(['/a', '/b'], captured, async (job) => {
+      const untrack = job.trackContext(browserContext);
+      await queue.cancel(job.id);
+      untrack();
+    }));
+
+    const queued = await queue.enqueue('capture', {});
+    const cancelled = await waitForJob(queue, queued.id, ['cancelled']);
+
+    expect(browserContext.close).toHaveBeenCalledTimes(1);
+    expect(captured).toEqual(['/a']);
+    expect(cancelled.completedAt).not.toBeNull();
+    await expect(queue.resume(queued.id)).rejects.toMatchObject({ type: 'INVALID_JOB_STATE' });
+    await expect(queue.pause(queued.id)).rejects.toMatchObject({ type: 'INVALID_JOB_STATE' });
+    expect(await queue.cancel('job-missing')).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * 🧪 外部リソースのHAR記録・再生のテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  validateNetworkReplay,
+  getHarPath,
+  buildThirdPartyPattern,
+  findBaselineHar,
+  replayFromHar,
+  pruneHarArchives
+} = require('../local-playwright-vrt/src/network-replay');
+const { beginCaptureSession, registerCaptureSession } = require('../local-playwright-vrt/src/baseline-versions');
+
+describe('外部リソースのHAR記録・再生', () => {
+  const baselineDir = path.join(__dirname, 'temp-network-replay', 'baseline', 'desktop');
+
+  // Baselineのスクリーンショットと対応するHARを作成
+  const writeBaseline = (filename) => {
+    fs.ensureDirSync(baselineDir);
+    fs.writeFileSync(path.join(baselineDir, filename), 'png');
+    const harPath = getHarPath(baselineDir, filename);
+    fs.ensureDirSync(path.dirname(harPath));
+    fs.writeFileSync(harPath, '{"log":{"entries":[]}}');
+    return harPath;
+  };
+
+  afterEach(() => {
+    fs.removeSync(path.join(__dirname, 'temp-network-replay'));
+  });
+
+  test('ページのホストと追加したホスト以外を外部リソースとして扱う', () => {
+    const pattern = buildThirdPartyPattern('https://www.example.com/about/', ['cdn.example-assets.jp']);
+
+    expect(pattern.test('https://fonts.gstatic.com/s/notosansjp/v52/font.woff2')).toBe(true);
+    expect(pattern.test('https://i0.wp.com/example.com/wp-content/uploads/hero.jpg?w=1200')).toBe(true);
+    expect(pattern.test('https://example.com.evil.net/script.js')).toBe(true);
+    expect(pattern.test('https://example.com/wp-content/themes/style.css')).toBe(false);
+    expect(pattern.test('https://www.example.com:8443/wp-json/')).toBe(false);
+    expect(pattern.test('https://img.cdn.example-assets.jp/a.png')).toBe(false);
+    expect(pattern.test('data:image/png;base64,AAAA')).toBe(false);
+  });
+
+  test('After撮影では現在のBaselineバージョンの同じページのHARを再生する', async () => {
+    const sessionTimestamp = '2025-01-01T00-00-00-000Z';
+    beginCaptureSession(baselineDir, sessionTimestamp);
+    const harPath = writeBaseline(`page-001_top_${sessionTimestamp}.png`);
+    registerCaptureSession(baselineDir, sessionTimestamp);
+
+    expect(harPath).toBe(path.join(baselineDir, 'har', sessionTimestamp, `page-001_top_${sessionTimestamp}.har`));
+    expect(findBaselineHar(baselineDir, 'top')).toBe(harPath);
+    expect(findBaselineHar(baselineDir, 'contact')).toBeNull();
+
+    const context = { routeFromHAR: jest.fn() };
+    const pattern = buildThirdPartyPattern('https://example.com/');
+    await replayFromHar(context, harPath, pattern);
+    expect(context.routeFromHAR).toHaveBeenCalledWith(harPath, { url: pattern, notFound: 'fallback' });
+  });
+
+  test('どのバージョンからも参照されなくなったセッションのHARを削除する', () => {
+    const kept = '2025-01-01T00-00-00-000Z';
+    beginCaptureSession(baselineDir, kept);
+    writeBaseline(`page-001_top_${kept}.png`);
+    registerCaptureSession(baselineDir, kept);
+
+    // 1ページも撮影できなかったセッション（バージョンにならない）
+    const failed = '2025-01-02T00-00-00-000Z';
+    beginCaptureSession(baselineDir, failed);
+    fs.ensureDirSync(path.join(baselineDir, 'har', failed));
+    registerCaptureSession(baselineDir, failed);
+
+    expect(pruneHarArchives(baselineDir)).toEqual([failed]);
+    expect(fs.existsSync(path.join(baselineDir, 'har', kept))).toBe(true);
+  });
+
+  test('不正な設定はエラーになる', () => {
+    expect(() => validateNetworkReplay(true)).toThrow('オブジェクト');
+    expect(() => validateNetworkReplay({ enabled: 'yes' })).toThrow('true / false');
+    expect(() => validateNetworkReplay({ firstPartyHosts: 'cdn.example.com' })).toThrow('ホスト名の配列');
+    expect(validateNetworkReplay({ enabled: true, firstPartyHosts: ['cdn.example.com'] }).enabled).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * 🧪 ページレジストリのテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { VRTDatabase } = require('../src/database');
+const { syncPageRegistry, indexRegistryPages } = require('../local-playwright-vrt/src/page-registry');
+
+describe('ページレジストリ', () => {
+  const testDataDir = path.join(__dirname, 'temp-registry');
+  let database;
+
+  const toPages = urls => urls.map(url => ({ url, title: url }));
+
+  beforeEach(() => {
+    fs.ensureDirSync(testDataDir);
+    database = new VRTDatabase({ mode: 'local', dataDir: testDataDir });
+  });
+
+  afterEach(() => {
+    fs.removeSync(testDataDir);
+  });
+
+  test('長いパスでも識別子が重複しないようハッシュを付ける', async () => {
+    const { pages } = await syncPageRegistry(database, 'site1', toPages([
+      'https://example.com/',
+      'https://example.com/blog/2024/category-a-very-long-slug',
+      'https://example.com/blog/2024/category-a-very-long-other'
+    ]));
+
+    expect(pages.map(p => p.pageId)).toEqual(['001', '002', '003']);
+    expect(pages[0].identifier).toBe('top');
+    expect(pages[1].identifier).not.toBe(pages[2].identifier);
+    pages.forEach(page => {
+      expect(page.identifier.length).toBeLessThanOrEqual(30);
+      expect(page.identifier).toMatch(/^[a-z0-9-]+$/);
+    });
+  });
+
+  test('再クロールではクロール順が変わっても同じIDを使い、新規・消失ページを報告する', async () => {
+    const first = await syncPageRegistry(database, 'site1', toPages([
+      'https://example.com/',
+      'https://example.com/about/',
+      'https://example.com/old'
+    ]));
+    expect(first.added).toHaveLength(3);
+
+    const second = await syncPageRegistry(database, 'site1', toPages([
+      'https://example.com/new',
+      'https://example.com/about',
+      'https://example.com/'
+    ]));
+
+    expect(second.pages.map(p => [p.identifier, p.pageId])).toEqual([
+      ['new', '004'],
+      ['about', '002'],
+      ['top', '001']
+    ]);
+    expect(second.added.map(p => p.identifier)).toEqual(['new']);
+    expect(second.removed.map(p => p.identifier)).toEqual(['old']);
+
+    // 消失したページが戻ってきた場合も元のIDを使う
+    const third = await syncPageRegistry(database, 'site1', toPages(['https://example.com/old']), { markMissing: false });
+    expect(third.pages[0].pageId).toBe('003');
+    expect(third.restored.map(p => p.identifier)).toEqual(['old']);
+    expect(third.removed).toEqual([]);
+  });
+
+  test('撮影時のURLまたは識別子から同じページキーを返す', async () => {
+    await syncPageRegistry(database, 'site1', toPages(['https://example.com/about/']));
+    const index = indexRegistryPages(await database.getSitePages('site1'));
+
+    expect(index.keyOf('about')).toBe(index.keyOf('legacy-about', 'https://example.com/about'));
+    expect(index.keyOf('unknown')).toBe('identifier:unknown');
+    expect(await database.getSitePages('site2')).toEqual([]);
+  });
+});
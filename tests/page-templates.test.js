@@ -0,0 +1,40 @@
+/**
+ * 🧪 WordPressテンプレート判定のテスト
+ */
+
+const { classifyTemplate, summarizeByTemplate } = require('../local-playwright-vrt/src/page-templates');
+
+describe('WordPressテンプレート判定', () => {
+  test('bodyクラスからテンプレートを判定する', () => {
+    expect(classifyTemplate('home page-template-default page page-id-2')).toBe('home');
+    expect(classifyTemplate('post-template-default single single-post postid-1 single-format-standard')).toBe('single-post');
+    expect(classifyTemplate('page-template page-template-templates-lp page page-id-8')).toBe('page-template-templates-lp');
+    expect(classifyTemplate('page-template-default page page-id-9')).toBe('page');
+    expect(classifyTemplate('archive category category-news')).toBe('archive-category');
+    expect(classifyTemplate('archive tax-genre term-jazz')).toBe('archive-genre');
+    expect(classifyTemplate('error404')).toBe('404');
+    expect(classifyTemplate('')).toBe('unknown');
+  });
+
+  test('WooCommerceのページを判定する', () => {
+    expect(classifyTemplate('product-template-default single single-product woocommerce woocommerce-page')).toBe('single-product');
+    expect(classifyTemplate('archive post-type-archive post-type-archive-product woocommerce-shop woocommerce-page')).toBe('product-archive');
+    expect(classifyTemplate('page-template-default page woocommerce-cart woocommerce-page')).toBe('cart');
+    expect(classifyTemplate('woocommerce-page')).toBe('woocommerce-page');
+  });
+
+  test('比較結果をテンプレート別に集計する', () => {
+    const summary = summarizeByTemplate([
+      { pageIdentifier: 'a', template: 'single-post', status: 'OK' },
+      { pageIdentifier: 'b', template: 'single-post', status: 'NG' },
+      { pageIdentifier: 'c', status: 'ERROR' },
+      { pageIdentifier: 'd', template: 'single-post', status: 'MISSING_AFTER' },
+      { pageIdentifier: 'e', status: 'NEW_PAGE' }
+    ]);
+
+    expect(summary).toEqual({
+      'single-post': { total: 3, ok: 1, ng: 1, error: 0, missingAfter: 1, newPages: 0, pages: ['a', 'b', 'd'] },
+      unknown: { total: 2, ok: 0, ng: 0, error: 1, missingAfter: 0, newPages: 1, pages: ['c', 'e'] }
+    });
+  });
+});
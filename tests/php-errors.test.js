@@ -0,0 +1,52 @@
+/**
+ * 🧪 PHPエラー・WordPressのエラー画面の検出のテスト
+ */
+
+const {
+  findPhpErrors,
+  scanPhpErrors,
+  applyPhpErrorResults,
+  describePhpErrors
+} = require('../local-playwright-vrt/src/php-errors');
+
+describe('PHPエラー・WordPressのエラー画面の検出', () => {
+  test('PHPの Warning・Notice・Fatal error を検出し、同じ出力は1件にまとめる', () => {
+    const text = [
+      'Warning: Undefined array key "title" in /var/www/html/wp-content/plugins/slider/slider.php on line 128',
+      'Warning: Undefined array key "title" in /var/www/html/wp-content/plugins/slider/slider.php on line 128',
+      'Deprecated: Creation of dynamic property Foo::$bar is deprecated in /var/www/html/wp-content/themes/t/functions.php on line 7',
+      'PHP Fatal error:  Uncaught Error: Call to undefined function get_field() in /var/www/html/wp-content/themes/t/header.php:12',
+      'サイト名',
+      '本文'
+    ].join('\n');
+
+    const errors = findPhpErrors(text);
+
+    expect(errors.map(error => error.type)).toEqual(['php', 'php', 'php']);
+    expect(errors[0].message).toBe(
+      'Warning: Undefined array key "title" in /var/www/html/wp-content/plugins/slider/slider.php on line 128'
+    );
+  });
+
+  test('WordPressの重大なエラー・データベース接続エラー・メンテナンス表示を検出する', () => {
+    expect(findPhpErrors('このサイトで重大なエラーが発生しました。\nWordPress のトラブルシューティングについてはこちら。'))
+      .toMatchObject([{ type: 'critical' }]);
+    expect(findPhpErrors('Error establishing a database connection')).toMatchObject([{ type: 'database' }]);
+    expect(findPhpErrors('Briefly unavailable for scheduled maintenance. Check back in a minute.'))
+      .toMatchObject([{ type: 'maintenance', label: 'メンテナンス表示' }]);
+  });
+
+  test('本文中の「Warning:」や「Notice:」だけでは検出しない', () => {
+    expect(findPhpErrors('Notice: 年末年始の営業について\nWarning: 在庫が少なくなっています')).toEqual([]);
+  });
+
+  test('Afterで検出したページはNG（CRITICAL）にし、ページを読めない場合は空', async () => {
+    const errors = findPhpErrors('Notice: Undefined index: id in /var/www/html/index.php on line 3');
+    const result = applyPhpErrorResults({ status: 'OK', diffPercentage: 0.01 }, errors, []);
+
+    expect(result).toMatchObject({ status: 'NG', phpErrorStatus: 'CRITICAL', baselinePhpErrorCount: 0 });
+    expect(describePhpErrors(errors)).toBe('PHPエラー 1件');
+    expect(applyPhpErrorResults({ status: 'OK' }, [])).toEqual({ status: 'OK' });
+    expect(await scanPhpErrors({ $eval: async () => { throw new Error('No body'); } })).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * 🧪 ブラウザのエラー収集・比較のテスト
+ */
+
+const {
+  validateRuntimeErrorSettings,
+  resolveRuntimeErrorSettings,
+  collectRuntimeErrors,
+  compareRuntimeErrors,
+  applyRuntimeErrorResults,
+  summarizeRuntimeErrors
+} = require('../local-playwright-vrt/src/runtime-errors');
+
+describe('ブラウザのエラー収集・比較', () => {
+  // イベントを発火できるページ
+  const createPage = () => {
+    const listeners = {};
+    return {
+      on: (event, handler) => { listeners[event] = handler; },
+      emit: (event, payload) => listeners[event](payload)
+    };
+  };
+
+  test('コンソールエラー・例外・失敗したリクエスト・4xx/5xxを記録し、同じエラーはまとめる', () => {
+    const page = createPage();
+    const getErrors = collectRuntimeErrors(page, { isIgnoredUrl: url => url.includes('googletagmanager.com') });
+
+    const consoleMessage = (type, text, url) => ({ type: () => type, text: () => text, location: () => ({ url }) });
+    page.emit('console', consoleMessage('error', 'Uncaught TypeError: $ is not a function', 'https://example.com/app.js'));
+    page.emit('console', consoleMessage('error', 'Uncaught TypeError: $ is not a function', 'https://example.com/app.js'));
+    page.emit('console', consoleMessage('warning', 'jQuery.fn.size() is deprecated', 'https://example.com/app.js'));
+    page.emit('pageerror', new Error('Swiper is not defined'));
+
+    const request = (url, errorText) => ({ url: () => url, failure: () => ({ errorText }), resourceType: () => 'script' });
+    page.emit('requestfailed', request('https://example.com/wp-content/plugins/slider/slider.js', 'net::ERR_CONNECTION_RESET'));
+    page.emit('requestfailed', request('https://example.com/video.mp4', 'net::ERR_ABORTED'));
+    page.emit('requestfailed', request('https://www.googletagmanager.com/gtm.js', 'net::ERR_BLOCKED_BY_CLIENT'));
+
+    const response = (url, status) => ({ url: () => url, status: () => status, request: () => ({ resourceType: () => 'stylesheet' }) });
+    page.emit('response', response('https://example.com/wp-content/plugins/form/form.css?ver=1.2', 404));
+    page.emit('response', response('https://example.com/style.css', 200));
+
+    const errors = getErrors();
+    expect(errors.map(error => [error.type, error.count])).toEqual([
+      ['console', 2],
+      ['pageerror', 1],
+      ['requestfailed', 1],
+      ['http', 1]
+    ]);
+    expect(errors[3]).toMatchObject({ status: 404, resourceType: 'stylesheet' });
+  });
+
+  test('Baselineになかったエラーだけを新しいエラーとし、ページをNGにする', () => {
+    const baseline = [
+      { type: 'http', message: 'HTTP 404', url: 'https://example.com/favicon.ico?v=1', status: 404 },
+      { type: 'console', message: 'Deprecated API at https://example.com/app.js?ver=6.4.1:12:5' }
+    ];
+    const after = [
+      { type: 'http', message: 'HTTP 404', url: 'https://example.com/favicon.ico?v=2', status: 404 },
+      { type: 'console', message: 'Deprecated API at https://example.com/app.js?ver=6.5.0:14:9' },
+      { type: 'pageerror', message: 'Cannot read properties of undefined (reading \'init\')' }
+    ];
+
+    const comparison = compareRuntimeErrors(baseline, after);
+    expect(comparison.newErrors.map(error => error.type)).toEqual(['pageerror']);
+    expect(comparison.resolvedErrors).toEqual([]);
+
+    const page = applyRuntimeErrorResults({ status: 'OK', diffPercentage: 0 }, comparison);
+    expect(page).toMatchObject({ status: 'NG', runtimeErrorStatus: 'NG' });
+    expect(summarizeRuntimeErrors(comparison)).toMatchObject({ baselineCount: 2, afterCount: 3, newCount: 1 });
+  });
+
+  test('記録のみの設定・除外パターン・記録のないBaselineではNGにしない', () => {
+    const after = [{ type: 'console', message: 'reCAPTCHA placeholder element must be empty' }];
+
+    const recordOnly = resolveRuntimeErrorSettings({ failOnNewErrors: false });
+    expect(applyRuntimeErrorResults({ status: 'OK' }, compareRuntimeErrors([], after, recordOnly), recordOnly))
+      .toMatchObject({ status: 'OK', runtimeErrorStatus: 'NG' });
+
+    const ignoring = resolveRuntimeErrorSettings({ ignorePatterns: ['reCAPTCHA'] });
+    expect(compareRuntimeErrors([], after, ignoring).newErrors).toEqual([]);
+
+    expect(compareRuntimeErrors(null, after)).toBeNull();
+    expect(applyRuntimeErrorResults({ status: 'OK' }, null)).toEqual({ status: 'OK' });
+  });
+
+  test('不正な設定はエラーになる', () => {
+    expect(() => validateRuntimeErrorSettings([])).toThrow('オブジェクト');
+    expect(() => validateRuntimeErrorSettings({ failOnNewErrors: 1 })).toThrow('true / false');
+    expect(() => validateRuntimeErrorSettings({ ignorePatterns: [''] })).toThrow('文字列の配列');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * 🧪 サイトの追加・更新APIのテスト
+ */
+
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs-extra');
+const path = require('path');
+const { VRTDatabase } = require('../src/database');
+const { sitesManager } = require('../local-playwright-vrt/src/sites-config');
+const { createSiteRouter } = require('../local-playwright-vrt/src/site-routes');
+
+describe('サイトの追加・更新API', () => {
+  const dataDir = path.join(__dirname, 'temp-site-routes');
+  const siteId = 'test-site-routes';
+  let app;
+  let database;
+  let wpAuth;
+
+  const settings = {
+    name: 'テストサイト',
+    baseUrl: 'https://example.com/',
+    crawlMode: 'sitemap',
+    ignoreRegions: [{ selector: '.slider' }],
+    comparison: { algorithm: 'ssim', ssimThreshold: 0.97 },
+    auth: { enabled: true, pages: ['/members/*'], crawl: false },
+    admin: { username: 'editor', password: 'pa:ss' },
+    deviceProfiles: { wide: { viewport: { width: 2560, height: 1440 } } },
+    browser: 'firefox',
+    captureSteps: [{ pages: ['/'], steps: [{ action: 'click', selector: '.cookie-accept' }] }],
+    components: [{ name: 'header', selector: 'header' }],
+    determinism: { freezeClock: true },
+    networkReplay: { enabled: true, firstPartyHosts: ['cdn.example.com'] },
+    runtimeErrors: { failOnNewErrors: false, ignorePatterns: ['analytics'] }
+  };
+
+  beforeEach(() => {
+    database = new VRTDatabase({ mode: 'local', dataDir });
+    wpAuth = { invalidate: jest.fn() };
+    app = express();
+    app.use(express.json());
+    app.use(createSiteRouter({ sitesManager, database, wpAuth }));
+  });
+
+  afterEach(() => {
+    if (sitesManager.getSite(siteId)) {
+      sitesManager.deleteSite(siteId);
+    }
+    fs.removeSync(dataDir);
+  });
+
+  test('POST /sites で全てのサイト設定を登録し、パスワードは応答・データベースに含めない', async () => {
+    const response = await request(app).post('/sites').send({ siteId, ...settings });
+
+    expect(response.status).toBe(200);
+    const { admin, ...rest } = settings;
+    expect(response.body.site).toMatchObject(rest);
+    expect(response.body.site.admin).toEqual({ username: expect.any(String), hasPassword: true });
+
+    expect(sitesManager.getSite(siteId)).toMatchObject(rest);
+    expect(sitesManager.getSecureSite(siteId).admin).toMatchObject(admin);
+
+    const saved = await database.getSiteConfig(siteId);
+    expect(saved).toMatchObject({ id: siteId, crawlMode: 'sitemap', browser: 'firefox' });
+    expect(saved.admin.password).toBeUndefined();
+  });
+
+  test('従来の { siteId, config } 形式も受け付け、既存のサイトIDは409にする', async () => {
+    const first = await request(app).post('/sites').send({ siteId, config: { baseUrl: 'https://example.com/' } });
+    expect(first.status).toBe(200);
+    expect(first.body.site).toMatchObject({ baseUrl: 'https://example.com/', crawlMode: 'links' });
+
+    const duplicate = await request(app).post('/sites').send({ siteId, baseUrl: 'https://example.com/' });
+    expect(duplicate.status).toBe(409);
+  });
+
+  test('不正なサイト設定は登録せず400を返す', async () => {
+    const invalid = [
+      { crawlMode: 'everything' },
+      { ignoreRegions: '.slider' },
+      { auth: { pages: '/members/*' } },
+      { browser: 'opera' },
+      { components: [{ name: 'header' }] },
+      { runtimeErrors: { ignorePatterns: 'analytics' } }
+    ];
+
+    for (const body of invalid) {
+      const response = await request(app).post('/sites').send({ siteId, baseUrl: 'https://example.com/', ...body });
+      expect(response.status).toBe(400);
+    }
+    expect(sitesManager.getSite(siteId)).toBeUndefined();
+
+    const missing = await request(app).post('/sites').send({ siteId });
+    expect(missing.status).toBe(400);
+  });
+
+  test('PUT /sites/:siteId で設定を検証して更新し、ログイン情報の変更でログイン状態を破棄する', async () => {
+    await request(app).post('/sites').send({ siteId, baseUrl: 'https://example.com/' });
+
+    const invalid = await request(app).put(`/sites/${siteId}`).send({ determinism: { freezeClock: 'yes' } });
+    expect(invalid.status).toBe(400);
+
+    const response = await request(app).put(`/sites/${siteId}`).send({
+      networkReplay: { enabled: true },
+      admin: { username: 'editor', password: 'secret' }
+    });
+    expect(response.status).toBe(200);
+    expect(response.body.site.networkReplay).toEqual({ enabled: true });
+    expect(response.body.site.admin.password).toBeUndefined();
+    expect(wpAuth.invalidate).toHaveBeenCalledWith(siteId);
+
+    const notFound = await request(app).put('/sites/unknown-site').send({ browser: 'webkit' });
+    expect(notFound.status).toBe(404);
+  });
+
+  test('PUT /sites/:siteId/ignore-regions で除外領域を検証してデータベースにも保存する', async () => {
+    await request(app).post('/sites').send({ siteId, baseUrl: 'https://example.com/' });
+
+    const invalid = await request(app).put(`/sites/${siteId}/ignore-regions`).send({ ignoreRegions: '.slider' });
+    expect(invalid.status).toBe(400);
+
+    const ignoreRegions = [{ selector: '.slider' }, { x: 0, y: 0, width: 100, height: 50, pages: ['/blog/*'] }];
+    const response = await request(app).put(`/sites/${siteId}/ignore-regions`).send({ ignoreRegions });
+    expect(response.status).toBe(200);
+    expect(response.body.ignoreRegions).toEqual(ignoreRegions);
+    expect(sitesManager.getSite(siteId).ignoreRegions).toEqual(ignoreRegions);
+    expect((await database.getSiteConfig(siteId)).ignoreRegions).toEqual(ignoreRegions);
+
+    const notFound = await request(app).put('/sites/unknown-site/ignore-regions').send({ ignoreRegions });
+    expect(notFound.status).toBe(404);
+  });
+
+  test('PUT /sites/:siteId/capture-steps で操作ステップを検証してデータベースにも保存する', async () => {
+    await request(app).post('/sites').send({ siteId, baseUrl: 'https://example.com/' });
+
+    const invalid = await request(app).put(`/sites/${siteId}/capture-steps`)
+      .send({ captureSteps: [{ steps: [{ action: 'jump' }] }] });
+    expect(invalid.status).toBe(400);
+
+    const captureSteps = [{ pages: ['/products/*'], steps: [{ action: 'click', selector: '.tab-reviews' }] }];
+    const response = await request(app).put(`/sites/${siteId}/capture-steps`).send({ captureSteps });
+    expect(response.status).toBe(200);
+    expect(response.body.captureSteps).toEqual(captureSteps);
+    expect(sitesManager.getSite(siteId).captureSteps).toEqual(captureSteps);
+    expect((await database.getSiteConfig(siteId)).captureSteps).toEqual(captureSteps);
+
+    const notFound = await request(app).put('/sites/unknown-site/capture-steps').send({ captureSteps });
+    expect(notFound.status).toBe(404);
+  });
+
+  test('保存したサイト設定を起動時に SitesManager へ反映する', async () => {
+    await request(app).post('/sites').send({ siteId, baseUrl: 'https://example.com/', admin: { username: 'editor' } });
+    await request(app).put(`/sites/${siteId}/ignore-regions`).send({ ignoreRegions: [{ selector: '.ad-slot' }] });
+    const saved = await database.getAllSiteConfigs();
+
+    // 再起動後（メモリ上の設定なし）
+    sitesManager.deleteSite(siteId);
+    sitesManager.loadSavedSites(saved);
+
+    expect(sitesManager.getSite(siteId)).toMatchObject({
+      baseUrl: 'https://example.com/',
+      ignoreRegions: [{ selector: '.ad-slot' }]
+    });
+    expect(sitesManager.getSite(siteId).admin).toBeUndefined();
+  });
+});
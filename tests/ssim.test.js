@@ -0,0 +1,84 @@
+/**
+ * 🧪 SSIM比較モジュールのテスト
+ */
+
+const { PNG } = require('pngjs');
+const { computeSSIM, createSSIMHeatmap } = require('../local-playwright-vrt/src/ssim');
+
+function createGradientPNG(width, height, offset = 0) {
+  const png = new PNG({ width, height });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (width * y + x) << 2;
+      const value = (x * 8 + y * 4 + offset) % 256;
+      png.data[idx] = value;
+      png.data[idx + 1] = value;
+      png.data[idx + 2] = value;
+      png.data[idx + 3] = 255;
+    }
+  }
+  return png;
+}
+
+describe('SSIM比較', () => {
+  test('同一画像のSSIMは1になる', () => {
+    const img = createGradientPNG(32, 32);
+    const result = computeSSIM(img, img, 32, 32, { blockSize: 8 });
+
+    expect(result.ssim).toBeCloseTo(1, 6);
+    expect(result.cols).toBe(4);
+    expect(result.rows).toBe(4);
+  });
+
+  test('わずかな輝度変化ではSSIMが高く保たれる', () => {
+    const img1 = createGradientPNG(32, 32);
+    const img2 = createGradientPNG(32, 32, 2);
+    const result = computeSSIM(img1, img2, 32, 32, { blockSize: 8 });
+
+    expect(result.ssim).toBeGreaterThan(0.9);
+  });
+
+  test('構造が変わったブロックのSSIMが低下する', () => {
+    const img1 = createGradientPNG(32, 32);
+    const img2 = createGradientPNG(32, 32);
+
+    // 左上ブロックを白で塗りつぶす
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        const idx = (32 * y + x) << 2;
+        img2.data[idx] = img2.data[idx + 1] = img2.data[idx + 2] = 255;
+      }
+    }
+
+    const result = computeSSIM(img1, img2, 32, 32, { blockSize: 8 });
+    expect(result.blocks[0]).toBeLessThan(0.5);
+    expect(result.blocks[1]).toBeCloseTo(1, 6);
+    expect(result.minSsim).toBe(result.blocks[0]);
+  });
+
+  test('マスクされたブロックは算出対象外になる', () => {
+    const img1 = createGradientPNG(16, 8);
+    const img2 = createGradientPNG(16, 8, 128);
+    const mask = new Uint8Array(16 * 8);
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        mask[y * 16 + x] = 1;
+      }
+    }
+
+    const result = computeSSIM(img1, img2, 16, 8, { blockSize: 8, mask });
+    expect(result.blocks[0]).toBeNull();
+    expect(result.blocks[1]).not.toBeNull();
+  });
+
+  test('ヒートマップは元画像と同じサイズで生成される', () => {
+    const img1 = createGradientPNG(20, 12);
+    const result = computeSSIM(img1, img1, 20, 12, { blockSize: 8 });
+    const heatmap = createSSIMHeatmap(result, 20, 12);
+
+    expect(heatmap.width).toBe(20);
+    expect(heatmap.height).toBe(12);
+    // SSIM=1 のブロックは白
+    expect(Array.from(heatmap.data.slice(0, 4))).toEqual([255, 255, 255, 255]);
+  });
+});
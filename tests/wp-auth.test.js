@@ -0,0 +1,124 @@
+/**
+ * 🧪 WordPressログイン撮影のテスト
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  WordPressAuth,
+  getLoginUrl,
+  isLoginPage,
+  requiresLogin
+} = require('../local-playwright-vrt/src/wp-auth');
+const { sitesManager, toPublicSite } = require('../local-playwright-vrt/src/sites-config');
+
+describe('WordPressログイン撮影', () => {
+  const stateDir = path.join(__dirname, 'temp-auth');
+
+  const site = {
+    id: 'site1',
+    baseUrl: 'https://example.com/',
+    admin: { username: 'admin', password: 'secret' }
+  };
+
+  // wp-login.php の送信でログインCookieが発行されるブラウザ
+  const createBrowser = (loggedIn = true) => {
+    const browser = { logins: 0 };
+    browser.newContext = async () => ({
+      newPage: async () => ({
+        goto: async () => { browser.logins++; },
+        fill: async () => {},
+        $: async () => null,
+        $eval: async () => 'エラー: パスワードが間違っています。',
+        waitForNavigation: async () => {},
+        click: async () => {}
+      }),
+      cookies: async () => (loggedIn ? [{ name: 'wordpress_logged_in_abc', value: 'x' }] : []),
+      storageState: async ({ path: statePath }) => fs.writeJsonSync(statePath, { cookies: [] }),
+      close: async () => {}
+    });
+    return browser;
+  };
+
+  afterEach(() => {
+    fs.removeSync(stateDir);
+  });
+
+  test('ログインが必要なページを判定する', () => {
+    expect(requiresLogin({ auth: { enabled: false } }, 'https://example.com/members/')).toBe(false);
+    expect(requiresLogin({ auth: { enabled: true } }, 'https://example.com/')).toBe(true);
+
+    const membersOnly = { auth: { enabled: true, pages: ['/members/*', '/mypage'] } };
+    expect(requiresLogin(membersOnly, 'https://example.com/members/news/')).toBe(true);
+    expect(requiresLogin(membersOnly, 'https://example.com/mypage/')).toBe(true);
+    expect(requiresLogin(membersOnly, 'https://example.com/about/')).toBe(false);
+  });
+
+  test('ログインURLとログイン画面を判定する', () => {
+    expect(getLoginUrl(site)).toBe('https://example.com/wp-login.php');
+    expect(getLoginUrl({ ...site, admin: { loginUrl: 'example.com/wp/wp-login.php' } }))
+      .toBe('https://example.com/wp/wp-login.php');
+    expect(isLoginPage('https://example.com/wp-login.php?redirect_to=%2Fmembers%2F')).toBe(true);
+    expect(isLoginPage('https://example.com/members/')).toBe(false);
+  });
+
+  test('保存したログイン状態を再利用し、同時に要求されてもログインは1回', async () => {
+    const auth = new WordPressAuth({ stateDir });
+    const browser = createBrowser();
+
+    const [first, second] = await Promise.all([
+      auth.getStorageState(browser, site),
+      auth.getStorageState(browser, site)
+    ]);
+    const third = await auth.getStorageState(browser, site);
+
+    expect(first).toBe(path.join(stateDir, 'site1.json'));
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    expect(browser.logins).toBe(1);
+
+    auth.invalidate('site1');
+    await auth.getStorageState(browser, site);
+    expect(browser.logins).toBe(2);
+  });
+
+  test('ログインに失敗した場合は再試行しないエラーになる', async () => {
+    const auth = new WordPressAuth({ stateDir });
+
+    await expect(auth.getStorageState(createBrowser(false), site)).rejects.toMatchObject({
+      type: 'AUTH_FAILED',
+      details: { retryable: false }
+    });
+    await expect(auth.getStorageState(createBrowser(), { id: 'site2', baseUrl: site.baseUrl }))
+      .rejects.toMatchObject({ type: 'AUTH_CREDENTIALS_MISSING' });
+    expect(fs.existsSync(auth.getStatePath('site1'))).toBe(false);
+  });
+
+  test('管理者のログイン情報は暗号化して保存し、APIで返すサイト情報にはパスワードを含めない', () => {
+    const siteId = 'test-auth-credentials';
+    try {
+      const added = sitesManager.addSite(siteId, {
+        baseUrl: 'https://example.com/',
+        admin: { loginUrl: 'https://example.com/wp-login.php', username: 'editor', password: 'pa:ss:word' }
+      });
+
+      expect(added.admin.password).not.toBe('pa:ss:word');
+      expect(sitesManager.getSecureSite(siteId).admin).toMatchObject({ username: 'editor', password: 'pa:ss:word' });
+      expect(toPublicSite(added).admin).toEqual({
+        loginUrl: 'https://example.com/wp-login.php',
+        username: added.admin.username,
+        hasPassword: true
+      });
+
+      // パスワードだけの変更ではユーザー名・ログインURLを引き継ぐ
+      sitesManager.updateSite(siteId, { admin: { password: 'new:secret' } });
+      expect(sitesManager.getSecureSite(siteId).admin).toMatchObject({
+        loginUrl: 'https://example.com/wp-login.php',
+        username: 'editor',
+        password: 'new:secret'
+      });
+    } finally {
+      sitesManager.deleteSite(siteId);
+    }
+  });
+});